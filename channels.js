@@ -0,0 +1,204 @@
+const { parsePair } = require('./orderHistory');
+const { DEFAULT_TICKER_INTERVAL, MIN_TICKER_INTERVAL } = require('./quoteTicker');
+
+// ========== WEBSOCKET CHANNELS ==========
+
+const CHANNEL_KINDS = ['order', 'wallet', 'pair', 'ticker'];
+
+/**
+ * Parse the options of a ticker channel and write them out in a fixed
+ * order, so every spelling of the same feed maps to one channel name
+ */
+function parseTickerParams(query) {
+  const params = new URLSearchParams(query);
+  const unknown = Array.from(params.keys()).filter(name => !['inputAmount', 'interval'].includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ticker option ${unknown[0]}. Expected inputAmount or interval`);
+  }
+
+  const inputAmount = params.has('inputAmount') ? Number(params.get('inputAmount')) : 1;
+  const interval = params.has('interval') ? Number(params.get('interval')) : DEFAULT_TICKER_INTERVAL;
+
+  if (!(inputAmount > 0)) {
+    throw new Error('Ticker inputAmount must be a positive number');
+  }
+
+  if (!Number.isInteger(interval) || interval < MIN_TICKER_INTERVAL) {
+    throw new Error(`Ticker interval must be an integer of at least ${MIN_TICKER_INTERVAL} ms`);
+  }
+
+  return { inputAmount, interval };
+}
+
+/**
+ * Parse and normalize a channel name: order:<orderId>, wallet:<address>,
+ * pair:<BASE/QUOTE> (BASE-QUOTE is accepted too) or
+ * ticker:<BASE/QUOTE>?inputAmount=<amount>&interval=<ms>
+ * @param {string} channel - Channel name
+ * @returns {Object} { kind, key, channel, params } - channel is the normalized name, params are set for tickers
+ */
+function parseChannel(channel) {
+  const separator = typeof channel === 'string' ? channel.indexOf(':') : -1;
+  const kind = separator > 0 ? channel.slice(0, separator) : null;
+  const key = separator > 0 ? channel.slice(separator + 1).trim() : '';
+
+  if (!CHANNEL_KINDS.includes(kind) || !key) {
+    throw new Error(`Invalid channel ${channel}. Expected order:<orderId>, wallet:<address>, pair:<BASE/QUOTE> or ticker:<BASE/QUOTE>`);
+  }
+
+  if (kind === 'pair' || kind === 'ticker') {
+    const [pairName, query = ''] = key.split('?');
+    const pair = parsePair(pairName);
+    if (!pair) {
+      throw new Error(`Invalid pair ${pairName}. Expected BASE/QUOTE`);
+    }
+
+    const pairKey = `${pair.base}/${pair.quote}`;
+    if (kind === 'pair') {
+      return { kind, key: pairKey, channel: `pair:${pairKey}` };
+    }
+
+    const params = parseTickerParams(query);
+    return {
+      kind,
+      key: pairKey,
+      params,
+      channel: `ticker:${pairKey}?inputAmount=${params.inputAmount}&interval=${params.interval}`
+    };
+  }
+
+  return { kind, key, channel: `${kind}:${key}` };
+}
+
+/**
+ * Channels an order's events are published on, most specific first. Pair
+ * channels are public, so they only carry orders placed without a wallet
+ * address; wallet orders go to their own wallet channel instead.
+ * @param {string} orderId - Order ID
+ * @param {Object} orderInfo - In-memory order state (wallet, tokenPair), may be missing
+ * @returns {Array<string>} Channel names
+ */
+function getOrderChannels(orderId, orderInfo) {
+  const channels = [`order:${orderId}`];
+  if (!orderInfo) return channels;
+
+  if (orderInfo.wallet && orderInfo.wallet.address) {
+    channels.push(`wallet:${orderInfo.wallet.address}`);
+    return channels;
+  }
+
+  if (orderInfo.tokenPair && orderInfo.tokenPair.base && orderInfo.tokenPair.quote) {
+    channels.push(`pair:${orderInfo.tokenPair.base.toUpperCase()}/${orderInfo.tokenPair.quote.toUpperCase()}`);
+  }
+
+  return channels;
+}
+
+/**
+ * Channel Registry - which multiplexed WebSocket clients follow which
+ * channels. A client is any object; its subscriptions are tracked here.
+ */
+class ChannelRegistry {
+  /**
+   * @param {Object} options - { maxChannelsPerClient }
+   */
+  constructor(options = {}) {
+    this.maxChannelsPerClient = options.maxChannelsPerClient || 100;
+    this.channels = new Map(); // channel -> Set of clients
+    this.clients = new Map();  // client -> Set of channels
+  }
+
+  /**
+   * Subscribe a client to a channel
+   * @param {Object} client - Client
+   * @param {string} channel - Normalized channel name
+   * @returns {boolean} Whether the subscription is new
+   */
+  subscribe(client, channel) {
+    const subscriptions = this.clients.get(client) || new Set();
+    if (subscriptions.has(channel)) return false;
+
+    if (subscriptions.size >= this.maxChannelsPerClient) {
+      throw new Error(`Subscription limit of ${this.maxChannelsPerClient} channels reached`);
+    }
+
+    subscriptions.add(channel);
+    this.clients.set(client, subscriptions);
+
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(client);
+    return true;
+  }
+
+  /**
+   * Unsubscribe a client from a channel
+   * @param {Object} client - Client
+   * @param {string} channel - Normalized channel name
+   * @returns {boolean} Whether the client was subscribed
+   */
+  unsubscribe(client, channel) {
+    const subscriptions = this.clients.get(client);
+    if (!subscriptions || !subscriptions.delete(channel)) return false;
+
+    if (subscriptions.size === 0) {
+      this.clients.delete(client);
+    }
+
+    const subscribers = this.channels.get(channel);
+    subscribers.delete(client);
+    if (subscribers.size === 0) {
+      this.channels.delete(channel);
+    }
+    return true;
+  }
+
+  /**
+   * Drop every subscription of a client, e.g. when its socket closes
+   * @param {Object} client - Client
+   */
+  removeClient(client) {
+    const subscriptions = this.clients.get(client);
+    if (!subscriptions) return;
+
+    Array.from(subscriptions).forEach(channel => this.unsubscribe(client, channel));
+  }
+
+  /**
+   * Channels a client is subscribed to
+   * @param {Object} client - Client
+   * @returns {Array<string>} Channel names
+   */
+  getChannels(client) {
+    return Array.from(this.clients.get(client) || []);
+  }
+
+  /**
+   * Clients subscribed to any of the channels. Each client appears once,
+   * with the first of the channels it follows.
+   * @param {Array<string>} channels - Channel names, most specific first
+   * @returns {Map} client -> channel
+   */
+  match(channels) {
+    const matches = new Map();
+
+    channels.forEach(channel => {
+      const subscribers = this.channels.get(channel);
+      if (!subscribers) return;
+
+      subscribers.forEach(client => {
+        if (!matches.has(client)) matches.set(client, channel);
+      });
+    });
+
+    return matches;
+  }
+}
+
+module.exports = {
+  CHANNEL_KINDS,
+  parseChannel,
+  getOrderChannels,
+  ChannelRegistry
+};
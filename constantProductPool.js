@@ -0,0 +1,121 @@
+// ========== CONSTANT PRODUCT POOL ==========
+
+/**
+ * Constant Product Pool - Raydium-style AMM pool holding reserves of two
+ * tokens with x * y = k. The fee is taken from the input and stays in the
+ * pool, so k grows slightly with every swap.
+ */
+class ConstantProductPool {
+  /**
+   * @param {string} tokenA - First token symbol
+   * @param {string} tokenB - Second token symbol
+   * @param {number} reserveA - Initial reserve of tokenA
+   * @param {number} reserveB - Initial reserve of tokenB
+   * @param {Object} options - { feeRate }
+   */
+  constructor(tokenA, tokenB, reserveA, reserveB, options = {}) {
+    if (!(reserveA > 0) || !(reserveB > 0)) {
+      throw new Error('Pool reserves must be positive');
+    }
+
+    this.reserves = { [tokenA]: reserveA, [tokenB]: reserveB };
+    this.tokens = [tokenA, tokenB];
+    this.feeRate = options.feeRate !== undefined ? options.feeRate : 0.0025;
+  }
+
+  /**
+   * Other side of the pool for an input token
+   * @param {string} inputToken - Token being sold
+   * @returns {string} Token being bought
+   */
+  getOutputToken(inputToken) {
+    if (!this.tokens.includes(inputToken)) {
+      throw new Error(`Token ${inputToken} is not in pool ${this.tokens.join('/')}`);
+    }
+    return this.tokens[0] === inputToken ? this.tokens[1] : this.tokens[0];
+  }
+
+  /**
+   * Marginal price of the input token in output tokens, before fees
+   * @param {string} inputToken - Token being sold
+   * @returns {number} Spot price
+   */
+  getSpotPrice(inputToken) {
+    const outputToken = this.getOutputToken(inputToken);
+    return this.reserves[outputToken] / this.reserves[inputToken];
+  }
+
+  /**
+   * Simulate a swap against the current reserves without changing them
+   * @param {string} inputToken - Token being sold
+   * @param {number} amountIn - Amount being sold
+   * @returns {Object} { outputToken, outputAmount, spotPrice, executionPrice, priceImpact (%), fee }
+   */
+  getAmountOut(inputToken, amountIn) {
+    if (!(amountIn > 0)) {
+      throw new Error('Swap amount must be positive');
+    }
+
+    const outputToken = this.getOutputToken(inputToken);
+    const reserveIn = this.reserves[inputToken];
+    const reserveOut = this.reserves[outputToken];
+
+    const amountInAfterFee = amountIn * (1 - this.feeRate);
+    const outputAmount = (reserveOut * amountInAfterFee) / (reserveIn + amountInAfterFee);
+
+    return {
+      outputToken,
+      outputAmount,
+      spotPrice: reserveOut / reserveIn,
+      executionPrice: outputAmount / amountIn,
+      // Share of the price lost to moving along the curve, fee excluded
+      priceImpact: (amountInAfterFee / (reserveIn + amountInAfterFee)) * 100,
+      fee: this.feeRate * 100
+    };
+  }
+
+  /**
+   * Execute a swap and move the reserves
+   * @param {string} inputToken - Token being sold
+   * @param {number} amountIn - Amount being sold
+   * @returns {Object} Same shape as getAmountOut, priced before the swap
+   */
+  swap(inputToken, amountIn) {
+    const result = this.getAmountOut(inputToken, amountIn);
+
+    this.reserves[inputToken] += amountIn;
+    this.reserves[result.outputToken] -= result.outputAmount;
+
+    return result;
+  }
+
+  /**
+   * Current reserves of both tokens
+   * @returns {Object} Token symbol -> reserve
+   */
+  getReserves() {
+    return { ...this.reserves };
+  }
+
+  /**
+   * Serializable state, see fromJSON
+   * @returns {Object} { tokens, reserves, feeRate }
+   */
+  toJSON() {
+    return { tokens: [...this.tokens], reserves: this.getReserves(), feeRate: this.feeRate };
+  }
+
+  /**
+   * Rebuild a pool from its toJSON state
+   * @param {Object} state - { tokens, reserves, feeRate }
+   * @returns {ConstantProductPool}
+   */
+  static fromJSON({ tokens, reserves, feeRate }) {
+    const [tokenA, tokenB] = tokens;
+    return new ConstantProductPool(tokenA, tokenB, reserves[tokenA], reserves[tokenB], { feeRate });
+  }
+}
+
+module.exports = {
+  ConstantProductPool
+};
@@ -0,0 +1,86 @@
+const { DexRegistry } = require('./dexRegistry');
+const {
+  raydiumQuote,
+  raydiumSwap,
+  meteoraQuote,
+  meteoraSwap,
+  orcaQuote,
+  orcaSwap,
+  jupiterQuote,
+  jupiterSwap,
+  DEX_PROVIDERS
+} = require('./mockQuote');
+
+// ========== DEX PROVIDERS ==========
+
+// Shared by the API server, the workers and the routing hub of a process.
+// Worker rate limits follow the public endpoints the real integrations would
+// call: shared Solana RPC nodes allow about 10 requests per second, and
+// Jupiter's free API tier allows 60 requests per minute. BullMQ applies a
+// limiter to the whole queue, so it is shared by every worker process
+// serving that DEX.
+const dexRegistry = new DexRegistry();
+
+dexRegistry.register({
+  name: DEX_PROVIDERS.RAYDIUM,
+  quote: raydiumQuote,
+  swap: raydiumSwap,
+  speedRank: 1,   // Standard AMM speed
+  feeTier: 0.25,
+  reliability: 0.95,   // 5% slippage failures
+  poolType: 'AMM',
+  worker: { queueName: 'raydium-dex', concurrency: 5, limiter: { max: 10, duration: 1000 } },
+  stages: {
+    quote: { message: 'Fetching Raydium liquidity data...', stage: 'fetching_data' },
+    swap: { message: 'Creating Raydium AMM transaction...', stage: 'creating_transaction' }
+  }
+});
+
+dexRegistry.register({
+  name: DEX_PROVIDERS.METEORA,
+  quote: meteoraQuote,
+  swap: meteoraSwap,
+  speedRank: 3,   // Fast with DLMM
+  feeTier: 0.1,
+  reliability: 0.99,   // Fails only when the bins run dry
+  poolType: 'DLMM',
+  worker: { queueName: 'meteora-dex', concurrency: 5, limiter: { max: 10, duration: 1000 } },
+  stages: {
+    quote: { message: 'Analyzing Meteora DLMM bins...', stage: 'analyzing_dlmm' },
+    swap: { message: 'Optimizing DLMM bin allocation...', stage: 'optimizing_bins' }
+  }
+});
+
+dexRegistry.register({
+  name: DEX_PROVIDERS.ORCA,
+  quote: orcaQuote,
+  swap: orcaSwap,
+  speedRank: 2,   // Medium speed
+  feeTier: 0.3,
+  reliability: 0.99,   // Fails only when the pool runs dry
+  poolType: 'Whirlpool',
+  worker: { queueName: 'orca-dex', concurrency: 5, limiter: { max: 10, duration: 1000 } },
+  stages: {
+    quote: { message: 'Querying Orca Whirlpools...', stage: 'querying_whirlpools' },
+    swap: { message: 'Creating Orca whirlpool transaction...', stage: 'creating_whirlpool' }
+  }
+});
+
+dexRegistry.register({
+  name: DEX_PROVIDERS.JUPITER,
+  quote: jupiterQuote,
+  swap: jupiterSwap,
+  speedRank: 4,   // Fastest due to aggregation
+  feeTier: null,  // Sum of the fees of the venues on the route
+  reliability: 0.98,   // 2% route failures
+  poolType: 'Aggregated',
+  worker: { queueName: 'jupiter-dex', concurrency: 5, limiter: { max: 60, duration: 60000 } },
+  stages: {
+    quote: { message: 'Scanning all DEX routes...', stage: 'route_scanning' },
+    swap: { message: 'Finding optimal Jupiter route...', stage: 'route_optimization' }
+  }
+});
+
+module.exports = {
+  dexRegistry
+};
@@ -0,0 +1,150 @@
+const { EventEmitter } = require('events');
+
+// ========== DEX PROVIDER REGISTRY ==========
+
+const DEFAULT_WORKER_SETTINGS = { concurrency: 5, limiter: { max: 10, duration: 1000 } };
+
+/**
+ * Check a provider definition and fill in defaults
+ * @param {Object} provider - See DexRegistry.register
+ * @returns {Object} Provider
+ */
+function normalizeProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || !/^[A-Za-z][A-Za-z0-9]*$/.test(provider.name)) {
+    throw new Error('Provider name must be letters and digits, starting with a letter');
+  }
+
+  const { name } = provider;
+  if (typeof provider.quote !== 'function' || typeof provider.swap !== 'function') {
+    throw new Error(`Provider ${name} must implement quote and swap`);
+  }
+
+  const speedRank = provider.speedRank !== undefined ? provider.speedRank : 0;
+  if (typeof speedRank !== 'number' || !isFinite(speedRank)) {
+    throw new Error(`speedRank of ${name} must be a number`);
+  }
+
+  const feeTier = provider.feeTier !== undefined ? provider.feeTier : null;
+  if (feeTier !== null && (typeof feeTier !== 'number' || !(feeTier >= 0))) {
+    throw new Error(`feeTier of ${name} must be a non-negative percentage or null`);
+  }
+
+  const reliability = provider.reliability !== undefined ? provider.reliability : null;
+  if (reliability !== null && (typeof reliability !== 'number' || !(reliability >= 0 && reliability <= 1))) {
+    throw new Error(`reliability of ${name} must be a success rate between 0 and 1 or null`);
+  }
+
+  const worker = { queueName: `${name.toLowerCase()}-dex`, ...DEFAULT_WORKER_SETTINGS, ...provider.worker };
+  const stages = {
+    quote: { message: `Fetching ${name} quote...`, stage: 'fetching_quote' },
+    swap: { message: `Building ${name} transaction...`, stage: 'building_transaction' },
+    ...provider.stages
+  };
+
+  return {
+    name,
+    quote: provider.quote,
+    swap: provider.swap,
+    speedRank,
+    feeTier,
+    reliability,
+    poolType: provider.poolType || null,
+    worker: { ...worker, limiter: worker.limiter && { ...worker.limiter } },
+    stages
+  };
+}
+
+/**
+ * DEX Registry - every venue the router can trade on. A provider brings its
+ * quote and swap functions and its metadata; the queues, workers, routing
+ * strategies and multi-hop graph all read the registry, so a new DEX module
+ * is added with a single register call. Listeners of 'registered' set up
+ * providers added after startup.
+ */
+class DexRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.providers = new Map();
+  }
+
+  /**
+   * Add a DEX provider
+   * @param {Object} provider - {
+   *   name,                 Provider name used in quotes, jobs and routes (e.g. 'Raydium')
+   *   quote,                async (tokenPair, inputAmount) => quote, amounts in atomic units
+   *   swap,                 async (tokenPair, inputAmount, wallet) => swap result, amounts in atomic units
+   *   speedRank,            Relative execution speed, higher is faster (FASTEST_EXECUTION without live stats)
+   *   feeTier,              Typical pool fee in percent, null when it depends on the route
+   *   reliability,          Expected swap success rate 0-1, null when unknown (BALANCED without live stats)
+   *   poolType,             Pool model, informational
+   *   worker,               { queueName, concurrency, limiter } defaults of the BullMQ worker
+   *   stages                { quote, swap } - { message, stage } status update sent when a job starts
+   * }
+   * @returns {Object} Registered provider
+   */
+  register(provider) {
+    const normalized = normalizeProvider(provider);
+    if (this.get(normalized.name)) {
+      throw new Error(`DEX provider ${normalized.name} is already registered`);
+    }
+
+    const queueTaken = this.list().find(other => other.worker.queueName === normalized.worker.queueName);
+    if (queueTaken) {
+      throw new Error(`Queue ${normalized.worker.queueName} is already used by ${queueTaken.name}`);
+    }
+
+    this.providers.set(normalized.name, normalized);
+    this.emit('registered', normalized);
+    return normalized;
+  }
+
+  /**
+   * Provider by name, case-insensitive
+   * @param {string} name - Provider name
+   * @returns {Object|null} Provider
+   */
+  get(name) {
+    if (typeof name !== 'string') return null;
+    return this.list().find(provider => provider.name.toLowerCase() === name.toLowerCase()) || null;
+  }
+
+  /**
+   * Provider by name, throwing for unknown names
+   * @param {string} name - Provider name
+   * @returns {Object} Provider
+   */
+  require(name) {
+    const provider = this.get(name);
+    if (!provider) {
+      throw new Error(`Unknown DEX provider: ${name}. Expected one of ${this.names().join(', ')}`);
+    }
+    return provider;
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Provider metadata without the functions, for API responses
+   * @returns {Array} { name, speedRank, feeTier, reliability, poolType, queueName }
+   */
+  describe() {
+    return this.list().map(({ name, speedRank, feeTier, reliability, poolType, worker }) => ({
+      name,
+      speedRank,
+      feeTier,
+      reliability,
+      poolType,
+      queueName: worker.queueName
+    }));
+  }
+}
+
+module.exports = {
+  DexRegistry
+};
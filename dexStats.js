@@ -0,0 +1,215 @@
+// ========== DEX EXECUTION STATS ==========
+
+// Rolling windows reported by the stats API, in milliseconds
+const STATS_WINDOWS = {
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000
+};
+
+const OPERATIONS = ['quote', 'swap'];
+
+/**
+ * Percentage by which a fill fell short of its quote; negative when it beat the quote
+ * @param {string|number} quotedAmount - Quoted output amount (atomic units)
+ * @param {string|number} filledAmount - Filled output amount (atomic units)
+ * @returns {number|null} Deviation in percent, null without a usable quote
+ */
+function fillDeviation(quotedAmount, filledAmount) {
+  const quoted = Number(quotedAmount);
+  const filled = Number(filledAmount);
+  if (!(quoted > 0) || !isFinite(filled)) return null;
+  return ((quoted - filled) / quoted) * 100;
+}
+
+/**
+ * Add up the bucket hashes of a window into per-operation stats
+ * @param {Array<Object>} buckets - Bucket hashes as returned by HGETALL
+ * @returns {Object} { quote, swap, fills, errors }
+ */
+function summarizeStats(buckets) {
+  const totals = {};
+  const errors = {};
+
+  buckets.forEach(bucket => {
+    Object.entries(bucket || {}).forEach(([field, value]) => {
+      if (field.startsWith('error:')) {
+        const message = field.slice('error:'.length);
+        errors[message] = (errors[message] || 0) + Number(value);
+      } else {
+        totals[field] = (totals[field] || 0) + Number(value);
+      }
+    });
+  });
+
+  const stats = {};
+  OPERATIONS.forEach(operation => {
+    const count = totals[`${operation}Count`] || 0;
+    const failures = totals[`${operation}Failures`] || 0;
+    stats[operation] = {
+      count,
+      failures,
+      failureRate: count > 0 ? Number((failures / count).toFixed(4)) : null,
+      avgLatencyMs: count > 0 ? Math.round((totals[`${operation}LatencyMs`] || 0) / count) : null
+    };
+  });
+
+  const fills = totals.fillCount || 0;
+  stats.fills = {
+    count: fills,
+    avgDeviation: fills > 0 ? Number((totals.fillDeviation / fills).toFixed(4)) : null
+  };
+  stats.errors = errors;
+
+  return stats;
+}
+
+/**
+ * DEX Stats - observed latency, failure rate and quote-vs-fill deviation per
+ * provider. Workers record every job outcome into time buckets in Redis
+ * (one hash per provider and bucket) that expire after the longest window;
+ * a window is the sum of its most recent buckets. The routing hub reads an
+ * in-memory snapshot of the routing window refreshed on an interval.
+ */
+class DexStats {
+  /**
+   * @param {Object} connection - ioredis connection
+   * @param {Object} options - { key, bucketSize, windows, routingWindow, minSamples, refreshInterval }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.key = options.key || 'dex-stats';
+    this.bucketSize = options.bucketSize || 60 * 1000;
+    this.windows = options.windows || STATS_WINDOWS;
+    this.routingWindow = options.routingWindow || '1h';
+    this.minSamples = options.minSamples || 20;
+    this.refreshInterval = options.refreshInterval || 30000;
+    this.snapshot = {};
+    this.refreshedAt = null;
+    this.timer = null;
+
+    if (!this.windows[this.routingWindow]) {
+      throw new Error(`Unknown routing window ${this.routingWindow}. Available: ${Object.keys(this.windows).join(', ')}`);
+    }
+  }
+
+  bucketKey(provider, bucket) {
+    return `${this.key}:${provider}:${bucket}`;
+  }
+
+  /**
+   * Record the outcome of a quote or swap job
+   * @param {string} provider - Provider name
+   * @param {Object} outcome - { operation, success, latencyMs, error, deviation } - deviation of a filled swap, see fillDeviation
+   * @param {number} now - Timestamp of the outcome
+   */
+  async record(provider, { operation, success, latencyMs, error, deviation }, now = Date.now()) {
+    if (!OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown operation: ${operation}`);
+    }
+
+    const key = this.bucketKey(provider, Math.floor(now / this.bucketSize));
+    const ttl = Math.max(...Object.values(this.windows)) + this.bucketSize;
+    const pipeline = this.connection.multi()
+      .hincrby(key, `${operation}Count`, 1)
+      .hincrby(key, `${operation}LatencyMs`, Math.round(latencyMs));
+
+    if (!success) {
+      pipeline
+        .hincrby(key, `${operation}Failures`, 1)
+        .hincrby(key, `error:${String(error || 'Unknown error').slice(0, 120)}`, 1);
+    }
+
+    if (success && typeof deviation === 'number' && isFinite(deviation)) {
+      pipeline
+        .hincrby(key, 'fillCount', 1)
+        .hincrbyfloat(key, 'fillDeviation', deviation.toFixed(6));
+    }
+
+    await pipeline.pexpire(key, ttl).exec();
+  }
+
+  /**
+   * Stats of providers over a window
+   * @param {Array<string>} providers - Provider names
+   * @param {string} window - Window name (e.g. '1h')
+   * @param {number} now - End of the window
+   * @returns {Object} provider -> stats, see summarizeStats
+   */
+  async load(providers, window = this.routingWindow, now = Date.now()) {
+    const duration = this.windows[window];
+    if (!duration) {
+      throw new Error(`Unknown window ${window}. Available: ${Object.keys(this.windows).join(', ')}`);
+    }
+
+    const last = Math.floor(now / this.bucketSize);
+    const bucketCount = Math.ceil(duration / this.bucketSize);
+    const pipeline = this.connection.pipeline();
+
+    providers.forEach(provider => {
+      for (let bucket = last - bucketCount + 1; bucket <= last; bucket++) {
+        pipeline.hgetall(this.bucketKey(provider, bucket));
+      }
+    });
+
+    const results = await pipeline.exec();
+    const stats = {};
+
+    providers.forEach((provider, index) => {
+      const buckets = results
+        .slice(index * bucketCount, (index + 1) * bucketCount)
+        .map(([error, hash]) => (error ? {} : hash));
+      stats[provider] = summarizeStats(buckets);
+    });
+
+    return stats;
+  }
+
+  /**
+   * Reload the routing window snapshot
+   * @param {Array<string>} providers - Provider names
+   */
+  async refresh(providers) {
+    this.snapshot = await this.load(providers, this.routingWindow);
+    this.refreshedAt = new Date().toISOString();
+    return this.snapshot;
+  }
+
+  /**
+   * Snapshot stats of a provider when it has enough swaps to be trusted
+   * @param {string} provider - Provider name
+   * @returns {Object|null} Stats over the routing window
+   */
+  get(provider) {
+    const stats = this.snapshot[provider];
+    return stats && stats.swap.count >= this.minSamples ? stats : null;
+  }
+
+  /**
+   * Refresh the snapshot every refreshInterval
+   * @param {Function} getProviders - () => provider names, read on every refresh
+   */
+  start(getProviders) {
+    if (this.timer) return;
+
+    const refresh = () => this.refresh(getProviders())
+      .catch(error => console.error('DEX stats refresh failed:', error.message));
+
+    refresh();
+    this.timer = setInterval(refresh, this.refreshInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  DexStats,
+  STATS_WINDOWS,
+  summarizeStats,
+  fillDeviation
+};
@@ -0,0 +1,233 @@
+const { getPriceOfBinByBinId } = require('@meteora-ag/dlmm');
+
+// ========== DLMM POOL ==========
+
+/**
+ * Bin containing a price
+ * @param {number} price - Price of tokenX in tokenY
+ * @param {number} binStep - Bin step in basis points
+ * @returns {number} Bin ID
+ */
+function priceToBinId(price, binStep) {
+  return Math.round(Math.log(price) / Math.log(1 + binStep / 10000));
+}
+
+/**
+ * DLMM Pool - Meteora-style discrete liquidity pool. Liquidity sits in bins
+ * with a fixed price each (price = (1 + binStep / 10000)^binId, tokenY per
+ * tokenX). Bins below the active bin hold tokenY and bins above hold tokenX.
+ * A swap empties bins one after another, and the active bin follows it.
+ */
+class DLMMPool {
+  /**
+   * @param {string} tokenX - Base token symbol
+   * @param {string} tokenY - Quote token symbol
+   * @param {number} activeBinId - Initial active bin
+   * @param {Object} options - { binStep, feeRate }
+   */
+  constructor(tokenX, tokenY, activeBinId, options = {}) {
+    this.tokens = [tokenX, tokenY];
+    this.activeBinId = activeBinId;
+    this.binStep = options.binStep || 10;
+    this.feeRate = options.feeRate !== undefined ? options.feeRate : 0.001;
+    this.bins = new Map();   // binId -> { amountX, amountY }
+    this.prices = new Map(); // binId -> cached bin price
+  }
+
+  /**
+   * Price of a bin in tokenY per tokenX, using the Meteora SDK bin math
+   * @param {number} binId - Bin ID
+   * @returns {number} Bin price
+   */
+  getBinPrice(binId) {
+    if (!this.prices.has(binId)) {
+      this.prices.set(binId, getPriceOfBinByBinId(binId, this.binStep).toNumber());
+    }
+    return this.prices.get(binId);
+  }
+
+  /**
+   * Deposit liquidity into a bin
+   * @param {number} binId - Bin ID
+   * @param {number} amountX - Amount of tokenX
+   * @param {number} amountY - Amount of tokenY
+   */
+  addLiquidity(binId, amountX, amountY) {
+    if (binId < this.activeBinId && amountX > 0) {
+      throw new Error(`Bin ${binId} is below the active bin and can only hold ${this.tokens[1]}`);
+    }
+
+    if (binId > this.activeBinId && amountY > 0) {
+      throw new Error(`Bin ${binId} is above the active bin and can only hold ${this.tokens[0]}`);
+    }
+
+    const bin = this.bins.get(binId) || { amountX: 0, amountY: 0 };
+    this.bins.set(binId, { amountX: bin.amountX + amountX, amountY: bin.amountY + amountY });
+  }
+
+  /**
+   * Other side of the pool for an input token
+   * @param {string} inputToken - Token being sold
+   * @returns {string} Token being bought
+   */
+  getOutputToken(inputToken) {
+    if (!this.tokens.includes(inputToken)) {
+      throw new Error(`Token ${inputToken} is not in pool ${this.tokens.join('/')}`);
+    }
+    return this.tokens[0] === inputToken ? this.tokens[1] : this.tokens[0];
+  }
+
+  /**
+   * Price of the active bin for an input token, before fees
+   * @param {string} inputToken - Token being sold
+   * @returns {number} Spot price
+   */
+  getSpotPrice(inputToken) {
+    const price = this.getBinPrice(this.activeBinId);
+    return inputToken === this.tokens[0] ? price : 1 / price;
+  }
+
+  /**
+   * Consume bins for a swap and collect the bin changes without applying them
+   */
+  walkBins(inputToken, amountIn) {
+    if (!(amountIn > 0)) {
+      throw new Error('Swap amount must be positive');
+    }
+
+    const outputToken = this.getOutputToken(inputToken);
+    const swapForY = inputToken === this.tokens[0];
+    const amountInAfterFee = amountIn * (1 - this.feeRate);
+
+    // Selling X walks down through bins holding Y, selling Y walks up
+    const binIds = Array.from(this.bins.keys())
+      .filter(binId => (swapForY ? binId <= this.activeBinId : binId >= this.activeBinId))
+      .sort((a, b) => (swapForY ? b - a : a - b));
+
+    const changes = [];
+    let remaining = amountInAfterFee;
+    let outputAmount = 0;
+    let activeBinId = this.activeBinId;
+    let binsCrossed = 0;
+
+    for (const binId of binIds) {
+      if (remaining <= 0) break;
+
+      const bin = this.bins.get(binId);
+      const available = swapForY ? bin.amountY : bin.amountX;
+      if (available <= 0) continue;
+
+      if (binId !== activeBinId) binsCrossed++;
+      activeBinId = binId;
+
+      const price = this.getBinPrice(binId);
+      const maxIn = swapForY ? available / price : available * price;
+      const used = Math.min(remaining, maxIn);
+      const out = used >= maxIn ? available : (swapForY ? used * price : used / price);
+
+      changes.push({
+        binId,
+        amountX: swapForY ? used : -out,
+        amountY: swapForY ? -out : used
+      });
+
+      outputAmount += out;
+      remaining -= used;
+    }
+
+    if (remaining > 0) {
+      throw new Error('DLMM bin allocation failed');
+    }
+
+    const spotPrice = this.getSpotPrice(inputToken);
+
+    return {
+      changes,
+      result: {
+        outputToken,
+        outputAmount,
+        spotPrice,
+        executionPrice: outputAmount / amountIn,
+        // Share of the price lost to crossing bins, fee excluded
+        priceImpact: (1 - outputAmount / amountInAfterFee / spotPrice) * 100,
+        fee: this.feeRate * 100,
+        binsCrossed,
+        activeBinId
+      }
+    };
+  }
+
+  /**
+   * Simulate a swap against the current bins
+   * @param {string} inputToken - Token being sold
+   * @param {number} amountIn - Amount being sold
+   * @returns {Object} { outputToken, outputAmount, spotPrice, executionPrice, priceImpact (%), fee, binsCrossed, activeBinId }
+   */
+  getAmountOut(inputToken, amountIn) {
+    return this.walkBins(inputToken, amountIn).result;
+  }
+
+  /**
+   * Execute a swap, updating bin reserves and the active bin
+   * @param {string} inputToken - Token being sold
+   * @param {number} amountIn - Amount being sold
+   * @returns {Object} Same shape as getAmountOut
+   */
+  swap(inputToken, amountIn) {
+    const { changes, result } = this.walkBins(inputToken, amountIn);
+
+    changes.forEach(({ binId, amountX, amountY }) => {
+      const bin = this.bins.get(binId);
+      bin.amountX = Math.max(bin.amountX + amountX, 0);
+      bin.amountY = Math.max(bin.amountY + amountY, 0);
+    });
+
+    this.activeBinId = result.activeBinId;
+    return result;
+  }
+
+  /**
+   * Current state of the pool
+   * @returns {Object} { tokens, activeBinId, binStep, price, bins }
+   */
+  getState() {
+    return {
+      tokens: [...this.tokens],
+      activeBinId: this.activeBinId,
+      binStep: this.binStep,
+      price: this.getBinPrice(this.activeBinId),
+      bins: Array.from(this.bins.values()).filter(bin => bin.amountX > 0 || bin.amountY > 0).length
+    };
+  }
+
+  /**
+   * Serializable state, see fromJSON
+   * @returns {Object} { tokens, activeBinId, binStep, feeRate, bins: [[binId, { amountX, amountY }]] }
+   */
+  toJSON() {
+    return {
+      tokens: [...this.tokens],
+      activeBinId: this.activeBinId,
+      binStep: this.binStep,
+      feeRate: this.feeRate,
+      bins: Array.from(this.bins.entries()).map(([binId, bin]) => [binId, { ...bin }])
+    };
+  }
+
+  /**
+   * Rebuild a pool from its toJSON state
+   * @param {Object} state - See toJSON
+   * @returns {DLMMPool}
+   */
+  static fromJSON({ tokens, activeBinId, binStep, feeRate, bins }) {
+    const pool = new DLMMPool(tokens[0], tokens[1], activeBinId, { binStep, feeRate });
+    // Set directly: after swaps the active bin may hold both tokens on either side
+    bins.forEach(([binId, bin]) => pool.bins.set(binId, { ...bin }));
+    return pool;
+  }
+}
+
+module.exports = {
+  DLMMPool,
+  priceToBinId
+};
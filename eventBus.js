@@ -0,0 +1,89 @@
+const os = require('os');
+
+// ========== ORDER EVENT BUS ==========
+
+const ORDER_EVENTS_CHANNEL = 'dex:order-events';
+
+/**
+ * Event Bus - carries order events (worker status, job progress, job
+ * completion and failure) over Redis pub/sub, so workers can run in other
+ * processes or on other machines than the API server.
+ *
+ * Pub/sub does not store events: anything published while no server is
+ * subscribed is lost. Swap outcomes are recovered from BullMQ on startup.
+ */
+class EventBus {
+  /**
+   * @param {Object} connection - ioredis connection used for publishing
+   * @param {Object} options - { channel }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.channel = options.channel || ORDER_EVENTS_CHANNEL;
+    this.source = `${os.hostname()}:${process.pid}`;
+    this.subscriber = null;
+  }
+
+  /**
+   * Publish an event to every subscribed server
+   * @param {string} type - Event type (status, progress, job_completed, job_failed)
+   * @param {Object} data - Event payload, should contain orderId
+   * @returns {number} Number of subscribers that received it
+   */
+  async publish(type, data = {}) {
+    const event = {
+      type,
+      ...data,
+      source: this.source,
+      timestamp: new Date().toISOString()
+    };
+
+    return this.connection.publish(this.channel, JSON.stringify(event));
+  }
+
+  /**
+   * Receive every event published on the channel. Subscribing needs its own
+   * connection, which is created on first use.
+   * @param {Function} handler - Callback (event) => void
+   */
+  async subscribe(handler) {
+    if (!this.subscriber) {
+      this.subscriber = this.connection.duplicate();
+    }
+
+    this.subscriber.on('message', (channel, message) => {
+      if (channel !== this.channel) return;
+
+      let event;
+      try {
+        event = JSON.parse(message);
+      } catch (error) {
+        console.error('Dropping malformed order event:', error.message);
+        return;
+      }
+
+      try {
+        handler(event);
+      } catch (error) {
+        console.error(`Order event handler failed for ${event.type}:`, error.message);
+      }
+    });
+
+    await this.subscriber.subscribe(this.channel);
+  }
+
+  /**
+   * Close the subscriber connection
+   */
+  async close() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+  }
+}
+
+module.exports = {
+  EventBus,
+  ORDER_EVENTS_CHANNEL
+};
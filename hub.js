@@ -1,16 +1,37 @@
+const BN = require('bn.js');
+const { dexRegistry } = require('./dexProviders');
+
 // ========== DEX ROUTING HUB ==========
 
+// Default BALANCED weights; userPreferences.weights overrides any of them
+const BALANCED_WEIGHTS = {
+  output: 0.4,
+  priceImpact: 0.2,
+  liquidity: 0.15,
+  fee: 0.1,
+  reliability: 0.15
+};
+
 /**
  * DEX Routing Hub - determines best DEX based on quotes
  * Provides multiple routing strategies for optimal trade execution
  */
 class DEXRoutingHub {
-    constructor() {
+    /**
+     * @param {Object} options - {
+     *   providers,   DEX registry with provider metadata (default: the registered DEXs)
+     *   stats        Observed execution stats with get(provider), see DexStats (optional)
+     * }
+     */
+    constructor(options = {}) {
+      this.providers = options.providers || dexRegistry;
+      this.stats = options.stats || null;
       this.routingStrategies = {
         'BEST_PRICE': this.getBestPriceRoute.bind(this),
         'LOWEST_SLIPPAGE': this.getLowestSlippageRoute.bind(this),
         'HIGHEST_LIQUIDITY': this.getHighestLiquidityRoute.bind(this),
-        'FASTEST_EXECUTION': this.getFastestExecutionRoute.bind(this)
+        'FASTEST_EXECUTION': this.getFastestExecutionRoute.bind(this),
+        'BALANCED': this.getBalancedRoute.bind(this)
       };
     }
   
@@ -48,31 +69,183 @@ class DEXRoutingHub {
     }
   
     /**
-     * Get fastest execution route
-     * Jupiter usually wins due to aggregation capabilities
+     * Observed execution stats of a provider, null until it has enough samples
+     * @param {string} provider - Provider name
+     * @returns {Object|null} { quote, swap, fills, errors } over the stats routing window
+     */
+    getLiveStats(provider) {
+      return this.stats ? this.stats.get(provider) : null;
+    }
+  
+    /**
+     * Speed rank of a provider from its registration, 0 when unknown
+     * @param {string} provider - Provider name
+     * @returns {number} Speed rank, higher is faster
+     */
+    getSpeedRank(provider) {
+      const registered = this.providers.get(provider);
+      return registered ? registered.speedRank : 0;
+    }
+  
+    /**
+     * Get fastest execution route. Once every quoted DEX has live stats, the
+     * lowest observed swap latency wins; until then the registered speed
+     * ranks decide, since observed and registered speeds do not compare.
      * @param {Array} quotes - Array of quote objects from different DEXs
      * @returns {Object} Quote from fastest DEX
      */
     getFastestExecutionRoute(quotes) {
-      const executionSpeed = {
-        'Jupiter': 4,   // Fastest due to aggregation
-        'Meteora': 3,   // Fast with DLMM
-        'Orca': 2,      // Medium speed
-        'Raydium': 1    // Standard AMM speed
-      };
-      
+      const latencies = quotes.map(quote => {
+        const stats = this.getLiveStats(quote.provider);
+        return stats ? stats.swap.avgLatencyMs : null;
+      });
+
+      if (latencies.every(latency => latency !== null)) {
+        return quotes[latencies.indexOf(Math.min(...latencies))];
+      }
+
       return quotes.reduce((best, current) => {
-        const currentSpeed = executionSpeed[current.provider] || 0;
-        const bestSpeed = executionSpeed[best.provider] || 0;
+        const currentSpeed = this.getSpeedRank(current.provider);
+        const bestSpeed = this.getSpeedRank(best.provider);
         return currentSpeed > bestSpeed ? current : best;
       });
     }
   
+    /**
+     * Swap success rate of a provider: observed when it has live stats,
+     * otherwise from its registration, 0 when unknown
+     * @param {string} provider - Provider name
+     * @returns {number} Reliability between 0 and 1
+     */
+    getReliability(provider) {
+      const stats = this.getLiveStats(provider);
+      if (stats) return 1 - stats.swap.failureRate;
+
+      const registered = this.providers.get(provider);
+      return registered && registered.reliability !== null ? registered.reliability : 0;
+    }
+  
+    /**
+     * Output a quote is expected to fill at, after the provider's average
+     * observed quote-vs-fill deviation
+     * @param {Object} quote - Quote object
+     * @returns {number} Expected output amount
+     */
+    getExpectedOutput(quote) {
+      const stats = this.getLiveStats(quote.provider);
+      if (!stats || stats.fills.avgDeviation === null) return quote.outputAmount;
+      return quote.outputAmount * (1 - stats.fills.avgDeviation / 100);
+    }
+  
+    /**
+     * Merge caller weights over the BALANCED defaults and scale them to sum to 1
+     * @param {Object} weights - Partial { output, priceImpact, liquidity, fee, reliability }
+     * @returns {Object} Weights for every factor
+     */
+    resolveWeights(weights = {}) {
+      if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+        throw new Error('weights must be an object');
+      }
+  
+      Object.keys(weights).forEach(factor => {
+        if (!(factor in BALANCED_WEIGHTS)) {
+          throw new Error(`Unknown weight ${factor}. Available: ${Object.keys(BALANCED_WEIGHTS).join(', ')}`);
+        }
+        if (typeof weights[factor] !== 'number' || !(weights[factor] >= 0) || !isFinite(weights[factor])) {
+          throw new Error(`Weight ${factor} must be a non-negative number`);
+        }
+      });
+  
+      const merged = { ...BALANCED_WEIGHTS, ...weights };
+      const total = Object.values(merged).reduce((sum, weight) => sum + weight, 0);
+      if (total === 0) {
+        throw new Error('At least one weight must be positive');
+      }
+  
+      const resolved = {};
+      Object.keys(merged).forEach(factor => {
+        resolved[factor] = Number((merged[factor] / total).toFixed(4));
+      });
+      return resolved;
+    }
+  
+    /**
+     * Score quotes on every BALANCED factor. Each factor is min-max normalized
+     * across the quote set to 0-1 (1 is best); when all quotes tie, all get 1.
+     * The fee falls back to the provider's feeTier when the quote has none.
+     * Output is the expected fill and reliability the observed success rate
+     * once a provider has live stats.
+     * @param {Array} quotes - Array of quote objects from different DEXs
+     * @param {Object} weights - Partial weights, see resolveWeights
+     * @returns {Object} { weights, scores } scores sorted best first
+     */
+    scoreQuotes(quotes, weights) {
+      const resolved = this.resolveWeights(weights);
+      const feeOf = quote => {
+        if (typeof quote.fee === 'number') return quote.fee;
+        const registered = this.providers.get(quote.provider);
+        return registered ? registered.feeTier : null;
+      };
+  
+      // [factor, value of a quote, true when higher is better]
+      const factors = [
+        ['output', quote => this.getExpectedOutput(quote), true],
+        ['priceImpact', quote => quote.priceImpact, false],
+        ['liquidity', quote => quote.liquidity, true],
+        ['fee', feeOf, false],
+        ['reliability', quote => this.getReliability(quote.provider), true]
+      ];
+  
+      const normalizers = factors.map(([factor, valueOf, higherIsBetter]) => {
+        const values = quotes.map(valueOf).filter(value => typeof value === 'number' && isFinite(value));
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+  
+        return quote => {
+          const value = valueOf(quote);
+          // A quote missing the metric scores worst on it
+          if (typeof value !== 'number' || !isFinite(value)) return 0;
+          if (max === min) return 1;
+          return higherIsBetter ? (value - min) / (max - min) : (max - value) / (max - min);
+        };
+      });
+  
+      const scores = quotes.map(quote => {
+        const breakdown = {};
+        let score = 0;
+  
+        factors.forEach(([factor], index) => {
+          const normalized = normalizers[index](quote);
+          breakdown[factor] = Number(normalized.toFixed(4));
+          score += normalized * resolved[factor];
+        });
+  
+        return { provider: quote.provider, score: Number(score.toFixed(4)), factors: breakdown };
+      });
+  
+      return {
+        weights: resolved,
+        scores: scores.sort((a, b) => b.score - a.score)
+      };
+    }
+  
+    /**
+     * Get balanced route (highest weighted score over output, price impact,
+     * liquidity, fee and reliability)
+     * @param {Array} quotes - Array of quote objects from different DEXs
+     * @param {Object} userPreferences - { weights } overriding BALANCED_WEIGHTS
+     * @returns {Object} Quote with the highest score
+     */
+    getBalancedRoute(quotes, userPreferences = {}) {
+      const { scores } = this.scoreQuotes(quotes, userPreferences.weights);
+      return quotes.find(quote => quote.provider === scores[0].provider);
+    }
+  
     /**
      * Main routing function - selects best route based on strategy
      * @param {Array} quotes - Array of quote objects from different DEXs
      * @param {string} strategy - Routing strategy to use
-     * @param {Object} userPreferences - User preferences (e.g., excluded DEXs)
+     * @param {Object} userPreferences - User preferences (e.g., excluded DEXs, BALANCED weights)
      * @returns {Object} Selected best route
      */
     selectBestRoute(quotes, strategy = 'BEST_PRICE', userPreferences = {}) {
@@ -85,13 +258,13 @@ class DEXRoutingHub {
         throw new Error(`Unknown routing strategy: ${strategy}`);
       }
   
-      let bestRoute = routingFunction(quotes);
+      let bestRoute = routingFunction(quotes, userPreferences);
       
       // Apply user preferences (optional)
       if (userPreferences.excludeDEXs && userPreferences.excludeDEXs.includes(bestRoute.provider)) {
         const filteredQuotes = quotes.filter(q => !userPreferences.excludeDEXs.includes(q.provider));
         if (filteredQuotes.length > 0) {
-          bestRoute = routingFunction(filteredQuotes);
+          bestRoute = routingFunction(filteredQuotes, userPreferences);
         }
       }
   
@@ -99,7 +272,7 @@ class DEXRoutingHub {
       if (userPreferences.minLiquidity && bestRoute.liquidity < userPreferences.minLiquidity) {
         const filteredQuotes = quotes.filter(q => q.liquidity >= userPreferences.minLiquidity);
         if (filteredQuotes.length > 0) {
-          bestRoute = routingFunction(filteredQuotes);
+          bestRoute = routingFunction(filteredQuotes, userPreferences);
         }
       }
   
@@ -107,7 +280,7 @@ class DEXRoutingHub {
       if (userPreferences.maxSlippage && bestRoute.priceImpact > userPreferences.maxSlippage) {
         const filteredQuotes = quotes.filter(q => q.priceImpact <= userPreferences.maxSlippage);
         if (filteredQuotes.length > 0) {
-          bestRoute = routingFunction(filteredQuotes);
+          bestRoute = routingFunction(filteredQuotes, userPreferences);
         }
       }
   
@@ -117,9 +290,10 @@ class DEXRoutingHub {
     /**
      * Get comprehensive routing analysis for all strategies
      * @param {Array} quotes - Array of quote objects from different DEXs
+     * @param {Object} userPreferences - User preferences (BALANCED weights)
      * @returns {Object} Detailed analysis of all routing options
      */
-    getRoutingAnalysis(quotes) {
+    getRoutingAnalysis(quotes, userPreferences = {}) {
       if (!quotes || quotes.length === 0) return null;
   
       const strategies = Object.keys(this.routingStrategies);
@@ -128,7 +302,7 @@ class DEXRoutingHub {
       // Get best route for each strategy
       strategies.forEach(strategy => {
         try {
-          analysis[strategy] = this.routingStrategies[strategy](quotes);
+          analysis[strategy] = this.routingStrategies[strategy](quotes, userPreferences);
         } catch (error) {
           analysis[strategy] = null;
         }
@@ -152,6 +326,7 @@ class DEXRoutingHub {
           totalLiquidity: liquidities.reduce((sum, l) => sum + l, 0)
         },
         strategies: analysis,
+        balancedScores: this.scoreQuotes(quotes, userPreferences.weights),
         recommendation: analysis.BEST_PRICE,
         timestamp: new Date().toISOString()
       };
@@ -169,8 +344,10 @@ class DEXRoutingHub {
           'BEST_PRICE': 'Selects DEX with highest output amount',
           'LOWEST_SLIPPAGE': 'Selects DEX with lowest price impact',
           'HIGHEST_LIQUIDITY': 'Selects DEX with highest liquidity',
-          'FASTEST_EXECUTION': 'Selects fastest DEX for execution'
-        }
+          'FASTEST_EXECUTION': 'Selects fastest DEX for execution',
+          'BALANCED': 'Selects DEX with best weighted score over output, price impact, liquidity, fee and reliability'
+        },
+        balancedWeights: { ...BALANCED_WEIGHTS }
       };
     }
   
@@ -224,6 +401,95 @@ class DEXRoutingHub {
         betterChoice: quoteB.outputAmount > quoteA.outputAmount ? quoteB.provider : quoteA.provider
       };
     }
+
+    /**
+     * Estimate a venue's output for a different input amount than it quoted.
+     * Price impact is assumed to grow linearly with size, so the quote's
+     * impact at its own inputAmount defines the venue's impact curve.
+     * @param {Object} quote - Quote object with inputAmount, outputAmount and priceImpact (%)
+     * @param {number} amount - Input amount to estimate
+     * @returns {number} Estimated output amount
+     */
+    estimateOutput(quote, amount) {
+      if (amount <= 0) return 0;
+
+      const quotedAmount = quote.inputAmount || amount;
+      const quotedImpact = Math.min((quote.priceImpact || 0) / 100, 0.99);
+      const spotRate = quote.outputAmount / quotedAmount / (1 - quotedImpact);
+      const impact = Math.min(quotedImpact * (amount / quotedAmount), 1);
+
+      return amount * spotRate * (1 - impact);
+    }
+
+    /**
+     * Divide an input amount across venues to maximize total output.
+     * The amount is allocated in equal chunks, each to the venue with the
+     * highest marginal output on its impact curve. Leg amounts are exact
+     * atomic units; expected outputs are estimates in the quotes' units.
+     * @param {Array} quotes - Quotes for the full input amount from different DEXs
+     * @param {string} inputAmount - Total amount to swap in atomic units
+     * @param {Object} options - { steps } number of allocation chunks (default 20)
+     * @returns {Object} Split legs with expected output and comparison to the best single venue
+     */
+    optimizeSplit(quotes, inputAmount, options = {}) {
+      if (!quotes || quotes.length === 0) {
+        throw new Error('No quotes available for split routing');
+      }
+
+      const steps = options.steps || 20;
+      const total = new BN(inputAmount, 10);
+      const chunks = new Map(quotes.map(quote => [quote.provider, 0]));
+
+      // Output of a venue for a number of chunks of the amount it quoted
+      const estimate = (quote, count) => this.estimateOutput(quote, (quote.inputAmount * count) / steps);
+
+      for (let i = 0; i < steps; i++) {
+        let best = null;
+        let bestGain = -Infinity;
+
+        quotes.forEach(quote => {
+          const allocated = chunks.get(quote.provider);
+          const gain = estimate(quote, allocated + 1) - estimate(quote, allocated);
+          if (gain > bestGain) {
+            bestGain = gain;
+            best = quote;
+          }
+        });
+
+        chunks.set(best.provider, chunks.get(best.provider) + 1);
+      }
+
+      const legs = quotes
+        .filter(quote => chunks.get(quote.provider) > 0)
+        .map(quote => {
+          const count = chunks.get(quote.provider);
+          return {
+            provider: quote.provider,
+            inputAmount: total.muln(count).divn(steps),
+            share: Number(((count / steps) * 100).toFixed(2)),
+            expectedOutput: estimate(quote, count)
+          };
+        })
+        .sort((a, b) => b.inputAmount.cmp(a.inputAmount));
+
+      // Rounding leftovers go to the largest leg so the legs add up exactly
+      const allocated = legs.reduce((sum, leg) => sum.add(leg.inputAmount), new BN(0));
+      legs[0].inputAmount = legs[0].inputAmount.add(total.sub(allocated));
+      legs.forEach(leg => {
+        leg.inputAmount = leg.inputAmount.toString(10);
+      });
+
+      const expectedOutput = legs.reduce((sum, leg) => sum + leg.expectedOutput, 0);
+      const bestSingleOutput = Math.max(...quotes.map(quote => estimate(quote, steps)));
+
+      return {
+        legs,
+        inputAmount: total.toString(10),
+        expectedOutput,
+        bestSingleOutput,
+        improvementOverSingle: ((expectedOutput - bestSingleOutput) / bestSingleOutput) * 100
+      };
+    }
   }
   
   module.exports = {
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+// ========== IDEMPOTENCY AND DUPLICATE ORDERS ==========
+
+/**
+ * JSON with object keys sorted, so equal bodies serialize the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of a request, used to detect an Idempotency-Key reused for a different request
+ * @param {string} route - Route path
+ * @param {Object} body - Request body
+ * @returns {string} Hex digest
+ */
+function fingerprintRequest(route, body) {
+  return crypto.createHash('sha256').update(`${route}\n${stableStringify(body || {})}`).digest('hex');
+}
+
+/**
+ * Idempotency Store - remembers the response to each Idempotency-Key, so a
+ * retried request gets the original response instead of running twice.
+ * A key is claimed while its request runs; the claim expires on its own
+ * if the server dies before the response is saved.
+ */
+class IdempotencyStore {
+  /**
+   * @param {Object} connection - ioredis connection
+   * @param {Object} options - { key, ttl (ms responses are kept), lockTtl (ms a claim is held) }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.key = options.key || 'idempotency';
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+    this.lockTtl = options.lockTtl || 30000;
+  }
+
+  entryKey(idempotencyKey) {
+    return `${this.key}:${idempotencyKey}`;
+  }
+
+  /**
+   * Claim a key for a request
+   * @param {string} idempotencyKey - Client-supplied key
+   * @param {string} fingerprint - fingerprintRequest of the request
+   * @returns {Object} { state: 'new' | 'in_progress' | 'mismatch' | 'completed', statusCode, payload }
+   */
+  async begin(idempotencyKey, fingerprint) {
+    const claimed = await this.connection.set(
+      this.entryKey(idempotencyKey),
+      JSON.stringify({ state: 'in_progress', fingerprint, startedAt: new Date().toISOString() }),
+      'PX', this.lockTtl, 'NX'
+    );
+    if (claimed) return { state: 'new' };
+
+    const raw = await this.connection.get(this.entryKey(idempotencyKey));
+    // Expired between the two calls: treat as in progress and let the client retry
+    if (!raw) return { state: 'in_progress' };
+
+    const entry = JSON.parse(raw);
+    if (entry.fingerprint !== fingerprint) return { state: 'mismatch' };
+    return entry;
+  }
+
+  /**
+   * Save the response of a claimed key
+   * @param {string} idempotencyKey - Client-supplied key
+   * @param {string} fingerprint - fingerprintRequest of the request
+   * @param {number} statusCode - HTTP status
+   * @param {string} payload - Serialized response body
+   */
+  async complete(idempotencyKey, fingerprint, statusCode, payload) {
+    await this.connection.set(
+      this.entryKey(idempotencyKey),
+      JSON.stringify({ state: 'completed', fingerprint, statusCode, payload, completedAt: new Date().toISOString() }),
+      'PX', this.ttl
+    );
+  }
+
+  /**
+   * Drop a claim, so the request can be retried with the same key
+   * @param {string} idempotencyKey - Client-supplied key
+   */
+  async release(idempotencyKey) {
+    await this.connection.del(this.entryKey(idempotencyKey));
+  }
+}
+
+/**
+ * Duplicate Order Guard - flags an order that repeats a recent one from the
+ * same wallet (same type, pair and amount) within a short window.
+ */
+class DuplicateOrderGuard {
+  /**
+   * @param {Object} connection - ioredis connection
+   * @param {Object} options - { key, window (ms) }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.key = options.key || 'orders:recent';
+    this.window = options.window || 60000;
+  }
+
+  /**
+   * Signature of an order; null when the wallet has no address to group by
+   * @param {Object} order - { type, tokenPair, inputAmount, wallet }
+   * @returns {string|null}
+   */
+  signature({ type, tokenPair, inputAmount, wallet }) {
+    if (!wallet || !wallet.address) return null;
+    return [wallet.address, type, tokenPair.base.toUpperCase(), tokenPair.quote.toUpperCase(), Number(inputAmount)].join(':');
+  }
+
+  /**
+   * Record an order, unless it duplicates a recent one. A confirmed order
+   * is always recorded.
+   * @param {Object} order - { type, tokenPair, inputAmount, wallet }
+   * @param {string} orderId - New order ID
+   * @param {boolean} confirmed - Whether the client confirmed a duplicate
+   * @returns {string|null} ID of the order this one duplicates, or null
+   */
+  async claim(order, orderId, confirmed = false) {
+    const signature = this.signature(order);
+    if (!signature) return null;
+
+    const key = `${this.key}:${signature}`;
+    if (confirmed) {
+      await this.connection.set(key, orderId, 'PX', this.window);
+      return null;
+    }
+
+    const claimed = await this.connection.set(key, orderId, 'PX', this.window, 'NX');
+    if (claimed) return null;
+
+    return (await this.connection.get(key)) || null;
+  }
+
+  /**
+   * Forget an order that failed to start, so it does not block a retry
+   * @param {Object} order - { type, tokenPair, inputAmount, wallet }
+   * @param {string} orderId - Order ID passed to claim
+   */
+  async release(order, orderId) {
+    const signature = this.signature(order);
+    if (!signature) return;
+
+    const key = `${this.key}:${signature}`;
+    if ((await this.connection.get(key)) === orderId) {
+      await this.connection.del(key);
+    }
+  }
+}
+
+module.exports = {
+  IdempotencyStore,
+  DuplicateOrderGuard,
+  fingerprintRequest,
+  stableStringify
+};
@@ -1,25 +1,151 @@
 const Fastify = require('fastify');
 const websocket = require('@fastify/websocket');
 const { v4: uuidv4 } = require('uuid');
-const { emitStatusUpdate } = require('./worker');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const BN = require('bn.js');
 
 // Import updated DEX queue functions
-const { addQuoteJob, addSwapJob, addCompareQuotesJob } = require('./queue');
-const { raydiumWorker, meteoraWorker, orcaWorker, jupiterWorker } = require('./worker');
+const { addQuoteJob, addSwapJob, addCompareQuotesJob, getSwapJob, getQueueJobCounts, connection } = require('./queue');
+const { EventBus } = require('./eventBus');
+const { startWorkers } = require('./worker');
+const { parseWorkerOptions } = require('./workerConfig');
+const { WorkerRegistry } = require('./workerRegistry');
+const { OrderEventLog } = require('./orderEvents');
+const { parseChannel, getOrderChannels, ChannelRegistry } = require('./channels');
+const { QuoteTicker } = require('./quoteTicker');
+const { QuoteComparisons } = require('./quoteComparison');
+const { IdempotencyStore, DuplicateOrderGuard, fingerprintRequest } = require('./idempotency');
+const { WalletAuth, decodeWalletAddress, requireOwner } = require('./walletAuth');
+const { Ledger } = require('./ledger');
 const { DEXRoutingHub } = require('./hub');
+const { LimitOrderBook, TRIGGER_ORDER_TYPES } = require('./limitOrders');
+const { createSlicePlan, recordSliceFill, isPlanComplete, summarizeSlicePlan } = require('./slicing');
+const { createMultiHopPlan, startNextLeg, recordLegFill } = require('./multiHop');
+const { recordSplitLegOutcome } = require('./splitRoute');
+const { ScheduleManager } = require('./schedules');
+const { TokenGraphRouter } = require('./tokenGraph');
+const { tokenRegistry } = require('./tokenRegistry');
+const { OrderStore } = require('./orderStore');
+const { RECONCILIATION_STATUS, isRecoverable, restoreOrderState, getPendingSwaps, inspectSwapJobs } = require('./orderRecovery');
+const { parsePair, buildOrderFilter, summarizeOrder, streamFills } = require('./orderHistory');
+const { dexRegistry } = require('./dexProviders');
+const { DexStats } = require('./dexStats');
 
 const fastify = Fastify();
 fastify.register(websocket);
+fastify.decorateRequest('idempotency', null);
+fastify.decorateRequest('walletAddress', null);
+
+// Observed latency, failure rate and fill deviation per DEX, recorded by the
+// workers; the routing hub reads a snapshot of the routing window
+const dexStats = new DexStats(connection, {
+  routingWindow: process.env.DEX_STATS_WINDOW || '1h',
+  minSamples: Number(process.env.DEX_STATS_MIN_SAMPLES) || 20,
+  refreshInterval: Number(process.env.DEX_STATS_REFRESH_MS) || 30000
+});
 
 // Initialize routing hub
-const routingHub = new DEXRoutingHub();
+const routingHub = new DEXRoutingHub({ stats: dexStats });
+
+// Resting limit / stop-loss / take-profit orders, re-quoted every pollInterval
+const limitOrderBook = new LimitOrderBook(connection, {
+  pollInterval: Number(process.env.LIMIT_ORDER_POLL_MS) || 15000
+});
+
+// Multi-hop router over every enabled token and registered provider. Edges
+// are quoted by queue jobs, like single-hop orders, so they share the DEX
+// workers' rate limits, stats and pool state.
+const tokenGraphRouter = new TokenGraphRouter(Object.fromEntries(
+  dexRegistry.names().map(name => [name, queuedQuote(name)])
+), {
+  tokens: tokenRegistry.symbols(),
+  maxHops: 3
+});
+
+// Recurring DCA plans that place market orders on a cron schedule
+const scheduleManager = new ScheduleManager(connection);
+
+// Durable order records; the Maps below only hold orders while they run
+const orderStore = new OrderStore(connection);
+
+// Every WebSocket message per order, with sequence numbers for replay
+const orderEventLog = new OrderEventLog(connection);
+
+// Order, wallet and pair subscriptions of clients on the multiplexed /ws socket
+const channelRegistry = new ChannelRegistry();
+
+// Quotes and failures collected for POST /api/quotes/compare
+const quoteComparisons = new QuoteComparisons();
+
+// Live bid/ask feeds for ticker channels, refreshed by rounds of quote jobs
+const quoteTicker = new QuoteTicker({
+  requestQuotes: (tokenPair, inputAmount, roundId) =>
+    submitQuoteJobs(tokenPair, inputAmount, roundId, { priority: TICKER_JOB_PRIORITY }),
+  analyze: quotes => routingHub.getRoutingAnalysis(quotes),
+  onTick: (feedId, tick) => publishTick(feedId, tick),
+  providerCount: dexRegistry.names().length,
+  maxFeeds: Number(process.env.TICKER_MAX_FEEDS) || undefined
+});
+
+// DEXs registered after startup get quote jobs (queue.js and worker.js set
+// up their queues and workers) and join multi-hop routes and ticker rounds
+dexRegistry.on('registered', provider => {
+  tokenGraphRouter.registerProvider(provider.name, queuedQuote(provider.name));
+  quoteTicker.providerCount = dexRegistry.names().length;
+  logger.info(`DEX provider ${provider.name} registered`);
+});
+
+// Saved responses of Idempotency-Key requests, and recent orders per wallet
+const idempotencyStore = new IdempotencyStore(connection);
+const duplicateOrderGuard = new DuplicateOrderGuard(connection, {
+  window: Number(process.env.DUPLICATE_ORDER_WINDOW_MS) || 60000
+});
+
+// Session tokens of wallets that signed a sign-in challenge. Orders and
+// order WebSockets require one unless WALLET_AUTH=false (local testing).
+const walletAuth = new WalletAuth(connection);
+const REQUIRE_WALLET_AUTH = process.env.WALLET_AUTH !== 'false';
+
+// Shared secret of the token admin routes; unset disables them
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+// Paper trading accounts; every order reserves its input here. Trading on
+// the balances sent with an order is only allowed with ALLOW_CLIENT_BALANCES=true
+const ledger = new Ledger(connection);
+const ALLOW_CLIENT_BALANCES = process.env.ALLOW_CLIENT_BALANCES === 'true';
+
+// Worker heartbeats, reported by GET /api/workers
+const workerRegistry = new WorkerRegistry(connection);
+
+// Run DEX workers in this process unless they are deployed separately (npm run worker)
+const EMBEDDED_WORKERS = process.env.EMBEDDED_WORKERS !== 'false';
+const workerPool = EMBEDDED_WORKERS ? startWorkers(parseWorkerOptions([], process.env)) : null;
+
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'TWAP', 'ICEBERG'];
+const SLICED_ORDER_TYPES = ['TWAP', 'ICEBERG'];
+const ROUTING_MODES = ['DIRECT', 'MULTI_HOP', 'SPLIT'];
+const MAX_SLICES = 100;
+const QUOTE_ROUND_TIMEOUT = 30000; // Restart a resting order's quote round after 30 seconds
+const MAX_HISTORY_PAGE = 200;
+const EXPORT_PAGE_SIZE = 500;
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const COMPARISON_PREFIX = 'compare:';
+const ROUTE_QUOTE_PREFIX = 'route-quote:';
+const ROUTE_QUOTE_TIMEOUT = 30000;
+const DEFAULT_COMPARISON_TIMEOUT = 15000;
+const MAX_COMPARISON_TIMEOUT = 30000;
+const TICKER_JOB_PRIORITY = 10; // BullMQ runs jobs without a priority first, so orders go ahead of tickers
 
 // Global state management
-const activeConnections = new Map(); // orderId -> WebSocket
+const activeConnections = new Map(); // orderId -> Set of subscribers {socket, lastSeq, replaying, buffer}
+const channelClients = new Set();    // Clients of the multiplexed /ws socket {socket, lastSeqs, replaying, walletAddress}
 const orderJobMap = new Map();       // orderId -> {jobMapping, tokenPair, inputAmount, wallet, etc.}
 const orderQuotes = new Map();       // orderId -> {quotes: [], bestQuote, expectedQuotes, receivedQuotes}
 const pendingUpdatesMap = new Map(); // orderId -> Array of pending update timeouts
 const quoteTimeouts = new Map();     // orderId -> timeout for quote collection
+const sliceTimers = new Map();       // orderId -> timeout before the next TWAP/iceberg slice
+const routeQuotes = new Map();       // requestId -> { finish } of a multi-hop edge quote job
 
 // ========== ENHANCED LOGGING UTILITIES ==========
 
@@ -50,44 +176,227 @@ const logger = {
   }
 };
 
+// ========== TOKEN AMOUNTS ==========
+// The DEXs, job data, the ledger and order accounting carry integer atomic
+// units. Requests are converted when an order starts; token-unit fields on
+// orders, slices and legs are for display, with the exact amounts under `atomic`
+
+/**
+ * Token amount to atomic units, rounding down digits beyond the token's decimals
+ */
+function toAtomic(token, amount) {
+  return tokenRegistry.toAtomic(token, amount, { exact: false });
+}
+
+function fromAtomic(token, atomic) {
+  return tokenRegistry.toAmount(token, atomic);
+}
+
+function toAtomicBalances(balances) {
+  return Object.fromEntries(Object.entries(balances).map(([token, amount]) => [token, toAtomic(token, amount)]));
+}
+
+function fromAtomicBalances(balances) {
+  return Object.fromEntries(Object.entries(balances).map(([token, atomic]) => [token, fromAtomic(token, atomic)]));
+}
+
+function toAtomicWallet(wallet) {
+  return wallet && wallet.balances ? { ...wallet, balances: toAtomicBalances(wallet.balances) } : wallet;
+}
+
+function fromAtomicWallet(wallet) {
+  return wallet && wallet.balances ? { ...wallet, balances: fromAtomicBalances(wallet.balances) } : wallet;
+}
+
+/**
+ * Quote or swap result of a DEX job in token units. The exact atomic amounts
+ * are kept under `atomic`; fills are accounted from those.
+ */
+function fromAtomicResult(result) {
+  if (!result) return result;
+
+  const converted = { ...result };
+
+  if (result.inputToken && result.outputToken) {
+    converted.inputAmount = fromAtomic(result.inputToken, result.inputAmount);
+    converted.outputAmount = fromAtomic(result.outputToken, result.outputAmount);
+    converted.atomic = { inputAmount: result.inputAmount, outputAmount: result.outputAmount };
+  }
+
+  if (result.legs) {
+    converted.legs = result.legs.map(leg => ({
+      ...leg,
+      inputAmount: fromAtomic(leg.from, leg.inputAmount),
+      outputAmount: fromAtomic(leg.to, leg.outputAmount)
+    }));
+  }
+
+  if (result.updatedWallet) converted.updatedWallet = fromAtomicWallet(result.updatedWallet);
+  if (result.quote) converted.quote = fromAtomicResult(result.quote);
+
+  return converted;
+}
+
+/**
+ * Quote function of a DEX for the token graph: runs one quote job on the
+ * DEX's queue, in token units, and resolves with its result. Rejects when
+ * the job fails its last attempt or no result arrives in time.
+ */
+function queuedQuote(provider) {
+  return (tokenPair, inputAmount) => new Promise((resolve, reject) => {
+    const requestId = `${ROUTE_QUOTE_PREFIX}${uuidv4()}`;
+
+    const finish = (error, result) => {
+      clearTimeout(timer);
+      routeQuotes.delete(requestId);
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const timer = setTimeout(() => finish(new Error(`${provider} quote timed out`)), ROUTE_QUOTE_TIMEOUT);
+    routeQuotes.set(requestId, { finish });
+
+    addQuoteJob(provider, tokenPair, toAtomic(tokenPair.base, inputAmount), requestId).catch(error => finish(error));
+  });
+}
+
+/**
+ * Queue quote jobs on every DEX for an amount in token units
+ */
+function submitQuoteJobs(tokenPair, inputAmount, orderId, jobOptions) {
+  return addCompareQuotesJob(tokenPair, toAtomic(tokenPair.base, inputAmount), orderId, jobOptions);
+}
+
+/**
+ * Queue a swap job for an atomic amount and a wallet in token units, with
+ * the atomic output the route was quoted at when known
+ */
+function submitSwapJob(provider, tokenPair, inputAmount, wallet, orderId, quotedOutput) {
+  return addSwapJob(provider, tokenPair, inputAmount, toAtomicWallet(wallet), orderId, quotedOutput);
+}
+
+/**
+ * Both tokens must be enabled and the amount must fit the input token's
+ * decimals. Returns an error message or null.
+ */
+function validateTokenAmount(tokenPair, inputAmount) {
+  try {
+    tokenRegistry.require(tokenPair.quote);
+    tokenRegistry.require(tokenPair.base);
+    tokenRegistry.toAtomic(tokenPair.base, inputAmount);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
 // ========== UTILITY FUNCTIONS ==========
 
 /**
- * Safely send WebSocket messages with enhanced logging
+ * Record an order event and send it to every subscriber. The event gets the
+ * next sequence number of the order, so clients that were disconnected can
+ * replay it later.
  */
 function sendUpdate(orderId, message) {
-  const socket = activeConnections.get(orderId);
-  if (socket && socket.readyState === socket.OPEN) {
-    try {
-      socket.send(JSON.stringify(message));
-      logger.debug(`WebSocket message sent to ${orderId}`, { type: message.type, status: message.status });
-    } catch (error) {
-      logger.error(`Error sending WebSocket message to ${orderId}`, error, { messageType: message.type });
-      // Clean up dead connection
-      activeConnections.delete(orderId);
-    }
-  } else {
-    logger.warn(`Cannot send message to ${orderId} - connection not available`, { 
-      hasSocket: !!socket, 
-      readyState: socket?.readyState,
-      messageType: message.type 
+  // Resolve channels now: the order may be cleaned up before the event is stored
+  const channels = getOrderChannels(orderId, orderJobMap.get(orderId));
+
+  orderEventLog.append(orderId, message)
+    .catch(error => {
+      logger.error(`Failed to record ${message.type} event for order ${orderId}`, error);
+      return { seq: null, ...message };
+    })
+    .then(event => {
+      channelRegistry.match(channels).forEach((channel, client) => {
+        deliverChannelEvent(client, orderId, { ...event, channel });
+      });
+
+      const subscribers = activeConnections.get(orderId);
+      if (!subscribers || subscribers.size === 0) {
+        logger.debug(`No subscribers for order ${orderId}, event ${event.seq} kept for replay`, { type: event.type });
+        return;
+      }
+
+      subscribers.forEach(subscriber => deliverEvent(orderId, subscriber, event));
     });
+}
+
+/**
+ * Send an event to one subscriber. Events arriving while the subscriber is
+ * still replaying are held back, and events it already has are skipped.
+ */
+function deliverEvent(orderId, subscriber, event) {
+  if (subscriber.replaying) {
+    subscriber.buffer.push(event);
+    return;
+  }
+
+  if (event.seq !== null && event.seq <= subscriber.lastSeq) return;
+
+  const { socket } = subscriber;
+  if (socket.readyState !== socket.OPEN) {
+    removeSubscriber(orderId, subscriber);
+    return;
+  }
+
+  try {
+    socket.send(JSON.stringify(event));
+    if (event.seq !== null) subscriber.lastSeq = event.seq;
+    logger.debug(`WebSocket message sent to ${orderId}`, { type: event.type, seq: event.seq, status: event.status });
+  } catch (error) {
+    logger.error(`Error sending WebSocket message to ${orderId}`, error, { messageType: event.type });
+    // Clean up dead connection
+    removeSubscriber(orderId, subscriber);
+  }
+}
+
+function removeSubscriber(orderId, subscriber) {
+  const subscribers = activeConnections.get(orderId);
+  if (!subscribers) return;
+
+  subscribers.delete(subscriber);
+  if (subscribers.size === 0) {
+    activeConnections.delete(orderId);
   }
 }
 
+function countSubscribers() {
+  let count = channelClients.size;
+  activeConnections.forEach(subscribers => { count += subscribers.size; });
+  return count;
+}
+
 /**
- * Find order ID by job ID using improved mapping
+ * Whether anyone follows an order, on its own socket or through a channel
  */
-function findOrderIdByJobId(jobId) {
-  for (const [orderId, orderInfo] of orderJobMap.entries()) {
-    if (orderInfo.jobMapping && orderInfo.jobMapping.has(jobId)) {
-      return orderId;
-    }
-    if (orderInfo.swapJobId === jobId) {
-      return orderId;
-    }
+function hasSubscribers(orderId) {
+  return activeConnections.has(orderId) ||
+    channelRegistry.match(getOrderChannels(orderId, orderJobMap.get(orderId))).size > 0;
+}
+
+/**
+ * Send an order event to a multiplexed client, tagged with the channel it
+ * matched. A client gets each event once even if several of its channels
+ * match; events of an order it is replaying are held back until the replay ends.
+ */
+function deliverChannelEvent(client, orderId, event) {
+  const held = client.replaying.get(orderId);
+  if (held) {
+    held.push(event);
+    return;
+  }
+
+  if (event.seq !== null && event.seq <= (client.lastSeqs.get(orderId) || 0)) return;
+
+  const { socket } = client;
+  if (socket.readyState !== socket.OPEN) return;
+
+  try {
+    socket.send(JSON.stringify(event));
+    if (event.seq !== null) client.lastSeqs.set(orderId, event.seq);
+  } catch (error) {
+    logger.error(`Error sending channel message for order ${orderId}`, error, { channel: event.channel });
   }
-  return null;
 }
 
 /**
@@ -97,10 +406,92 @@ function hasQuoteTimeout(orderId) {
   const orderInfo = orderJobMap.get(orderId);
   if (!orderInfo || !orderInfo.startTime) return false;
   
-  const timeElapsed = Date.now() - orderInfo.startTime.getTime();
+  const roundStart = orderInfo.quoteStartTime || orderInfo.startTime;
+  const timeElapsed = Date.now() - roundStart.getTime();
   return timeElapsed > 10000; // 10 second timeout
 }
 
+/**
+ * Check whether a quote job belongs to the order's current quote round.
+ * Limit orders are re-quoted repeatedly, so late results from an older
+ * round must not leak into the current one.
+ */
+function isCurrentQuoteJob(orderId, job) {
+  const quotesInfo = orderQuotes.get(orderId);
+  if (!quotesInfo || !quotesInfo.jobKeys) return true;
+  return quotesInfo.jobKeys.has(`${job.queueName}:${job.id}`);
+}
+
+/**
+ * Fan out quote jobs to all DEXs and start a fresh quote round for the order
+ */
+async function requestQuotes(orderId) {
+  const orderInfo = orderJobMap.get(orderId);
+  if (!orderInfo) {
+    throw new Error(`Order ${orderId} not found`);
+  }
+
+  // Sliced orders quote one child slice at a time
+  const plan = orderInfo.slicePlan;
+  const slice = plan && plan.slices[plan.currentSlice];
+  const inputAmount = slice ? slice.amount : orderInfo.inputAmount;
+  const atomicAmount = slice ? slice.atomic.amount : toAtomic(orderInfo.tokenPair.base, orderInfo.inputAmount);
+
+  const jobs = await addCompareQuotesJob(orderInfo.tokenPair, atomicAmount, orderId);
+
+  // Create job mapping for efficient lookup
+  jobs.forEach(job => {
+    const dexName = job.data.dexProvider || 'unknown';
+    orderInfo.jobMapping.set(job.id, dexName);
+  });
+
+  orderInfo.stage = 'getting_quotes';
+  orderInfo.quoteStartTime = new Date();
+
+  orderQuotes.set(orderId, { 
+    quotes: [], 
+    bestQuote: null,
+    expectedQuotes: jobs.length,
+    receivedQuotes: 0,
+    inputAmount,
+    atomic: { inputAmount: atomicAmount },
+    jobKeys: new Set(jobs.map(job => `${job.queueName}:${job.id}`))
+  });
+
+  if (slice) {
+    slice.status = 'quoting';
+    slice.startedAt = new Date().toISOString();
+
+    sendUpdate(orderId, {
+      type: 'slice_update',
+      orderId,
+      status: 'slice_started',
+      slice,
+      ...summarizeSlicePlan(plan),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // Set quote collection timeout
+  const previousTimeout = quoteTimeouts.get(orderId);
+  if (previousTimeout) {
+    clearTimeout(previousTimeout);
+  }
+
+  const timeout = setTimeout(() => {
+    const quotesInfo = orderQuotes.get(orderId);
+    if (quotesInfo && quotesInfo.receivedQuotes >= 2 && !quotesInfo.bestQuote) {
+      logger.warn(`Quote collection timeout for order ${orderId}, processing available quotes`);
+      processQuotesAndRoute(orderId);
+    }
+  }, 12000); // 12 second timeout
+  
+  quoteTimeouts.set(orderId, timeout);
+  persistOrder(orderId);
+
+  return jobs;
+}
+
 /**
  * Handle quote completion with improved logic
  */
@@ -190,8 +581,9 @@ function handleQuoteFailure(orderId, dexName, error) {
 
 /**
  * Handle swap completion with validation
+ * @param {string} jobId - Swap job that completed, matches the leg of a split order
  */
-function handleSwapCompletion(orderId, dexName, result) {
+function handleSwapCompletion(orderId, dexName, result, jobId = null) {
   logger.info(`Swap completed successfully on ${dexName} for order ${orderId}`, {
     transactionHash: result.transactionHash,
     success: result.success
@@ -200,7 +592,7 @@ function handleSwapCompletion(orderId, dexName, result) {
   // Validate swap result
   if (!result.success || !result.transactionHash) {
     logger.error(`Invalid swap result from ${dexName} for order ${orderId}`, { result });
-    handleSwapFailure(orderId, dexName, new Error('Invalid swap result'));
+    handleSwapFailure(orderId, dexName, new Error('Invalid swap result'), jobId);
     return;
   }
   
@@ -211,28 +603,73 @@ function handleSwapCompletion(orderId, dexName, result) {
     result,
     timestamp: new Date().toISOString(),
   });
+
+  recordLedgerFill(orderId, result);
+
+  const orderInfo = orderJobMap.get(orderId);
+  if (orderInfo && orderInfo.split) {
+    handleSplitLegSettled(orderId, jobId, { result });
+    return;
+  }
+
+  if (orderInfo && orderInfo.slicePlan) {
+    handleSliceFill(orderId, result);
+    return;
+  }
+
+  if (orderInfo && orderInfo.multiHop) {
+    handleLegFill(orderId, result);
+    return;
+  }
   
   completeOrder(orderId, result);
 }
 
 /**
  * Handle swap failure with proper cleanup
+ * @param {string} jobId - Swap job that failed, matches the leg of a split order
  */
-function handleSwapFailure(orderId, dexName, error) {
+function handleSwapFailure(orderId, dexName, error, jobId = null) {
   logger.error(`Swap failed on ${dexName} for order ${orderId}`, error, {
     orderId,
     dex: dexName
   });
+
+  const orderInfo = orderJobMap.get(orderId);
+  if (orderInfo && orderInfo.split) {
+    handleSplitLegSettled(orderId, jobId, { error });
+    return;
+  }
+
+  const plan = orderInfo && orderInfo.slicePlan;
+  const multiHop = orderInfo && orderInfo.multiHop;
+
+  if (plan && plan.slices[plan.currentSlice]) {
+    plan.slices[plan.currentSlice].status = 'failed';
+  }
+
+  if (multiHop && multiHop.legs[multiHop.currentLeg]) {
+    multiHop.legs[multiHop.currentLeg].status = 'failed';
+  }
   
   sendUpdate(orderId, {
     type: 'order_update',
     orderId,
-    status: 'failed',
+    status: plan && plan.filledAmount > 0 ? 'partially_filled' : 'failed',
     error: `Swap failed on ${dexName}: ${error.message}`,
     stage: 'swap_failed',
+    ...(plan && { slicing: summarizeSlicePlan(plan) }),
+    ...(multiHop && { multiHop: summarizeMultiHop(orderInfo) }),
     timestamp: new Date().toISOString(),
   });
 
+  if (isTriggerOrder(orderInfo)) {
+    removeFromBook(orderId);
+  }
+
+  recordOrderOutcome(orderId, plan && plan.filledAmount > 0 ? 'partially_filled' : 'failed', {
+    error: error.message
+  });
   cleanupOrder(orderId);
 }
 
@@ -279,7 +716,7 @@ async function processQuotesAndRoute(orderId) {
     }
 
     // Get routing analysis
-    const analysis = routingHub.getRoutingAnalysis(validQuotes);
+    const analysis = routingHub.getRoutingAnalysis(validQuotes, orderInfo.userPreferences || {});
     const bestRoute = routingHub.selectBestRoute(
       validQuotes, 
       orderInfo.routingStrategy,
@@ -293,14 +730,28 @@ async function processQuotesAndRoute(orderId) {
       throw new Error('Selected route is invalid');
     }
 
+    // Conditional orders only execute once the best quote crosses their threshold
+    if (isTriggerOrder(orderInfo)) {
+      const triggered = await checkTrigger(orderId, bestRoute);
+      if (!triggered) return;
+    }
+
     // Check balance if available
+    const inputAmount = quotesInfo.inputAmount;
+    const atomicAmount = quotesInfo.atomic.inputAmount;
     if (orderInfo.wallet.balances && orderInfo.wallet.balances[orderInfo.tokenPair.base]) {
       const balance = orderInfo.wallet.balances[orderInfo.tokenPair.base];
-      if (balance < orderInfo.inputAmount) {
-        throw new Error(`Insufficient balance. Required: ${orderInfo.inputAmount}, Available: ${balance}`);
+      if (balance < inputAmount) {
+        throw new Error(`Insufficient balance. Required: ${inputAmount}, Available: ${balance}`);
       }
     }
 
+    // Split orders spread the amount over several venues instead of one
+    if (orderInfo.routingMode === 'SPLIT') {
+      await executeSplitRoute(orderId, validQuotes, analysis, atomicAmount);
+      return;
+    }
+
     logger.info(`Best route selected: ${bestRoute.provider}`, {
       orderId,
       outputAmount: bestRoute.outputAmount,
@@ -335,18 +786,29 @@ async function processQuotesAndRoute(orderId) {
 
     // Execute swap with better error handling
     logger.info(`Executing swap on ${bestRoute.provider} for order ${orderId}`);
-    const swapJob = await addSwapJob(
+    const swapJob = await submitSwapJob(
       bestRoute.provider, 
       orderInfo.tokenPair, 
-      orderInfo.inputAmount, 
+      atomicAmount, 
       orderInfo.wallet,
-      orderId
+      orderId,
+      bestRoute.atomic.outputAmount
     );
 
     // Store swap job ID properly
     orderInfo.swapJobId = swapJob.id;
+    orderInfo.swapProvider = bestRoute.provider;
     orderInfo.jobMapping.set(swapJob.id, bestRoute.provider);
 
+    if (orderInfo.slicePlan) {
+      const slice = orderInfo.slicePlan.slices[orderInfo.slicePlan.currentSlice];
+      slice.status = 'executing';
+      slice.provider = bestRoute.provider;
+      slice.fee = bestRoute.fee;
+    }
+
+    persistOrder(orderId, { status: 'executing', selectedRoute: bestRoute });
+
     logger.debug(`Swap job created for order ${orderId}`, {
       jobId: swapJob.id,
       provider: bestRoute.provider
@@ -354,462 +816,3110 @@ async function processQuotesAndRoute(orderId) {
 
   } catch (error) {
     logger.error(`Error in routing for order ${orderId}`, error);
+
+    // A resting order survives a bad quote round and waits for the next one
+    if (isTriggerOrder(orderInfo) && !orderInfo.triggeredAt) {
+      orderInfo.stage = 'waiting';
+      sendUpdate(orderId, {
+        type: 'order_update',
+        orderId,
+        status: 'waiting',
+        stage: 'waiting',
+        warning: `Quote round failed: ${error.message}`,
+        ...describeTrigger(orderInfo),
+        timestamp: new Date().toISOString(),
+      });
+      return;
+    }
+
+    if (isTriggerOrder(orderInfo)) {
+      await removeFromBook(orderId);
+    }
+
     sendUpdate(orderId, {
       type: 'order_update',
       orderId,
       status: 'failed',
       error: error.message,
       stage: 'routing_failed',
+      ...(orderInfo.slicePlan && { slicing: summarizeSlicePlan(orderInfo.slicePlan) }),
       timestamp: new Date().toISOString(),
     });
-    
+
+    recordOrderOutcome(orderId, 'failed', { error: error.message });
     cleanupOrder(orderId);
   }
 }
 
+// ========== CONDITIONAL ORDER HANDLING ==========
+
 /**
- * Complete order and cleanup with enhanced logging
+ * Whether an order rests in the book until a price condition is met
  */
-function completeOrder(orderId, result) {
+function isTriggerOrder(orderInfo) {
+  return !!orderInfo && TRIGGER_ORDER_TYPES.includes(orderInfo.type);
+}
+
+/**
+ * Threshold fields of a conditional order for status messages
+ */
+function describeTrigger(orderInfo) {
+  return orderInfo.type === 'LIMIT'
+    ? { limitPrice: orderInfo.limitPrice }
+    : { orderType: orderInfo.type, triggerPrice: orderInfo.triggerPrice };
+}
+
+/**
+ * Whether the other leg of a bracket is already executing or filled
+ */
+function isSiblingExecuting(orderInfo) {
+  if (!orderInfo.siblingOrderId) return false;
+
+  const sibling = orderJobMap.get(orderInfo.siblingOrderId);
+  return !!sibling && !!sibling.triggeredAt;
+}
+
+/**
+ * Compare the best route against a conditional order's threshold. Returns
+ * true when the order should execute, otherwise puts it back to waiting for
+ * the next poll.
+ */
+async function checkTrigger(orderId, bestRoute) {
   const orderInfo = orderJobMap.get(orderId);
-  const executionTime = orderInfo ? Date.now() - orderInfo.startTime.getTime() : 0;
+  const bestPrice = limitOrderBook.getExecutionPrice(bestRoute);
 
-  logger.info(`Order ${orderId} completed successfully`, {
-    executionTime,
-    transactionHash: result.transactionHash,
-    provider: result.provider || 'unknown'
+  orderInfo.lastQuotedPrice = bestPrice;
+  orderInfo.lastCheckedAt = new Date();
+
+  // Only one leg of a bracket may execute at a time
+  const blockedBySibling = isSiblingExecuting(orderInfo);
+
+  if (blockedBySibling || !limitOrderBook.isTriggered(orderInfo, bestRoute)) {
+    orderInfo.stage = 'waiting';
+
+    logger.debug(`${orderInfo.type} order ${orderId} not triggered`, {
+      bestPrice,
+      threshold: limitOrderBook.getThreshold(orderInfo),
+      provider: bestRoute.provider,
+      blockedBySibling
+    });
+
+    sendUpdate(orderId, {
+      type: 'order_update',
+      orderId,
+      status: 'waiting',
+      stage: 'waiting',
+      ...describeTrigger(orderInfo),
+      bestPrice,
+      bestProvider: bestRoute.provider,
+      nextCheckIn: limitOrderBook.pollInterval,
+      timestamp: new Date().toISOString(),
+    });
+
+    await limitOrderBook.update(orderId, {
+      lastQuotedPrice: bestPrice,
+      lastCheckedAt: orderInfo.lastCheckedAt.toISOString()
+    });
+    return false;
+  }
+
+  orderInfo.stage = 'triggered';
+  orderInfo.triggeredAt = new Date();
+
+  logger.info(`${orderInfo.type} order ${orderId} triggered`, {
+    bestPrice,
+    threshold: limitOrderBook.getThreshold(orderInfo),
+    provider: bestRoute.provider
   });
 
   sendUpdate(orderId, {
-    type: 'order_complete',
+    type: 'order_update',
     orderId,
-    status: 'completed',
-    result,
-    executionTime,
+    status: 'triggered',
+    stage: 'triggered',
+    ...describeTrigger(orderInfo),
+    triggeredPrice: bestPrice,
+    selectedDEX: bestRoute.provider,
     timestamp: new Date().toISOString(),
   });
 
-  // Cleanup after delay
-  cleanupOrder(orderId, 5000);
+  await limitOrderBook.update(orderId, {
+    status: 'triggered',
+    triggeredPrice: bestPrice,
+    triggeredAt: orderInfo.triggeredAt.toISOString()
+  });
+  persistOrder(orderId, { status: 'triggered' });
+  return true;
 }
 
 /**
- * Cleanup order with configurable delay
+ * Remove an order from the limit order book, logging instead of throwing
  */
-function cleanupOrder(orderId, delay = 3000) {
-  setTimeout(() => {
-    const socket = activeConnections.get(orderId);
-    if (socket && socket.readyState === socket.OPEN) {
-      socket.close();
-    }
-    
-    // Clear any pending timeouts
-    const timeout = quoteTimeouts.get(orderId);
-    if (timeout) {
-      clearTimeout(timeout);
-      quoteTimeouts.delete(orderId);
-    }
-    
-    const pendingUpdates = pendingUpdatesMap.get(orderId);
-    if (pendingUpdates) {
-      pendingUpdates.forEach(clearTimeout);
-      pendingUpdatesMap.delete(orderId);
-    }
-    
-    activeConnections.delete(orderId);
-    orderJobMap.delete(orderId);
-    orderQuotes.delete(orderId);
-    
-    logger.info(`Cleanup completed for order ${orderId}`);
-  }, delay);
+async function removeFromBook(orderId) {
+  try {
+    await limitOrderBook.remove(orderId);
+  } catch (error) {
+    logger.error(`Failed to remove order ${orderId} from limit order book`, error);
+  }
 }
 
-// ========== ORDER STATUS UPDATE LISTENER ==========
+/**
+ * End a resting conditional order without executing it (cancelled or expired)
+ */
+async function closeTriggerOrder(orderId, status, message) {
+  const orderInfo = orderJobMap.get(orderId);
+  if (orderInfo) {
+    orderInfo.stage = status;
+  }
+
+  // Ignore quote jobs from a round that is still in flight
+  const quotesInfo = orderQuotes.get(orderId);
+  if (quotesInfo) {
+    quotesInfo.jobKeys = new Set();
+  }
+
+  await removeFromBook(orderId);
+
+  logger.info(`Conditional order ${orderId} ${status}`);
+  persistOrder(orderId, { status, finishedAt: new Date().toISOString() });
 
-process.on('orderStatusUpdate', (statusUpdate) => {
-  const { orderId, status, ...data } = statusUpdate;
-  
-  // Send update via WebSocket
   sendUpdate(orderId, {
-    type: 'status_update',
+    type: 'order_update',
     orderId,
     status,
-    ...data,
-    timestamp: new Date().toISOString()
+    stage: status,
+    message,
+    timestamp: new Date().toISOString(),
   });
-  
-  logger.debug(`Status update for order ${orderId}`, { status, message: data.message });
-  
-  // Handle specific status changes
-  if (status === 'failed' || status === 'error') {
-    const orderInfo = orderJobMap.get(orderId);
-    if (orderInfo) {
-      orderInfo.stage = 'failed';
-      cleanupOrder(orderId, 5000);
-    }
+
+  cleanupOrder(orderId);
+}
+
+/**
+ * Whether a conditional order is still resting and can be cancelled
+ */
+function isResting(orderInfo) {
+  return !!orderInfo && !orderInfo.triggeredAt && ['waiting', 'getting_quotes'].includes(orderInfo.stage);
+}
+
+/**
+ * Cancel the other leg of a bracket once one leg has filled (one-cancels-other)
+ */
+async function cancelBracketSibling(orderId) {
+  const orderInfo = orderJobMap.get(orderId);
+  if (!orderInfo || !orderInfo.siblingOrderId) return;
+
+  const sibling = orderJobMap.get(orderInfo.siblingOrderId);
+  if (isResting(sibling)) {
+    await closeTriggerOrder(
+      orderInfo.siblingOrderId,
+      'cancelled',
+      `Bracket sibling ${orderId} filled`
+    );
   }
-});
+}
 
-// ========== API ENDPOINTS ==========
+/**
+ * Periodic tick of the limit order book: expire stale orders and start a
+ * new quote round for every order still waiting
+ */
+async function pollLimitOrders() {
+  const now = Date.now();
 
-// Get quotes for comparison
-fastify.post('/api/quotes', async (req, reply) => {
-  const { tokenPair, inputAmount } = req.body || {};
-  
-  if (!tokenPair || !tokenPair.base || !tokenPair.quote) {
-    return reply.status(400).send({ error: 'tokenPair with base and quote is required' });
+  for (const [orderId, orderInfo] of orderJobMap.entries()) {
+    if (!isTriggerOrder(orderInfo)) continue;
+
+    if (limitOrderBook.isExpired(orderInfo, now) && isResting(orderInfo)) {
+      await closeTriggerOrder(orderId, 'expired', 'Order expired before reaching its trigger price');
+      continue;
+    }
+
+    // Hold off while the other leg of the bracket is executing
+    if (isSiblingExecuting(orderInfo)) continue;
+
+    const roundStalled = orderInfo.stage === 'getting_quotes' &&
+      now - (orderInfo.quoteStartTime || orderInfo.startTime).getTime() > QUOTE_ROUND_TIMEOUT;
+
+    if (orderInfo.stage === 'waiting' || roundStalled) {
+      try {
+        await requestQuotes(orderId);
+      } catch (error) {
+        logger.error(`Failed to re-quote ${orderInfo.type} order ${orderId}`, error);
+      }
+    }
   }
-  
-  if (!inputAmount || inputAmount <= 0) {
-    return reply.status(400).send({ error: 'Valid inputAmount is required' });
+}
+
+/**
+ * Load waiting conditional orders from Redis back into memory after a restart
+ */
+async function restoreLimitOrders() {
+  const orders = await limitOrderBook.list();
+  let restored = 0;
+
+  for (const order of orders) {
+    // Triggered orders already resumed from the order store
+    if (orderJobMap.has(order.orderId)) continue;
+
+    if (order.status !== 'waiting') {
+      // A triggered order may already have swapped; never execute it twice
+      logger.warn(`Dropping ${order.type} order ${order.orderId} left in ${order.status} state`);
+      await removeFromBook(order.orderId);
+      continue;
+    }
+
+    orderJobMap.set(order.orderId, {
+      ...order,
+      stage: 'waiting',
+      startTime: new Date(order.createdAt),
+      jobMapping: new Map()
+    });
+    restored++;
   }
 
-  try {
-    const orderId = uuidv4();
-    const jobs = await addCompareQuotesJob(tokenPair, inputAmount, orderId);
-    
-    logger.info(`Quote comparison started for order ${orderId}`, {
-      tokenPair,
-      inputAmount,
-      jobCount: jobs.length
+  logger.info(`Restored ${restored} conditional orders from the order book`);
+}
+
+/**
+ * Create an order, register it with the book if it is conditional, and
+ * start its first quote round
+ */
+async function startOrder(orderId, params) {
+  const {
+    type = 'MARKET',
+    tokenPair,
+    inputAmount,
+    wallet,
+    routingStrategy = 'BEST_PRICE',
+    userPreferences = {},
+    ...extra
+  } = params;
+
+  // Create order info with improved job mapping
+  const orderInfo = {
+    type,
+    tokenPair,
+    inputAmount,
+    wallet,
+    routingStrategy,
+    userPreferences,
+    ...extra,
+    stage: 'getting_quotes',
+    startTime: new Date(),
+    jobMapping: new Map() // job.id -> dexName
+  };
+
+  if (SLICED_ORDER_TYPES.includes(type)) {
+    orderInfo.slicePlan = createSlicePlan(type, tokenPair, toAtomic(tokenPair.base, inputAmount), {
+      slices: extra.slices,
+      sliceSize: extra.sliceSize && toAtomic(tokenPair.base, extra.sliceSize),
+      intervalMs: extra.intervalMs
     });
-    
-    reply.send({ 
-      message: 'Quote comparison started',
-      jobIds: jobs.map(j => j.id),
+  }
+
+  if (isTriggerOrder(orderInfo)) {
+    orderInfo.expiresAt = extra.expiresAt ? new Date(extra.expiresAt).toISOString() : null;
+
+    await limitOrderBook.add({
+      orderId,
+      type,
+      status: 'waiting',
       tokenPair,
       inputAmount,
-      orderId
+      wallet,
+      routingStrategy,
+      userPreferences,
+      ...extra,
+      expiresAt: orderInfo.expiresAt,
+      createdAt: orderInfo.startTime.toISOString()
     });
+  }
+
+  orderJobMap.set(orderId, orderInfo);
+
+  // Multi-hop orders are routed through the token graph in the background
+  if (orderInfo.routingMode === 'MULTI_HOP') {
+    orderInfo.stage = 'finding_route';
+    await persistOrder(orderId, { status: 'pending' });
+    routeMultiHopOrder(orderId);
+    return { orderInfo, jobs: [] };
+  }
+
+  await persistOrder(orderId, { status: isTriggerOrder(orderInfo) ? 'waiting' : 'pending' });
+
+  try {
+    // Get quotes from all DEXs
+    const jobs = await requestQuotes(orderId);
+    return { orderInfo, jobs };
   } catch (error) {
-    logger.error('Failed to start quote comparison', error);
-    reply.status(500).send({ error: error.message });
+    orderJobMap.delete(orderId);
+    await orderStore.remove(orderId).catch(() => {});
+    if (isTriggerOrder(orderInfo)) {
+      await removeFromBook(orderId);
+    }
+    throw error;
   }
-});
+}
 
-// Place order - improved version
-fastify.post('/api/orders', async (req, reply) => {
-  const { 
-    tokenPair, 
-    inputAmount, 
-    wallet, 
-    routingStrategy = 'BEST_PRICE',
-    userPreferences = {}
-  } = req.body || {};
+/**
+ * Check the BALANCED weights of userPreferences. Returns an error message
+ * or null when they are valid.
+ */
+function validateUserPreferences(userPreferences) {
+  if (userPreferences === undefined) return null;
 
-  // Enhanced validation
+  if (!userPreferences || typeof userPreferences !== 'object' || Array.isArray(userPreferences)) {
+    return 'userPreferences must be an object';
+  }
+
+  if (userPreferences.weights !== undefined) {
+    try {
+      routingHub.resolveWeights(userPreferences.weights);
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Shared validation for order placement requests. Returns an error message
+ * or null when the request is valid.
+ */
+function validateOrderRequest({ tokenPair, inputAmount, wallet, routingStrategy = 'BEST_PRICE', userPreferences, expiresAt }) {
   if (!tokenPair || !tokenPair.base || !tokenPair.quote) {
-    return reply.status(400).send({ error: 'tokenPair with base and quote is required' });
+    return 'tokenPair with base and quote is required';
   }
-  
+
   if (!inputAmount || inputAmount <= 0) {
-    return reply.status(400).send({ error: 'Valid inputAmount is required' });
+    return 'Valid inputAmount is required';
   }
-  
-  if (!wallet || !wallet.balances) {
-    return reply.status(400).send({ error: 'Valid wallet with balances is required' });
+
+  const tokenError = validateTokenAmount(tokenPair, inputAmount);
+  if (tokenError) {
+    return tokenError;
   }
 
-  // Validate routing strategy
-  if (!routingHub || !routingHub.routingStrategies) {
-    return reply.status(500).send({ 
-      error: 'Routing hub initialization failed' 
+  if (!wallet || (!wallet.address && !(ALLOW_CLIENT_BALANCES && wallet.balances))) {
+    return ALLOW_CLIENT_BALANCES
+      ? 'Valid wallet with balances or a ledger account address is required'
+      : 'wallet.address of a wallet with a ledger account is required';
+  }
+
+  if (wallet.balances) {
+    const balancesError = validateBalances(wallet.balances);
+    if (balancesError) return balancesError;
+  }
+
+  const availableStrategies = Object.keys(routingHub.routingStrategies);
+  if (!availableStrategies.includes(routingStrategy)) {
+    return `Invalid routing strategy. Available: ${availableStrategies.join(', ')}`;
+  }
+
+  const preferencesError = validateUserPreferences(userPreferences);
+  if (preferencesError) {
+    return preferencesError;
+  }
+
+  if (expiresAt && !(new Date(expiresAt).getTime() > Date.now())) {
+    return 'expiresAt must be a future date';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the slicing parameters of TWAP and ICEBERG orders against the
+ * input token's atomic units. Returns an error message or null.
+ */
+function validateSlicing({ type, tokenPair, inputAmount, slices, sliceSize, intervalMs }) {
+  const total = new BN(toAtomic(tokenPair.base, inputAmount), 10);
+
+  if (type === 'TWAP') {
+    if (!Number.isInteger(slices) || slices < 2 || slices > MAX_SLICES) {
+      return `TWAP orders require an integer slices between 2 and ${MAX_SLICES}`;
+    }
+    if (total.ltn(slices)) {
+      return `inputAmount is too small to split into ${slices} slices`;
+    }
+  }
+
+  if (type === 'ICEBERG') {
+    const size = sliceSize > 0 ? new BN(toAtomic(tokenPair.base, sliceSize), 10) : new BN(0);
+    if (size.isZero() || size.gte(total)) {
+      return 'ICEBERG orders require a sliceSize smaller than inputAmount';
+    }
+    if (total.add(size).subn(1).div(size).gtn(MAX_SLICES)) {
+      return `ICEBERG sliceSize would create more than ${MAX_SLICES} slices`;
+    }
+  }
+
+  if (intervalMs !== undefined && (!Number.isFinite(intervalMs) || intervalMs < 0)) {
+    return 'intervalMs must be a non-negative number';
+  }
+
+  return null;
+}
+
+/**
+ * Protective orders sell an existing position, so the wallet must hold it
+ */
+function validatePosition(wallet, tokenPair, inputAmount) {
+  // Ledger accounts are checked when the position is reserved
+  if (!wallet.balances) return null;
+
+  const held = wallet.balances[tokenPair.base] || 0;
+  if (held < inputAmount) {
+    return `Position too small. Holding ${held} ${tokenPair.base}, order sells ${inputAmount}`;
+  }
+  return null;
+}
+
+// ========== SPLIT ORDER HANDLING ==========
+
+/**
+ * Leg progress of a split order with the realized blended price so far
+ */
+function summarizeSplit(orderInfo) {
+  const { legs, expectedOutput, expectedPrice, bestSingleOutput } = orderInfo.split;
+  const { base, quote } = orderInfo.tokenPair;
+  const filled = legs.filter(leg => leg.status === 'filled');
+  const filledInput = filled.reduce((sum, leg) => sum.add(new BN(leg.atomic.inputAmount, 10)), new BN(0));
+  const filledOutput = filled.reduce((sum, leg) => sum.add(new BN(leg.atomic.actualOutput, 10)), new BN(0));
+  const filledAmount = fromAtomic(base, filledInput);
+  const outputAmount = fromAtomic(quote, filledOutput);
+
+  return {
+    legs,
+    legsFilled: filled.length,
+    legsFailed: legs.filter(leg => leg.status === 'failed').length,
+    totalLegs: legs.length,
+    expectedOutput,
+    expectedPrice,
+    bestSingleOutput,
+    filledAmount,
+    outputAmount,
+    blendedPrice: filledAmount > 0 ? outputAmount / filledAmount : null,
+    atomic: { filledAmount: filledInput.toString(10), outputAmount: filledOutput.toString(10) }
+  };
+}
+
+/**
+ * Divide the order across venues and submit every leg in parallel
+ */
+async function executeSplitRoute(orderId, quotes, analysis, atomicAmount) {
+  const orderInfo = orderJobMap.get(orderId);
+  const excluded = (orderInfo.userPreferences && orderInfo.userPreferences.excludeDEXs) || [];
+  const candidates = quotes.filter(quote => !excluded.includes(quote.provider));
+
+  const venues = candidates.length > 0 ? candidates : quotes;
+  const split = routingHub.optimizeSplit(venues, atomicAmount);
+  const { base, quote } = orderInfo.tokenPair;
+  const inputAmount = fromAtomic(base, split.inputAmount);
+
+  orderInfo.split = {
+    ...split,
+    inputAmount,
+    expectedPrice: split.expectedOutput / inputAmount,
+    legs: split.legs.map(leg => ({
+      ...leg,
+      inputAmount: fromAtomic(base, leg.inputAmount),
+      fee: venues.find(venue => venue.provider === leg.provider).fee,
+      actualOutput: null,
+      transactionHash: null,
+      error: null,
+      status: 'executing',
+      atomic: { inputAmount: leg.inputAmount, actualOutput: null }
+    })),
+    atomic: { inputAmount: split.inputAmount }
+  };
+  const { legs } = orderInfo.split;
+
+  logger.info(`Split route selected for order ${orderId}`, {
+    legs: legs.map(leg => `${leg.provider}:${leg.share}%`).join(', '),
+    expectedOutput: split.expectedOutput,
+    bestSingleOutput: split.bestSingleOutput
+  });
+
+  sendUpdate(orderId, {
+    type: 'routing_analysis',
+    orderId,
+    routingMode: 'SPLIT',
+    analysis,
+    selectedRoute: {
+      provider: 'split',
+      legs,
+      outputAmount: split.expectedOutput
+    },
+    split: summarizeSplit(orderInfo),
+    validQuotes: quotes.length,
+    timestamp: new Date().toISOString(),
+  });
+
+  orderInfo.stage = 'executing_swap';
+
+  sendUpdate(orderId, {
+    type: 'order_update',
+    orderId,
+    status: 'executing',
+    stage: 'executing_swap',
+    message: `Executing split swap on ${legs.map(leg => leg.provider).join(', ')}...`,
+    estimatedOutput: split.expectedOutput,
+    timestamp: new Date().toISOString(),
+  });
+
+  const swapJobs = await Promise.all(legs.map(leg => submitSwapJob(
+    leg.provider,
+    orderInfo.tokenPair,
+    leg.atomic.inputAmount,
+    orderInfo.wallet,
+    orderId,
+    toAtomic(quote, leg.expectedOutput)
+  )));
+
+  swapJobs.forEach((job, index) => {
+    legs[index].jobId = job.id;
+    orderInfo.jobMapping.set(job.id, legs[index].provider);
+  });
+
+  persistOrder(orderId, {
+    status: 'executing',
+    selectedRoute: { provider: 'split', legs, outputAmount: split.expectedOutput }
+  });
+}
+
+/**
+ * Record the outcome of one split leg; once every leg has settled, report the
+ * realized split and finish the order. Each fill was already spent from the
+ * order's reservation, and the unspent rest is released when the order ends.
+ */
+function handleSplitLegSettled(orderId, jobId, outcome) {
+  const orderInfo = orderJobMap.get(orderId);
+  const split = orderInfo.split;
+  const { leg, settled } = recordSplitLegOutcome(split, jobId, outcome);
+
+  if (!leg) {
+    logger.warn(`No executing split leg ran swap job ${jobId} of order ${orderId}`);
+    return;
+  }
+
+  sendUpdate(orderId, {
+    type: 'leg_update',
+    orderId,
+    status: outcome.error ? 'leg_failed' : 'leg_completed',
+    leg,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (!settled) {
+    persistOrder(orderId);
+    return;
+  }
+
+  const summary = summarizeSplit(orderInfo);
+
+  sendUpdate(orderId, {
+    type: 'routing_analysis',
+    orderId,
+    routingMode: 'SPLIT',
+    stage: 'split_settled',
+    split: summary,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (summary.legsFailed === 0) {
+    completeOrder(orderId, {
+      success: true,
+      provider: 'split',
+      inputAmount: summary.filledAmount,
+      outputAmount: summary.outputAmount,
+      blendedPrice: summary.blendedPrice,
+      transactionHash: split.legs[0].transactionHash,
+      transactionHashes: split.legs.map(l => l.transactionHash),
+      legs: split.legs,
+      atomic: { inputAmount: summary.atomic.filledAmount, outputAmount: summary.atomic.outputAmount }
     });
+    return;
+  }
+
+  const status = summary.legsFilled > 0 ? 'partially_filled' : 'failed';
+  const failedOn = split.legs.filter(l => l.status === 'failed').map(l => l.provider).join(', ');
+
+  sendUpdate(orderId, {
+    type: 'order_update',
+    orderId,
+    status,
+    error: `Split leg failed on ${failedOn}`,
+    stage: 'swap_failed',
+    split: summary,
+    timestamp: new Date().toISOString(),
+  });
+
+  recordOrderOutcome(orderId, status, {
+    error: `Split leg failed on ${failedOn}`,
+    inputAmount: summary.filledAmount,
+    outputAmount: summary.outputAmount
+  });
+  cleanupOrder(orderId);
+}
+
+// ========== MULTI-HOP ORDER HANDLING ==========
+
+/**
+ * Leg progress of a multi-hop order, including where the funds currently sit
+ */
+function summarizeMultiHop(orderInfo) {
+  const { path, legs, currentLeg } = orderInfo.multiHop;
+  const lastFilled = legs.filter(leg => leg.status === 'filled').pop();
+
+  return {
+    path,
+    legs,
+    currentLeg,
+    legsFilled: legs.filter(leg => leg.status === 'filled').length,
+    totalLegs: legs.length,
+    heldToken: lastFilled ? lastFilled.to : path[0],
+    heldAmount: lastFilled ? lastFilled.actualOutput : orderInfo.inputAmount
+  };
+}
+
+/**
+ * Find the best path through the token graph and start executing its legs
+ */
+async function routeMultiHopOrder(orderId) {
+  const orderInfo = orderJobMap.get(orderId);
+  if (!orderInfo) return;
+
+  try {
+    const route = await tokenGraphRouter.findBestPath(
+      orderInfo.tokenPair.base,
+      orderInfo.tokenPair.quote,
+      orderInfo.inputAmount
+    );
+
+    orderInfo.multiHop = createMultiHopPlan(route);
+
+    logger.info(`Multi-hop route selected for order ${orderId}`, {
+      path: route.path.join(' -> '),
+      expectedOutput: route.expectedOutput,
+      directOutput: route.directOutput
+    });
+
+    sendUpdate(orderId, {
+      type: 'routing_analysis',
+      orderId,
+      routingMode: 'MULTI_HOP',
+      analysis: route,
+      selectedRoute: {
+        provider: 'multi-hop',
+        path: route.path,
+        outputAmount: route.expectedOutput
+      },
+      timestamp: new Date().toISOString(),
+    });
+
+    persistOrder(orderId, {
+      selectedRoute: { provider: 'multi-hop', path: route.path, outputAmount: route.expectedOutput }
+    });
+
+    await executeNextLeg(orderId);
+  } catch (error) {
+    logger.error(`Multi-hop routing failed for order ${orderId}`, error);
+
+    sendUpdate(orderId, {
+      type: 'order_update',
+      orderId,
+      status: 'failed',
+      error: error.message,
+      stage: 'routing_failed',
+      timestamp: new Date().toISOString(),
+    });
+
+    recordOrderOutcome(orderId, 'failed', { error: error.message });
+    cleanupOrder(orderId);
+  }
+}
+
+/**
+ * Submit the swap job for the current leg, feeding it the actual output of
+ * the previous leg
+ */
+async function executeNextLeg(orderId) {
+  const orderInfo = orderJobMap.get(orderId);
+  const { legs, currentLeg } = orderInfo.multiHop;
+  const { leg, swap } = startNextLeg(orderInfo.multiHop, orderInfo.inputAmount);
+  orderInfo.stage = 'executing_swap';
+
+  sendUpdate(orderId, {
+    type: 'leg_update',
+    orderId,
+    status: 'leg_started',
+    leg,
+    legIndex: currentLeg,
+    totalLegs: legs.length,
+    message: `Swapping ${leg.inputAmount} ${leg.from} -> ${leg.to} on ${leg.provider}...`,
+    timestamp: new Date().toISOString(),
+  });
+
+  const swapJob = await submitSwapJob(
+    swap.provider,
+    swap.tokenPair,
+    swap.inputAmount,
+    orderInfo.wallet,
+    orderId,
+    swap.quotedOutput
+  );
+
+  leg.jobId = swapJob.id;
+  orderInfo.swapJobId = swapJob.id;
+  orderInfo.swapProvider = leg.provider;
+  orderInfo.jobMapping.set(swapJob.id, leg.provider);
+
+  persistOrder(orderId, { status: 'executing' });
+}
+
+/**
+ * Record a filled leg, then move on to the next one or complete the order
+ */
+function handleLegFill(orderId, result) {
+  const orderInfo = orderJobMap.get(orderId);
+  const multiHop = orderInfo.multiHop;
+  const { leg, done } = recordLegFill(multiHop, result);
+
+  // The next leg spends the intermediate token received here
+  if (result.updatedWallet) {
+    orderInfo.wallet = result.updatedWallet;
+  }
+
+  sendUpdate(orderId, {
+    type: 'leg_update',
+    orderId,
+    status: 'leg_completed',
+    leg,
+    legIndex: leg.index,
+    totalLegs: multiHop.legs.length,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (done) {
+    completeOrder(orderId, {
+      success: true,
+      provider: 'multi-hop',
+      path: multiHop.path,
+      inputAmount: orderInfo.inputAmount,
+      outputAmount: leg.actualOutput,
+      transactionHash: leg.transactionHash,
+      transactionHashes: multiHop.legs.map(l => l.transactionHash),
+      legs: multiHop.legs,
+      updatedWallet: orderInfo.wallet,
+      atomic: { inputAmount: multiHop.legs[0].atomic.inputAmount, outputAmount: leg.atomic.actualOutput }
+    });
+    return;
+  }
+
+  executeNextLeg(orderId).catch(error => {
+    logger.error(`Failed to submit leg ${multiHop.currentLeg + 1} for order ${orderId}`, error);
+    handleSwapFailure(orderId, multiHop.legs[multiHop.currentLeg].provider, error);
+  });
+}
+
+// ========== SLICED ORDER HANDLING ==========
+
+/**
+ * Record a filled TWAP/iceberg child swap, then either schedule the next
+ * slice or complete the parent order
+ */
+function handleSliceFill(orderId, result) {
+  const orderInfo = orderJobMap.get(orderId);
+  const plan = orderInfo.slicePlan;
+  const slice = recordSliceFill(plan, result);
+
+  // Later slices spend from the wallet as updated by this swap
+  if (result.updatedWallet) {
+    orderInfo.wallet = result.updatedWallet;
+  }
+
+  const summary = summarizeSlicePlan(plan);
+
+  logger.info(`Slice ${slice.index + 1}/${plan.slices.length} filled for order ${orderId}`, {
+    provider: slice.provider,
+    amount: slice.amount,
+    outputAmount: slice.outputAmount,
+    averagePrice: summary.averagePrice
+  });
+
+  sendUpdate(orderId, {
+    type: 'slice_update',
+    orderId,
+    status: 'slice_filled',
+    slice,
+    ...summary,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (isPlanComplete(plan)) {
+    completeOrder(orderId, {
+      success: true,
+      provider: 'multiple',
+      inputAmount: plan.filledAmount,
+      outputAmount: plan.outputAmount,
+      averagePrice: plan.averagePrice,
+      transactionHash: slice.transactionHash,
+      transactionHashes: plan.slices.map(s => s.transactionHash),
+      slices: plan.slices,
+      updatedWallet: orderInfo.wallet,
+      atomic: { inputAmount: plan.atomic.filledAmount, outputAmount: plan.atomic.outputAmount }
+    });
+    return;
+  }
+
+  orderInfo.stage = 'waiting_next_slice';
+  persistOrder(orderId);
+
+  sendUpdate(orderId, {
+    type: 'order_update',
+    orderId,
+    status: 'executing',
+    stage: 'waiting_next_slice',
+    message: `Next slice in ${plan.intervalMs}ms`,
+    nextSlice: plan.currentSlice,
+    timestamp: new Date().toISOString(),
+  });
+
+  const timer = setTimeout(async () => {
+    sliceTimers.delete(orderId);
+    try {
+      await requestQuotes(orderId);
+    } catch (error) {
+      logger.error(`Failed to start slice ${plan.currentSlice + 1} for order ${orderId}`, error);
+      handleSwapFailure(orderId, 'router', error);
+    }
+  }, plan.intervalMs);
+
+  sliceTimers.set(orderId, timer);
+}
+
+/**
+ * Complete order and cleanup with enhanced logging
+ */
+function completeOrder(orderId, result) {
+  const orderInfo = orderJobMap.get(orderId);
+  const executionTime = orderInfo ? Date.now() - orderInfo.startTime.getTime() : 0;
+
+  logger.info(`Order ${orderId} completed successfully`, {
+    executionTime,
+    transactionHash: result.transactionHash,
+    provider: result.provider || 'unknown'
+  });
+
+  if (isTriggerOrder(orderInfo)) {
+    orderInfo.stage = 'filled';
+    sendUpdate(orderId, {
+      type: 'order_update',
+      orderId,
+      status: 'filled',
+      stage: 'filled',
+      ...describeTrigger(orderInfo),
+      executionPrice: result.outputAmount / result.inputAmount,
+      timestamp: new Date().toISOString(),
+    });
+    removeFromBook(orderId);
+    cancelBracketSibling(orderId).catch(error => {
+      logger.error(`Failed to cancel bracket sibling of order ${orderId}`, error);
+    });
+  }
+
+  sendUpdate(orderId, {
+    type: 'order_complete',
+    orderId,
+    status: 'completed',
+    result,
+    executionTime,
+    timestamp: new Date().toISOString(),
+  });
+
+  persistOrder(orderId, { result });
+  recordOrderOutcome(orderId, 'completed', {
+    provider: result.provider,
+    inputAmount: result.inputAmount,
+    outputAmount: result.outputAmount,
+    transactionHash: result.transactionHash,
+    executionTime
+  });
+
+  // Cleanup after delay
+  cleanupOrder(orderId, 5000);
+}
+
+/**
+ * Record the final outcome of an order with the subsystems tracking it
+ */
+function recordOrderOutcome(orderId, status, details = {}) {
+  const orderInfo = orderJobMap.get(orderId);
+  if (!orderInfo) return;
+
+  persistOrder(orderId, {
+    status,
+    error: details.error || null,
+    finishedAt: new Date().toISOString()
+  });
+
+  if (!orderInfo.scheduleId) return;
+
+  scheduleManager.updateRun(orderInfo.scheduleId, orderId, {
+    status,
+    ...details,
+    finishedAt: new Date().toISOString()
+  }).catch(error => {
+    logger.error(`Failed to record run of schedule ${orderInfo.scheduleId}`, error, { orderId });
+  });
+}
+
+/**
+ * Place the market order for one run of a DCA schedule
+ */
+async function runSchedule(schedule) {
+  const orderId = uuidv4();
+
+  logger.info(`Running schedule ${schedule.scheduleId}`, {
+    name: schedule.name,
+    orderId,
+    inputAmount: schedule.inputAmount
+  });
+
+  const funding = await reserveOrderFunds(orderId, schedule);
+  if (funding.error) {
+    throw new Error(funding.error);
+  }
+
+  try {
+    await startOrder(orderId, {
+      type: 'MARKET',
+      tokenPair: schedule.tokenPair,
+      inputAmount: schedule.inputAmount,
+      wallet: schedule.wallet,
+      routingStrategy: schedule.routingStrategy,
+      userPreferences: schedule.userPreferences,
+      scheduleId: schedule.scheduleId,
+      ...funding
+    });
+  } catch (error) {
+    releaseOrderFunds(funding);
+    throw error;
+  }
+
+  return { orderId, inputAmount: schedule.inputAmount };
+}
+
+/**
+ * Cleanup order with configurable delay
+ */
+function cleanupOrder(orderId, delay = 3000) {
+  setTimeout(() => {
+    const subscribers = activeConnections.get(orderId);
+    if (subscribers) {
+      subscribers.forEach(({ socket }) => {
+        if (socket.readyState === socket.OPEN) {
+          socket.close(1000, 'Order finished');
+        }
+      });
+    }
+
+    orderEventLog.expire(orderId).catch(error => {
+      logger.error(`Failed to set retention of events for order ${orderId}`, error);
+    });
+    
+    // Clear any pending timeouts
+    const timeout = quoteTimeouts.get(orderId);
+    if (timeout) {
+      clearTimeout(timeout);
+      quoteTimeouts.delete(orderId);
+    }
+
+    const sliceTimer = sliceTimers.get(orderId);
+    if (sliceTimer) {
+      clearTimeout(sliceTimer);
+      sliceTimers.delete(orderId);
+    }
+    
+    const pendingUpdates = pendingUpdatesMap.get(orderId);
+    if (pendingUpdates) {
+      pendingUpdates.forEach(clearTimeout);
+      pendingUpdatesMap.delete(orderId);
+    }
+    
+    const orderInfo = orderJobMap.get(orderId);
+
+    activeConnections.delete(orderId);
+    orderJobMap.delete(orderId);
+    orderQuotes.delete(orderId);
+
+    releaseOrderFunds(orderInfo);
+    
+    logger.info(`Cleanup completed for order ${orderId}`);
+  }, delay);
+}
+
+// ========== LEDGER FUNDING ==========
+
+/**
+ * Reserve an order's input on the ledger. Wallets without an account are
+ * rejected, unless ALLOW_CLIENT_BALANCES lets them trade on the balances
+ * sent with the order.
+ * @returns {Object} { wallet, reservationId } to start the order with, or { error }
+ */
+async function reserveOrderFunds(reservationId, { wallet, tokenPair, inputAmount }) {
+  if (!wallet.address) {
+    return { wallet };
+  }
+
+  const { status, available } = await ledger.reserve(
+    wallet.address, reservationId, tokenPair.base, toAtomic(tokenPair.base, inputAmount)
+  );
+
+  if (status === 'no_account') {
+    return ALLOW_CLIENT_BALANCES && wallet.balances
+      ? { wallet }
+      : { error: `No ledger account for wallet ${wallet.address}. Open one with POST /api/accounts` };
+  }
+
+  if (status === 'insufficient') {
+    return { error: `Insufficient ${tokenPair.base} balance. Required: ${inputAmount}, Available: ${fromAtomic(tokenPair.base, available)}` };
+  }
+
+  if (status !== 'reserved') {
+    return { error: `Funds for ${reservationId} are already reserved` };
+  }
+
+  logger.info(`Reserved ${inputAmount} ${tokenPair.base} of wallet ${wallet.address}`, { reservationId });
+
+  // Swaps only see the reserved funds; the ledger keeps the real balances
+  return {
+    reservationId,
+    wallet: { address: wallet.address, balances: { [tokenPair.base]: inputAmount } }
+  };
+}
+
+/**
+ * Spend a filled swap from the order's reservation and credit the bought
+ * token. Multi-hop legs before the last keep the intermediate token reserved
+ * for the next leg.
+ */
+function recordLedgerFill(orderId, result) {
+  const orderInfo = orderJobMap.get(orderId);
+  if (!orderInfo || !orderInfo.reservationId) return;
+
+  let receivedToken = orderInfo.tokenPair.quote;
+  let hold = false;
+
+  if (orderInfo.multiHop) {
+    const { legs, currentLeg } = orderInfo.multiHop;
+    receivedToken = legs[currentLeg].to;
+    hold = currentLeg < legs.length - 1;
+  }
+
+  ledger.fill(orderInfo.wallet.address, orderInfo.reservationId, {
+    spent: result.atomic.inputAmount,
+    receivedToken,
+    received: result.atomic.outputAmount,
+    hold
+  }).catch(error => {
+    logger.error(`Failed to record ledger fill of order ${orderId}`, error);
+  });
+}
+
+/**
+ * Release what is left of an order's reservation. Bracket legs share one
+ * reservation, which is released once neither leg is active.
+ * @param {Object} order - { wallet, reservationId }
+ */
+function releaseOrderFunds(order) {
+  if (!order || !order.reservationId) return;
+
+  const { reservationId } = order;
+  const shared = Array.from(orderJobMap.values()).some(other => other.reservationId === reservationId);
+  if (shared) return;
+
+  ledger.release(order.wallet.address, reservationId).then(reservation => {
+    if (reservation && reservation.remaining !== '0') {
+      const remaining = fromAtomic(reservation.token, reservation.remaining);
+      logger.info(`Released ${remaining} ${reservation.token} of wallet ${order.wallet.address}`, { reservationId });
+    }
+  }).catch(error => {
+    logger.error(`Failed to release ledger reservation ${reservationId}`, error);
+  });
+}
+
+// ========== ORDER PERSISTENCE ==========
+
+/**
+ * Snapshot an order's in-memory state into the order store. Never throws;
+ * a failed write is logged and the order keeps running.
+ */
+function persistOrder(orderId, changes = {}) {
+  const orderInfo = orderJobMap.get(orderId);
+  if (!orderInfo) return Promise.resolve(null);
+
+  const quotesInfo = orderQuotes.get(orderId);
+
+  // Copy now; the write itself happens asynchronously
+  const snapshot = JSON.parse(JSON.stringify({
+    type: orderInfo.type,
+    stage: orderInfo.stage,
+    order: { ...orderInfo, jobMapping: Array.from(orderInfo.jobMapping.entries()) },
+    quotes: quotesInfo ? { ...quotesInfo, jobKeys: Array.from(quotesInfo.jobKeys || []) } : null,
+    ...changes
+  }));
+
+  return orderStore.save(orderId, snapshot).catch(error => {
+    logger.error(`Failed to persist order ${orderId}`, error);
+    return null;
+  });
+}
+
+/**
+ * Pick up the swap jobs of an order that was executing during a restart.
+ * Jobs that finished while the server was down are settled from their
+ * stored outcome; jobs still queued report through the worker listeners.
+ * A job that is gone may still have filled, so the order is held for
+ * reconciliation with its funds reserved instead of being failed.
+ */
+async function resumePendingSwaps(orderId) {
+  const orderInfo = orderJobMap.get(orderId);
+  const pending = getPendingSwaps(orderInfo);
+
+  if (pending.length === 0) {
+    // The swap may have been submitted without being recorded; never submit it twice
+    throw new Error('Swap submission was not confirmed before the restart');
+  }
+
+  const swaps = await inspectSwapJobs(pending, getSwapJob);
+  const byOutcome = outcome => swaps.filter(swap => swap.outcome === outcome);
+
+  // Record the fills first so the ledger holds them whatever happens next
+  byOutcome('completed').forEach(({ provider, jobId, result }) => {
+    handleSwapCompletion(orderId, provider, fromAtomicResult(result), jobId);
+  });
+
+  const missing = byOutcome('missing');
+  if (missing.length > 0) {
+    const jobs = missing.map(({ provider, jobId }) => `${provider} job ${jobId}`).join(', ');
+    return holdForReconciliation(orderId, `Swap outcome unknown after restart: ${jobs} not found`);
+  }
+
+  byOutcome('failed').forEach(({ provider, jobId, error }) => {
+    handleSwapFailure(orderId, provider, new Error(error), jobId);
+  });
+}
+
+/**
+ * Park an order whose swap outcome is unknown. The record keeps its swap job
+ * IDs and the ledger keeps its reservation until it is settled by hand.
+ */
+function holdForReconciliation(orderId, reason) {
+  const orderInfo = orderJobMap.get(orderId);
+  orderInfo.stage = RECONCILIATION_STATUS;
+
+  logger.warn(`Order ${orderId} needs reconciliation: ${reason}`);
+  sendUpdate(orderId, {
+    type: 'status_update',
+    orderId,
+    status: RECONCILIATION_STATUS,
+    message: reason,
+    timestamp: new Date().toISOString()
+  });
+  recordOrderOutcome(orderId, RECONCILIATION_STATUS, { error: reason });
+
+  // Drop the in-memory state without cleanupOrder, which would release the funds
+  orderJobMap.delete(orderId);
+  orderQuotes.delete(orderId);
+}
+
+/**
+ * Continue a recovered order from the stage it was persisted in
+ */
+async function resumeOrder(orderId) {
+  const orderInfo = orderJobMap.get(orderId);
+
+  switch (orderInfo.stage) {
+    case 'executing_swap':
+      return resumePendingSwaps(orderId);
+    case 'finding_route':
+      return routeMultiHopOrder(orderId);
+    default:
+      // Quote rounds and slice timers do not survive a restart; start a fresh round
+      return requestQuotes(orderId);
+  }
+}
+
+/**
+ * Load orders that were in flight when the server stopped back into memory
+ * and resume them. Resting conditional orders are left to restoreLimitOrders.
+ */
+async function recoverOrders() {
+  const records = await orderStore.listActive();
+  let recovered = 0;
+
+  for (const record of records) {
+    if (!isRecoverable(record) || orderJobMap.has(record.orderId)) continue;
+
+    const { order, quotes } = restoreOrderState(record);
+    orderJobMap.set(record.orderId, order);
+    if (quotes) {
+      orderQuotes.set(record.orderId, quotes);
+    }
+
+    logger.info(`Resuming order ${record.orderId} at stage ${order.stage}`, { type: order.type });
+
+    try {
+      await resumeOrder(record.orderId);
+      recovered++;
+    } catch (error) {
+      logger.error(`Failed to resume order ${record.orderId}`, error);
+      recordOrderOutcome(record.orderId, 'failed', { error: `Recovery failed: ${error.message}` });
+      cleanupOrder(record.orderId, 0);
+    }
+  }
+
+  logger.info(`Recovered ${recovered} in-flight orders from the order store`);
+}
+
+// ========== ORDER STATUS UPDATE LISTENER ==========
+
+/**
+ * Relay a worker status event to the order's WebSocket
+ */
+function handleStatusEvent(statusUpdate) {
+  const { type, source, orderId, status, ...data } = statusUpdate;
+  
+  // Send update via WebSocket
+  sendUpdate(orderId, {
+    type: 'status_update',
+    orderId,
+    status,
+    ...data,
+    timestamp: new Date().toISOString()
+  });
+  
+  logger.debug(`Status update for order ${orderId}`, { status, message: data.message });
+  
+  // Handle specific status changes
+  if (status === 'failed' || status === 'error') {
+    const orderInfo = orderJobMap.get(orderId);
+    if (orderInfo) {
+      orderInfo.stage = 'failed';
+      cleanupOrder(orderId, 5000);
+    }
+  }
+}
+
+// ========== API ENDPOINTS ==========
+
+// Get quotes for comparison
+fastify.post('/api/quotes', async (req, reply) => {
+  const { tokenPair, inputAmount } = req.body || {};
+  
+  if (!tokenPair || !tokenPair.base || !tokenPair.quote) {
+    return reply.status(400).send({ error: 'tokenPair with base and quote is required' });
+  }
+  
+  if (!inputAmount || inputAmount <= 0) {
+    return reply.status(400).send({ error: 'Valid inputAmount is required' });
+  }
+
+  const tokenError = validateTokenAmount(tokenPair, inputAmount);
+  if (tokenError) {
+    return reply.status(400).send({ error: tokenError });
+  }
+
+  try {
+    const orderId = uuidv4();
+    const jobs = await submitQuoteJobs(tokenPair, inputAmount, orderId);
+    
+    logger.info(`Quote comparison started for order ${orderId}`, {
+      tokenPair,
+      inputAmount,
+      jobCount: jobs.length
+    });
+    
+    reply.send({ 
+      message: 'Quote comparison started',
+      jobIds: jobs.map(j => j.id),
+      tokenPair,
+      inputAmount,
+      orderId
+    });
+  } catch (error) {
+    logger.error('Failed to start quote comparison', error);
+    reply.status(500).send({ error: error.message });
+  }
+});
+
+// ========== QUOTE COMPARISON ==========
+
+// Fetch quotes from all DEXs and return the routing analysis in one response
+fastify.post('/api/quotes/compare', async (req, reply) => {
+  const { tokenPair, inputAmount, userPreferences = {}, timeout = DEFAULT_COMPARISON_TIMEOUT } = req.body || {};
+
+  if (!tokenPair || !tokenPair.base || !tokenPair.quote) {
+    return reply.status(400).send({ error: 'tokenPair with base and quote is required' });
+  }
+
+  if (!inputAmount || inputAmount <= 0) {
+    return reply.status(400).send({ error: 'Valid inputAmount is required' });
+  }
+
+  const tokenError = validateTokenAmount(tokenPair, inputAmount);
+  if (tokenError) {
+    return reply.status(400).send({ error: tokenError });
+  }
+
+  const preferencesError = validateUserPreferences(userPreferences);
+  if (preferencesError) {
+    return reply.status(400).send({ error: preferencesError });
+  }
+
+  if (!Number.isInteger(timeout) || timeout <= 0 || timeout > MAX_COMPARISON_TIMEOUT) {
+    return reply.status(400).send({ error: `timeout must be between 1 and ${MAX_COMPARISON_TIMEOUT} ms` });
+  }
+
+  const comparisonId = `${COMPARISON_PREFIX}${uuidv4()}`;
+  const startedAt = Date.now();
+  const providers = dexRegistry.names();
+
+  // Start collecting before the jobs exist, so no result can slip past
+  const collected = quoteComparisons.collect(comparisonId, providers.length, timeout);
+
+  try {
+    await submitQuoteJobs(tokenPair, inputAmount, comparisonId);
+  } catch (error) {
+    quoteComparisons.finish(comparisonId);
+    logger.error('Failed to start quote comparison', error);
+    return reply.status(500).send({ error: error.message });
+  }
+
+  const { quotes, failures, timedOut } = await collected;
+  const missing = providers.filter(provider =>
+    !quotes.some(quote => quote.provider === provider) && !failures.some(failure => failure.provider === provider));
+
+  logger.info(`Quote comparison ${comparisonId} finished`, {
+    quotes: quotes.length,
+    failures: failures.length,
+    timedOut
+  });
+
+  if (quotes.length === 0) {
+    return reply.status(504).send({
+      error: 'No quotes received before the deadline',
+      comparisonId,
+      failures,
+      missing
+    });
+  }
+
+  const picks = {};
+  Object.keys(routingHub.routingStrategies).forEach(strategy => {
+    try {
+      const route = routingHub.selectBestRoute(quotes, strategy, userPreferences);
+      picks[strategy] = {
+        provider: route.provider,
+        outputAmount: route.outputAmount,
+        price: route.price,
+        priceImpact: route.priceImpact,
+        fee: route.fee
+      };
+    } catch (error) {
+      picks[strategy] = { error: error.message };
+    }
+  });
+
+  reply.send({
+    comparisonId,
+    tokenPair,
+    inputAmount,
+    quotes,
+    failures,
+    missing,
+    timedOut,
+    validation: routingHub.validateQuotes(quotes),
+    analysis: routingHub.getRoutingAnalysis(quotes, userPreferences),
+    picks,
+    duration: Date.now() - startedAt,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ========== WALLET AUTHENTICATION ==========
+
+/**
+ * Session token of a request: Authorization: Bearer <token>, or ?token= for
+ * WebSockets, which browsers open without custom headers
+ */
+function getSessionToken(req) {
+  const header = req.headers.authorization;
+  if (typeof header === 'string' && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.query && typeof req.query.token === 'string' ? req.query.token : null;
+}
+
+/**
+ * preHandler: orders must come from, and order and schedule data is only
+ * shown to, a signed-in wallet. An order's wallet address defaults to the
+ * signed-in one and must not name another wallet.
+ */
+async function requireWalletAuth(req, reply) {
+  if (!REQUIRE_WALLET_AUTH) return;
+
+  const address = await walletAuth.authenticate(getSessionToken(req));
+  if (!address) {
+    return reply.status(401).send({
+      error: 'Wallet authentication required. Sign a challenge from POST /api/auth/challenge and send the session token as Authorization: Bearer <token>'
+    });
+  }
+
+  const wallet = req.body && req.body.wallet;
+  if (wallet && typeof wallet === 'object') {
+    if (wallet.address && wallet.address !== address) {
+      return reply.status(403).send({ error: 'Order wallet does not match the signed-in wallet' });
+    }
+    wallet.address = address;
+  }
+
+  req.walletAddress = address;
+}
+
+/**
+ * Wallet address an order was placed from
+ * @returns {string|null|undefined} Address, null if the order has none, undefined if the order does not exist
+ */
+async function getOrderWallet(orderId) {
+  let orderInfo = orderJobMap.get(orderId);
+  if (!orderInfo) {
+    const record = await orderStore.get(orderId);
+    if (!record) return undefined;
+    orderInfo = record.order || {};
+  }
+
+  return orderInfo.wallet && orderInfo.wallet.address ? orderInfo.wallet.address : null;
+}
+
+// Only the wallet an order was placed from may read or cancel it; orders
+// placed without a wallet address are open to every signed-in wallet
+const requireOrderOwner = requireOwner(req => getOrderWallet(req.params.orderId), { name: 'Order', allowUnowned: true });
+
+// Only the wallet a DCA schedule trades for may read or change it
+const requireScheduleOwner = requireOwner(async req => {
+  const schedule = await scheduleManager.get(req.params.scheduleId);
+  if (!schedule) return undefined;
+  return schedule.wallet && schedule.wallet.address ? schedule.wallet.address : null;
+}, { name: 'Schedule' });
+
+/**
+ * Route options that take a session and, when sessions are required, check
+ * the record's owner
+ */
+function ownerRoute(requireRecordOwner) {
+  return { preHandler: REQUIRE_WALLET_AUTH ? [requireWalletAuth, requireRecordOwner] : [] };
+}
+
+const ORDER_OWNER_ROUTE = ownerRoute(requireOrderOwner);
+const SCHEDULE_OWNER_ROUTE = ownerRoute(requireScheduleOwner);
+
+// Issue a sign-in challenge for a wallet to sign
+fastify.post('/api/auth/challenge', async (req, reply) => {
+  const { address } = req.body || {};
+
+  try {
+    decodeWalletAddress(address);
+  } catch (error) {
+    return reply.status(400).send({ error: error.message });
+  }
+
+  try {
+    return reply.send(await walletAuth.createChallenge(address));
+  } catch (error) {
+    logger.error('Failed to create sign-in challenge', error);
+    return reply.status(500).send({ error: 'Failed to create challenge' });
+  }
+});
+
+// Exchange a signed challenge for a session token
+fastify.post('/api/auth/verify', async (req, reply) => {
+  const { address, nonce, signature } = req.body || {};
+
+  try {
+    const session = await walletAuth.verifyChallenge(address, nonce, signature);
+    logger.info(`Wallet ${address} signed in`, { expiresAt: session.expiresAt });
+    return reply.send(session);
+  } catch (error) {
+    logger.warn(`Sign-in failed for wallet ${address}: ${error.message}`);
+    return reply.status(401).send({ error: error.message });
+  }
+});
+
+// End the session of the request's token
+fastify.delete('/api/auth/session', async (req, reply) => {
+  const revoked = await walletAuth.revoke(getSessionToken(req));
+  if (!revoked) {
+    return reply.status(404).send({ error: 'Session not found' });
+  }
+  return reply.send({ status: 'signed_out' });
+});
+
+// ========== IDEMPOTENT ORDER PLACEMENT ==========
+
+/**
+ * preHandler: a request with an Idempotency-Key that was already answered
+ * gets the saved response; the first request claims the key
+ */
+async function checkIdempotencyKey(req, reply) {
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) return;
+
+  if (typeof key !== 'string' || key.length === 0 || key.length > 255) {
+    return reply.status(400).send({ error: 'Idempotency-Key must be 1 to 255 characters' });
+  }
+
+  const fingerprint = fingerprintRequest(req.routeOptions.url, req.body);
+  const entry = await idempotencyStore.begin(key, fingerprint);
+
+  if (entry.state === 'mismatch') {
+    return reply.status(422).send({ error: 'Idempotency-Key was already used for a different request' });
+  }
+
+  if (entry.state === 'in_progress') {
+    return reply.status(409).send({ error: 'A request with this Idempotency-Key is still in progress' });
+  }
+
+  if (entry.state === 'completed') {
+    logger.info(`Replaying saved response for Idempotency-Key ${key}`);
+    return reply
+      .status(entry.statusCode)
+      .header('Idempotent-Replayed', 'true')
+      .type('application/json; charset=utf-8')
+      .send(entry.payload);
+  }
+
+  req.idempotency = { key, fingerprint };
+}
+
+/**
+ * onSend: save the response of a claimed Idempotency-Key. Server errors and
+ * duplicate-order rejections release the key, so the client can retry or
+ * confirm with it.
+ */
+async function saveIdempotentResponse(req, reply, payload) {
+  if (!req.idempotency) return payload;
+
+  const { key, fingerprint } = req.idempotency;
+  try {
+    if (reply.statusCode >= 500 || reply.statusCode === 409 || typeof payload !== 'string') {
+      await idempotencyStore.release(key);
+    } else {
+      await idempotencyStore.complete(key, fingerprint, reply.statusCode, payload);
+    }
+  } catch (error) {
+    logger.error(`Failed to save response for Idempotency-Key ${key}`, error);
+  }
+
+  return payload;
+}
+
+// Order placement: signed-in wallet first, then the Idempotency-Key
+const ORDER_ROUTE = { preHandler: [requireWalletAuth, checkIdempotencyKey], onSend: saveIdempotentResponse };
+
+/**
+ * Reply 409 if the order repeats a recent one of the same wallet and the
+ * client did not confirm it. Returns whether the request was rejected.
+ */
+async function rejectDuplicateOrder(reply, order, orderId, confirmDuplicate) {
+  let duplicateOf;
+  try {
+    duplicateOf = await duplicateOrderGuard.claim(order, orderId, confirmDuplicate === true);
+  } catch (error) {
+    logger.error(`Duplicate check failed for order ${orderId}`, error);
+    return false;
+  }
+
+  if (!duplicateOf) return false;
+
+  logger.warn(`Order ${orderId} looks like a duplicate of ${duplicateOf}`, {
+    type: order.type,
+    inputAmount: order.inputAmount
+  });
+
+  reply.status(409).send({
+    error: 'An identical order was placed by this wallet moments ago. Resend with confirmDuplicate: true to place it anyway.',
+    duplicateOf,
+    windowMs: duplicateOrderGuard.window
+  });
+  return true;
+}
+
+function releaseDuplicateClaim(order, orderId) {
+  duplicateOrderGuard.release(order, orderId).catch(error => {
+    logger.error(`Failed to release duplicate claim of order ${orderId}`, error);
+  });
+}
+
+// Place order - improved version
+fastify.post('/api/orders', ORDER_ROUTE, async (req, reply) => {
+  const { 
+    tokenPair, 
+    inputAmount, 
+    wallet, 
+    routingStrategy = 'BEST_PRICE',
+    userPreferences = {},
+    type = 'MARKET',
+    limitPrice,
+    expiresAt,
+    slices,
+    sliceSize,
+    intervalMs,
+    routingMode = 'DIRECT',
+    confirmDuplicate
+  } = req.body || {};
+
+  // Validate routing strategy
+  if (!routingHub || !routingHub.routingStrategies) {
+    return reply.status(500).send({ 
+      error: 'Routing hub initialization failed' 
+    });
+  }
+
+  if (Object.keys(routingHub.routingStrategies).length === 0) {
+    return reply.status(500).send({ 
+      error: 'No routing strategies available' 
+    });
+  }
+
+  // Enhanced validation
+  const validationError = validateOrderRequest(req.body || {});
+  if (validationError) {
+    return reply.status(400).send({ error: validationError });
+  }
+
+  if (!ORDER_TYPES.includes(type)) {
+    return reply.status(400).send({ error: `Invalid order type. Available: ${ORDER_TYPES.join(', ')}` });
+  }
+
+  if (type === 'LIMIT' && (!limitPrice || limitPrice <= 0)) {
+    return reply.status(400).send({ error: 'Valid limitPrice is required for LIMIT orders' });
+  }
+
+  if (!ROUTING_MODES.includes(routingMode)) {
+    return reply.status(400).send({ error: `Invalid routingMode. Available: ${ROUTING_MODES.join(', ')}` });
+  }
+
+  if (routingMode !== 'DIRECT' && type !== 'MARKET') {
+    return reply.status(400).send({ error: `${routingMode} routing is only available for MARKET orders` });
+  }
+
+  const isSliced = SLICED_ORDER_TYPES.includes(type);
+  if (isSliced) {
+    const slicingError = validateSlicing({ type, tokenPair, inputAmount, slices, sliceSize, intervalMs });
+    if (slicingError) {
+      return reply.status(400).send({ error: slicingError });
+    }
+  }
+
+  const orderId = uuidv4();
+  const signature = { type, tokenPair, inputAmount, wallet };
+
+  if (await rejectDuplicateOrder(reply, signature, orderId, confirmDuplicate)) {
+    return reply;
+  }
+
+  let funding = null;
+
+  try {
+    funding = await reserveOrderFunds(orderId, { wallet, tokenPair, inputAmount });
+    if (funding.error) {
+      releaseDuplicateClaim(signature, orderId);
+      return reply.status(400).send({ error: funding.error });
+    }
+
+    logger.info(`Starting ${type} order ${orderId}`, {
+      tokenPair,
+      inputAmount,
+      routingStrategy,
+      userPreferences,
+      limitPrice
+    });
+
+    const { orderInfo, jobs } = await startOrder(orderId, {
+      type,
+      tokenPair,
+      inputAmount,
+      wallet,
+      routingStrategy,
+      userPreferences,
+      routingMode,
+      ...funding,
+      ...(type === 'LIMIT' && { limitPrice, expiresAt }),
+      ...(isSliced && {
+        slices,
+        sliceSize,
+        intervalMs: intervalMs !== undefined ? intervalMs : (type === 'TWAP' ? 30000 : 0)
+      })
+    });
+
+    return reply.send({ 
+      orderId, 
+      type,
+      status: type === 'LIMIT' ? 'waiting' : 'pending',
+      stage: orderInfo.stage,
+      tokenPair, 
+      inputAmount,
+      routingStrategy,
+      userPreferences,
+      routingMode,
+      ...(type === 'LIMIT' && { limitPrice, expiresAt: orderInfo.expiresAt }),
+      ...(isSliced && { slicing: { intervalMs: orderInfo.slicePlan.intervalMs, ...summarizeSlicePlan(orderInfo.slicePlan) } }),
+      expectedQuotes: jobs.length
+    });
+
+  } catch (error) {
+    logger.error(`Error starting order ${orderId}`, error);
+    releaseDuplicateClaim(signature, orderId);
+    releaseOrderFunds(funding);
+    return reply.status(500).send({ error: 'Failed to start order process' });
+  }
+});
+
+/**
+ * Route handler factory for single-leg protective orders
+ */
+function placeProtectiveOrder(type) {
+  return async (req, reply) => {
+    const {
+      tokenPair,
+      inputAmount,
+      wallet,
+      routingStrategy = 'BEST_PRICE',
+      userPreferences = {},
+      triggerPrice,
+      expiresAt,
+      confirmDuplicate
+    } = req.body || {};
+
+    const validationError = validateOrderRequest(req.body || {}) ||
+      (!triggerPrice || triggerPrice <= 0 ? 'Valid triggerPrice is required' : null) ||
+      validatePosition(wallet, tokenPair, inputAmount);
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    const orderId = uuidv4();
+    const signature = { type, tokenPair, inputAmount, wallet };
+
+    if (await rejectDuplicateOrder(reply, signature, orderId, confirmDuplicate)) {
+      return reply;
+    }
+
+    let funding = null;
+
+    try {
+      funding = await reserveOrderFunds(orderId, { wallet, tokenPair, inputAmount });
+      if (funding.error) {
+        releaseDuplicateClaim(signature, orderId);
+        return reply.status(400).send({ error: funding.error });
+      }
+
+      logger.info(`Starting ${type} order ${orderId}`, { tokenPair, inputAmount, triggerPrice });
+
+      const { orderInfo, jobs } = await startOrder(orderId, {
+        type,
+        tokenPair,
+        inputAmount,
+        wallet,
+        routingStrategy,
+        userPreferences,
+        triggerPrice,
+        expiresAt,
+        ...funding
+      });
+
+      return reply.send({
+        orderId,
+        type,
+        status: 'waiting',
+        stage: 'getting_quotes',
+        tokenPair,
+        inputAmount,
+        triggerPrice,
+        expiresAt: orderInfo.expiresAt,
+        expectedQuotes: jobs.length
+      });
+    } catch (error) {
+      logger.error(`Error starting ${type} order ${orderId}`, error);
+      releaseDuplicateClaim(signature, orderId);
+      releaseOrderFunds(funding);
+      return reply.status(500).send({ error: 'Failed to start order process' });
+    }
+  };
+}
+
+// Place stop-loss / take-profit orders that sell a held position
+fastify.post('/api/orders/stop-loss', ORDER_ROUTE, placeProtectiveOrder('STOP_LOSS'));
+fastify.post('/api/orders/take-profit', ORDER_ROUTE, placeProtectiveOrder('TAKE_PROFIT'));
+
+// Place a bracket: stop-loss and take-profit legs where one fill cancels the other
+fastify.post('/api/orders/bracket', ORDER_ROUTE, async (req, reply) => {
+  const {
+    tokenPair,
+    inputAmount,
+    wallet,
+    routingStrategy = 'BEST_PRICE',
+    userPreferences = {},
+    stopLossPrice,
+    takeProfitPrice,
+    expiresAt,
+    confirmDuplicate
+  } = req.body || {};
+
+  const validationError = validateOrderRequest(req.body || {}) ||
+    (!stopLossPrice || stopLossPrice <= 0 ? 'Valid stopLossPrice is required' : null) ||
+    (!takeProfitPrice || takeProfitPrice <= stopLossPrice ? 'takeProfitPrice must be above stopLossPrice' : null) ||
+    validatePosition(wallet, tokenPair, inputAmount);
+
+  if (validationError) {
+    return reply.status(400).send({ error: validationError });
+  }
+
+  const bracketId = uuidv4();
+  const stopLossId = uuidv4();
+  const takeProfitId = uuidv4();
+  const signature = { type: 'BRACKET', tokenPair, inputAmount, wallet };
+
+  if (await rejectDuplicateOrder(reply, signature, bracketId, confirmDuplicate)) {
+    return reply;
+  }
+
+  let funding = null;
+
+  try {
+    // Both legs sell the same position, so they share one reservation
+    funding = await reserveOrderFunds(bracketId, { wallet, tokenPair, inputAmount });
+    if (funding.error) {
+      releaseDuplicateClaim(signature, bracketId);
+      return reply.status(400).send({ error: funding.error });
+    }
+
+    const common = { tokenPair, inputAmount, wallet, routingStrategy, userPreferences, expiresAt, bracketId, ...funding };
+
+    logger.info(`Starting bracket ${bracketId}`, { tokenPair, inputAmount, stopLossPrice, takeProfitPrice });
+
+    const stopLoss = await startOrder(stopLossId, {
+      ...common,
+      type: 'STOP_LOSS',
+      triggerPrice: stopLossPrice,
+      siblingOrderId: takeProfitId
+    });
+
+    let takeProfit;
+    try {
+      takeProfit = await startOrder(takeProfitId, {
+        ...common,
+        type: 'TAKE_PROFIT',
+        triggerPrice: takeProfitPrice,
+        siblingOrderId: stopLossId
+      });
+    } catch (error) {
+      // Never leave half a bracket resting
+      await closeTriggerOrder(stopLossId, 'cancelled', 'Bracket creation failed');
+      throw error;
+    }
+
+    return reply.send({
+      bracketId,
+      status: 'waiting',
+      tokenPair,
+      inputAmount,
+      expiresAt: stopLoss.orderInfo.expiresAt,
+      stopLoss: { orderId: stopLossId, triggerPrice: stopLossPrice, expectedQuotes: stopLoss.jobs.length },
+      takeProfit: { orderId: takeProfitId, triggerPrice: takeProfitPrice, expectedQuotes: takeProfit.jobs.length }
+    });
+  } catch (error) {
+    logger.error(`Error starting bracket ${bracketId}`, error);
+    releaseDuplicateClaim(signature, bracketId);
+    releaseOrderFunds(funding);
+    return reply.status(500).send({ error: 'Failed to start bracket order' });
+  }
+});
+
+// WebSocket for order updates. Any number of clients may follow an order; a
+// client that reconnects with ?since=<seq> first receives the events it missed.
+fastify.get('/ws/:orderId', { websocket: true }, async (socket, req) => {
+  const { orderId } = req.params;
+  const since = req.query.since !== undefined ? Number(req.query.since) : null;
+
+  if (since !== null && (!Number.isInteger(since) || since < 0)) {
+    logger.warn(`WebSocket connection for order ${orderId} with invalid since ${req.query.since}`);
+    socket.close(1008, 'Invalid since');
+    return;
+  }
+
+  // Finished orders are looked up in the order store and can still be replayed
+  const owner = await getOrderWallet(orderId).catch(error => {
+    logger.error(`Failed to look up order ${orderId} for WebSocket`, error);
+    return undefined;
+  });
+
+  if (owner === undefined) {
+    logger.error(`WebSocket connection attempted for non-existent order ${orderId}`);
+    socket.close(1008, 'Order not found');
+    return;
+  }
+
+  if (REQUIRE_WALLET_AUTH && owner) {
+    const address = await walletAuth.authenticate(getSessionToken(req)).catch(() => null);
+    if (address !== owner) {
+      logger.warn(`Unauthorized WebSocket connection for order ${orderId}`);
+      socket.close(1008, 'Unauthorized');
+      return;
+    }
+  }
+
+  const isActive = orderJobMap.has(orderId);
+  const replayFrom = since !== null ? since : isActive ? null : 0;
+  const subscriber = { socket, lastSeq: replayFrom || 0, replaying: replayFrom !== null, buffer: [] };
+
+  // Subscribe before reading the log, so nothing falls between replay and live events
+  if (isActive) {
+    if (!activeConnections.has(orderId)) {
+      activeConnections.set(orderId, new Set());
+    }
+    activeConnections.get(orderId).add(subscriber);
+  }
+
+  logger.info(`WebSocket client connected for order ${orderId}`, {
+    since: replayFrom,
+    subscribers: activeConnections.has(orderId) ? activeConnections.get(orderId).size : 0
+  });
+
+  socket.on('close', () => {
+    logger.info(`WebSocket connection closed for order ${orderId}`);
+    removeSubscriber(orderId, subscriber);
+    
+    // Cleanup any pending updates once nobody is listening
+    const pendingUpdates = pendingUpdatesMap.get(orderId);
+    if (pendingUpdates && !activeConnections.has(orderId)) {
+      pendingUpdates.forEach(clearTimeout);
+      pendingUpdatesMap.delete(orderId);
+    }
+  });
+
+  socket.on('error', (err) => {
+    logger.error(`WebSocket error for order ${orderId}`, err);
+    removeSubscriber(orderId, subscriber);
+  });
+
+  const send = message => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  try {
+    const replay = replayFrom !== null
+      ? await orderEventLog.range(orderId, replayFrom)
+      : { events: [], lastSeq: await orderEventLog.lastSeq(orderId), truncated: false };
+
+    // Send connection confirmation
+    send({
+      type: 'connected',
+      orderId,
+      message: 'WebSocket connection established. Monitoring order progress.',
+      lastSeq: replay.lastSeq,
+      timestamp: new Date().toISOString()
+    });
+
+    if (replayFrom !== null) {
+      replay.events.forEach(event => {
+        send(event);
+        subscriber.lastSeq = event.seq;
+      });
+
+      send({
+        type: 'replay_complete',
+        orderId,
+        since: replayFrom,
+        replayed: replay.events.length,
+        lastSeq: replay.lastSeq,
+        // Older events were trimmed from the log and cannot be replayed
+        truncated: replay.truncated,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    logger.error(`Failed to replay events for order ${orderId}`, error);
+    removeSubscriber(orderId, subscriber);
+    socket.close(1011, 'Event replay failed');
+    return;
+  }
+
+  if (!isActive) {
+    socket.close(1000, 'Order finished');
+    return;
+  }
+
+  // Send current order state if available
+  const orderInfo = orderJobMap.get(orderId);
+  const quotesInfo = orderQuotes.get(orderId);
+  
+  if (orderInfo) {
+    send({
+      type: 'order_state',
+      orderId,
+      stage: orderInfo.stage,
+      quotesReceived: quotesInfo?.receivedQuotes || 0,
+      expectedQuotes: quotesInfo?.expectedQuotes || 4,
+      ...(orderInfo.slicePlan && { slicing: summarizeSlicePlan(orderInfo.slicePlan) }),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // Hand over to live delivery, skipping anything the replay already covered
+  subscriber.replaying = false;
+  subscriber.buffer.splice(0).forEach(event => deliverEvent(orderId, subscriber, event));
+});
+
+// ========== MULTIPLEXED WEBSOCKET ==========
+
+/**
+ * Only the signed-in wallet may follow its orders. Orders placed without a
+ * wallet address, pairs and running tickers are open to everyone; starting
+ * a new ticker feed takes a session, as its quote rounds use up DEX rate limits.
+ */
+async function checkChannelAccess(client, owner) {
+  if (!REQUIRE_WALLET_AUTH || !owner) return;
+
+  if ((await client.walletAddress) !== owner) {
+    throw new Error('Connect with ?token=<session token> of the wallet to follow its orders');
+  }
+}
+
+/**
+ * Subscribe a multiplexed client to a channel. For order channels, `since`
+ * replays the stored events after that sequence number first.
+ */
+async function subscribeChannel(client, channel, since) {
+  const { kind, key } = channel;
+
+  if (since !== undefined && (kind !== 'order' || !Number.isInteger(since) || since < 0)) {
+    throw new Error('since must be a non-negative integer and is only supported on order channels');
+  }
+
+  if (kind === 'order') {
+    const owner = await getOrderWallet(key);
+    if (owner === undefined) {
+      throw new Error(`Order ${key} not found`);
+    }
+    await checkChannelAccess(client, owner);
+  }
+
+  if (kind === 'wallet') {
+    await checkChannelAccess(client, key);
+  }
+
+  if (kind === 'ticker') {
+    if (!quoteTicker.hasFeed(channel.channel) && REQUIRE_WALLET_AUTH && !(await client.walletAddress)) {
+      throw new Error('Connect with ?token=<session token> to start a ticker feed. Running feeds (GET /api/tickers) are open to everyone');
+    }
+
+    // Start the feed before subscribing, as it fails once the feed limit is reached
+    const [base, quote] = key.split('/');
+    const feed = quoteTicker.startFeed(channel.channel, { tokenPair: { base, quote }, ...channel.params });
+    channelRegistry.subscribe(client, channel.channel);
+    return {
+      type: 'subscribed',
+      channel: channel.channel,
+      channels: channelRegistry.getChannels(client),
+      feed,
+      lastTick: quoteTicker.getLastTick(channel.channel)
+    };
+  }
+
+  const isNew = channelRegistry.subscribe(client, channel.channel);
+  const reply = { type: 'subscribed', channel: channel.channel, channels: channelRegistry.getChannels(client) };
+
+  if (kind !== 'order') {
+    return reply;
+  }
+
+  if (since === undefined) {
+    return { ...reply, lastSeq: await orderEventLog.lastSeq(key) };
+  }
+
+  // Hold live events of this order until the missed ones are sent
+  client.replaying.set(key, []);
+  try {
+    const replay = await orderEventLog.range(key, since);
+    client.lastSeqs.set(key, Math.max(client.lastSeqs.get(key) || 0, since));
+
+    const send = event => {
+      if (event.seq > client.lastSeqs.get(key) && client.socket.readyState === client.socket.OPEN) {
+        client.socket.send(JSON.stringify({ ...event, channel: channel.channel }));
+        client.lastSeqs.set(key, event.seq);
+      }
+    };
+    replay.events.forEach(send);
+
+    return { ...reply, since, replayed: replay.events.length, lastSeq: replay.lastSeq, truncated: replay.truncated };
+  } catch (error) {
+    if (isNew) channelRegistry.unsubscribe(client, channel.channel);
+    throw error;
+  } finally {
+    const held = client.replaying.get(key) || [];
+    client.replaying.delete(key);
+    held.forEach(event => deliverChannelEvent(client, key, event));
+  }
+}
+
+/**
+ * Send a quote ticker update to the clients following its feed
+ */
+function publishTick(feedId, tick) {
+  channelRegistry.match([feedId]).forEach((channel, client) => {
+    const { socket } = client;
+    if (socket.readyState !== socket.OPEN) return;
+
+    try {
+      socket.send(JSON.stringify({ type: 'quote_tick', channel, ...tick }));
+    } catch (error) {
+      logger.error(`Error sending quote tick for ${feedId}`, error);
+    }
+  });
+}
+
+/**
+ * Stop ticker feeds that no client follows any more
+ */
+function releaseTickerFeeds(channels) {
+  channels
+    .filter(channel => channel.startsWith('ticker:') && channelRegistry.match([channel]).size === 0)
+    .forEach(channel => {
+      quoteTicker.stopFeed(channel);
+      logger.info(`Stopped quote ticker ${channel}`);
+    });
+}
+
+/**
+ * Handle a JSON command from a multiplexed client:
+ * { action: 'subscribe' | 'unsubscribe', channel, since }
+ */
+async function handleChannelCommand(client, raw) {
+  const send = message => {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(JSON.stringify({ ...message, timestamp: new Date().toISOString() }));
+    }
+  };
+
+  let command;
+  try {
+    command = JSON.parse(raw.toString());
+  } catch (error) {
+    return send({ type: 'error', error: 'Commands must be JSON' });
+  }
+
+  const { action, since } = command || {};
+
+  try {
+    if (action !== 'subscribe' && action !== 'unsubscribe') {
+      throw new Error('action must be subscribe or unsubscribe');
+    }
+
+    const channel = parseChannel(command.channel);
+
+    if (action === 'subscribe') {
+      send(await subscribeChannel(client, channel, since));
+    } else {
+      channelRegistry.unsubscribe(client, channel.channel);
+      releaseTickerFeeds([channel.channel]);
+      send({ type: 'unsubscribed', channel: channel.channel, channels: channelRegistry.getChannels(client) });
+    }
+  } catch (error) {
+    send({ type: 'error', action, channel: command.channel, error: error.message });
+  }
+}
+
+// One socket for many orders: clients subscribe to order, wallet and pair channels
+fastify.get('/ws', { websocket: true }, (socket, req) => {
+  const client = {
+    socket,
+    lastSeqs: new Map(),  // orderId -> last sequence number sent
+    replaying: new Map(), // orderId -> events held during a replay
+    // Resolved while commands are already being handled; awaited where needed
+    walletAddress: REQUIRE_WALLET_AUTH
+      ? walletAuth.authenticate(getSessionToken(req)).catch(() => null)
+      : Promise.resolve(null)
+  };
+  channelClients.add(client);
+
+  logger.info('Multiplexed WebSocket client connected', { clients: channelClients.size });
+
+  socket.send(JSON.stringify({
+    type: 'connected',
+    message: 'Send {"action":"subscribe","channel":"order:<orderId>"} (or wallet:<address>, pair:<BASE/QUOTE>) to receive events.',
+    timestamp: new Date().toISOString()
+  }));
+
+  socket.on('message', raw => {
+    handleChannelCommand(client, raw).catch(error => {
+      logger.error('Failed to handle WebSocket channel command', error);
+    });
+  });
+
+  const disconnect = () => {
+    const channels = channelRegistry.getChannels(client);
+    channelRegistry.removeClient(client);
+    channelClients.delete(client);
+    releaseTickerFeeds(channels);
+  };
+
+  socket.on('close', () => {
+    logger.info('Multiplexed WebSocket client disconnected', { channels: channelRegistry.getChannels(client).length });
+    disconnect();
+  });
+
+  socket.on('error', (err) => {
+    logger.error('Multiplexed WebSocket error', err);
+    disconnect();
+  });
+});
+
+// Running quote ticker feeds with their latest tick
+fastify.get('/api/tickers', async (req, reply) => {
+  reply.send({ tickers: quoteTicker.list() });
+});
+
+// Replay an order's events over HTTP
+fastify.get('/api/orders/:orderId/events', ORDER_OWNER_ROUTE, async (req, reply) => {
+  const { orderId } = req.params;
+  const since = req.query.since !== undefined ? Number(req.query.since) : 0;
+
+  if (!Number.isInteger(since) || since < 0) {
+    return reply.status(400).send({ error: 'since must be a non-negative integer' });
+  }
+
+  try {
+    const replay = await orderEventLog.range(orderId, since);
+    if (replay.lastSeq === 0 && !orderJobMap.has(orderId) && !(await orderStore.get(orderId))) {
+      return reply.status(404).send({ error: 'Order not found' });
+    }
+
+    reply.send({ orderId, since, ...replay });
+  } catch (error) {
+    logger.error(`Failed to read events for order ${orderId}`, error);
+    reply.status(500).send({ error: 'Failed to read order events' });
+  }
+});
+
+// Health check endpoint - enhanced
+fastify.get('/api/health', async (req, reply) => {
+  const health = {
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    activeOrders: orderJobMap.size,
+    activeConnections: countSubscribers(),
+    pendingQuoteTimeouts: quoteTimeouts.size,
+    limitOrders: {
+      resting: Array.from(orderJobMap.values()).filter(isTriggerOrder).length,
+      pollInterval: limitOrderBook.pollInterval
+    },
+    routingHub: {
+      strategies: Object.keys(routingHub.routingStrategies).length,
+      defaultStrategy: 'BEST_PRICE'
+    },
+    memory: {
+      used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
+      total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB'
+    }
+  };
+  
+  reply.send(health);
+});
+
+// Registered DEX providers and their routing metadata
+fastify.get('/api/dexes', async (req, reply) => {
+  return reply.send({ dexes: dexRegistry.describe() });
+});
+
+// Observed execution stats per DEX over a rolling window
+fastify.get('/api/dexes/stats', async (req, reply) => {
+  const { window = dexStats.routingWindow } = req.query;
+
+  if (!dexStats.windows[window]) {
+    return reply.status(400).send({
+      error: `Invalid window. Available: ${Object.keys(dexStats.windows).join(', ')}`
+    });
+  }
+
+  try {
+    const stats = await dexStats.load(dexRegistry.names(), window);
+
+    return reply.send({
+      window,
+      routing: {
+        window: dexStats.routingWindow,
+        minSamples: dexStats.minSamples,
+        refreshedAt: dexStats.refreshedAt
+      },
+      dexes: dexRegistry.names().map(name => ({
+        name,
+        ...stats[name],
+        // What the routing strategies currently use for this DEX
+        routing: {
+          source: routingHub.getLiveStats(name) ? 'live' : 'registered',
+          reliability: Number(routingHub.getReliability(name).toFixed(4)),
+          speedRank: routingHub.getSpeedRank(name)
+        }
+      }))
+    });
+  } catch (error) {
+    logger.error('Failed to load DEX stats', error);
+    return reply.status(500).send({ error: 'Failed to load DEX stats' });
+  }
+});
+
+// Worker processes and queue backlog per DEX
+fastify.get('/api/workers', async (req, reply) => {
+  try {
+    const [workers, queues] = await Promise.all([workerRegistry.list(), getQueueJobCounts()]);
+
+    const reports = workers.map(worker => ({
+      ...worker,
+      // Alive but late: more than one heartbeat missed
+      status: worker.heartbeatAge > worker.heartbeatInterval * 2 ? 'stale' : 'healthy'
+    }));
+
+    const dexes = {};
+    Object.entries(queues).forEach(([dex, counts]) => {
+      const serving = reports.filter(worker => worker.status === 'healthy' && worker.dexes.some(entry => entry.dex === dex));
+      dexes[dex] = {
+        workers: serving.length,
+        concurrency: serving.reduce((sum, worker) => sum + worker.dexes.find(entry => entry.dex === dex).concurrency, 0),
+        queue: counts
+      };
+    });
+
+    reply.send({
+      embedded: EMBEDDED_WORKERS,
+      workers: reports,
+      dexes,
+      unservedDexes: Object.keys(dexes).filter(dex => dexes[dex].workers === 0),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to read worker status', error);
+    reply.status(500).send({ error: 'Failed to read worker status' });
+  }
+});
+
+// Preview the best multi-hop path through the token graph
+fastify.get('/api/routes', async (req, reply) => {
+  const { from, to } = req.query;
+  const amount = Number(req.query.amount);
+
+  if (!from || !to) {
+    return reply.status(400).send({ error: 'from and to tokens are required' });
+  }
+
+  if (!amount || amount <= 0) {
+    return reply.status(400).send({ error: 'Valid amount is required' });
+  }
+
+  try {
+    reply.send(await tokenGraphRouter.findBestPath(from, to, amount));
+  } catch (error) {
+    logger.error(`Failed to find route ${from} -> ${to}`, error);
+    reply.status(400).send({ error: error.message });
+  }
+});
+
+// Get routing strategies
+fastify.get('/api/routing-strategies', async (req, reply) => {
+  try {
+    const strategies = routingHub.getAvailableStrategies();
+    
+    if (Array.isArray(strategies)) {
+      reply.send(strategies);
+    } else {
+      const strategyArray = strategies.strategies.map(strategy => ({
+        name: strategy,
+        description: strategies.descriptions[strategy],
+        isDefault: strategy === strategies.default
+      }));
+      
+      reply.send(strategyArray);
+    }
+  } catch (error) {
+    logger.error('Failed to get routing strategies', error);
+    reply.status(500).send({ error: 'Failed to retrieve routing strategies' });
+  }
+});
+
+// Get order status - enhanced
+fastify.get('/api/orders/:orderId', ORDER_OWNER_ROUTE, async (req, reply) => {
+  const { orderId } = req.params;
+  const orderInfo = orderJobMap.get(orderId);
+  const quotesInfo = orderQuotes.get(orderId);
+  const record = await orderStore.get(orderId);
+
+  // Finished orders are only kept in the order store
+  if (!orderInfo) {
+    if (!record) {
+      return reply.status(404).send({ error: 'Order not found' });
+    }
+
+    const { order, quotes, ...details } = record;
+    return reply.send({
+      ...details,
+      orderInfo: order,
+      quotesInfo: quotes,
+      isActive: false,
+      hasTimeout: false
+    });
+  }
+
+  const response = {
+    orderId,
+    status: record ? record.status : 'pending',
+    selectedRoute: record ? record.selectedRoute : null,
+    orderInfo: {
+      ...orderInfo,
+      jobMapping: Array.from(orderInfo.jobMapping.entries()) // Convert Map to array for JSON
+    },
+    quotesInfo: quotesInfo && {
+      ...quotesInfo,
+      jobKeys: quotesInfo.jobKeys ? Array.from(quotesInfo.jobKeys) : undefined
+    },
+    isActive: activeConnections.has(orderId),
+    hasTimeout: quoteTimeouts.has(orderId)
+  };
+
+  reply.send(response);
+});
+
+// Cancel a resting conditional order (both legs when it belongs to a bracket)
+fastify.delete('/api/orders/:orderId', ORDER_OWNER_ROUTE, async (req, reply) => {
+  const { orderId } = req.params;
+  const orderInfo = orderJobMap.get(orderId);
+
+  if (!orderInfo) {
+    return reply.status(404).send({ error: 'Order not found' });
+  }
+
+  if (!isTriggerOrder(orderInfo)) {
+    return reply.status(400).send({ 
+      error: `Only ${TRIGGER_ORDER_TYPES.join(', ')} orders can be cancelled` 
+    });
+  }
+
+  if (!isResting(orderInfo)) {
+    return reply.status(409).send({ error: `Order cannot be cancelled in stage ${orderInfo.stage}` });
+  }
+
+  try {
+    const cancelled = [orderId];
+    await closeTriggerOrder(orderId, 'cancelled', 'Order cancelled by user');
+
+    const sibling = orderJobMap.get(orderInfo.siblingOrderId);
+    if (isResting(sibling)) {
+      await closeTriggerOrder(orderInfo.siblingOrderId, 'cancelled', `Bracket sibling ${orderId} cancelled`);
+      cancelled.push(orderInfo.siblingOrderId);
+    }
+
+    reply.send({ orderId, status: 'cancelled', cancelled });
+  } catch (error) {
+    logger.error(`Failed to cancel order ${orderId}`, error);
+    reply.status(500).send({ error: 'Failed to cancel order' });
+  }
+});
+
+// List resting conditional orders
+fastify.get('/api/limit-orders', { preHandler: requireWalletAuth }, async (req, reply) => {
+  try {
+    const { status, type } = req.query;
+    const orders = await limitOrderBook.list(status || null, { wallet: req.walletAddress });
+    reply.send(type ? orders.filter(order => order.type === type) : orders);
+  } catch (error) {
+    logger.error('Failed to list limit orders', error);
+    reply.status(500).send({ error: 'Failed to retrieve limit orders' });
+  }
+});
+
+// ========== ORDER HISTORY ENDPOINTS ==========
+
+/**
+ * Turn history query parameters into order store query options, limited to
+ * the signed-in wallet's orders when there is one. Returns { error } when a
+ * parameter is invalid.
+ */
+function parseHistoryQuery(query = {}, owner = null) {
+  const { wallet, pair, status, provider, from, to, order = 'desc', limit, cursor } = query;
+
+  if (pair && !parsePair(pair)) {
+    return { error: 'pair must look like SOL/USDC or SOL-USDC' };
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: "order must be 'asc' or 'desc'" };
+  }
+
+  const range = {};
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(time)) {
+      return { error: `${name} must be an ISO date or a timestamp in ms` };
+    }
+    range[name] = time;
+  }
+
+  const pageSize = limit === undefined ? 50 : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_HISTORY_PAGE) {
+    return { error: `limit must be an integer between 1 and ${MAX_HISTORY_PAGE}` };
+  }
+
+  return {
+    options: {
+      ...range,
+      order,
+      limit: pageSize,
+      cursor,
+      filter: buildOrderFilter({ wallet, pair, status, provider }, owner)
+    }
+  };
+}
+
+// List past and current orders, newest first by default
+fastify.get('/api/orders', { preHandler: requireWalletAuth }, async (req, reply) => {
+  const { options, error } = parseHistoryQuery(req.query, req.walletAddress);
+  if (error) {
+    return reply.status(400).send({ error });
+  }
+
+  try {
+    const { records, nextCursor } = await orderStore.query(options);
+
+    reply.send({
+      orders: records.map(summarizeOrder),
+      count: records.length,
+      nextCursor
+    });
+  } catch (error) {
+    if (error.message === 'Invalid cursor') {
+      return reply.status(400).send({ error: error.message });
+    }
+    logger.error('Error listing orders', error);
+    reply.status(500).send({ error: error.message });
+  }
+});
+
+// Export the fills of every matching order for reconciliation
+fastify.get('/api/orders/export', { preHandler: requireWalletAuth }, async (req, reply) => {
+  const { format = 'csv', ...filters } = req.query || {};
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return reply.status(400).send({ error: `Invalid format. Available: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  // The export streams every matching order; paging is only for the order list
+  if (filters.limit !== undefined || filters.cursor !== undefined) {
+    return reply.status(400).send({ error: 'limit and cursor are not supported by the export. Narrow it with from/to instead' });
+  }
+
+  const { options, error } = parseHistoryQuery(filters, req.walletAddress);
+  if (error) {
+    return reply.status(400).send({ error });
+  }
+
+  const queryPage = cursor => orderStore.query({ ...options, limit: EXPORT_PAGE_SIZE, cursor });
+  const stream = Readable.from(streamFills(queryPage, format));
+  stream.on('error', error => logger.error('Error exporting fills', error));
+
+  return reply
+    .header('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson')
+    .header('Content-Disposition', `attachment; filename="fills-${Date.now()}.${format}"`)
+    .send(stream);
+});
+
+// ========== LEDGER ACCOUNT ENDPOINTS ==========
+
+/**
+ * Validate token -> amount balances. Returns an error message or null.
+ */
+function validateBalances(balances) {
+  if (!balances || typeof balances !== 'object' || Array.isArray(balances)) {
+    return 'balances must be an object of token -> amount';
+  }
+
+  for (const [token, amount] of Object.entries(balances)) {
+    if (typeof amount !== 'number' || !(amount >= 0) || !isFinite(amount)) {
+      return `Invalid amount for ${token}`;
+    }
+
+    try {
+      tokenRegistry.toAtomic(token, amount);
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Ledger account with its balances and reservations in token units
+ */
+function formatAccount(account) {
+  const balances = {};
+  Object.entries(account.balances).forEach(([token, { available, reserved, total }]) => {
+    balances[token] = {
+      available: fromAtomic(token, available),
+      reserved: fromAtomic(token, reserved),
+      total: fromAtomic(token, total)
+    };
+  });
+
+  return {
+    ...account,
+    balances,
+    reservations: account.reservations.map(reservation => ({
+      ...reservation,
+      amount: fromAtomic(reservation.inputToken, reservation.amount),
+      remaining: fromAtomic(reservation.token, reservation.remaining)
+    }))
+  };
+}
+
+/**
+ * preHandler: an account can only be read or funded by its own wallet
+ */
+async function requireAccountOwner(req, reply) {
+  if (REQUIRE_WALLET_AUTH && req.walletAddress !== req.params.address) {
+    return reply.status(403).send({ error: 'Accounts can only be accessed by their own wallet' });
+  }
+}
+
+const ACCOUNT_ROUTE = { preHandler: [requireWalletAuth, requireAccountOwner] };
+
+// Open a paper trading account for the signed-in wallet
+fastify.post('/api/accounts', { preHandler: requireWalletAuth }, async (req, reply) => {
+  const { balances = {} } = req.body || {};
+  const address = req.walletAddress || (req.body && req.body.address);
+
+  if (!address || typeof address !== 'string') {
+    return reply.status(400).send({ error: 'address is required' });
+  }
+
+  const validationError = validateBalances(balances);
+  if (validationError) {
+    return reply.status(400).send({ error: validationError });
+  }
+
+  try {
+    const account = await ledger.createAccount(address, toAtomicBalances(balances));
+    if (!account) {
+      return reply.status(409).send({ error: `Account for wallet ${address} already exists` });
+    }
+
+    logger.info(`Ledger account opened for wallet ${address}`, { balances });
+    return reply.send(formatAccount(account));
+  } catch (error) {
+    logger.error(`Failed to open ledger account for wallet ${address}`, error);
+    return reply.status(500).send({ error: 'Failed to open account' });
+  }
+});
+
+// Balances (available / reserved) and open reservations of an account
+fastify.get('/api/accounts/:address', ACCOUNT_ROUTE, async (req, reply) => {
+  const { address } = req.params;
+
+  try {
+    const account = await ledger.getAccount(address);
+    if (!account) {
+      return reply.status(404).send({ error: 'Account not found' });
+    }
+    return reply.send(formatAccount(account));
+  } catch (error) {
+    logger.error(`Failed to get ledger account of wallet ${address}`, error);
+    return reply.status(500).send({ error: 'Failed to retrieve account' });
+  }
+});
+
+// Add simulated funds to an account
+fastify.post('/api/accounts/:address/deposits', ACCOUNT_ROUTE, async (req, reply) => {
+  const { address } = req.params;
+  const { token, amount } = req.body || {};
+
+  if (!token || typeof token !== 'string') {
+    return reply.status(400).send({ error: 'token is required' });
+  }
+
+  if (typeof amount !== 'number' || !(amount > 0) || !isFinite(amount)) {
+    return reply.status(400).send({ error: 'amount must be a positive number' });
+  }
+
+  const validationError = validateBalances({ [token]: amount });
+  if (validationError) {
+    return reply.status(400).send({ error: validationError });
+  }
+
+  try {
+    const available = await ledger.deposit(address, token, toAtomic(token, amount));
+    if (available === null) {
+      return reply.status(404).send({ error: 'Account not found' });
+    }
+
+    logger.info(`Deposited ${amount} ${token} to wallet ${address}`);
+    return reply.send({ address, token: token.toUpperCase(), amount, available: fromAtomic(token, available) });
+  } catch (error) {
+    logger.error(`Failed to deposit to wallet ${address}`, error);
+    return reply.status(500).send({ error: 'Failed to deposit' });
   }
+});
 
-  const availableStrategies = Object.keys(routingHub.routingStrategies);
-  if (availableStrategies.length === 0) {
-    return reply.status(500).send({ 
-      error: 'No routing strategies available' 
-    });
-  }
+// ========== TOKEN REGISTRY ENDPOINTS ==========
 
-  if (!availableStrategies.includes(routingStrategy)) {
-    return reply.status(400).send({ 
-      error: `Invalid routing strategy. Available: ${availableStrategies.join(', ')}` 
-    });
+/**
+ * preHandler: token administration needs the X-Admin-Token header to match
+ * ADMIN_TOKEN; without ADMIN_TOKEN the admin routes are disabled
+ */
+async function requireAdmin(req, reply) {
+  if (!ADMIN_TOKEN) {
+    return reply.status(403).send({ error: 'Admin routes are disabled. Set ADMIN_TOKEN to enable them' });
   }
 
-  const orderId = uuidv4();
+  const provided = Buffer.from(String(req.headers['x-admin-token'] || ''));
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return reply.status(401).send({ error: 'Invalid admin token' });
+  }
+}
 
-  try {
-    logger.info(`Starting order ${orderId}`, {
-      tokenPair,
-      inputAmount,
-      routingStrategy,
-      userPreferences
-    });
+/**
+ * Keep the multi-hop graph on the enabled tokens; disabled tokens are no
+ * longer accepted in orders or used as intermediates
+ */
+function syncGraphTokens() {
+  const enabled = tokenRegistry.symbols();
+  tokenGraphRouter.getTokens()
+    .filter(symbol => !enabled.includes(symbol))
+    .forEach(symbol => tokenGraphRouter.unregisterToken(symbol));
+  enabled.forEach(symbol => tokenGraphRouter.registerToken(symbol));
+}
 
-    // Get quotes from all DEXs
-    const jobs = await addCompareQuotesJob(tokenPair, inputAmount, orderId);
-    
-    // Create order info with improved job mapping
-    const orderInfo = {
-      tokenPair,
-      inputAmount,
-      wallet,
-      routingStrategy,
-      userPreferences,
-      stage: 'getting_quotes',
-      startTime: new Date(),
-      jobMapping: new Map() // job.id -> dexName
-    };
-    
-    // Create job mapping for efficient lookup
-    jobs.forEach(job => {
-      const dexName = job.data.provider || job.opts.jobId?.split('-')[0] || 'unknown';
-      orderInfo.jobMapping.set(job.id, dexName);
-    });
-    
-    orderJobMap.set(orderId, orderInfo);
-    orderQuotes.set(orderId, { 
-      quotes: [], 
-      bestQuote: null,
-      expectedQuotes: jobs.length,
-      receivedQuotes: 0
-    });
-
-    // Set quote collection timeout
-    const timeout = setTimeout(() => {
-      const quotesInfo = orderQuotes.get(orderId);
-      if (quotesInfo && quotesInfo.receivedQuotes >= 2 && !quotesInfo.bestQuote) {
-        logger.warn(`Quote collection timeout for order ${orderId}, processing available quotes`);
-        processQuotesAndRoute(orderId);
-      }
-    }, 12000); // 12 second timeout
-    
-    quoteTimeouts.set(orderId, timeout);
+// Tradable tokens with their mint, decimals and display precision
+fastify.get('/api/tokens', async (req, reply) => {
+  return reply.send({ tokens: tokenRegistry.list() });
+});
 
-    reply.send({ 
-      orderId, 
-      status: 'pending',
-      stage: 'getting_quotes',
-      tokenPair, 
-      inputAmount,
-      routingStrategy,
-      userPreferences,
-      expectedQuotes: jobs.length
-    });
+// Add a token. Every server and worker process reloads the registry when
+// the request returns; mock DEXs quote only pairs with a reference price.
+fastify.post('/api/admin/tokens', { preHandler: requireAdmin }, async (req, reply) => {
+  let token;
+  try {
+    token = tokenRegistry.register(req.body || {});
+  } catch (error) {
+    const status = /already registered/.test(error.message) ? 409 : 400;
+    return reply.status(status).send({ error: error.message });
+  }
 
+  try {
+    await tokenRegistry.persist(connection, token.symbol);
   } catch (error) {
-    logger.error(`Error starting order ${orderId}`, error);
-    return reply.status(500).send({ error: 'Failed to start order process' });
+    logger.error(`Failed to store token ${token.symbol}`, error);
   }
+
+  syncGraphTokens();
+
+  logger.info(`Token ${token.symbol} registered`, token);
+  return reply.status(201).send(token);
 });
 
-// WebSocket for order updates - improved version
-fastify.get('/ws/:orderId', { websocket: true }, (connection, req) => {
-  const { orderId } = req.params;
-  
-  // Enhanced validation
-  if (!orderId) {
-    logger.error('WebSocket connection attempted without orderId');
-    connection.socket.close(1008, 'Invalid orderId');
-    return;
-  }
+// Change a token's name, mint, display precision or enabled flag
+fastify.patch('/api/admin/tokens/:symbol', { preHandler: requireAdmin }, async (req, reply) => {
+  const { symbol } = req.params;
 
-  if (!orderJobMap.has(orderId)) {
-    logger.error(`WebSocket connection attempted for non-existent order ${orderId}`);
-    connection.socket.close(1008, 'Order not found');
-    return;
+  if (!tokenRegistry.get(symbol)) {
+    return reply.status(404).send({ error: `Unknown token ${symbol}` });
   }
 
-  if (!connection || !connection.socket) {
-    logger.error(`WebSocket connection failed for order ${orderId}`);
-    return;
+  let token;
+  try {
+    token = tokenRegistry.update(symbol, req.body || {});
+  } catch (error) {
+    return reply.status(400).send({ error: error.message });
   }
 
-  if (activeConnections.has(orderId)) {
-    logger.warn(`WebSocket connection already exists for order ${orderId}`);
-    connection.socket.close(1008, 'Connection already exists');
-    return;
+  try {
+    await tokenRegistry.persist(connection, token.symbol);
+  } catch (error) {
+    logger.error(`Failed to store token ${token.symbol}`, error);
   }
 
-  logger.info(`WebSocket client connected for order ${orderId}`);
+  syncGraphTokens();
 
-  activeConnections.set(orderId, connection.socket);
+  logger.info(`Token ${token.symbol} updated`, token);
+  return reply.send(token);
+});
 
-  // Send connection confirmation
-  connection.socket.send(JSON.stringify({
-    type: 'connected',
-    orderId,
-    message: 'WebSocket connection established. Monitoring order progress.',
-    timestamp: new Date().toISOString()
-  }));
+// ========== DCA SCHEDULE ENDPOINTS ==========
 
-  // Send current order state if available
-  const orderInfo = orderJobMap.get(orderId);
-  const quotesInfo = orderQuotes.get(orderId);
-  
-  if (orderInfo) {
-    sendUpdate(orderId, {
-      type: 'order_state',
-      orderId,
-      stage: orderInfo.stage,
-      quotesReceived: quotesInfo?.receivedQuotes || 0,
-      expectedQuotes: quotesInfo?.expectedQuotes || 4,
-      timestamp: new Date().toISOString(),
+// Create a recurring DCA schedule
+fastify.post('/api/schedules', { preHandler: requireWalletAuth }, async (req, reply) => {
+  const { name, tokenPair, inputAmount, wallet, cron, timezone, routingStrategy, userPreferences } = req.body || {};
+
+  const validationError = validateOrderRequest(req.body || {}) ||
+    (!cron || typeof cron !== 'string' ? 'cron pattern is required (e.g. "0 9 * * 1")' : null);
+
+  if (validationError) {
+    return reply.status(400).send({ error: validationError });
+  }
+
+  try {
+    const schedule = await scheduleManager.create({
+      name, tokenPair, inputAmount, wallet, cron, timezone, routingStrategy, userPreferences
     });
+
+    logger.info(`Schedule ${schedule.scheduleId} created`, { cron, timezone: schedule.timezone });
+    reply.send(await scheduleManager.get(schedule.scheduleId));
+  } catch (error) {
+    logger.error('Failed to create schedule', error);
+    reply.status(400).send({ error: `Failed to create schedule: ${error.message}` });
   }
+});
 
-  connection.socket.on('close', () => {
-    logger.info(`WebSocket connection closed for order ${orderId}`);
-    activeConnections.delete(orderId);
-    
-    // Cleanup any pending updates
-    const pendingUpdates = pendingUpdatesMap.get(orderId);
-    if (pendingUpdates) {
-      pendingUpdates.forEach(clearTimeout);
-      pendingUpdatesMap.delete(orderId);
+// List DCA schedules
+fastify.get('/api/schedules', { preHandler: requireWalletAuth }, async (req, reply) => {
+  try {
+    reply.send(await scheduleManager.list({ wallet: req.walletAddress }));
+  } catch (error) {
+    logger.error('Failed to list schedules', error);
+    reply.status(500).send({ error: 'Failed to retrieve schedules' });
+  }
+});
+
+// Get a DCA schedule with its run history
+fastify.get('/api/schedules/:scheduleId', SCHEDULE_OWNER_ROUTE, async (req, reply) => {
+  const { scheduleId } = req.params;
+
+  try {
+    const schedule = await scheduleManager.get(scheduleId);
+    if (!schedule) {
+      return reply.status(404).send({ error: 'Schedule not found' });
     }
-  });
 
-  connection.socket.on('error', (err) => {
-    logger.error(`WebSocket error for order ${orderId}`, err);
-    activeConnections.delete(orderId);
-    
-    // Cleanup any pending updates
-    const pendingUpdates = pendingUpdatesMap.get(orderId);
-    if (pendingUpdates) {
-      pendingUpdates.forEach(clearTimeout);
-      pendingUpdatesMap.delete(orderId);
+    reply.send({ ...schedule, history: await scheduleManager.getHistory(scheduleId) });
+  } catch (error) {
+    logger.error(`Failed to get schedule ${scheduleId}`, error);
+    reply.status(500).send({ error: 'Failed to retrieve schedule' });
+  }
+});
+
+// Pause / resume a DCA schedule
+fastify.post('/api/schedules/:scheduleId/pause', SCHEDULE_OWNER_ROUTE, async (req, reply) => {
+  const { scheduleId } = req.params;
+
+  try {
+    const schedule = await scheduleManager.pause(scheduleId);
+    if (!schedule) {
+      return reply.status(404).send({ error: 'Schedule not found' });
     }
-  });
+    reply.send(schedule);
+  } catch (error) {
+    logger.error(`Failed to pause schedule ${scheduleId}`, error);
+    reply.status(500).send({ error: 'Failed to pause schedule' });
+  }
 });
 
-// Health check endpoint - enhanced
-fastify.get('/api/health', async (req, reply) => {
-  const health = {
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    activeOrders: orderJobMap.size,
-    activeConnections: activeConnections.size,
-    pendingQuoteTimeouts: quoteTimeouts.size,
-    routingHub: {
-      strategies: Object.keys(routingHub.routingStrategies).length,
-      defaultStrategy: 'BEST_PRICE'
-    },
-    memory: {
-      used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
-      total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB'
+fastify.post('/api/schedules/:scheduleId/resume', SCHEDULE_OWNER_ROUTE, async (req, reply) => {
+  const { scheduleId } = req.params;
+
+  try {
+    const schedule = await scheduleManager.resume(scheduleId);
+    if (!schedule) {
+      return reply.status(404).send({ error: 'Schedule not found' });
     }
-  };
-  
-  reply.send(health);
+    reply.send(await scheduleManager.get(scheduleId));
+  } catch (error) {
+    logger.error(`Failed to resume schedule ${scheduleId}`, error);
+    reply.status(500).send({ error: 'Failed to resume schedule' });
+  }
 });
 
-// Get routing strategies
-fastify.get('/api/routing-strategies', async (req, reply) => {
+// Delete a DCA schedule
+fastify.delete('/api/schedules/:scheduleId', SCHEDULE_OWNER_ROUTE, async (req, reply) => {
+  const { scheduleId } = req.params;
+
   try {
-    const strategies = routingHub.getAvailableStrategies();
-    
-    if (Array.isArray(strategies)) {
-      reply.send(strategies);
-    } else {
-      const strategyArray = strategies.strategies.map(strategy => ({
-        name: strategy,
-        description: strategies.descriptions[strategy],
-        isDefault: strategy === strategies.default
-      }));
-      
-      reply.send(strategyArray);
+    const removed = await scheduleManager.remove(scheduleId);
+    if (!removed) {
+      return reply.status(404).send({ error: 'Schedule not found' });
     }
+    reply.send({ scheduleId, status: 'deleted' });
   } catch (error) {
-    logger.error('Failed to get routing strategies', error);
-    reply.status(500).send({ error: 'Failed to retrieve routing strategies' });
+    logger.error(`Failed to delete schedule ${scheduleId}`, error);
+    reply.status(500).send({ error: 'Failed to delete schedule' });
   }
 });
 
-// Get order status - enhanced
-fastify.get('/api/orders/:orderId', async (req, reply) => {
-  const { orderId } = req.params;
-  const orderInfo = orderJobMap.get(orderId);
-  const quotesInfo = orderQuotes.get(orderId);
+// ========== WORKER EVENT LISTENERS ==========
 
-  if (!orderInfo) {
-    return reply.status(404).send({ error: 'Order not found' });
+/**
+ * Route a finished quote or swap job to the order it belongs to
+ */
+function handleJobCompleted(event) {
+  const { orderId, jobId, queueName, dexName, operation } = event;
+  const result = fromAtomicResult(event.result);
+
+  if (quoteTicker.isTickerRound(orderId)) {
+    quoteTicker.handleResult(orderId, dexName, result);
+    return;
   }
 
-  const response = {
-    orderId,
-    orderInfo: {
-      ...orderInfo,
-      jobMapping: Array.from(orderInfo.jobMapping.entries()) // Convert Map to array for JSON
-    },
-    quotesInfo,
-    isActive: activeConnections.has(orderId),
-    hasTimeout: quoteTimeouts.has(orderId)
-  };
+  if (quoteComparisons.has(orderId)) {
+    quoteComparisons.handleResult(orderId, dexName, result);
+    return;
+  }
 
-  reply.send(response);
-});
+  if (routeQuotes.has(orderId)) {
+    routeQuotes.get(orderId).finish(null, result);
+    return;
+  }
 
-// ========== WORKER EVENT LISTENERS ==========
+  const orderInfo = orderJobMap.get(orderId);
+  if (!orderInfo) {
+    logger.debug(`No active order ${orderId} for completed ${dexName} job ${jobId}`);
+    return;
+  }
 
-function setupWorkerListeners(worker, dexName) {
-  worker.on('completed', (job, result) => {
-    const orderId = findOrderIdByJobId(job.id);
-    
-    if (!orderId) {
-      logger.error(`Worker ${dexName} completed job ${job.id} but couldn't find orderId`);
+  if (operation === 'quote') {
+    if (!isCurrentQuoteJob(orderId, { queueName, id: jobId })) {
+      logger.debug(`Ignoring stale ${dexName} quote job ${jobId} for order ${orderId}`);
       return;
     }
+    handleQuoteCompletion(orderId, dexName, result);
+  } else if (operation === 'swap') {
+    handleSwapCompletion(orderId, dexName, result, jobId);
+  }
+}
 
-    const orderInfo = orderJobMap.get(orderId);
-    if (!orderInfo) {
-      logger.error(`Order info not found for completed job ${job.id} from ${dexName}`);
-      return;
-    }
-    
-    if (job.data.operation === 'quote') {
-      handleQuoteCompletion(orderId, dexName, result);
-    } else if (job.data.operation === 'swap') {
-      handleSwapCompletion(orderId, dexName, result);
-    }
-  });
+/**
+ * Route a failed quote or swap job to the order it belongs to
+ */
+function handleJobFailed(event) {
+  const { orderId, jobId, queueName, dexName, operation, error, attemptsMade, attempts } = event;
 
-  worker.on('failed', (job, err) => {
-    const orderId = findOrderIdByJobId(job.id);
-    
-    if (!orderId) {
-      logger.error(`Worker ${dexName} failed job ${job.id} but couldn't find orderId`);
-      return;
-    }
+  if (quoteTicker.isTickerRound(orderId)) {
+    quoteTicker.handleResult(orderId, dexName, null);
+    return;
+  }
 
-    if (job.data.operation === 'swap') {
-      handleSwapFailure(orderId, dexName, err);
-    } else {
-      handleQuoteFailure(orderId, dexName, err);
-    }
-  });
+  if (quoteComparisons.has(orderId)) {
+    quoteComparisons.handleResult(orderId, dexName, null, { error, final: attemptsMade >= attempts });
+    return;
+  }
 
-  worker.on('error', (err) => {
-    logger.error(`Worker ${dexName} error`, err);
-  });
+  // A retried edge quote may still succeed
+  if (routeQuotes.has(orderId)) {
+    if (attemptsMade >= attempts) routeQuotes.get(orderId).finish(new Error(error));
+    return;
+  }
+
+  if (!orderJobMap.has(orderId)) {
+    logger.debug(`No active order ${orderId} for failed ${dexName} job ${jobId}`);
+    return;
+  }
+
+  if (operation === 'swap') {
+    handleSwapFailure(orderId, dexName, new Error(error), jobId);
+  } else if (isCurrentQuoteJob(orderId, { queueName, id: jobId })) {
+    handleQuoteFailure(orderId, dexName, new Error(error));
+  }
+}
+
+/**
+ * Dispatch an event published by a worker process
+ * @param {Object} event - Event from the bus (type, orderId, ...)
+ */
+function handleOrderEvent(event) {
+  switch (event.type) {
+    case 'status':
+      handleStatusEvent(event);
+      break;
+    case 'progress':
+      // Progress is frequent; only relay it to orders with a client attached
+      if (!hasSubscribers(event.orderId)) break;
+      sendUpdate(event.orderId, {
+        type: 'job_progress',
+        orderId: event.orderId,
+        dex: event.dex,
+        operation: event.operation,
+        progress: event.progress,
+        timestamp: event.timestamp
+      });
+      break;
+    case 'job_completed':
+      handleJobCompleted(event);
+      break;
+    case 'job_failed':
+      handleJobFailed(event);
+      break;
+    default:
+      logger.debug(`Ignoring unknown order event type ${event.type}`);
+  }
 }
 
-// Setup listeners for all workers
-setupWorkerListeners(raydiumWorker, 'Raydium');
-setupWorkerListeners(meteoraWorker, 'Meteora');
-setupWorkerListeners(orcaWorker, 'Orca');
-setupWorkerListeners(jupiterWorker, 'Jupiter');
+const eventBus = new EventBus(connection);
+
+eventBus.subscribe(handleOrderEvent).catch(error => {
+  logger.error('Failed to subscribe to order events', error);
+});
 
 // ========== GRACEFUL SHUTDOWN ==========
 
+// Stops reloading the token registry, set once the server listens
+let unwatchTokens = null;
+
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+
+  limitOrderBook.stop();
+  dexStats.stop();
+  quoteTicker.stopAll();
+  scheduleManager.stop().catch(error => logger.error('Failed to stop schedule worker', error));
+  eventBus.close().catch(error => logger.error('Failed to close order event bus', error));
+  if (unwatchTokens) {
+    unwatchTokens().catch(error => logger.error('Failed to stop watching token registry', error));
+  }
+  if (workerPool) {
+    workerPool.close().catch(error => logger.error('Failed to stop embedded workers', error));
+  }
   
   // Close all active connections
-  for (const [orderId, socket] of activeConnections.entries()) {
-    if (socket && socket.readyState === socket.OPEN) {
-      socket.close(1001, 'Server shutting down');
-    }
+  for (const subscribers of [...activeConnections.values(), channelClients]) {
+    subscribers.forEach(({ socket }) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.close(1001, 'Server shutting down');
+      }
+    });
   }
   
   // Clear all timeouts
   for (const timeout of quoteTimeouts.values()) {
     clearTimeout(timeout);
   }
+
+  for (const timer of sliceTimers.values()) {
+    clearTimeout(timer);
+  }
   
   for (const timeouts of pendingUpdatesMap.values()) {
     timeouts.forEach(clearTimeout);
@@ -823,17 +3933,51 @@ process.on('SIGTERM', () => {
 
 // ========== SERVER STARTUP ==========
 
-fastify.listen({ port: 3000, host: '0.0.0.0' }, (err) => {
+fastify.listen({ port: 3000, host: '0.0.0.0' }, async (err) => {
   if (err) {
     logger.error('Failed to start server', err);
     process.exit(1);
   }
+
+  try {
+    const stored = await tokenRegistry.load(connection);
+    syncGraphTokens();
+    if (stored.length > 0) logger.info(`Loaded token registry changes for ${stored.join(', ')}`);
+  } catch (error) {
+    logger.error('Failed to load token registry', error);
+  }
+
+  // Changes made through another server's admin API
+  try {
+    unwatchTokens = await tokenRegistry.watch(connection, symbol => {
+      syncGraphTokens();
+      logger.info(`Reloaded token registry after a change to ${symbol}`);
+    });
+  } catch (error) {
+    logger.error('Failed to watch token registry', error);
+  }
+
+  try {
+    await recoverOrders();
+  } catch (error) {
+    logger.error('Failed to recover orders', error);
+  }
+
+  try {
+    await restoreLimitOrders();
+  } catch (error) {
+    logger.error('Failed to restore limit orders', error);
+  }
+  limitOrderBook.start(pollLimitOrders);
+  scheduleManager.start(runSchedule);
+  dexStats.start(() => dexRegistry.names());
   
   logger.info('🚀 DEX Trading Server listening on port 3000');
   logger.info('📊 Routing hub initialized with strategies:', {
     strategies: Object.keys(routingHub.routingStrategies)
   });
   logger.info('🔌 WebSocket endpoints ready for order tracking');
+  logger.info(`📈 Limit order book polling every ${limitOrderBook.pollInterval}ms`);
   logger.info('✅ Server startup completed successfully');
 });
 
@@ -0,0 +1,324 @@
+const BN = require('bn.js');
+
+// ========== PAPER TRADING LEDGER ==========
+
+// Amounts are integer atomic units (see tokenRegistry.js), passed and stored
+// as strings. Redis integers and Lua numbers cannot hold every balance of an
+// 18-decimal token, so all arithmetic happens here with BN and Redis only
+// stores the results.
+
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Account hashes an update can write, in the order of accountKeys
+const ACCOUNT_HASHES = ['available', 'reserved', 'reservations'];
+
+// Write an account update only if the account did not change since it was
+// read. KEYS: the version key, then accountKeys. ARGV: expected version,
+// then (hash index, field, value) triplets; an empty value deletes the field.
+const COMPARE_AND_SET_SCRIPT = `
+if (redis.call('GET', KEYS[1]) or '0') ~= ARGV[1] then
+  return 0
+end
+for i = 2, #ARGV, 3 do
+  local key = KEYS[tonumber(ARGV[i]) + 2]
+  if ARGV[i + 2] == '' then
+    redis.call('HDEL', key, ARGV[i + 1])
+  else
+    redis.call('HSET', key, ARGV[i + 1], ARGV[i + 2])
+  end
+end
+redis.call('INCR', KEYS[1])
+return 1
+`;
+
+/**
+ * Add a signed atomic amount to a token -> amount map
+ */
+function credit(balances, token, amount) {
+  balances[token] = new BN(balances[token] || '0', 10).add(new BN(amount, 10)).toString(10);
+}
+
+/**
+ * Stored form of an account hash field; '' deletes it
+ */
+function encodeField(hash, value) {
+  if (value === undefined || value === null) return '';
+  return hash === 'reservations' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Ledger - simulated trading accounts in Redis. Orders reserve their input
+ * when they are accepted, so concurrent orders cannot spend the same funds;
+ * each filled swap spends from the reservation and credits the bought token,
+ * and whatever is left is released when the order ends. Every change reads
+ * the account, computes the new balances and writes them in one
+ * compare-and-set, recomputing from fresh state when another change landed
+ * first.
+ */
+class Ledger {
+  /**
+   * @param {Object} connection - ioredis connection
+   * @param {Object} options - { key }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.key = options.key || 'ledger';
+  }
+
+  accountsKey() {
+    return `${this.key}:accounts`;
+  }
+
+  /**
+   * Keys of an account: available and reserved amounts per token, and open
+   * reservations by ID
+   */
+  accountKeys(address) {
+    return [
+      `${this.key}:${address}:available`,
+      `${this.key}:${address}:reserved`,
+      `${this.key}:${address}:reservations`
+    ];
+  }
+
+  versionKey(address) {
+    return `${this.key}:${address}:version`;
+  }
+
+  /**
+   * Read an account's balances and reservations in one snapshot
+   * @returns {Object} { version, available, reserved, reservations: reservationId -> reservation }
+   */
+  async readState(address) {
+    const [availableKey, reservedKey, reservationsKey] = this.accountKeys(address);
+    const results = await this.connection.multi()
+      .get(this.versionKey(address))
+      .hgetall(availableKey)
+      .hgetall(reservedKey)
+      .hgetall(reservationsKey)
+      .exec();
+
+    const [version, available, reserved, reservations] = results.map(([error, value]) => {
+      if (error) throw error;
+      return value;
+    });
+
+    return {
+      version: version || '0',
+      available: { ...available },
+      reserved: { ...reserved },
+      reservations: Object.fromEntries(Object.entries(reservations || {}).map(([id, raw]) => [id, JSON.parse(raw)]))
+    };
+  }
+
+  /**
+   * Change an account atomically. The change runs against a fresh snapshot
+   * and may run again if another change landed meanwhile, so it must be
+   * synchronous and only touch the state it is given.
+   * @param {string} address - Wallet address
+   * @param {Function} change - state => result; mutates available, reserved and reservations (null deletes one)
+   * @returns {*} Result of the change
+   */
+  async update(address, change) {
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const before = await this.readState(address);
+      const after = JSON.parse(JSON.stringify(before));
+      const result = change(after);
+
+      const writes = [];
+      ACCOUNT_HASHES.forEach((hash, index) => {
+        const fields = new Set([...Object.keys(before[hash]), ...Object.keys(after[hash])]);
+        fields.forEach(field => {
+          const value = encodeField(hash, after[hash][field]);
+          if (value !== encodeField(hash, before[hash][field])) writes.push(String(index), field, value);
+        });
+      });
+
+      // Nothing changed; the snapshot was consistent
+      if (writes.length === 0) return result;
+
+      const written = await this.connection.eval(
+        COMPARE_AND_SET_SCRIPT, 4, this.versionKey(address), ...this.accountKeys(address),
+        before.version, ...writes
+      );
+
+      if (written === 1) return result;
+    }
+
+    throw new Error('Account kept changing, try again');
+  }
+
+  /**
+   * Open an account with starting balances
+   * @param {string} address - Wallet address
+   * @param {Object} balances - Token -> atomic amount
+   * @returns {Object|null} Account, null if it already exists
+   */
+  async createAccount(address, balances = {}) {
+    const created = await this.connection.hsetnx(this.accountsKey(), address, new Date().toISOString());
+    if (!created) return null;
+
+    await this.update(address, state => {
+      Object.entries(balances).forEach(([token, amount]) => {
+        credit(state.available, token.toUpperCase(), String(amount));
+      });
+    });
+
+    return this.getAccount(address);
+  }
+
+  async hasAccount(address) {
+    return (await this.connection.hexists(this.accountsKey(), address)) === 1;
+  }
+
+  /**
+   * Add funds to an account
+   * @param {string} address - Wallet address
+   * @param {string} token - Token symbol
+   * @param {string} amount - Atomic amount to add
+   * @returns {string|null} New available balance, null if there is no account
+   */
+  async deposit(address, token, amount) {
+    if (!(await this.hasAccount(address))) return null;
+
+    const symbol = token.toUpperCase();
+    return this.update(address, state => {
+      credit(state.available, symbol, String(amount));
+      return state.available[symbol];
+    });
+  }
+
+  /**
+   * Balances and open reservations of an account
+   * @param {string} address - Wallet address
+   * @returns {Object|null} { address, createdAt, balances: { token: { available, reserved, total } }, reservations } - atomic amounts
+   */
+  async getAccount(address) {
+    const [createdAt, { available, reserved, reservations }] = await Promise.all([
+      this.connection.hget(this.accountsKey(), address),
+      this.readState(address)
+    ]);
+
+    if (!createdAt) return null;
+
+    const balances = {};
+    new Set([...Object.keys(available), ...Object.keys(reserved)]).forEach(token => {
+      const free = available[token] || '0';
+      const held = reserved[token] || '0';
+      balances[token] = { available: free, reserved: held, total: new BN(free, 10).add(new BN(held, 10)).toString(10) };
+    });
+
+    return {
+      address,
+      createdAt,
+      balances,
+      reservations: Object.values(reservations)
+    };
+  }
+
+  /**
+   * Reserve funds for an order
+   * @param {string} address - Wallet address
+   * @param {string} reservationId - Reservation ID (the order or bracket ID)
+   * @param {string} token - Token to reserve
+   * @param {string} amount - Atomic amount to reserve
+   * @returns {Object} { status: 'reserved' | 'no_account' | 'insufficient' | 'exists', available }
+   */
+  async reserve(address, reservationId, token, amount) {
+    if (!(await this.hasAccount(address))) {
+      return { status: 'no_account', available: '0' };
+    }
+
+    const symbol = token.toUpperCase();
+    const reservation = {
+      reservationId,
+      address,
+      token: symbol,
+      inputToken: symbol,
+      amount: String(amount),
+      remaining: String(amount),
+      fills: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    return this.update(address, state => {
+      if (state.reservations[reservationId]) {
+        return { status: 'exists', available: '0' };
+      }
+
+      const available = state.available[symbol] || '0';
+      if (new BN(available, 10).lt(new BN(amount, 10))) {
+        return { status: 'insufficient', available };
+      }
+
+      credit(state.available, symbol, `-${amount}`);
+      credit(state.reserved, symbol, String(amount));
+      state.reservations[reservationId] = reservation;
+      return { status: 'reserved', available };
+    });
+  }
+
+  /**
+   * Apply a filled swap to a reservation
+   * @param {string} address - Wallet address
+   * @param {string} reservationId - Reservation ID
+   * @param {Object} fill - { spent, receivedToken, received, hold } - atomic amounts; hold keeps the received token reserved
+   * @returns {Object|null} Updated reservation, null if it does not exist
+   */
+  async fill(address, reservationId, { spent, receivedToken, received, hold = false }) {
+    const symbol = receivedToken.toUpperCase();
+
+    return this.update(address, state => {
+      const reservation = state.reservations[reservationId];
+      if (!reservation) return null;
+
+      const remaining = new BN(reservation.remaining, 10);
+      const used = BN.min(new BN(spent, 10), remaining);
+      const left = remaining.sub(used);
+      credit(state.reserved, reservation.token, used.neg().toString(10));
+
+      if (hold) {
+        // The bought token replaces the reservation; the unspent rest is freed
+        if (!left.isZero()) {
+          credit(state.reserved, reservation.token, left.neg().toString(10));
+          credit(state.available, reservation.token, left.toString(10));
+        }
+        reservation.token = symbol;
+        reservation.remaining = String(received);
+        credit(state.reserved, symbol, String(received));
+      } else {
+        reservation.remaining = left.toString(10);
+        credit(state.available, symbol, String(received));
+      }
+
+      reservation.fills += 1;
+      reservation.updatedAt = new Date().toISOString();
+      return reservation;
+    });
+  }
+
+  /**
+   * Release what is left of a reservation
+   * @param {string} address - Wallet address
+   * @param {string} reservationId - Reservation ID
+   * @returns {Object|null} Released reservation, null if it does not exist
+   */
+  async release(address, reservationId) {
+    return this.update(address, state => {
+      const reservation = state.reservations[reservationId];
+      if (!reservation) return null;
+
+      if (new BN(reservation.remaining, 10).gtn(0)) {
+        credit(state.reserved, reservation.token, `-${reservation.remaining}`);
+        credit(state.available, reservation.token, reservation.remaining);
+      }
+
+      state.reservations[reservationId] = null;
+      return reservation;
+    });
+  }
+}
+
+module.exports = {
+  Ledger
+};
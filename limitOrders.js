@@ -0,0 +1,186 @@
+// ========== LIMIT ORDER BOOK ==========
+
+/**
+ * Price conditions for each conditional order type. Prices are quote tokens
+ * received per base token sold.
+ * - LIMIT / TAKE_PROFIT fire once the market rises to the threshold
+ * - STOP_LOSS fires once the market falls to the threshold
+ */
+const TRIGGER_CONDITIONS = {
+  'LIMIT': (price, threshold) => price >= threshold,
+  'TAKE_PROFIT': (price, threshold) => price >= threshold,
+  'STOP_LOSS': (price, threshold) => price <= threshold
+};
+
+const TRIGGER_ORDER_TYPES = Object.keys(TRIGGER_CONDITIONS);
+
+/**
+ * Limit Order Book - keeps resting conditional orders (limit, stop-loss,
+ * take-profit) in Redis so they survive restarts, and drives the periodic
+ * re-quote loop that checks them against the DEX quotes
+ */
+class LimitOrderBook {
+  /**
+   * @param {Object} connection - ioredis connection
+   * @param {Object} options - { key, pollInterval }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.key = options.key || 'limit-orders';
+    this.pollInterval = options.pollInterval || 15000;
+    this.timer = null;
+    this.loop = null;
+  }
+
+  /**
+   * Add (or replace) an order in the book
+   * @param {Object} order - Order record, must contain orderId
+   * @returns {Object} Stored order
+   */
+  async add(order) {
+    if (!order || !order.orderId) {
+      throw new Error('Order with orderId is required');
+    }
+
+    await this.connection.hset(this.key, order.orderId, JSON.stringify(order));
+    return order;
+  }
+
+  /**
+   * Get a single order from the book
+   * @param {string} orderId - Order ID
+   * @returns {Object|null} Stored order or null
+   */
+  async get(orderId) {
+    const raw = await this.connection.hget(this.key, orderId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Merge changes into a stored order
+   * @param {string} orderId - Order ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} Updated order or null if it is not in the book
+   */
+  async update(orderId, changes) {
+    const order = await this.get(orderId);
+    if (!order) return null;
+
+    const updated = { ...order, ...changes, updatedAt: new Date().toISOString() };
+    await this.connection.hset(this.key, orderId, JSON.stringify(updated));
+    return updated;
+  }
+
+  /**
+   * Remove an order from the book
+   * @param {string} orderId - Order ID
+   * @returns {boolean} Whether an order was removed
+   */
+  async remove(orderId) {
+    const removed = await this.connection.hdel(this.key, orderId);
+    return removed > 0;
+  }
+
+  /**
+   * List orders in the book
+   * @param {string} status - Optional status filter (waiting, triggered)
+   * @param {Object} options - { wallet } - only orders placed from this wallet address
+   * @returns {Array} Stored orders
+   */
+  async list(status = null, { wallet } = {}) {
+    const entries = await this.connection.hgetall(this.key);
+    const orders = Object.values(entries).map(raw => JSON.parse(raw));
+    return orders.filter(order =>
+      (!status || order.status === status) &&
+      (!wallet || (order.wallet && order.wallet.address === wallet))
+    );
+  }
+
+  /**
+   * Effective execution price of a quote (quote tokens received per base token)
+   * @param {Object} quote - Quote object
+   * @returns {number} Execution price
+   */
+  getExecutionPrice(quote) {
+    if (!quote || !quote.inputAmount) return 0;
+    return quote.outputAmount / quote.inputAmount;
+  }
+
+  /**
+   * Price threshold of a conditional order
+   * @param {Object} order - Order with limitPrice or triggerPrice
+   * @returns {number} Threshold price
+   */
+  getThreshold(order) {
+    return order.type === 'LIMIT' ? order.limitPrice : order.triggerPrice;
+  }
+
+  /**
+   * Check whether a quote satisfies the order's trigger condition
+   * @param {Object} order - Order with type and limitPrice/triggerPrice
+   * @param {Object} quote - Best quote from the routing hub
+   * @returns {boolean} True if the order should execute
+   */
+  isTriggered(order, quote) {
+    const condition = TRIGGER_CONDITIONS[order.type];
+    if (!condition) {
+      throw new Error(`Unknown conditional order type: ${order.type}`);
+    }
+
+    return condition(this.getExecutionPrice(quote), this.getThreshold(order));
+  }
+
+  /**
+   * Check whether an order has passed its expiry time
+   * @param {Object} order - Order with optional expiresAt
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if expired
+   */
+  isExpired(order, now = Date.now()) {
+    if (!order.expiresAt) return false;
+    return new Date(order.expiresAt).getTime() <= now;
+  }
+
+  /**
+   * Start the periodic re-quote loop. The next tick is scheduled once the
+   * current one has finished, so slow ticks never overlap and an order is
+   * never evaluated by two ticks at once.
+   * @param {Function} onTick - Async callback invoked pollInterval after the previous tick finished
+   */
+  start(onTick) {
+    if (this.loop) return;
+
+    const loop = {};
+    this.loop = loop;
+
+    const schedule = () => {
+      this.timer = setTimeout(() => {
+        Promise.resolve()
+          .then(onTick)
+          .catch(error => console.error('Limit order book tick failed:', error.message))
+          .finally(() => {
+            // stop() (or a restart) while the tick ran ends this loop
+            if (this.loop === loop) schedule();
+          });
+      }, this.pollInterval);
+    };
+
+    schedule();
+  }
+
+  /**
+   * Stop the periodic re-quote loop
+   */
+  stop() {
+    this.loop = null;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  LimitOrderBook,
+  TRIGGER_ORDER_TYPES
+};
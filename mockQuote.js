@@ -1,3 +1,10 @@
+const { ConstantProductPool } = require('./constantProductPool');
+const { WhirlpoolPool, tickToSqrtPrice, priceToTick } = require('./whirlpool');
+const { DLMMPool, priceToBinId } = require('./dlmmPool');
+const BN = require('bn.js');
+const { tokenRegistry } = require('./tokenRegistry');
+const { poolStore } = require('./poolStore');
+
 // ========== CORE TYPES AND CONSTANTS ==========
 const DEX_PROVIDERS = {
     RAYDIUM: 'Raydium',
@@ -6,12 +13,7 @@ const DEX_PROVIDERS = {
     JUPITER: 'Jupiter'
   };
   
-  const TOKEN_ADDRESSES = {
-    SOL: 'So11111111111111111111111111111111111111112',
-    USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-    USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
-    BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263'
-  };
+  const STABLECOINS = ['USDC', 'USDT'];
   
   // ========== UTILITY FUNCTIONS ==========
   function simulateDelay(min = 2000, max = 5000) {
@@ -20,15 +22,49 @@ const DEX_PROVIDERS = {
     return new Promise(resolve => setTimeout(resolve, delay));
   }
   
+  const BASE_PRICES = {
+    'SOL/USDC': 98.5,
+    'SOL/USDT': 98.2,
+    'BONK/USDC': 0.000025,
+    'USDC/USDT': 0.9995
+  };
+  
+  function lookupPrice(base, quote) {
+    if (base === quote) return 1;
+    if (BASE_PRICES[`${base}/${quote}`]) return BASE_PRICES[`${base}/${quote}`];
+    
+    // Buying the base with the quote token (e.g. USDC -> SOL for DCA buys)
+    if (BASE_PRICES[`${quote}/${base}`]) return 1 / BASE_PRICES[`${quote}/${base}`];
+    
+    return null;
+  }
+  
   function getBasePrice(tokenPair) {
-    const basePrices = {
-      'SOL/USDC': 98.5,
-      'SOL/USDT': 98.2,
-      'BONK/USDC': 0.000025,
-      'USDC/USDT': 0.9995
-    };
-    const pairKey = `${tokenPair.base}/${tokenPair.quote}`;
-    return basePrices[pairKey] || 100;
+    const direct = lookupPrice(tokenPair.base, tokenPair.quote);
+    if (direct) return direct;
+    
+    // Cross pairs without a listed price (e.g. BONK/SOL) are priced through USDC
+    const baseInUsdc = lookupPrice(tokenPair.base, 'USDC');
+    const quoteInUsdc = lookupPrice(tokenPair.quote, 'USDC');
+    if (baseInUsdc && quoteInUsdc) return baseInUsdc / quoteInUsdc;
+    
+    // Tokens added at runtime have no reference price; never make one up
+    throw new Error(`No reference price for ${tokenPair.base}/${tokenPair.quote}`);
+  }
+  
+  // Quotes and swaps take and return amounts in integer atomic units (see
+  // tokenRegistry.js); the pool math runs in token units in between
+  function toTokenAmount(token, atomic) {
+    return tokenRegistry.toAmount(token, atomic);
+  }
+  
+  function toAtomicAmount(token, amount) {
+    // Pool outputs are rounded down, never promising more than the pool pays
+    return tokenRegistry.toAtomic(token, amount, { exact: false });
+  }
+  
+  function formatPrice(price) {
+    return Number(price.toPrecision(6));
   }
   
   function validateWallet(wallet, requiredToken, requiredAmount) {
@@ -36,39 +72,63 @@ const DEX_PROVIDERS = {
       return { valid: false, error: 'Invalid wallet' };
     }
     
-    const balance = wallet.balances[requiredToken] || 0;
-    if (balance < requiredAmount) {
+    const balance = wallet.balances[requiredToken] || '0';
+    if (new BN(balance, 10).lt(new BN(requiredAmount, 10))) {
       return { 
         valid: false, 
-        error: `Insufficient ${requiredToken} balance. Required: ${requiredAmount}, Available: ${balance}` 
+        error: `Insufficient ${requiredToken} balance. Required: ${toTokenAmount(requiredToken, requiredAmount)}, Available: ${toTokenAmount(requiredToken, balance)}` 
       };
     }
     
     return { valid: true };
   }
   
+  // Current state of one pool; see poolStore.js for where pools live
+  async function loadPool(venue, tokenPair) {
+    return (await poolStore.load([{ venue, tokenPair }])).get(venue, tokenPair);
+  }
+  
+  // Debit the input and credit the output of a filled swap
+  function settleWallet(wallet, tokenPair, inputAmount, outputAmount) {
+    const balances = wallet.balances;
+    balances[tokenPair.base] = new BN(balances[tokenPair.base], 10).sub(new BN(inputAmount, 10)).toString(10);
+    balances[tokenPair.quote] = new BN(balances[tokenPair.quote] || '0', 10).add(new BN(outputAmount, 10)).toString(10);
+  }
+  
   // ========== RAYDIUM DEX ==========
+  // Raydium quotes and swaps run against stateful constant product pools, so
+  // price impact depends on trade size and every swap moves the market
+  const RAYDIUM_POOL_LIQUIDITY = 10000000; // USD value seeded into each pool
+  const RAYDIUM_SLIPPAGE_TOLERANCE = 0.01;  // Max output drop between quote and execution
+  
+  function createRaydiumPool(tokenPair) {
+    const [tokenA, tokenB] = [tokenPair.base, tokenPair.quote].sort();
+    // Half of the liquidity on each side, at the reference price of the pair
+    const reserveA = RAYDIUM_POOL_LIQUIDITY / 2 / getBasePrice({ base: tokenA, quote: 'USDC' });
+    const reserveB = reserveA * getBasePrice({ base: tokenA, quote: tokenB });
+    return new ConstantProductPool(tokenA, tokenB, reserveA, reserveB, { feeRate: 0.0025 });
+  }
+  
+  poolStore.define(DEX_PROVIDERS.RAYDIUM, { create: createRaydiumPool, restore: ConstantProductPool.fromJSON });
+  
   async function raydiumQuote(tokenPair, inputAmount) {
     await simulateDelay(2000, 2500);
     
-    const basePrice = getBasePrice(tokenPair);
-    const variation = (Math.random() - 0.5) * 0.015; // ±1.5%
-    const adjustedPrice = basePrice * (1 + variation);
-    const feeRate = 0.0025;
-    
-    const outputAmount = inputAmount * adjustedPrice * (1 - feeRate);
-    const priceImpact = Math.random() * 0.008;
+    const pool = await loadPool(DEX_PROVIDERS.RAYDIUM, tokenPair);
+    const simulation = pool.getAmountOut(tokenPair.base, toTokenAmount(tokenPair.base, inputAmount));
+    const reserves = pool.getReserves();
     
     return {
       provider: DEX_PROVIDERS.RAYDIUM,
       inputToken: tokenPair.base,
       outputToken: tokenPair.quote,
       inputAmount,
-      outputAmount: Number(outputAmount.toFixed(6)),
-      price: Number(adjustedPrice.toFixed(4)),
-      priceImpact: Number((priceImpact * 100).toFixed(3)),
-      fee: feeRate * 100,
-      liquidity: Math.random() * 15000000 + 5000000,
+      outputAmount: toAtomicAmount(tokenPair.quote, simulation.outputAmount),
+      price: formatPrice(simulation.spotPrice),
+      priceImpact: Number(simulation.priceImpact.toFixed(3)),
+      fee: simulation.fee,
+      liquidity: reserves[tokenPair.quote] * getBasePrice({ base: tokenPair.quote, quote: 'USDC' }) * 2,
+      reserves,
       poolType: 'AMM',
       timestamp: new Date().toISOString()
     };
@@ -87,8 +147,20 @@ const DEX_PROVIDERS = {
     // Simulate swap execution
     await simulateDelay(3000, 4000);
     
-    // Check for slippage failure (5% chance)
-    if (Math.random() < 0.05) {
+    // Other swaps may have moved the pool since the quote
+    const amount = toTokenAmount(tokenPair.base, inputAmount);
+    const minOutput = toTokenAmount(tokenPair.quote, quote.outputAmount) * (1 - RAYDIUM_SLIPPAGE_TOLERANCE);
+    
+    // Check for slippage failure (5% chance, or the pool moved too far)
+    const execution = Math.random() < 0.05 ? null : await poolStore.update(
+      [{ venue: DEX_PROVIDERS.RAYDIUM, tokenPair }],
+      pools => {
+        const pool = pools.get(DEX_PROVIDERS.RAYDIUM, tokenPair);
+        return pool.getAmountOut(tokenPair.base, amount).outputAmount < minOutput ? null : pool.swap(tokenPair.base, amount);
+      }
+    );
+    
+    if (!execution) {
       return { 
         success: false, 
         error: 'Transaction failed due to slippage',
@@ -96,17 +168,21 @@ const DEX_PROVIDERS = {
       };
     }
     
+    const outputAmount = toAtomicAmount(tokenPair.quote, execution.outputAmount);
+    
     // Update wallet balances
-    wallet.balances[tokenPair.base] -= inputAmount;
-    wallet.balances[tokenPair.quote] = (wallet.balances[tokenPair.quote] || 0) + quote.outputAmount;
+    settleWallet(wallet, tokenPair, inputAmount, outputAmount);
     
     const txHash = 'raydium_' + Math.random().toString(36).substring(2, 15);
     
     return {
       success: true,
       transactionHash: txHash,
+      inputToken: tokenPair.base,
+      outputToken: tokenPair.quote,
       inputAmount,
-      outputAmount: quote.outputAmount,
+      outputAmount,
+      priceImpact: Number(execution.priceImpact.toFixed(3)),
       provider: DEX_PROVIDERS.RAYDIUM,
       timestamp: new Date().toISOString(),
       updatedWallet: { ...wallet }
@@ -114,29 +190,55 @@ const DEX_PROVIDERS = {
   }
   
   // ========== METEORA DEX ==========
+  // Meteora quotes and swaps consume the bins of stateful DLMM pools; each bin
+  // trades at a fixed price, so impact comes from the number of bins crossed
+  const METEORA_POOL_LIQUIDITY = 9000000; // USD value seeded into each pool
+  const METEORA_BINS_PER_SIDE = 35;       // Bins seeded on each side of the active bin
+  
+  function createMeteoraPool(tokenPair) {
+    const [tokenX, tokenY] = [tokenPair.base, tokenPair.quote].sort();
+    const binStep = STABLECOINS.includes(tokenX) && STABLECOINS.includes(tokenY) ? 1 : 10;
+    const activeBinId = priceToBinId(getBasePrice({ base: tokenX, quote: tokenY }), binStep);
+    const pool = new DLMMPool(tokenX, tokenY, activeBinId, { binStep, feeRate: 0.001 });
+    
+    // Spot distribution: the same USD value in every bin, the active bin split in half
+    const binValue = METEORA_POOL_LIQUIDITY / (METEORA_BINS_PER_SIDE * 2 + 1);
+    const binX = binValue / getBasePrice({ base: tokenX, quote: 'USDC' });
+    const binY = binValue / getBasePrice({ base: tokenY, quote: 'USDC' });
+    
+    for (let offset = 1; offset <= METEORA_BINS_PER_SIDE; offset++) {
+      pool.addLiquidity(activeBinId - offset, 0, binY);
+      pool.addLiquidity(activeBinId + offset, binX, 0);
+    }
+    pool.addLiquidity(activeBinId, binX / 2, binY / 2);
+    
+    return pool;
+  }
+  
+  poolStore.define(DEX_PROVIDERS.METEORA, { create: createMeteoraPool, restore: DLMMPool.fromJSON });
+  
   async function meteoraQuote(tokenPair, inputAmount) {
     await simulateDelay(2200, 2800);
     
-    const basePrice = getBasePrice(tokenPair);
-    const variation = (Math.random() - 0.5) * 0.012; // ±1.2%
-    const adjustedPrice = basePrice * (1 + variation + 0.008); // Slightly better rates
-    const feeRate = 0.001;
-    
-    const outputAmount = inputAmount * adjustedPrice * (1 - feeRate);
-    const priceImpact = Math.random() * 0.005;
+    const pool = await loadPool(DEX_PROVIDERS.METEORA, tokenPair);
+    const simulation = pool.getAmountOut(tokenPair.base, toTokenAmount(tokenPair.base, inputAmount));
+    const state = pool.getState();
     
     return {
       provider: DEX_PROVIDERS.METEORA,
       inputToken: tokenPair.base,
       outputToken: tokenPair.quote,
       inputAmount,
-      outputAmount: Number(outputAmount.toFixed(6)),
-      price: Number(adjustedPrice.toFixed(4)),
-      priceImpact: Number((priceImpact * 100).toFixed(3)),
-      fee: feeRate * 100,
-      liquidity: Math.random() * 12000000 + 3000000,
+      outputAmount: toAtomicAmount(tokenPair.quote, simulation.outputAmount),
+      price: formatPrice(simulation.spotPrice),
+      priceImpact: Number(simulation.priceImpact.toFixed(3)),
+      fee: simulation.fee,
+      liquidity: METEORA_POOL_LIQUIDITY,
       poolType: 'DLMM',
-      bins: Math.floor(Math.random() * 50) + 20,
+      bins: state.bins,
+      binStep: state.binStep,
+      activeBinId: state.activeBinId,
+      binsCrossed: simulation.binsCrossed,
       timestamp: new Date().toISOString()
     };
   }
@@ -147,27 +249,39 @@ const DEX_PROVIDERS = {
       return { success: false, error: walletCheck.error };
     }
     
-    const quote = await meteoraQuote(tokenPair, inputAmount);
-    await simulateDelay(3200, 4200);
+    let quote;
+    let execution;
     
-    if (Math.random() < 0.03) { // 3% failure rate
+    try {
+      quote = await meteoraQuote(tokenPair, inputAmount);
+      await simulateDelay(3200, 4200);
+      // Executes against the bins as they are now, which may have moved since the quote
+      execution = await poolStore.update([{ venue: DEX_PROVIDERS.METEORA, tokenPair }], pools =>
+        pools.get(DEX_PROVIDERS.METEORA, tokenPair).swap(tokenPair.base, toTokenAmount(tokenPair.base, inputAmount))
+      );
+    } catch (error) {
       return { 
         success: false, 
-        error: 'DLMM bin allocation failed',
+        error: error.message,
         quote 
       };
     }
     
-    wallet.balances[tokenPair.base] -= inputAmount;
-    wallet.balances[tokenPair.quote] = (wallet.balances[tokenPair.quote] || 0) + quote.outputAmount;
+    const outputAmount = toAtomicAmount(tokenPair.quote, execution.outputAmount);
+    
+    settleWallet(wallet, tokenPair, inputAmount, outputAmount);
     
     const txHash = 'meteora_' + Math.random().toString(36).substring(2, 15);
     
     return {
       success: true,
       transactionHash: txHash,
+      inputToken: tokenPair.base,
+      outputToken: tokenPair.quote,
       inputAmount,
-      outputAmount: quote.outputAmount,
+      outputAmount,
+      priceImpact: Number(execution.priceImpact.toFixed(3)),
+      binsCrossed: execution.binsCrossed,
       provider: DEX_PROVIDERS.METEORA,
       timestamp: new Date().toISOString(),
       updatedWallet: { ...wallet }
@@ -175,29 +289,59 @@ const DEX_PROVIDERS = {
   }
   
   // ========== ORCA DEX ==========
+  // Orca quotes and swaps walk the ticks of stateful concentrated liquidity
+  // pools; orders larger than the liquidity in range fail as they would on-chain
+  const ORCA_POOL_LIQUIDITY = 12000000; // USD value seeded into each pool
+  const ORCA_POSITIONS = [              // Range around the initial price and share of the liquidity
+    { range: 0.01, share: 0.5 },
+    { range: 0.05, share: 0.3 },
+    { range: 0.2, share: 0.2 }
+  ];
+  
+  function createOrcaPool(tokenPair) {
+    const [token0, token1] = [tokenPair.base, tokenPair.quote].sort();
+    const price = getBasePrice({ base: token0, quote: token1 });
+    const tickSpacing = STABLECOINS.includes(token0) && STABLECOINS.includes(token1) ? 8 : 64;
+    const pool = new WhirlpoolPool(token0, token1, price, { tickSpacing, feeRate: 0.003 });
+    
+    const sqrtPrice = Math.sqrt(price);
+    const liquidityInToken1 = ORCA_POOL_LIQUIDITY / getBasePrice({ base: token1, quote: 'USDC' });
+    
+    ORCA_POSITIONS.forEach(({ range, share }) => {
+      const tickLower = Math.floor(priceToTick(price * (1 - range)) / tickSpacing) * tickSpacing;
+      const tickUpper = Math.ceil(priceToTick(price * (1 + range)) / tickSpacing) * tickSpacing;
+      // Value (in token1) held by one unit of liquidity over this range at the current price
+      const valuePerLiquidity = (sqrtPrice - tickToSqrtPrice(tickLower)) +
+        price * (1 / sqrtPrice - 1 / tickToSqrtPrice(tickUpper));
+      pool.addPosition(tickLower, tickUpper, (liquidityInToken1 * share) / valuePerLiquidity);
+    });
+    
+    return pool;
+  }
+  
+  poolStore.define(DEX_PROVIDERS.ORCA, { create: createOrcaPool, restore: WhirlpoolPool.fromJSON });
+  
   async function orcaQuote(tokenPair, inputAmount) {
     await simulateDelay(1800, 2400);
     
-    const basePrice = getBasePrice(tokenPair);
-    const variation = (Math.random() - 0.5) * 0.018; // ±1.8%
-    const adjustedPrice = basePrice * (1 + variation - 0.003); // Slightly lower rates
-    const feeRate = 0.003;
-    
-    const outputAmount = inputAmount * adjustedPrice * (1 - feeRate);
-    const priceImpact = Math.random() * 0.006;
+    const pool = await loadPool(DEX_PROVIDERS.ORCA, tokenPair);
+    const simulation = pool.getAmountOut(tokenPair.base, toTokenAmount(tokenPair.base, inputAmount));
+    const state = pool.getState();
     
     return {
       provider: DEX_PROVIDERS.ORCA,
       inputToken: tokenPair.base,
       outputToken: tokenPair.quote,
       inputAmount,
-      outputAmount: Number(outputAmount.toFixed(6)),
-      price: Number(adjustedPrice.toFixed(4)),
-      priceImpact: Number((priceImpact * 100).toFixed(3)),
-      fee: feeRate * 100,
-      liquidity: Math.random() * 18000000 + 8000000,
+      outputAmount: toAtomicAmount(tokenPair.quote, simulation.outputAmount),
+      price: formatPrice(simulation.spotPrice),
+      priceImpact: Number(simulation.priceImpact.toFixed(3)),
+      fee: simulation.fee,
+      liquidity: ORCA_POOL_LIQUIDITY,
       poolType: 'Whirlpool',
-      tickSpacing: Math.random() > 0.5 ? 64 : 128,
+      tickSpacing: state.tickSpacing,
+      currentTick: state.currentTick,
+      ticksCrossed: simulation.ticksCrossed,
       timestamp: new Date().toISOString()
     };
   }
@@ -208,27 +352,39 @@ const DEX_PROVIDERS = {
       return { success: false, error: walletCheck.error };
     }
     
-    const quote = await orcaQuote(tokenPair, inputAmount);
-    await simulateDelay(2800, 3800);
+    let quote;
+    let execution;
     
-    if (Math.random() < 0.04) { // 4% failure rate
+    try {
+      quote = await orcaQuote(tokenPair, inputAmount);
+      await simulateDelay(2800, 3800);
+      // Executes against the pool as it is now, which may have moved since the quote
+      execution = await poolStore.update([{ venue: DEX_PROVIDERS.ORCA, tokenPair }], pools =>
+        pools.get(DEX_PROVIDERS.ORCA, tokenPair).swap(tokenPair.base, toTokenAmount(tokenPair.base, inputAmount))
+      );
+    } catch (error) {
       return { 
         success: false, 
-        error: 'Whirlpool tick range exceeded',
+        error: error.message,
         quote 
       };
     }
     
-    wallet.balances[tokenPair.base] -= inputAmount;
-    wallet.balances[tokenPair.quote] = (wallet.balances[tokenPair.quote] || 0) + quote.outputAmount;
+    const outputAmount = toAtomicAmount(tokenPair.quote, execution.outputAmount);
+    
+    settleWallet(wallet, tokenPair, inputAmount, outputAmount);
     
     const txHash = 'orca_' + Math.random().toString(36).substring(2, 15);
     
     return {
       success: true,
       transactionHash: txHash,
+      inputToken: tokenPair.base,
+      outputToken: tokenPair.quote,
       inputAmount,
-      outputAmount: quote.outputAmount,
+      outputAmount,
+      priceImpact: Number(execution.priceImpact.toFixed(3)),
+      ticksCrossed: execution.ticksCrossed,
       provider: DEX_PROVIDERS.ORCA,
       timestamp: new Date().toISOString(),
       updatedWallet: { ...wallet }
@@ -236,39 +392,113 @@ const DEX_PROVIDERS = {
   }
   
   // ========== JUPITER DEX ==========
-  async function jupiterQuote(tokenPair, inputAmount) {
-    await simulateDelay(2500, 3200);
+  // Jupiter aggregates the other venues: it searches direct and
+  // one-intermediate-token routes over the Raydium, Orca and Meteora pools and
+  // executes the chosen legs against those pools
+  const JUPITER_SLIPPAGE_TOLERANCE = 0.01;
+  const JUPITER_VENUES = [DEX_PROVIDERS.RAYDIUM, DEX_PROVIDERS.ORCA, DEX_PROVIDERS.METEORA];
+  
+  /**
+   * Pools a route search may use: the direct pair and both legs through each
+   * intermediate token, on every venue
+   */
+  function getJupiterPoolRefs(tokenPair) {
+    const pairs = [tokenPair];
+    
+    tokenRegistry.symbols()
+      .filter(token => token !== tokenPair.base && token !== tokenPair.quote)
+      .forEach(intermediate => {
+        pairs.push({ base: tokenPair.base, quote: intermediate }, { base: intermediate, quote: tokenPair.quote });
+      });
     
-    const basePrice = getBasePrice(tokenPair);
-    const variation = (Math.random() - 0.5) * 0.008; // ±0.8%
-    const adjustedPrice = basePrice * (1 + variation + 0.012); // Best rates
-    const feeRate = 0.002;
+    return pairs.flatMap(pair => JUPITER_VENUES.map(venue => ({ venue, tokenPair: pair })));
+  }
+  
+  /**
+   * Best venue for a single leg; venues that cannot fill the amount are skipped
+   */
+  function findBestLeg(pools, from, to, inputAmount) {
+    let best = null;
+    
+    JUPITER_VENUES.forEach(venue => {
+      try {
+        const simulation = pools.get(venue, { base: from, quote: to }).getAmountOut(from, inputAmount);
+        if (!best || simulation.outputAmount > best.outputAmount) {
+          best = {
+            from,
+            to,
+            venue,
+            inputAmount,
+            outputAmount: simulation.outputAmount,
+            priceImpact: simulation.priceImpact,
+            fee: simulation.fee
+          };
+        }
+      } catch (error) {
+        // Not enough liquidity on this venue for the leg
+      }
+    });
     
-    const outputAmount = inputAmount * adjustedPrice * (1 - feeRate);
-    const priceImpact = Math.random() * 0.003;
+    return best;
+  }
+  
+  /**
+   * Best route through the aggregated venues, direct or via one intermediate token
+   */
+  function findJupiterRoute(pools, tokenPair, inputAmount) {
+    const candidates = [];
+    
+    const direct = findBestLeg(pools, tokenPair.base, tokenPair.quote, inputAmount);
+    if (direct) candidates.push([direct]);
+    
+    tokenRegistry.symbols()
+      .filter(token => token !== tokenPair.base && token !== tokenPair.quote)
+      .forEach(intermediate => {
+        const first = findBestLeg(pools, tokenPair.base, intermediate, inputAmount);
+        const second = first && findBestLeg(pools, intermediate, tokenPair.quote, first.outputAmount);
+        if (second) candidates.push([first, second]);
+      });
+    
+    if (candidates.length === 0) {
+      throw new Error('Route optimization failed');
+    }
+    
+    return candidates.reduce((best, legs) =>
+      legs[legs.length - 1].outputAmount > best[best.length - 1].outputAmount ? legs : best
+    );
+  }
+  
+  async function jupiterQuote(tokenPair, inputAmount) {
+    await simulateDelay(2500, 3200);
     
-    // Generate route
-    const possibleRoutes = [
-      [tokenPair.base, tokenPair.quote],
-      [tokenPair.base, 'USDC', tokenPair.quote],
-      [tokenPair.base, 'SOL', tokenPair.quote]
-    ];
-    const route = possibleRoutes[Math.floor(Math.random() * possibleRoutes.length)];
+    const amount = toTokenAmount(tokenPair.base, inputAmount);
+    const pools = await poolStore.load(getJupiterPoolRefs(tokenPair));
+    const legs = findJupiterRoute(pools, tokenPair, amount);
+    const outputAmount = legs[legs.length - 1].outputAmount;
+    const keptAfterFees = legs.reduce((kept, leg) => kept * (1 - leg.fee / 100), 1);
+    const keptAfterImpact = legs.reduce((kept, leg) => kept * (1 - leg.priceImpact / 100), 1);
     
     return {
       provider: DEX_PROVIDERS.JUPITER,
       inputToken: tokenPair.base,
       outputToken: tokenPair.quote,
       inputAmount,
-      outputAmount: Number(outputAmount.toFixed(6)),
-      price: Number(adjustedPrice.toFixed(4)),
-      priceImpact: Number((priceImpact * 100).toFixed(3)),
-      fee: feeRate * 100,
-      route,
-      liquidity: Math.random() * 25000000 + 10000000,
+      outputAmount: toAtomicAmount(tokenPair.quote, outputAmount),
+      price: formatPrice(outputAmount / amount),
+      priceImpact: Number(((1 - keptAfterImpact) * 100).toFixed(3)),
+      fee: Number(((1 - keptAfterFees) * 100).toFixed(4)),
+      route: [tokenPair.base, ...legs.map(leg => leg.to)],
+      legs: legs.map(leg => ({
+        ...leg,
+        inputAmount: toAtomicAmount(leg.from, leg.inputAmount),
+        outputAmount: toAtomicAmount(leg.to, leg.outputAmount)
+      })),
+      // Combined depth of the aggregated venues on the direct pair
+      liquidity: pools.get(DEX_PROVIDERS.RAYDIUM, tokenPair).getReserves()[tokenPair.quote] * getBasePrice({ base: tokenPair.quote, quote: 'USDC' }) * 2 +
+        ORCA_POOL_LIQUIDITY + METEORA_POOL_LIQUIDITY,
       poolType: 'Aggregated',
-      routeSteps: route.length - 1,
-      dexsUsed: ['Raydium', 'Orca', 'Meteora'].slice(0, Math.ceil(Math.random() * 3)),
+      routeSteps: legs.length,
+      dexsUsed: [...new Set(legs.map(leg => leg.venue))],
       timestamp: new Date().toISOString()
     };
   }
@@ -279,7 +509,14 @@ const DEX_PROVIDERS = {
       return { success: false, error: walletCheck.error };
     }
     
-    const quote = await jupiterQuote(tokenPair, inputAmount);
+    let quote;
+    
+    try {
+      quote = await jupiterQuote(tokenPair, inputAmount);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    
     await simulateDelay(3500, 4500);
     
     if (Math.random() < 0.02) { // 2% failure rate (best reliability)
@@ -290,18 +527,63 @@ const DEX_PROVIDERS = {
       };
     }
     
-    wallet.balances[tokenPair.base] -= inputAmount;
-    wallet.balances[tokenPair.quote] = (wallet.balances[tokenPair.quote] || 0) + quote.outputAmount;
+    // Re-simulate every leg against the pools as they are now; the route runs
+    // as one transaction, so nothing is applied unless all legs can fill
+    const amountIn = toTokenAmount(tokenPair.base, inputAmount);
+    const minOutput = toTokenAmount(tokenPair.quote, quote.outputAmount) * (1 - JUPITER_SLIPPAGE_TOLERANCE);
+    const legPair = leg => ({ base: leg.from, quote: leg.to });
+    let execution;
+    
+    try {
+      execution = await poolStore.update(quote.legs.map(leg => ({ venue: leg.venue, tokenPair: legPair(leg) })), pools => {
+        const finalOutput = quote.legs.reduce((legInput, leg) =>
+          pools.get(leg.venue, legPair(leg)).getAmountOut(leg.from, legInput).outputAmount, amountIn);
+        if (finalOutput < minOutput) return null;
+        
+        let amount = amountIn;
+        const legs = quote.legs.map(leg => {
+          const legExecution = pools.get(leg.venue, legPair(leg)).swap(leg.from, amount);
+          const executed = {
+            ...leg,
+            inputAmount: toAtomicAmount(leg.from, amount),
+            outputAmount: toAtomicAmount(leg.to, legExecution.outputAmount)
+          };
+          amount = legExecution.outputAmount;
+          return executed;
+        });
+        
+        return { legs, outputAmount: amount };
+      });
+    } catch (error) {
+      return { success: false, error: error.message, quote };
+    }
+    
+    if (!execution) {
+      return { 
+        success: false, 
+        error: 'Transaction failed due to slippage',
+        quote 
+      };
+    }
+    
+    const executedLegs = execution.legs;
+    const outputAmount = toAtomicAmount(tokenPair.quote, execution.outputAmount);
+    
+    settleWallet(wallet, tokenPair, inputAmount, outputAmount);
     
     const txHash = 'jupiter_' + Math.random().toString(36).substring(2, 15);
     
     return {
       success: true,
       transactionHash: txHash,
+      inputToken: tokenPair.base,
+      outputToken: tokenPair.quote,
       inputAmount,
-      outputAmount: quote.outputAmount,
+      outputAmount,
       provider: DEX_PROVIDERS.JUPITER,
       route: quote.route,
+      legs: executedLegs,
+      dexsUsed: quote.dexsUsed,
       timestamp: new Date().toISOString(),
       updatedWallet: { ...wallet }
     };
@@ -313,21 +595,22 @@ const DEX_PROVIDERS = {
     const wallet = {
       address: 'wallet123',
       balances: {
-        SOL: 10.5,
-        USDC: 1000,
-        BONK: 5000000
+        SOL: tokenRegistry.toAtomic('SOL', 10.5),
+        USDC: tokenRegistry.toAtomic('USDC', 1000),
+        BONK: tokenRegistry.toAtomic('BONK', 5000000)
       }
     };
     
     const tokenPair = { base: 'SOL', quote: 'USDC' };
+    const oneSol = tokenRegistry.toAtomic('SOL', 1);
     
     try {
       // Get quotes
       console.log('Getting quotes...');
-      const raydiumQ = await raydiumQuote(tokenPair, 1);
-      const meteoraQ = await meteoraQuote(tokenPair, 1);
-      const orcaQ = await orcaQuote(tokenPair, 1);
-      const jupiterQ = await jupiterQuote(tokenPair, 1);
+      const raydiumQ = await raydiumQuote(tokenPair, oneSol);
+      const meteoraQ = await meteoraQuote(tokenPair, oneSol);
+      const orcaQ = await orcaQuote(tokenPair, oneSol);
+      const jupiterQ = await jupiterQuote(tokenPair, oneSol);
       
       console.log('Quotes received:', {
         raydium: raydiumQ.outputAmount,
@@ -338,7 +621,7 @@ const DEX_PROVIDERS = {
       
       // Perform swap with best quote (Jupiter)
       console.log('Performing swap...');
-      const swapResult = await jupiterSwap(tokenPair, 1, wallet);
+      const swapResult = await jupiterSwap(tokenPair, oneSol, wallet);
       console.log('Swap result:', swapResult);
       
     } catch (error) {
@@ -376,7 +659,6 @@ const DEX_PROVIDERS = {
     jupiterQuote,
     jupiterSwap,
     DEX_PROVIDERS,
-    TOKEN_ADDRESSES,
     exampleUsage 
 };
   
\ No newline at end of file
@@ -0,0 +1,94 @@
+const { tokenRegistry } = require('./tokenRegistry');
+
+// ========== MULTI-HOP ROUTES ==========
+
+// Leg amounts are integer atomic units (see tokenRegistry.js), kept under
+// `atomic`; the token-unit fields next to them are for display.
+
+/**
+ * Create the leg plan tracked on a multi-hop order
+ * @param {Object} route - Best path from the token graph, { path, legs: [{ from, to, provider, inputAmount, outputAmount, fee }] }
+ * @returns {Object} Multi-hop plan
+ */
+function createMultiHopPlan(route) {
+  return {
+    path: route.path,
+    currentLeg: 0,
+    legs: route.legs.map((leg, index) => ({
+      index,
+      from: leg.from,
+      to: leg.to,
+      provider: leg.provider,
+      expectedInput: leg.inputAmount,
+      expectedOutput: leg.outputAmount,
+      fee: leg.fee,
+      inputAmount: null,
+      actualOutput: null,
+      transactionHash: null,
+      status: 'pending'
+    }))
+  };
+}
+
+/**
+ * Start the current leg. The first leg spends the order's input; later legs
+ * spend exactly what the previous leg bought.
+ * @param {Object} multiHop - Multi-hop plan
+ * @param {number|string} orderAmount - Order input amount in token units
+ * @returns {Object} { leg, swap: { provider, tokenPair, inputAmount, quotedOutput } } - swap amounts atomic
+ */
+function startNextLeg(multiHop, orderAmount) {
+  const { legs, currentLeg } = multiHop;
+  const leg = legs[currentLeg];
+  if (!leg) {
+    throw new Error(`No leg at index ${currentLeg}`);
+  }
+
+  const previous = legs[currentLeg - 1];
+  leg.atomic = {
+    inputAmount: previous ? previous.atomic.actualOutput : tokenRegistry.toAtomic(leg.from, orderAmount, { exact: false }),
+    actualOutput: null
+  };
+  leg.inputAmount = tokenRegistry.toAmount(leg.from, leg.atomic.inputAmount);
+  leg.status = 'executing';
+
+  return {
+    leg,
+    swap: {
+      provider: leg.provider,
+      tokenPair: { base: leg.from, quote: leg.to },
+      inputAmount: leg.atomic.inputAmount,
+      quotedOutput: tokenRegistry.toAtomic(leg.to, leg.expectedOutput, { exact: false })
+    }
+  };
+}
+
+/**
+ * Record the fill of the current leg and move on to the next one
+ * @param {Object} multiHop - Multi-hop plan
+ * @param {Object} result - Swap result of the leg, with its atomic amounts under `atomic`
+ * @returns {Object} { leg, done } - done once the last leg has filled
+ */
+function recordLegFill(multiHop, result) {
+  const leg = multiHop.legs[multiHop.currentLeg];
+  if (!leg) {
+    throw new Error(`No leg at index ${multiHop.currentLeg}`);
+  }
+
+  leg.status = 'filled';
+  leg.actualOutput = tokenRegistry.toAmount(leg.to, result.atomic.outputAmount);
+  leg.transactionHash = result.transactionHash;
+  leg.completedAt = new Date().toISOString();
+  leg.atomic.actualOutput = result.atomic.outputAmount;
+
+  const done = multiHop.currentLeg === multiHop.legs.length - 1;
+  if (!done) multiHop.currentLeg++;
+
+  return { leg, done };
+}
+
+module.exports = {
+  createMultiHopPlan,
+  startNextLeg,
+  recordLegFill
+};
@@ -0,0 +1,102 @@
+// ========== ORDER EVENT LOG ==========
+
+// Assign the next sequence number and append in one step, so concurrent
+// writers can never store events out of sequence order
+const APPEND_SCRIPT = `
+local seq = redis.call('INCR', KEYS[1])
+redis.call('RPUSH', KEYS[2], '{"seq":' .. seq .. ',' .. string.sub(ARGV[1], 2))
+redis.call('LTRIM', KEYS[2], -tonumber(ARGV[2]), -1)
+return seq
+`;
+
+/**
+ * Order Event Log - every WebSocket message of an order, stored in Redis
+ * with a per-order sequence number that only ever increases. Clients that
+ * lost their connection replay the events after the last sequence they saw.
+ */
+class OrderEventLog {
+  /**
+   * @param {Object} connection - ioredis connection
+   * @param {Object} options - { key, maxEvents, retention (ms kept after the order ends) }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.key = options.key || 'order-events';
+    this.maxEvents = options.maxEvents || 1000;
+    this.retention = options.retention || 24 * 60 * 60 * 1000;
+  }
+
+  seqKey(orderId) {
+    return `${this.key}:${orderId}:seq`;
+  }
+
+  listKey(orderId) {
+    return `${this.key}:${orderId}`;
+  }
+
+  /**
+   * Store an event and assign its sequence number
+   * @param {string} orderId - Order ID
+   * @param {Object} event - Event message, must have at least one field
+   * @returns {Object} Event with seq
+   */
+  async append(orderId, event) {
+    if (!event || Object.keys(event).length === 0) {
+      throw new Error('Order event must not be empty');
+    }
+
+    const seq = await this.connection.eval(
+      APPEND_SCRIPT, 2, this.seqKey(orderId), this.listKey(orderId),
+      JSON.stringify(event), this.maxEvents
+    );
+
+    return { seq, ...event };
+  }
+
+  /**
+   * Events stored after a sequence number
+   * @param {string} orderId - Order ID
+   * @param {number} since - Last sequence number the client has seen (0 for all)
+   * @returns {Object} { events, lastSeq, truncated } - truncated when older events were already trimmed
+   */
+  async range(orderId, since = 0) {
+    const [raws, lastSeq] = await Promise.all([
+      this.connection.lrange(this.listKey(orderId), 0, -1),
+      this.connection.get(this.seqKey(orderId))
+    ]);
+
+    const stored = raws.map(raw => JSON.parse(raw));
+    const events = stored.filter(event => event.seq > since);
+
+    return {
+      events,
+      lastSeq: Number(lastSeq) || 0,
+      truncated: stored.length > 0 && stored[0].seq > since + 1
+    };
+  }
+
+  /**
+   * Latest sequence number of an order
+   * @param {string} orderId - Order ID
+   * @returns {number} Sequence number, 0 if nothing was stored
+   */
+  async lastSeq(orderId) {
+    return Number(await this.connection.get(this.seqKey(orderId))) || 0;
+  }
+
+  /**
+   * Let an order's events expire once it has ended. Active orders, including
+   * long-resting ones, keep their log and sequence indefinitely.
+   * @param {string} orderId - Order ID
+   */
+  async expire(orderId) {
+    await this.connection.multi()
+      .pexpire(this.seqKey(orderId), this.retention)
+      .pexpire(this.listKey(orderId), this.retention)
+      .exec();
+  }
+}
+
+module.exports = {
+  OrderEventLog
+};
@@ -0,0 +1,301 @@
+const BN = require('bn.js');
+const { tokenRegistry, parseUnits, formatUnits } = require('./tokenRegistry');
+
+// ========== ORDER HISTORY ==========
+
+// Prices and fees are computed from the fills' atomic amounts (see
+// tokenRegistry.js), never from the rounded token-unit fields
+const PRICE_DECIMALS = 12;     // Prices are rounded down to this many decimals
+const FEE_RATE_DECIMALS = 6;   // Venue fee rates are percentages with at most this many decimals
+
+const FILL_COLUMNS = [
+  'orderId',
+  'fillIndex',
+  'filledAt',
+  'wallet',
+  'inputToken',
+  'outputToken',
+  'provider',
+  'inputAmount',
+  'outputAmount',
+  'price',
+  'fee',
+  'transactionHash'
+];
+
+/**
+ * Parse a token pair written as BASE/QUOTE or BASE-QUOTE
+ * @param {string} pair - Pair string
+ * @returns {Object|null} { base, quote } or null if malformed
+ */
+function parsePair(pair) {
+  const [base, quote, ...rest] = String(pair).split(/[/-]/);
+  if (!base || !quote || rest.length > 0) return null;
+  return { base: base.toUpperCase(), quote: quote.toUpperCase() };
+}
+
+/**
+ * Providers an order traded on (or was routed to)
+ * @param {Object} record - Order store record
+ * @returns {Array<string>} Provider names
+ */
+function getOrderProviders(record) {
+  const providers = extractFills(record).map(fill => fill.provider);
+  if (record.result && record.result.provider) providers.push(record.result.provider);
+  if (record.selectedRoute && record.selectedRoute.provider) providers.push(record.selectedRoute.provider);
+  return [...new Set(providers)];
+}
+
+/**
+ * Price in output-token units per input-token unit
+ * @param {string} inputToken - Input token symbol
+ * @param {string} outputToken - Output token symbol
+ * @param {BN|string} inputAtomic - Atomic input amount
+ * @param {BN|string} outputAtomic - Atomic output amount
+ * @returns {number|null} Price, null if the amounts or tokens are unknown
+ */
+function computePrice(inputToken, outputToken, inputAtomic, outputAtomic) {
+  const input = tokenRegistry.get(inputToken);
+  const output = tokenRegistry.get(outputToken);
+  if (!input || !output || !inputAtomic || !outputAtomic) return null;
+
+  const denominator = new BN(inputAtomic, 10).mul(new BN(10).pow(new BN(output.decimals)));
+  if (denominator.isZero()) return null;
+
+  const scaled = new BN(outputAtomic, 10).mul(new BN(10).pow(new BN(input.decimals + PRICE_DECIMALS))).div(denominator);
+  return Number(formatUnits(scaled, PRICE_DECIMALS));
+}
+
+/**
+ * Venue fee of a fill in input-token units, rounded down to an atomic unit
+ * @param {string} inputToken - Input token symbol
+ * @param {BN|string} inputAtomic - Atomic input amount
+ * @param {number} feeRate - Fee rate in percent
+ * @returns {number|null} Fee, null if the amount, token or rate is unknown
+ */
+function computeFee(inputToken, inputAtomic, feeRate) {
+  const input = tokenRegistry.get(inputToken);
+  if (!input || !inputAtomic || feeRate === undefined || feeRate === null) return null;
+
+  const rate = parseUnits(feeRate, FEE_RATE_DECIMALS, { exact: false });
+  const fee = new BN(inputAtomic, 10).mul(rate).div(new BN(10).pow(new BN(FEE_RATE_DECIMALS + 2)));
+  return Number(formatUnits(fee, input.decimals));
+}
+
+/**
+ * Build a record predicate from history query filters
+ * @param {Object} filters - { wallet, pair, status, provider } - status and provider may be comma separated lists
+ * @param {string} owner - Signed-in wallet; when set, only its own orders match whatever the filters say
+ * @returns {Function} record => boolean
+ */
+function buildOrderFilter({ wallet, pair, status, provider } = {}, owner = null) {
+  const tokenPair = pair ? parsePair(pair) : null;
+  const statuses = status ? status.split(',').map(s => s.trim()) : null;
+  const providers = provider ? provider.split(',').map(p => p.trim().toLowerCase()) : null;
+
+  return record => {
+    const order = record.order || {};
+
+    for (const address of [owner, wallet]) {
+      if (address && (!order.wallet || order.wallet.address !== address)) return false;
+    }
+
+    if (tokenPair && (!order.tokenPair ||
+      order.tokenPair.base !== tokenPair.base || order.tokenPair.quote !== tokenPair.quote)) {
+      return false;
+    }
+
+    if (statuses && !statuses.includes(record.status)) return false;
+
+    if (providers && !getOrderProviders(record).some(p => providers.includes(p.toLowerCase()))) {
+      return false;
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Fills of an order: one per filled slice, split leg or multi-hop leg, or a
+ * single one for an order that swapped once
+ * @param {Object} record - Order store record
+ * @returns {Array} Fills with their atomic input and output under `atomic`
+ */
+function collectFills(record) {
+  const order = record.order || {};
+  const tokenPair = order.tokenPair || {};
+
+  const toFill = fill => ({
+    ...fill,
+    inputToken: fill.inputToken || tokenPair.base,
+    outputToken: fill.outputToken || tokenPair.quote,
+    atomic: fill.atomic || {}
+  });
+
+  if (order.slicePlan) {
+    return order.slicePlan.slices
+      .filter(slice => slice.status === 'filled')
+      .map(slice => toFill({
+        filledAt: slice.completedAt,
+        provider: slice.provider,
+        inputAmount: slice.amount,
+        outputAmount: slice.outputAmount,
+        feeRate: slice.fee,
+        transactionHash: slice.transactionHash,
+        atomic: slice.atomic && { inputAmount: slice.atomic.amount, outputAmount: slice.atomic.outputAmount }
+      }));
+  }
+
+  const legs = order.split ? order.split.legs : order.multiHop ? order.multiHop.legs : null;
+  if (legs) {
+    return legs
+      .filter(leg => leg.status === 'filled')
+      .map(leg => toFill({
+        filledAt: leg.completedAt,
+        inputToken: leg.from,
+        outputToken: leg.to,
+        provider: leg.provider,
+        inputAmount: leg.inputAmount,
+        outputAmount: leg.actualOutput,
+        feeRate: leg.fee,
+        transactionHash: leg.transactionHash,
+        atomic: leg.atomic && { inputAmount: leg.atomic.inputAmount, outputAmount: leg.atomic.actualOutput }
+      }));
+  }
+
+  if (record.result && record.result.transactionHash) {
+    return [toFill({
+      provider: record.result.provider,
+      inputAmount: record.result.inputAmount,
+      outputAmount: record.result.outputAmount,
+      feeRate: record.selectedRoute ? record.selectedRoute.fee : null,
+      transactionHash: record.result.transactionHash,
+      atomic: record.result.atomic
+    })];
+  }
+
+  return [];
+}
+
+/**
+ * Fill rows of an order, see collectFills
+ * @param {Object} record - Order store record
+ * @returns {Array} Fills with FILL_COLUMNS fields; fee is in the input token
+ */
+function extractFills(record) {
+  const order = record.order || {};
+  const wallet = order.wallet ? order.wallet.address || null : null;
+
+  return collectFills(record).map((fill, index) => ({
+    orderId: record.orderId,
+    fillIndex: index,
+    filledAt: fill.filledAt || record.finishedAt || record.updatedAt,
+    wallet,
+    inputToken: fill.inputToken,
+    outputToken: fill.outputToken,
+    provider: fill.provider,
+    inputAmount: fill.inputAmount,
+    outputAmount: fill.outputAmount,
+    price: computePrice(fill.inputToken, fill.outputToken, fill.atomic.inputAmount, fill.atomic.outputAmount),
+    fee: computeFee(fill.inputToken, fill.atomic.inputAmount, fill.feeRate),
+    transactionHash: fill.transactionHash
+  }));
+}
+
+/**
+ * Compact view of an order record for history listings
+ * @param {Object} record - Order store record
+ * @returns {Object} Order summary
+ */
+function summarizeOrder(record) {
+  const order = record.order || {};
+  const tokenPair = order.tokenPair || {};
+  const fills = collectFills(record);
+  const outputAmount = record.result ? record.result.outputAmount : null;
+
+  // Multi-hop legs in between spend and receive the intermediate tokens
+  const total = (token, side) => fills
+    .filter(fill => fill[`${side}Token`] === token && fill.atomic[`${side}Amount`])
+    .reduce((sum, fill) => sum.add(new BN(fill.atomic[`${side}Amount`], 10)), new BN(0));
+
+  return {
+    orderId: record.orderId,
+    type: record.type || order.type,
+    status: record.status,
+    stage: record.stage,
+    wallet: order.wallet ? order.wallet.address || null : null,
+    tokenPair: order.tokenPair,
+    inputAmount: order.inputAmount,
+    outputAmount,
+    averagePrice: outputAmount ? computePrice(tokenPair.base, tokenPair.quote, total(tokenPair.base, 'input'), total(tokenPair.quote, 'output')) : null,
+    providers: getOrderProviders(record),
+    fills: fills.length,
+    routingStrategy: order.routingStrategy,
+    routingMode: order.routingMode,
+    error: record.error || null,
+    createdAt: record.createdAt,
+    finishedAt: record.finishedAt || null
+  };
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line
+ * @param {Array} rows - Objects to render
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} CSV text
+ */
+function toCsv(rows, columns = FILL_COLUMNS) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => escapeCsv(row[column])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render rows as newline-delimited JSON
+ * @param {Array} rows - Objects to render
+ * @returns {string} NDJSON text
+ */
+function toNdjson(rows) {
+  return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+/**
+ * Render the fills of every matching order one page of records at a time,
+ * so an export never holds more than a page in memory
+ * @param {Function} queryPage - async cursor => { records, nextCursor }, see OrderStore.query
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {AsyncGenerator<string>} Chunks of the export, the CSV header first
+ */
+async function* streamFills(queryPage, format) {
+  if (format === 'csv') {
+    yield FILL_COLUMNS.join(',') + '\n';
+  }
+
+  let cursor = null;
+  do {
+    const page = await queryPage(cursor);
+    const fills = page.records.flatMap(extractFills);
+    if (fills.length > 0) {
+      // toCsv repeats the header on every page; drop it after the first
+      yield format === 'csv' ? toCsv(fills).slice(toCsv([]).length) : toNdjson(fills);
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+module.exports = {
+  FILL_COLUMNS,
+  parsePair,
+  buildOrderFilter,
+  extractFills,
+  summarizeOrder,
+  toCsv,
+  toNdjson,
+  streamFills
+};
@@ -0,0 +1,98 @@
+// ========== ORDER RECOVERY ==========
+
+const { TRIGGER_ORDER_TYPES } = require('./limitOrders');
+
+// Status of an order whose swap outcome is unknown after a restart. Its funds
+// stay reserved until the swap is looked up on-chain and settled by hand.
+const RECONCILIATION_STATUS = 'needs_reconciliation';
+
+/**
+ * Whether a stored record is an in-flight order the server should resume.
+ * Resting conditional orders are restored by the limit order book instead,
+ * and orders awaiting reconciliation are left alone.
+ * @param {Object} record - Order store record
+ * @returns {boolean}
+ */
+function isRecoverable(record) {
+  const order = record.order;
+  if (!order || record.status === RECONCILIATION_STATUS) return false;
+  return !(TRIGGER_ORDER_TYPES.includes(order.type) && !order.triggeredAt);
+}
+
+/**
+ * Rebuild the in-memory state of an order from its stored snapshot
+ * @param {Object} record - Order store record, see persistOrder
+ * @returns {Object} { order, quotes } - quotes is null without a stored round
+ */
+function restoreOrderState(record) {
+  const { order } = record;
+  const toDate = value => (value ? new Date(value) : null);
+
+  return {
+    order: {
+      ...order,
+      startTime: new Date(order.startTime),
+      quoteStartTime: toDate(order.quoteStartTime),
+      triggeredAt: toDate(order.triggeredAt),
+      lastCheckedAt: toDate(order.lastCheckedAt),
+      jobMapping: new Map(order.jobMapping)
+    },
+    quotes: record.quotes ? { ...record.quotes, jobKeys: new Set(record.quotes.jobKeys) } : null
+  };
+}
+
+/**
+ * Swap jobs an executing order is waiting on
+ * @param {Object} orderInfo - In-memory order state
+ * @returns {Array} [{ provider, jobId }]
+ */
+function getPendingSwaps(orderInfo) {
+  if (orderInfo.split) {
+    return orderInfo.split.legs
+      .filter(leg => leg.status === 'executing' && leg.jobId)
+      .map(leg => ({ provider: leg.provider, jobId: leg.jobId }));
+  }
+
+  if (orderInfo.multiHop) {
+    const leg = orderInfo.multiHop.legs[orderInfo.multiHop.currentLeg];
+    return leg && leg.status === 'executing' && leg.jobId ? [{ provider: leg.provider, jobId: leg.jobId }] : [];
+  }
+
+  return orderInfo.swapJobId && orderInfo.swapProvider
+    ? [{ provider: orderInfo.swapProvider, jobId: orderInfo.swapJobId }]
+    : [];
+}
+
+/**
+ * Look up how each pending swap job ended. A job that can no longer be found
+ * is reported as missing: it may have filled, so it must not count as failed.
+ * @param {Array} pending - [{ provider, jobId }], see getPendingSwaps
+ * @param {Function} getJob - async (provider, jobId) => BullMQ job or undefined
+ * @returns {Array} [{ provider, jobId, outcome, result, error }] - outcome is 'completed', 'failed', 'missing' or 'pending'
+ */
+async function inspectSwapJobs(pending, getJob) {
+  return Promise.all(pending.map(async ({ provider, jobId }) => {
+    const job = await getJob(provider, jobId);
+    const state = job ? await job.getState() : 'unknown';
+
+    if (state === 'unknown') {
+      return { provider, jobId, outcome: 'missing' };
+    }
+    if (state === 'completed') {
+      return { provider, jobId, outcome: 'completed', result: job.returnvalue };
+    }
+    if (state === 'failed') {
+      return { provider, jobId, outcome: 'failed', error: job.failedReason };
+    }
+    // Waiting, delayed or active jobs report through the worker listeners
+    return { provider, jobId, outcome: 'pending' };
+  }));
+}
+
+module.exports = {
+  RECONCILIATION_STATUS,
+  isRecoverable,
+  restoreOrderState,
+  getPendingSwaps,
+  inspectSwapJobs
+};
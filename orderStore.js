@@ -0,0 +1,175 @@
+// ========== ORDER STORE ==========
+
+const FINAL_ORDER_STATUSES = ['completed', 'failed', 'partially_filled', 'cancelled', 'expired'];
+const QUERY_BATCH = 200;
+
+function encodeCursor(score, orderId) {
+  return Buffer.from(JSON.stringify({ score, orderId })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { score, orderId } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isFinite(score) || !orderId) throw new Error();
+    return { score, orderId };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+}
+
+/**
+ * Order Store - Redis-backed repository of order records. Each record holds
+ * the serialized order state, its latest quote round, the selected route and
+ * the swap result, so orders outlive the in-memory maps and server restarts.
+ * Orders that have not reached a final status are also indexed as active,
+ * and every order is indexed by creation time for history queries.
+ */
+class OrderStore {
+  /**
+   * @param {Object} connection - ioredis connection
+   * @param {Object} options - { key }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.key = options.key || 'orders';
+    this.activeKey = `${this.key}:active`;
+    this.timeKey = `${this.key}:by-time`;
+    this.writes = new Map(); // orderId -> promise of the last queued write
+  }
+
+  /**
+   * Get a stored order record
+   * @param {string} orderId - Order ID
+   * @returns {Object|null} Order record or null
+   */
+  async get(orderId) {
+    const raw = await this.connection.hget(this.key, orderId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Merge changes into an order record, creating it if needed. Writes for the
+   * same order are applied in call order, so a late snapshot never overwrites
+   * a newer one.
+   * @param {string} orderId - Order ID
+   * @param {Object} changes - Fields to update (status, stage, order, quotes, selectedRoute, result, error, ...)
+   * @returns {Object} Stored record
+   */
+  save(orderId, changes) {
+    const previous = this.writes.get(orderId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => this.merge(orderId, changes));
+
+    this.writes.set(orderId, write);
+    write.catch(() => {}).then(() => {
+      if (this.writes.get(orderId) === write) {
+        this.writes.delete(orderId);
+      }
+    });
+
+    return write;
+  }
+
+  async merge(orderId, changes) {
+    const existing = await this.get(orderId);
+    const now = new Date().toISOString();
+
+    const record = {
+      ...(existing || { orderId, status: 'pending', createdAt: now }),
+      ...changes,
+      orderId,
+      updatedAt: now
+    };
+
+    const pipeline = this.connection.multi()
+      .hset(this.key, orderId, JSON.stringify(record))
+      .zadd(this.timeKey, Date.parse(record.createdAt), orderId);
+    if (FINAL_ORDER_STATUSES.includes(record.status)) {
+      pipeline.srem(this.activeKey, orderId);
+    } else {
+      pipeline.sadd(this.activeKey, orderId);
+    }
+    await pipeline.exec();
+
+    return record;
+  }
+
+  /**
+   * Delete an order record
+   * @param {string} orderId - Order ID
+   * @returns {boolean} Whether a record was deleted
+   */
+  async remove(orderId) {
+    await this.connection.srem(this.activeKey, orderId);
+    await this.connection.zrem(this.timeKey, orderId);
+    const removed = await this.connection.hdel(this.key, orderId);
+    return removed > 0;
+  }
+
+  /**
+   * Records of orders that have not reached a final status
+   * @returns {Array} Order records
+   */
+  async listActive() {
+    const orderIds = await this.connection.smembers(this.activeKey);
+    if (orderIds.length === 0) return [];
+
+    const entries = await this.connection.hmget(this.key, ...orderIds);
+    return entries.filter(Boolean).map(raw => JSON.parse(raw));
+  }
+
+  /**
+   * Page through order records by creation time. Records are read from the
+   * time index in batches and filtered in memory until the page is full.
+   * @param {Object} options - { from, to (ms), order ('asc' | 'desc'), limit, cursor, filter (record => boolean) }
+   * @returns {Object} { records, nextCursor } - nextCursor is null on the last page
+   */
+  async query(options = {}) {
+    const { from = '-inf', to = '+inf', order = 'desc', limit = 50, filter = () => true } = options;
+    const descending = order === 'desc';
+    const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+
+    // Resume at the cursor's score; entries with that score already returned are skipped below
+    const min = cursor && !descending ? cursor.score : from;
+    const max = cursor && descending ? cursor.score : to;
+    const matches = [];
+    let offset = 0;
+
+    while (matches.length <= limit) {
+      const batch = descending
+        ? await this.connection.zrevrangebyscore(this.timeKey, max, min, 'WITHSCORES', 'LIMIT', offset, QUERY_BATCH)
+        : await this.connection.zrangebyscore(this.timeKey, min, max, 'WITHSCORES', 'LIMIT', offset, QUERY_BATCH);
+      if (batch.length === 0) break;
+      offset += batch.length / 2;
+
+      const entries = [];
+      for (let i = 0; i < batch.length; i += 2) {
+        const entry = { orderId: batch[i], score: Number(batch[i + 1]) };
+        const seen = cursor && entry.score === cursor.score &&
+          (descending ? entry.orderId >= cursor.orderId : entry.orderId <= cursor.orderId);
+        if (!seen) entries.push(entry);
+      }
+      if (entries.length === 0) continue;
+
+      const raws = await this.connection.hmget(this.key, ...entries.map(entry => entry.orderId));
+
+      for (let i = 0; i < entries.length && matches.length <= limit; i++) {
+        if (!raws[i]) continue;
+        const record = JSON.parse(raws[i]);
+        if (filter(record)) matches.push({ record, score: entries[i].score });
+      }
+    }
+
+    const page = matches.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      records: page.map(match => match.record),
+      nextCursor: matches.length > limit ? encodeCursor(last.score, last.record.orderId) : null
+    };
+  }
+}
+
+module.exports = {
+  OrderStore,
+  FINAL_ORDER_STATUSES
+};
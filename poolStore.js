@@ -0,0 +1,161 @@
+// ========== POOL STORE ==========
+
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Write every pool of an update at once, only if none changed since it was read
+const COMPARE_AND_SET_SCRIPT = `
+local count = #KEYS
+for i = 1, count do
+  local version = redis.call('HGET', KEYS[i], 'version') or '0'
+  if version ~= ARGV[i] then
+    return 0
+  end
+end
+for i = 1, count do
+  redis.call('HSET', KEYS[i], 'state', ARGV[count + i])
+  redis.call('HINCRBY', KEYS[i], 'version', 1)
+end
+return 1
+`;
+
+/**
+ * Pool Store - state of the mock venue pools. Pools are kept in process
+ * memory until the store is connected to Redis; from then on every worker
+ * process, and Jupiter routing over the other venues' pools, reads and moves
+ * the same pools. Each pool is a hash holding its
+ * serialized state and a version; an update writes all of its pools in one
+ * compare-and-set and is recomputed from fresh state when another process
+ * moved one of them first.
+ */
+class PoolStore {
+  /**
+   * @param {Object} options - { key }
+   */
+  constructor(options = {}) {
+    this.key = options.key || 'dex-pools';
+    this.connection = null;
+    this.venues = new Map(); // venue -> { create, restore }
+    this.local = new Map();  // pool id -> pool, while not connected
+  }
+
+  /**
+   * Share pool state through Redis from now on
+   * @param {Object} connection - ioredis connection
+   */
+  connect(connection) {
+    this.connection = connection;
+  }
+
+  /**
+   * Register how a venue builds its pools
+   * @param {string} venue - Venue name (e.g. Raydium)
+   * @param {Object} codec - { create: tokenPair => pool, restore: state => pool } - state is pool.toJSON()
+   */
+  define(venue, codec) {
+    this.venues.set(venue, codec);
+  }
+
+  /**
+   * Pool ID of a venue and pair; both directions share one pool
+   */
+  poolId(venue, tokenPair) {
+    return `${venue}:${[tokenPair.base, tokenPair.quote].sort().join('/')}`;
+  }
+
+  codec(venue) {
+    const codec = this.venues.get(venue);
+    if (!codec) {
+      throw new Error(`No pools defined for venue ${venue}`);
+    }
+    return codec;
+  }
+
+  /**
+   * Read pools, seeding the ones that do not exist yet. Seeded pools are only
+   * written by the first update that moves them.
+   * @param {Array} refs - [{ venue, tokenPair }]
+   * @returns {Object} { get(venue, tokenPair) => pool, pools: pool id -> pool, versions: pool id -> version }
+   */
+  async load(refs) {
+    const ids = [...new Set(refs.map(({ venue, tokenPair }) => this.poolId(venue, tokenPair)))];
+    const pairs = new Map(refs.map(({ venue, tokenPair }) => [this.poolId(venue, tokenPair), { venue, tokenPair }]));
+    const pools = new Map();
+    const versions = new Map();
+
+    if (!this.connection) {
+      ids.forEach(id => {
+        if (!this.local.has(id)) {
+          const { venue, tokenPair } = pairs.get(id);
+          this.local.set(id, this.codec(venue).create(tokenPair));
+        }
+        pools.set(id, this.local.get(id));
+      });
+    } else {
+      const pipeline = this.connection.pipeline();
+      ids.forEach(id => pipeline.hmget(`${this.key}:${id}`, 'version', 'state'));
+      const results = await pipeline.exec();
+
+      ids.forEach((id, index) => {
+        const [error, [version, state] = []] = results[index];
+        if (error) throw error;
+
+        const { venue, tokenPair } = pairs.get(id);
+        const codec = this.codec(venue);
+        pools.set(id, state ? codec.restore(JSON.parse(state)) : codec.create(tokenPair));
+        versions.set(id, version || '0');
+      });
+    }
+
+    return {
+      pools,
+      versions,
+      get: (venue, tokenPair) => {
+        const pool = pools.get(this.poolId(venue, tokenPair));
+        if (!pool) {
+          throw new Error(`Pool ${this.poolId(venue, tokenPair)} was not loaded`);
+        }
+        return pool;
+      }
+    };
+  }
+
+  /**
+   * Change pools atomically. The change runs against freshly loaded pools
+   * and may run again if another process moved them meanwhile, so it must
+   * be synchronous and only touch the pools. Nothing is written if it throws.
+   * @param {Array} refs - [{ venue, tokenPair }] - every pool the change may move
+   * @param {Function} change - pools => result, see load
+   * @returns {*} Result of the change
+   */
+  async update(refs, change) {
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const loaded = await this.load(refs);
+      const result = change(loaded);
+
+      // In-memory pools were changed in place
+      if (!this.connection) return result;
+
+      const { pools, versions } = loaded;
+      const ids = [...pools.keys()];
+      const written = await this.connection.eval(
+        COMPARE_AND_SET_SCRIPT,
+        ids.length,
+        ...ids.map(id => `${this.key}:${id}`),
+        ...ids.map(id => versions.get(id)),
+        ...ids.map(id => JSON.stringify(pools.get(id).toJSON()))
+      );
+
+      if (written === 1) return result;
+    }
+
+    throw new Error('Pool state kept changing, try again');
+  }
+}
+
+// Shared by every venue of the process
+const poolStore = new PoolStore();
+
+module.exports = {
+  PoolStore,
+  poolStore
+};
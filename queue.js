@@ -1,14 +1,16 @@
 const { Queue } = require('bullmq');
 const IORedis = require('ioredis');
 const { inspect } = require('util');
+const { dexRegistry } = require('./dexProviders');
 
 const connection = new IORedis("redis://localhost:6379"); 
 
-// Create separate queues for different DEX operations
-const raydiumQueue = new Queue('raydium-dex', { connection });
-const meteoraQueue = new Queue('meteora-dex', { connection });
-const orcaQueue = new Queue('orca-dex', { connection });
-const jupiterQueue = new Queue('jupiter-dex', { connection });
+// One queue per registered DEX provider
+const queues = new Map(); // provider name -> Queue
+
+// Finished swap jobs are kept by age, not count, so an order recovered after
+// a restart can still read how its swap ended (seconds)
+const SWAP_JOB_RETENTION = { age: 7 * 24 * 60 * 60 };
 
 // Generic event listener function
 function addQueueEventListeners(queue, dexName) {
@@ -32,37 +34,44 @@ function addQueueEventListeners(queue, dexName) {
   });
 }
 
-// Add event listeners for all DEX queues
-addQueueEventListeners(raydiumQueue, 'RAYDIUM');
-addQueueEventListeners(meteoraQueue, 'METEORA');
-addQueueEventListeners(orcaQueue, 'ORCA');
-addQueueEventListeners(jupiterQueue, 'JUPITER');
+/**
+ * Queue of a DEX provider, created with its event listeners on first use
+ * @param {string} dexProvider - DEX provider name, case-insensitive
+ * @returns {Object} BullMQ queue
+ */
+function getQueue(dexProvider) {
+  const provider = dexRegistry.require(dexProvider);
+
+  if (!queues.has(provider.name)) {
+    const queue = new Queue(provider.worker.queueName, { connection });
+    addQueueEventListeners(queue, provider.name.toUpperCase());
+    queues.set(provider.name, queue);
+  }
+
+  return queues.get(provider.name);
+}
+
+// Queues for the built-in providers now, and for providers registered later
+dexRegistry.list().forEach(provider => getQueue(provider.name));
+dexRegistry.on('registered', provider => getQueue(provider.name));
 
 /**
  * Add a job to get quote from a specific DEX
- * @param {string} dexProvider - DEX provider name (RAYDIUM, METEORA, ORCA, JUPITER)
+ * @param {string} dexProvider - DEX provider name (e.g. Raydium), case-insensitive
  * @param {object} tokenPair - Token pair {base: 'SOL', quote: 'USDC'}
  * @param {number} inputAmount - Amount to swap
  * @param {string} orderId - Order ID for tracking (optional for standalone quotes)
+ * @param {object} jobOptions - Extra BullMQ job options, e.g. { priority } (optional)
  */
-async function addQuoteJob(dexProvider, tokenPair, inputAmount, orderId = null) {
+async function addQuoteJob(dexProvider, tokenPair, inputAmount, orderId = null, jobOptions = {}) {
   try {
-    const queueMap = {
-      'RAYDIUM': raydiumQueue,
-      'METEORA': meteoraQueue,
-      'ORCA': orcaQueue,
-      'JUPITER': jupiterQueue
-    };
-
-    const queue = queueMap[dexProvider];
-    if (!queue) {
-      throw new Error(`Unknown DEX provider: ${dexProvider}`);
-    }
-
-    console.log(`Adding quote job for ${dexProvider}: ${tokenPair.base}/${tokenPair.quote}${orderId ? ` (Order: ${orderId})` : ''}`);
+    const queue = getQueue(dexProvider);
+    const provider = dexRegistry.get(dexProvider).name;
+
+    console.log(`Adding quote job for ${provider}: ${tokenPair.base}/${tokenPair.quote}${orderId ? ` (Order: ${orderId})` : ''}`);
     const job = await queue.add('get-quote', {
       operation: 'quote',
-      dexProvider,
+      dexProvider: provider,
       tokenPair,
       inputAmount,
       orderId  // Add orderId to job data
@@ -70,10 +79,11 @@ async function addQuoteJob(dexProvider, tokenPair, inputAmount, orderId = null)
       attempts: 3,
       backoff: { type: 'exponential', delay: 5000 },
       removeOnComplete: 10,
-      removeOnFail: 5
+      removeOnFail: 5,
+      ...jobOptions
     });
 
-    console.log(`${dexProvider} quote job ${job.id} added successfully`);
+    console.log(`${provider} quote job ${job.id} added successfully`);
     return job;
   } catch (error) {
     console.error(`Failed to add quote job for ${dexProvider}:`, error.message);
@@ -83,42 +93,35 @@ async function addQuoteJob(dexProvider, tokenPair, inputAmount, orderId = null)
 
 /**
  * Add a job to perform swap on a specific DEX
- * @param {string} dexProvider - DEX provider name (Raydium, Meteora, Orca, Jupiter)
+ * @param {string} dexProvider - DEX provider name (e.g. Raydium), case-insensitive
  * @param {object} tokenPair - Token pair {base: 'SOL', quote: 'USDC'}
  * @param {number} inputAmount - Amount to swap
  * @param {object} wallet - Wallet object with balances
  * @param {string} orderId - Order ID for tracking
+ * @param {string} quotedOutputAmount - Output the route was quoted at, for the quote-vs-fill stats (optional)
  */
-async function addSwapJob(dexProvider, tokenPair, inputAmount, wallet, orderId) {
+async function addSwapJob(dexProvider, tokenPair, inputAmount, wallet, orderId, quotedOutputAmount) {
   try {
-    const queueMap = {
-      'Raydium': raydiumQueue,
-      'Meteora': meteoraQueue,
-      'Orca': orcaQueue,
-      'Jupiter': jupiterQueue
-    };
-
-    const queue = queueMap[dexProvider];
-    if (!queue) {
-      throw new Error(`Unknown DEX provider: ${dexProvider}`);
-    }
-
-    console.log(`Adding swap job for ${dexProvider}: ${inputAmount} ${tokenPair.base} -> ${tokenPair.quote} (Order: ${orderId})`);
+    const queue = getQueue(dexProvider);
+    const provider = dexRegistry.get(dexProvider).name;
+
+    console.log(`Adding swap job for ${provider}: ${inputAmount} ${tokenPair.base} -> ${tokenPair.quote} (Order: ${orderId})`);
     const job = await queue.add('swap', {  // Changed from 'perform-swap' to 'swap'
       operation: 'swap',
-      dexProvider,
+      dexProvider: provider,
       tokenPair,
       inputAmount,
       wallet,
-      orderId  // Add orderId to job data
+      orderId,  // Add orderId to job data
+      ...(quotedOutputAmount && { quotedOutputAmount })
     }, {
       attempts: 2,
       backoff: { type: 'exponential', delay: 10000 },
-      removeOnComplete: 10,
-      removeOnFail: 10
+      removeOnComplete: SWAP_JOB_RETENTION,
+      removeOnFail: SWAP_JOB_RETENTION
     });
 
-    console.log(`${dexProvider} swap job ${job.id} added successfully`);
+    console.log(`${provider} swap job ${job.id} added successfully`);
     return job;
   } catch (error) {
     console.error(`Failed to add swap job for ${dexProvider}:`, error.message);
@@ -126,22 +129,43 @@ async function addSwapJob(dexProvider, tokenPair, inputAmount, wallet, orderId)
   }
 }
 
+/**
+ * Look up a swap job, e.g. to find out how it ended while the server was down
+ * @param {string} dexProvider - DEX provider name (e.g. Raydium), case-insensitive
+ * @param {string} jobId - Job ID returned by addSwapJob
+ * @returns {Object|undefined} BullMQ job, or undefined once it is past SWAP_JOB_RETENTION
+ */
+async function getSwapJob(dexProvider, jobId) {
+  return getQueue(dexProvider).getJob(jobId);
+}
+
+/**
+ * Job counts of every DEX queue, for worker health reporting
+ * @returns {Object} { [dexProvider]: { waiting, active, delayed, completed, failed } }
+ */
+async function getQueueJobCounts() {
+  const entries = await Promise.all(dexRegistry.names().map(async dexProvider => [
+    dexProvider,
+    await getQueue(dexProvider).getJobCounts('waiting', 'active', 'delayed', 'completed', 'failed')
+  ]));
+
+  return Object.fromEntries(entries);
+}
+
 /**
  * Add jobs to get quotes from all DEXs for comparison
  * @param {object} tokenPair - Token pair {base: 'SOL', quote: 'USDC'}
  * @param {number} inputAmount - Amount to swap
  * @param {string} orderId - Order ID for tracking (optional)
+ * @param {object} jobOptions - Extra BullMQ job options, see addQuoteJob (optional)
  */
-async function addCompareQuotesJob(tokenPair, inputAmount, orderId = null) {
+async function addCompareQuotesJob(tokenPair, inputAmount, orderId = null, jobOptions = {}) {
   try {
     console.log(`Adding compare quotes job for ${inputAmount} ${tokenPair.base} -> ${tokenPair.quote}${orderId ? ` (Order: ${orderId})` : ''}`);
     
-    const jobs = await Promise.all([
-      addQuoteJob('RAYDIUM', tokenPair, inputAmount, orderId),
-      addQuoteJob('METEORA', tokenPair, inputAmount, orderId),
-      addQuoteJob('ORCA', tokenPair, inputAmount, orderId),
-      addQuoteJob('JUPITER', tokenPair, inputAmount, orderId)
-    ]);
+    const jobs = await Promise.all(
+      dexRegistry.names().map(dexProvider => addQuoteJob(dexProvider, tokenPair, inputAmount, orderId, jobOptions))
+    );
 
     console.log(`All DEX quote jobs added successfully. Job IDs: ${jobs.map(j => j.id).join(', ')}`);
     return jobs;
@@ -155,8 +179,8 @@ module.exports = {
   addQuoteJob, 
   addSwapJob, 
   addCompareQuotesJob,
-  raydiumQueue,
-  meteoraQueue,
-  orcaQueue,
-  jupiterQueue
+  getSwapJob,
+  getQueueJobCounts,
+  getQueue,
+  connection
 };
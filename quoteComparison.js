@@ -0,0 +1,91 @@
+// ========== QUOTE COMPARISON ==========
+
+/**
+ * Quote Comparisons - collects the quote jobs of POST /api/quotes/compare
+ * requests. Results come back through the server's job event handling,
+ * keyed by the comparison ID the jobs were submitted with.
+ */
+class QuoteComparisons {
+  constructor() {
+    this.comparisons = new Map(); // comparisonId -> { quotes, failures, expected, finish }
+  }
+
+  /**
+   * Whether a job's orderId belongs to a running comparison
+   * @param {string} comparisonId - Order ID from the job
+   * @returns {boolean}
+   */
+  has(comparisonId) {
+    return this.comparisons.has(comparisonId);
+  }
+
+  /**
+   * Wait for the quote jobs of a comparison. Resolves once every provider has
+   * answered or failed its last attempt, or when the deadline passes. Start
+   * collecting before submitting the jobs, so no result can slip past.
+   * @param {string} comparisonId - Comparison ID the jobs are submitted with
+   * @param {number} expected - Number of providers quoted
+   * @param {number} timeout - Deadline in ms
+   * @returns {Promise<Object>} { quotes, failures, timedOut }
+   */
+  collect(comparisonId, expected, timeout) {
+    return new Promise(resolve => {
+      const comparison = { quotes: new Map(), failures: new Map(), expected };
+
+      const timer = setTimeout(() => comparison.finish(true), timeout);
+
+      comparison.finish = (timedOut) => {
+        clearTimeout(timer);
+        this.comparisons.delete(comparisonId);
+        resolve({
+          quotes: Array.from(comparison.quotes.values()),
+          failures: Array.from(comparison.failures.entries())
+            .filter(([provider]) => !comparison.quotes.has(provider))
+            .map(([provider, failure]) => ({ provider, ...failure })),
+          timedOut
+        });
+      };
+
+      this.comparisons.set(comparisonId, comparison);
+    });
+  }
+
+  /**
+   * Record a quote job outcome of a comparison. A failed attempt that is
+   * retried only counts once the retries are used up.
+   * @param {string} comparisonId - Comparison ID
+   * @param {string} dexName - Provider
+   * @param {Object|null} result - Quote, or null if the attempt failed
+   * @param {Object} failure - { error, final } when the attempt failed
+   */
+  handleResult(comparisonId, dexName, result, failure = null) {
+    const comparison = this.comparisons.get(comparisonId);
+    if (!comparison) return;
+
+    if (result) {
+      comparison.quotes.set(dexName, result);
+    } else {
+      comparison.failures.set(dexName, failure);
+    }
+
+    const finalFailures = Array.from(comparison.failures.entries())
+      .filter(([provider, entry]) => entry.final && !comparison.quotes.has(provider)).length;
+
+    if (comparison.quotes.size + finalFailures >= comparison.expected) {
+      comparison.finish(false);
+    }
+  }
+
+  /**
+   * End a comparison early with what it has, e.g. when its jobs could not be submitted
+   * @param {string} comparisonId - Comparison ID
+   */
+  finish(comparisonId) {
+    const comparison = this.comparisons.get(comparisonId);
+    if (comparison) comparison.finish(false);
+  }
+}
+
+module.exports = {
+  QuoteComparisons
+};
@@ -0,0 +1,304 @@
+const { v4: uuidv4 } = require('uuid');
+
+// ========== QUOTE TICKER ==========
+
+const TICKER_ROUND_PREFIX = 'ticker:';
+const DEFAULT_TICKER_INTERVAL = 10000;
+const MIN_TICKER_INTERVAL = 5000;
+const DEFAULT_MAX_FEEDS = 20;
+
+/**
+ * Best bid and ask across providers for one ticker round. The bid side sells
+ * inputAmount of the base token; the ask side buys about the same amount
+ * with the quote token. Prices are quote token per base token.
+ * @param {number} inputAmount - Base token amount of the bid side
+ * @param {Array} bidQuotes - Quotes selling base for quote
+ * @param {Array} askQuotes - Quotes selling quote for base
+ * @returns {Object} { providers, bestBid, bestAsk, mid, spread, spreadBps }
+ */
+function buildTickerQuote(inputAmount, bidQuotes, askQuotes) {
+  const providers = {};
+
+  bidQuotes.forEach(quote => {
+    providers[quote.provider] = {
+      ...providers[quote.provider],
+      bid: quote.outputAmount / quote.inputAmount,
+      bidOutput: quote.outputAmount,
+      bidPriceImpact: quote.priceImpact,
+      fee: quote.fee,
+      liquidity: quote.liquidity
+    };
+  });
+
+  askQuotes.forEach(quote => {
+    providers[quote.provider] = {
+      ...providers[quote.provider],
+      ask: quote.inputAmount / quote.outputAmount,
+      askOutput: quote.outputAmount,
+      askPriceImpact: quote.priceImpact
+    };
+  });
+
+  const best = (side, pick) => Object.entries(providers)
+    .filter(([, quote]) => quote[side] !== undefined)
+    .reduce((bestQuote, [provider, quote]) =>
+      !bestQuote || pick(quote[side], bestQuote.price) ? { provider, price: quote[side] } : bestQuote, null);
+
+  const bestBid = best('bid', (price, bestPrice) => price > bestPrice);
+  const bestAsk = best('ask', (price, bestPrice) => price < bestPrice);
+  const mid = bestBid && bestAsk ? (bestBid.price + bestAsk.price) / 2 : null;
+
+  return {
+    inputAmount,
+    providers,
+    bestBid,
+    bestAsk,
+    mid,
+    spread: mid !== null ? bestAsk.price - bestBid.price : null,
+    spreadBps: mid !== null ? ((bestAsk.price - bestBid.price) / mid) * 10000 : null
+  };
+}
+
+/**
+ * Quote Ticker - keeps live quote feeds for token pairs. Every interval a
+ * feed runs a round of quote jobs on all providers in both directions and
+ * publishes the best bid/ask per provider with the routing hub's market
+ * metrics. Quote results come back through the server's job event handling.
+ */
+class QuoteTicker {
+  /**
+   * @param {Object} options - { requestQuotes(tokenPair, inputAmount, roundId), analyze(quotes) => analysis, onTick(feedId, tick), providerCount, maxFeeds }
+   */
+  constructor(options) {
+    this.requestQuotes = options.requestQuotes;
+    this.analyze = options.analyze;
+    this.onTick = options.onTick;
+    this.providerCount = options.providerCount || 4;
+    // Every feed spends the providers' rate limits, which orders share
+    this.maxFeeds = options.maxFeeds || DEFAULT_MAX_FEEDS;
+    this.feeds = new Map();  // feedId -> feed
+    this.rounds = new Map(); // round side ID -> { feed, side }
+  }
+
+  /**
+   * Whether a feed is running
+   * @param {string} feedId - Feed ID
+   * @returns {boolean}
+   */
+  hasFeed(feedId) {
+    return this.feeds.has(feedId);
+  }
+
+  /**
+   * Start a feed unless it is already running
+   * @param {string} feedId - Feed ID (the ticker channel name)
+   * @param {Object} params - { tokenPair, inputAmount, interval }
+   * @returns {Object} Feed summary
+   * @throws {Error} When a new feed would exceed maxFeeds
+   */
+  startFeed(feedId, { tokenPair, inputAmount, interval = DEFAULT_TICKER_INTERVAL }) {
+    if (!this.feeds.has(feedId) && this.feeds.size >= this.maxFeeds) {
+      throw new Error(`Ticker feed limit of ${this.maxFeeds} reached. Follow one of the running feeds listed by GET /api/tickers`);
+    }
+
+    if (!this.feeds.has(feedId)) {
+      const feed = {
+        feedId,
+        tokenPair,
+        inputAmount,
+        interval: Math.max(interval, MIN_TICKER_INTERVAL),
+        sequence: 0,
+        round: null,
+        lastTick: null,
+        referencePrice: null,
+        startedAt: new Date().toISOString()
+      };
+
+      feed.timer = setInterval(() => this.runRound(feed), feed.interval);
+      this.feeds.set(feedId, feed);
+      this.runRound(feed);
+    }
+
+    return this.describe(this.feeds.get(feedId));
+  }
+
+  /**
+   * Stop a feed, e.g. when its last subscriber leaves
+   * @param {string} feedId - Feed ID
+   */
+  stopFeed(feedId) {
+    const feed = this.feeds.get(feedId);
+    if (!feed) return;
+
+    clearInterval(feed.timer);
+    this.closeRound(feed);
+    this.feeds.delete(feedId);
+  }
+
+  stopAll() {
+    Array.from(this.feeds.keys()).forEach(feedId => this.stopFeed(feedId));
+  }
+
+  /**
+   * Running feeds with their latest tick
+   * @returns {Array} Feed summaries
+   */
+  list() {
+    return Array.from(this.feeds.values()).map(feed => ({ ...this.describe(feed), lastTick: feed.lastTick }));
+  }
+
+  /**
+   * Latest tick of a feed
+   * @param {string} feedId - Feed ID
+   * @returns {Object|null} Tick, null before the first round is published
+   */
+  getLastTick(feedId) {
+    const feed = this.feeds.get(feedId);
+    return feed ? feed.lastTick : null;
+  }
+
+  describe(feed) {
+    return {
+      feedId: feed.feedId,
+      tokenPair: feed.tokenPair,
+      inputAmount: feed.inputAmount,
+      interval: feed.interval,
+      startedAt: feed.startedAt
+    };
+  }
+
+  /**
+   * Whether a job's orderId belongs to a ticker round
+   * @param {string} orderId - Order ID from the job
+   * @returns {boolean}
+   */
+  isTickerRound(orderId) {
+    return typeof orderId === 'string' && orderId.startsWith(TICKER_ROUND_PREFIX);
+  }
+
+  /**
+   * Record a quote job outcome of a round. Outcomes of rounds that were
+   * already published are dropped.
+   * @param {string} roundId - Round side ID (the job's orderId)
+   * @param {string} dexName - Provider
+   * @param {Object|null} quote - Quote, or null if the job failed
+   */
+  handleResult(roundId, dexName, quote) {
+    const entry = this.rounds.get(roundId);
+    if (!entry) return;
+
+    const { feed, side } = entry;
+    const responses = feed.round[side];
+    if (responses.has(dexName)) return;
+    responses.set(dexName, quote);
+
+    if (responses.size < this.providerCount) return;
+
+    this.rounds.delete(roundId);
+
+    // Without a reference price the ask side waits for the bid quotes to size it
+    if (side === 'bid' && !feed.round.askRequested) {
+      this.requestSide(feed, 'ask');
+      return;
+    }
+
+    if (feed.round.bid.size >= this.providerCount && feed.round.ask.size >= this.providerCount) {
+      this.publish(feed);
+    }
+  }
+
+  runRound(feed) {
+    // A round still open when the next one is due is published with what it has
+    if (feed.round) {
+      this.publish(feed);
+    }
+
+    const id = `${TICKER_ROUND_PREFIX}${uuidv4()}`;
+    feed.round = { id, bid: new Map(), ask: new Map(), askRequested: false, startedAt: Date.now() };
+
+    this.requestSide(feed, 'bid');
+    if (feed.referencePrice) {
+      this.requestSide(feed, 'ask');
+    }
+  }
+
+  requestSide(feed, side) {
+    const round = feed.round;
+    const roundId = `${round.id}:${side}`;
+    const { base, quote } = feed.tokenPair;
+
+    let tokenPair = feed.tokenPair;
+    let amount = feed.inputAmount;
+
+    if (side === 'ask') {
+      const bids = Array.from(round.bid.values()).filter(Boolean);
+      const price = feed.referencePrice ||
+        (bids.length > 0 ? Math.max(...bids.map(q => q.outputAmount / q.inputAmount)) : null);
+      if (!price) {
+        this.publish(feed);
+        return;
+      }
+
+      round.askRequested = true;
+      tokenPair = { base: quote, quote: base };
+      // Rounded down to the quote token's decimals when the jobs are queued
+      amount = feed.inputAmount * price;
+    }
+
+    this.rounds.set(roundId, { feed, side });
+
+    Promise.resolve(this.requestQuotes(tokenPair, amount, roundId)).catch(error => {
+      console.error(`Ticker ${feed.feedId} failed to request ${side} quotes:`, error.message);
+      this.rounds.delete(roundId);
+      if (feed.round === round) this.publish(feed);
+    });
+  }
+
+  closeRound(feed) {
+    if (!feed.round) return;
+    this.rounds.delete(`${feed.round.id}:bid`);
+    this.rounds.delete(`${feed.round.id}:ask`);
+    feed.round = null;
+  }
+
+  publish(feed) {
+    const round = feed.round;
+    if (!round) return;
+    this.closeRound(feed);
+
+    const bids = Array.from(round.bid.values()).filter(Boolean);
+    const asks = Array.from(round.ask.values()).filter(Boolean);
+    const ticker = buildTickerQuote(feed.inputAmount, bids, asks);
+    const analysis = bids.length > 0 ? this.analyze(bids) : null;
+
+    if (ticker.mid !== null) {
+      feed.referencePrice = ticker.mid;
+    } else if (ticker.bestBid) {
+      feed.referencePrice = ticker.bestBid.price;
+    }
+
+    feed.sequence++;
+    feed.lastTick = {
+      feedId: feed.feedId,
+      tokenPair: feed.tokenPair,
+      sequence: feed.sequence,
+      ...ticker,
+      quotesReceived: { bid: bids.length, ask: asks.length },
+      marketMetrics: analysis ? analysis.marketMetrics : null,
+      recommendation: analysis && analysis.recommendation ? analysis.recommendation.provider : null,
+      roundDuration: Date.now() - round.startedAt,
+      ...(bids.length === 0 && { error: 'No quotes received this round' }),
+      timestamp: new Date().toISOString()
+    };
+
+    this.onTick(feed.feedId, feed.lastTick);
+  }
+}
+
+module.exports = {
+  QuoteTicker,
+  buildTickerQuote,
+  DEFAULT_TICKER_INTERVAL,
+  MIN_TICKER_INTERVAL,
+  DEFAULT_MAX_FEEDS
+};
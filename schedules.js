@@ -0,0 +1,260 @@
+const { Queue, Worker } = require('bullmq');
+const IORedis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+
+// ========== DCA SCHEDULES ==========
+
+const SCHEDULE_QUEUE = 'dca-schedules';
+const HISTORY_LIMIT = 100;
+
+// Replace the history entry containing a run's orderId. Finding and setting
+// in one script keeps a run pushed in between from shifting the index.
+const UPDATE_RUN_SCRIPT = `
+local runs = redis.call('LRANGE', KEYS[1], 0, -1)
+for index, raw in ipairs(runs) do
+  if string.find(raw, ARGV[1], 1, true) then
+    redis.call('LSET', KEYS[1], index - 1, ARGV[2])
+    return 1
+  end
+end
+return 0
+`;
+
+/**
+ * Schedule Manager - stores recurring DCA plans in Redis and uses BullMQ job
+ * schedulers to fire each run. Every run is handed to the server's onRun
+ * callback, which places a normal order through the quote/route/swap pipeline.
+ */
+class ScheduleManager {
+  /**
+   * @param {Object} connection - ioredis connection used for plan storage and the queue
+   * @param {Object} options - { key, queue, workerConnection }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.key = options.key || 'dca-schedules';
+    this.queue = options.queue || new Queue(SCHEDULE_QUEUE, { connection });
+    // Workers need a blocking connection without request retries
+    this.workerConnection = options.workerConnection || new IORedis("redis://localhost:6379", {
+      maxRetriesPerRequest: null,
+    });
+    this.worker = null;
+  }
+
+  historyKey(scheduleId) {
+    return `${this.key}:history:${scheduleId}`;
+  }
+
+  /**
+   * Create a schedule and register its repeatable job
+   * @param {Object} params - { name, tokenPair, inputAmount, wallet, cron, timezone, routingStrategy, userPreferences }
+   * @returns {Object} Stored schedule
+   */
+  async create(params) {
+    const schedule = {
+      scheduleId: uuidv4(),
+      name: params.name || `${params.inputAmount} ${params.tokenPair.base} -> ${params.tokenPair.quote}`,
+      tokenPair: params.tokenPair,
+      inputAmount: params.inputAmount,
+      wallet: params.wallet,
+      cron: params.cron,
+      timezone: params.timezone || 'UTC',
+      routingStrategy: params.routingStrategy || 'BEST_PRICE',
+      userPreferences: params.userPreferences || {},
+      status: 'active',
+      runCount: 0,
+      lastRunAt: null,
+      createdAt: new Date().toISOString()
+    };
+
+    // Registering first lets BullMQ reject invalid cron patterns before anything is stored
+    await this.register(schedule);
+    await this.connection.hset(this.key, schedule.scheduleId, JSON.stringify(schedule));
+    return schedule;
+  }
+
+  /**
+   * Get a stored schedule, including its next run time when active
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|null} Schedule or null
+   */
+  async get(scheduleId) {
+    const raw = await this.connection.hget(this.key, scheduleId);
+    if (!raw) return null;
+
+    const schedule = JSON.parse(raw);
+    return { ...schedule, nextRunAt: await this.getNextRunAt(schedule) };
+  }
+
+  /**
+   * List stored schedules
+   * @param {Object} options - { wallet } - only schedules trading for this wallet address
+   * @returns {Array} Schedules
+   */
+  async list({ wallet } = {}) {
+    const entries = await this.connection.hgetall(this.key);
+    const schedules = Object.values(entries).map(raw => JSON.parse(raw))
+      .filter(schedule => !wallet || (schedule.wallet && schedule.wallet.address === wallet));
+
+    return Promise.all(schedules.map(async schedule => ({
+      ...schedule,
+      nextRunAt: await this.getNextRunAt(schedule)
+    })));
+  }
+
+  /**
+   * Merge changes into a stored schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} Updated schedule or null
+   */
+  async update(scheduleId, changes) {
+    const raw = await this.connection.hget(this.key, scheduleId);
+    if (!raw) return null;
+
+    const updated = { ...JSON.parse(raw), ...changes, updatedAt: new Date().toISOString() };
+    await this.connection.hset(this.key, scheduleId, JSON.stringify(updated));
+    return updated;
+  }
+
+  /**
+   * Pause a schedule; its repeatable job is removed until resumed
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|null} Updated schedule or null
+   */
+  async pause(scheduleId) {
+    await this.queue.removeJobScheduler(scheduleId);
+    return this.update(scheduleId, { status: 'paused' });
+  }
+
+  /**
+   * Resume a paused schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|null} Updated schedule or null
+   */
+  async resume(scheduleId) {
+    const raw = await this.connection.hget(this.key, scheduleId);
+    if (!raw) return null;
+
+    await this.register(JSON.parse(raw));
+    return this.update(scheduleId, { status: 'active' });
+  }
+
+  /**
+   * Delete a schedule together with its run history
+   * @param {string} scheduleId - Schedule ID
+   * @returns {boolean} Whether a schedule was deleted
+   */
+  async remove(scheduleId) {
+    await this.queue.removeJobScheduler(scheduleId);
+    await this.connection.del(this.historyKey(scheduleId));
+    const removed = await this.connection.hdel(this.key, scheduleId);
+    return removed > 0;
+  }
+
+  /**
+   * Run history of a schedule, newest first
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Array} Run records
+   */
+  async getHistory(scheduleId) {
+    const entries = await this.connection.lrange(this.historyKey(scheduleId), 0, HISTORY_LIMIT - 1);
+    return entries.map(raw => JSON.parse(raw));
+  }
+
+  /**
+   * Append a run to the schedule's history
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} run - Run record, must contain orderId
+   */
+  async recordRun(scheduleId, run) {
+    const key = this.historyKey(scheduleId);
+    await this.connection.lpush(key, JSON.stringify(run));
+    await this.connection.ltrim(key, 0, HISTORY_LIMIT - 1);
+  }
+
+  /**
+   * Update the history entry of a run once its order finishes
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} orderId - Order placed by the run
+   * @param {Object} changes - Fields to update (status, outputAmount, ...)
+   * @returns {boolean} Whether the run was found
+   */
+  async updateRun(scheduleId, orderId, changes) {
+    const run = (await this.getHistory(scheduleId)).find(entry => entry.orderId === orderId);
+    if (!run) return false;
+
+    // Only this order's completion updates its run, so merging a read copy is safe
+    const updated = await this.connection.eval(
+      UPDATE_RUN_SCRIPT, 1, this.historyKey(scheduleId),
+      `"orderId":${JSON.stringify(orderId)}`, JSON.stringify({ ...run, ...changes })
+    );
+    return updated === 1;
+  }
+
+  /**
+   * Register (or replace) the BullMQ job scheduler of a plan
+   * @param {Object} schedule - Schedule
+   */
+  async register(schedule) {
+    await this.queue.upsertJobScheduler(
+      schedule.scheduleId,
+      { pattern: schedule.cron, tz: schedule.timezone },
+      { name: 'dca-run', data: { scheduleId: schedule.scheduleId } }
+    );
+  }
+
+  async getNextRunAt(schedule) {
+    if (schedule.status !== 'active') return null;
+
+    const scheduler = await this.queue.getJobScheduler(schedule.scheduleId);
+    return scheduler && scheduler.next ? new Date(scheduler.next).toISOString() : null;
+  }
+
+  /**
+   * Start processing scheduled runs
+   * @param {Function} onRun - Async callback (schedule) => { orderId, ... } placing the order
+   */
+  start(onRun) {
+    if (this.worker) return;
+
+    this.worker = new Worker(SCHEDULE_QUEUE, async job => {
+      const { scheduleId } = job.data;
+      const schedule = await this.get(scheduleId);
+
+      if (!schedule || schedule.status !== 'active') {
+        return { skipped: true, scheduleId };
+      }
+
+      const runAt = new Date().toISOString();
+
+      try {
+        const run = await onRun(schedule);
+        await this.recordRun(scheduleId, { ...run, runAt, status: 'started' });
+        await this.update(scheduleId, { runCount: schedule.runCount + 1, lastRunAt: runAt });
+        return run;
+      } catch (error) {
+        await this.recordRun(scheduleId, { orderId: null, runAt, status: 'failed', error: error.message });
+        throw error;
+      }
+    }, { connection: this.workerConnection });
+
+    this.worker.on('error', (err) => {
+      console.error('DCA schedule worker error:', err.message);
+    });
+  }
+
+  /**
+   * Stop processing scheduled runs
+   */
+  async stop() {
+    if (this.worker) {
+      await this.worker.close();
+      this.worker = null;
+    }
+  }
+}
+
+module.exports = {
+  ScheduleManager
+};
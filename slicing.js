@@ -0,0 +1,143 @@
+const BN = require('bn.js');
+const { tokenRegistry } = require('./tokenRegistry');
+
+// ========== ORDER SLICING (TWAP / ICEBERG) ==========
+
+// Slice amounts and fills are integer atomic units (see tokenRegistry.js),
+// kept under `atomic`; the token-unit fields next to them are for display.
+
+/**
+ * Split a parent amount into child slice amounts
+ * TWAP splits into a fixed number of equal slices; ICEBERG uses a fixed
+ * visible slice size. The last slice absorbs the remainder.
+ * @param {string} totalAmount - Parent order input amount in atomic units
+ * @param {Object} options - { slices } for TWAP or { sliceSize } in atomic units for ICEBERG
+ * @returns {Array<string>} Atomic slice amounts summing to totalAmount
+ */
+function buildSliceAmounts(totalAmount, { slices, sliceSize } = {}) {
+  const total = new BN(totalAmount, 10);
+  if (total.lten(0)) {
+    throw new Error('totalAmount must be positive');
+  }
+
+  if (!sliceSize && !slices) {
+    throw new Error('Either slices or sliceSize is required');
+  }
+
+  const size = sliceSize ? new BN(sliceSize, 10) : total.div(new BN(slices));
+  if (size.lten(0)) {
+    throw new Error(sliceSize ? 'sliceSize must be positive' : `Amount is too small to split into ${slices} slices`);
+  }
+
+  const count = slices || total.add(size).subn(1).div(size).toNumber();
+  const amounts = Array.from({ length: count - 1 }, () => size.toString(10));
+  amounts.push(total.sub(size.muln(count - 1)).toString(10));
+
+  return amounts;
+}
+
+/**
+ * Create the execution plan tracked on a sliced parent order
+ * @param {string} type - TWAP or ICEBERG
+ * @param {Object} tokenPair - { base, quote } - base is spent, quote is bought
+ * @param {string} totalAmount - Parent order input amount in atomic units
+ * @param {Object} options - { slices, sliceSize, intervalMs } - sliceSize in atomic units
+ * @returns {Object} Slice plan
+ */
+function createSlicePlan(type, tokenPair, totalAmount, { slices, sliceSize, intervalMs = 0 } = {}) {
+  const amounts = buildSliceAmounts(totalAmount, { slices, sliceSize });
+
+  return {
+    type,
+    tokenPair,
+    totalAmount: tokenRegistry.toAmount(tokenPair.base, totalAmount),
+    intervalMs,
+    currentSlice: 0,
+    slices: amounts.map((amount, index) => ({
+      index,
+      amount: tokenRegistry.toAmount(tokenPair.base, amount),
+      status: 'pending',
+      provider: null,
+      outputAmount: null,
+      transactionHash: null,
+      startedAt: null,
+      completedAt: null,
+      atomic: { amount, outputAmount: null }
+    })),
+    filledAmount: 0,
+    outputAmount: 0,
+    averagePrice: null,
+    atomic: { totalAmount: String(totalAmount), filledAmount: '0', outputAmount: '0' }
+  };
+}
+
+/**
+ * Record a filled child swap on the plan and recompute the aggregates
+ * @param {Object} plan - Slice plan
+ * @param {Object} result - Swap result of the current slice, with its atomic amounts under `atomic`
+ * @returns {Object} The filled slice
+ */
+function recordSliceFill(plan, result) {
+  const slice = plan.slices[plan.currentSlice];
+  if (!slice) {
+    throw new Error(`No slice at index ${plan.currentSlice}`);
+  }
+
+  const { base, quote } = plan.tokenPair;
+
+  slice.status = 'filled';
+  slice.provider = result.provider;
+  slice.outputAmount = tokenRegistry.toAmount(quote, result.atomic.outputAmount);
+  slice.transactionHash = result.transactionHash;
+  slice.completedAt = new Date().toISOString();
+  slice.atomic.outputAmount = result.atomic.outputAmount;
+
+  const filled = new BN(plan.atomic.filledAmount, 10).add(new BN(slice.atomic.amount, 10));
+  const output = new BN(plan.atomic.outputAmount, 10).add(new BN(result.atomic.outputAmount, 10));
+  plan.atomic.filledAmount = filled.toString(10);
+  plan.atomic.outputAmount = output.toString(10);
+
+  plan.filledAmount = tokenRegistry.toAmount(base, plan.atomic.filledAmount);
+  plan.outputAmount = tokenRegistry.toAmount(quote, plan.atomic.outputAmount);
+  plan.averagePrice = plan.outputAmount / plan.filledAmount;
+  plan.currentSlice++;
+
+  return slice;
+}
+
+/**
+ * Whether every slice of the plan has been filled
+ * @param {Object} plan - Slice plan
+ * @returns {boolean} True when done
+ */
+function isPlanComplete(plan) {
+  return plan.currentSlice >= plan.slices.length;
+}
+
+/**
+ * Progress snapshot for status messages
+ * @param {Object} plan - Slice plan
+ * @returns {Object} Aggregate fill information
+ */
+function summarizeSlicePlan(plan) {
+  const total = new BN(plan.atomic.totalAmount, 10);
+  const filled = new BN(plan.atomic.filledAmount, 10);
+
+  return {
+    totalSlices: plan.slices.length,
+    slicesFilled: plan.slices.filter(slice => slice.status === 'filled').length,
+    filledAmount: plan.filledAmount,
+    remainingAmount: tokenRegistry.toAmount(plan.tokenPair.base, total.sub(filled)),
+    outputAmount: plan.outputAmount,
+    averagePrice: plan.averagePrice,
+    progress: filled.muln(10000).div(total).toNumber() / 100
+  };
+}
+
+module.exports = {
+  buildSliceAmounts,
+  createSlicePlan,
+  recordSliceFill,
+  isPlanComplete,
+  summarizeSlicePlan
+};
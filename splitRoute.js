@@ -0,0 +1,33 @@
+// ========== SPLIT ROUTES ==========
+
+// Leg amounts are integer atomic units (see tokenRegistry.js), kept under
+// `atomic`; the token-unit fields next to them are for display.
+
+/**
+ * Record the outcome of one split leg. Legs are matched by swap job, since
+ * a split can send more than one leg to the same venue.
+ * @param {Object} split - Split plan of the order, with the swap job ID on each leg
+ * @param {string} jobId - Swap job that settled
+ * @param {Object} outcome - { result } with the swap result in token units and its atomic amounts under `atomic`, or { error }
+ * @returns {Object} { leg, settled } - leg is null if no executing leg ran the job; settled once no leg is executing
+ */
+function recordSplitLegOutcome(split, jobId, { result = null, error = null }) {
+  const leg = split.legs.find(l => l.jobId === jobId && l.status === 'executing') || null;
+
+  if (leg && error) {
+    leg.status = 'failed';
+    leg.error = error.message;
+  } else if (leg) {
+    leg.status = 'filled';
+    leg.actualOutput = result.outputAmount;
+    leg.transactionHash = result.transactionHash;
+    leg.completedAt = new Date().toISOString();
+    leg.atomic.actualOutput = result.atomic.outputAmount;
+  }
+
+  return { leg, settled: !split.legs.some(l => l.status === 'executing') };
+}
+
+module.exports = {
+  recordSplitLegOutcome
+};
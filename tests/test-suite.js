@@ -1,6 +1,8 @@
 // test-suite.js - Comprehensive DEX Trading Server Test Suite (No WebSocket Testing)
 const axios = require('axios');
 const { performance } = require('perf_hooks');
+const { Keypair } = require('@solana/web3.js');
+const { signWalletMessage } = require('../walletAuth');
 
 class DEXTestSuite {
     constructor(config = {}) {
@@ -93,6 +95,31 @@ class DEXTestSuite {
         }
     }
 
+    // Sign in with the test keypair; later requests send its session token
+    async testWalletSignIn() {
+        const startTime = performance.now();
+        try {
+            const keypair = Keypair.fromSecretKey(Uint8Array.from(require('../test.json')));
+            const address = keypair.publicKey.toBase58();
+
+            const challenge = await axios.post(`${this.serverUrl}/api/auth/challenge`, { address }, { timeout: 5000 });
+            const session = await axios.post(`${this.serverUrl}/api/auth/verify`, {
+                address,
+                nonce: challenge.data.nonce,
+                signature: signWalletMessage(keypair.secretKey, challenge.data.message)
+            }, { timeout: 5000 });
+            const duration = performance.now() - startTime;
+
+            axios.defaults.headers.common.Authorization = `Bearer ${session.data.token}`;
+            this.logTest('Wallet Sign-In', true, `Wallet: ${address.substring(0, 8)}...`, duration);
+            return true;
+        } catch (error) {
+            const duration = performance.now() - startTime;
+            this.logTest('Wallet Sign-In', false, `Error: ${error.message}`, duration);
+            return false;
+        }
+    }
+
     // Test single order creation (queue test)
     async testSingleOrder() {
         const startTime = performance.now();
@@ -200,7 +227,7 @@ class DEXTestSuite {
                     base: "SOL",
                     quote: "USDC"
                 },
-                inputAmount: Math.random() * 5 + 0.5, // Random amount between 0.5 and 5.5
+                inputAmount: Number((Math.random() * 5 + 0.5).toFixed(4)), // Random amount between 0.5 and 5.5, within SOL decimals
                 wallet: {
                     balances: {
                         SOL: 20,
@@ -373,6 +400,7 @@ class DEXTestSuite {
             // Queue tests
             console.log('\n🔄 Queue Tests...');
             await this.testQuotesEndpoint();
+            await this.testWalletSignIn();
             const orderId = await this.testSingleOrder();
             
             // Order status test
@@ -0,0 +1,74 @@
+// Unit tests for multiplexed WebSocket channels
+const { parseChannel, getOrderChannels, ChannelRegistry } = require('../../channels');
+
+describe('WebSocket Channels', () => {
+    test('should normalize channel names', () => {
+        expect(parseChannel('order:abc')).toEqual({ kind: 'order', key: 'abc', channel: 'order:abc' });
+        expect(parseChannel('wallet:Wallet123').channel).toBe('wallet:Wallet123');
+        expect(parseChannel('pair:sol-usdc').channel).toBe('pair:SOL/USDC');
+    });
+
+    test('should fill in ticker options so equal feeds share a channel', () => {
+        const ticker = parseChannel('ticker:sol-usdc');
+
+        expect(ticker.params).toEqual({ inputAmount: 1, interval: 10000 });
+        expect(ticker.channel).toBe('ticker:SOL/USDC?inputAmount=1&interval=10000');
+        expect(parseChannel('ticker:SOL/USDC?interval=10000&inputAmount=1').channel).toBe(ticker.channel);
+        expect(() => parseChannel('ticker:SOL/USDC?interval=100')).toThrow('at least 5000 ms');
+        expect(() => parseChannel('ticker:SOL/USDC?depth=5')).toThrow('Unknown ticker option depth');
+    });
+
+    test('should reject unknown or malformed channels', () => {
+        expect(() => parseChannel('market:SOL')).toThrow('Invalid channel');
+        expect(() => parseChannel('order:')).toThrow('Invalid channel');
+        expect(() => parseChannel('pair:SOL')).toThrow('Invalid pair');
+        expect(() => parseChannel(42)).toThrow('Invalid channel');
+    });
+
+    test('should list the channels of an order, most specific first', () => {
+        const orderInfo = { wallet: { address: 'wallet123' }, tokenPair: { base: 'sol', quote: 'USDC' } };
+
+        expect(getOrderChannels('o1', orderInfo)).toEqual(['order:o1', 'wallet:wallet123']);
+        expect(getOrderChannels('o1', { ...orderInfo, wallet: { balances: {} } })).toEqual(['order:o1', 'pair:SOL/USDC']);
+        expect(getOrderChannels('o1', undefined)).toEqual(['order:o1']);
+    });
+
+    test('should match each client once with its most specific channel', () => {
+        const registry = new ChannelRegistry();
+        const trader = {};
+        const watcher = {};
+
+        registry.subscribe(trader, 'wallet:wallet123');
+        registry.subscribe(trader, 'order:o1');
+        registry.subscribe(watcher, 'pair:SOL/USDC');
+
+        const matches = registry.match(['order:o1', 'wallet:wallet123', 'pair:SOL/USDC']);
+        expect(matches.size).toBe(2);
+        expect(matches.get(trader)).toBe('order:o1');
+        expect(matches.get(watcher)).toBe('pair:SOL/USDC');
+    });
+
+    test('should unsubscribe and remove clients', () => {
+        const registry = new ChannelRegistry();
+        const client = {};
+
+        expect(registry.subscribe(client, 'order:o1')).toBe(true);
+        expect(registry.subscribe(client, 'order:o1')).toBe(false);
+        registry.subscribe(client, 'order:o2');
+
+        expect(registry.unsubscribe(client, 'order:o1')).toBe(true);
+        expect(registry.getChannels(client)).toEqual(['order:o2']);
+
+        registry.removeClient(client);
+        expect(registry.getChannels(client)).toEqual([]);
+        expect(registry.match(['order:o2']).size).toBe(0);
+    });
+
+    test('should enforce the per-client subscription limit', () => {
+        const registry = new ChannelRegistry({ maxChannelsPerClient: 1 });
+        const client = {};
+
+        registry.subscribe(client, 'order:o1');
+        expect(() => registry.subscribe(client, 'order:o2')).toThrow('Subscription limit of 1 channels reached');
+    });
+});
@@ -0,0 +1,51 @@
+// Unit tests for the constant product pool behind the Raydium mock
+const { ConstantProductPool } = require('../../constantProductPool');
+
+describe('Constant Product Pool', () => {
+    let pool;
+
+    beforeEach(() => {
+        // 1,000 SOL against 100,000 USDC: spot price 100, no fee for exact math
+        pool = new ConstantProductPool('SOL', 'USDC', 1000, 100000, { feeRate: 0 });
+    });
+
+    test('should compute output and price impact from reserves', () => {
+        const result = pool.getAmountOut('SOL', 10);
+
+        // 100000 * 10 / (1000 + 10)
+        expect(result.outputAmount).toBeCloseTo(990.099, 3);
+        expect(result.spotPrice).toBe(100);
+        expect(result.priceImpact).toBeCloseTo(0.990, 3);
+    });
+
+    test('should increase price impact with trade size', () => {
+        const small = pool.getAmountOut('SOL', 1);
+        const large = pool.getAmountOut('SOL', 100);
+
+        expect(large.priceImpact).toBeGreaterThan(small.priceImpact);
+        expect(large.executionPrice).toBeLessThan(small.executionPrice);
+    });
+
+    test('should move reserves on swap and keep k', () => {
+        const k = 1000 * 100000;
+        pool.swap('SOL', 10);
+
+        const reserves = pool.getReserves();
+        expect(reserves.SOL).toBe(1010);
+        expect(reserves.SOL * reserves.USDC).toBeCloseTo(k, 3);
+        expect(pool.getSpotPrice('SOL')).toBeLessThan(100);
+        expect(pool.getSpotPrice('USDC')).toBeGreaterThan(0.01);
+    });
+
+    test('should reject tokens outside the pool', () => {
+        expect(() => pool.getAmountOut('BONK', 1)).toThrow('Token BONK is not in pool SOL/USDC');
+    });
+
+    test('should restore a moved pool from its serialized state', () => {
+        pool.swap('SOL', 25);
+        const restored = ConstantProductPool.fromJSON(JSON.parse(JSON.stringify(pool)));
+
+        expect(restored.getReserves()).toEqual(pool.getReserves());
+        expect(restored.getAmountOut('USDC', 500)).toEqual(pool.getAmountOut('USDC', 500));
+    });
+});
@@ -0,0 +1,55 @@
+// Unit tests for the DEX provider registry
+const { DexRegistry } = require('../../dexRegistry');
+const { DEXRoutingHub } = require('../../hub');
+
+function makeProvider(name, overrides = {}) {
+    return {
+        name,
+        quote: async () => ({ provider: name }),
+        swap: async () => ({ success: true }),
+        ...overrides
+    };
+}
+
+describe('DEX Registry', () => {
+    test('should fill in worker and status defaults', () => {
+        const registry = new DexRegistry();
+        const provider = registry.register(makeProvider('Phoenix', { speedRank: 5, feeTier: 0.02 }));
+
+        expect(provider.worker).toEqual({ queueName: 'phoenix-dex', concurrency: 5, limiter: { max: 10, duration: 1000 } });
+        expect(provider.stages.quote.stage).toBe('fetching_quote');
+        expect(registry.get('PHOENIX')).toBe(provider);
+        expect(registry.describe()).toEqual([
+            { name: 'Phoenix', speedRank: 5, feeTier: 0.02, reliability: null, poolType: null, queueName: 'phoenix-dex' }
+        ]);
+    });
+
+    test('should announce registrations and reject duplicates', () => {
+        const registry = new DexRegistry();
+        const registered = [];
+        registry.on('registered', provider => registered.push(provider.name));
+
+        registry.register(makeProvider('Phoenix'));
+        expect(registered).toEqual(['Phoenix']);
+
+        expect(() => registry.register(makeProvider('phoenix'))).toThrow('already registered');
+        expect(() => registry.register(makeProvider('Lifinity', { worker: { queueName: 'phoenix-dex' } }))).toThrow('already used by Phoenix');
+        expect(() => registry.register({ name: 'Lifinity', quote: () => {} })).toThrow('must implement quote and swap');
+        expect(() => registry.require('Serum')).toThrow('Unknown DEX provider: Serum');
+    });
+
+    test('should rank fastest execution by registered speed', () => {
+        const registry = new DexRegistry();
+        registry.register(makeProvider('Slow', { speedRank: 1 }));
+        registry.register(makeProvider('Fast', { speedRank: 9 }));
+
+        const routingHub = new DEXRoutingHub({ providers: registry });
+        const route = routingHub.selectBestRoute([
+            { provider: 'Slow', outputAmount: 101 },
+            { provider: 'Fast', outputAmount: 99 },
+            { provider: 'Unknown', outputAmount: 100 }
+        ], 'FASTEST_EXECUTION');
+
+        expect(route.provider).toBe('Fast');
+    });
+});
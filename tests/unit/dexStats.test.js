@@ -0,0 +1,54 @@
+// Unit tests for observed DEX execution stats and their use in routing
+const { summarizeStats, fillDeviation } = require('../../dexStats');
+const { DEXRoutingHub } = require('../../hub');
+
+function liveStats(failureRate, avgLatencyMs, avgDeviation = null) {
+    return {
+        quote: { count: 0, failures: 0, failureRate: null, avgLatencyMs: null },
+        swap: { count: 100, failures: failureRate * 100, failureRate, avgLatencyMs },
+        fills: { count: avgDeviation === null ? 0 : 50, avgDeviation },
+        errors: {}
+    };
+}
+
+describe('DEX Stats', () => {
+    test('should add up window buckets into rates, latencies and deviation', () => {
+        const stats = summarizeStats([
+            { swapCount: '3', swapLatencyMs: '9000', swapFailures: '1', 'error:Transaction failed due to slippage': '1', fillCount: '2', fillDeviation: '0.5' },
+            { swapCount: '1', swapLatencyMs: '3000', quoteCount: '2', quoteLatencyMs: '500', fillCount: '1', fillDeviation: '-0.2' },
+            {}
+        ]);
+
+        expect(stats.swap).toEqual({ count: 4, failures: 1, failureRate: 0.25, avgLatencyMs: 3000 });
+        expect(stats.quote).toEqual({ count: 2, failures: 0, failureRate: 0, avgLatencyMs: 250 });
+        expect(stats.fills).toEqual({ count: 3, avgDeviation: 0.1 });
+        expect(stats.errors).toEqual({ 'Transaction failed due to slippage': 1 });
+        expect(summarizeStats([]).swap.failureRate).toBeNull();
+    });
+
+    test('should measure how far a fill fell short of its quote', () => {
+        expect(fillDeviation('1000000', '990000')).toBe(1);
+        expect(fillDeviation('1000000', '1005000')).toBe(-0.5);
+        expect(fillDeviation('0', '5')).toBeNull();
+    });
+
+    test('should route on live stats once every quoted DEX has them', () => {
+        const live = { Raydium: liveStats(0.01, 2500), Jupiter: liveStats(0.3, 4000, 2) };
+        const routingHub = new DEXRoutingHub({ stats: { get: provider => live[provider] || null } });
+        const quotes = [
+            { provider: 'Raydium', outputAmount: 100, priceImpact: 0.5, liquidity: 1000000, fee: 0.25 },
+            { provider: 'Jupiter', outputAmount: 101, priceImpact: 0.5, liquidity: 1000000, fee: 0.25 }
+        ];
+
+        // Observed latency beats Jupiter's higher registered speed rank
+        expect(routingHub.selectBestRoute(quotes, 'FASTEST_EXECUTION').provider).toBe('Raydium');
+        expect(routingHub.getReliability('Jupiter')).toBe(0.7);
+        expect(routingHub.getExpectedOutput(quotes[1])).toBeCloseTo(98.98);
+        expect(routingHub.selectBestRoute(quotes, 'BALANCED').provider).toBe('Raydium');
+
+        // Without stats for every DEX the registered speed ranks decide
+        delete live.Raydium;
+        expect(routingHub.selectBestRoute(quotes, 'FASTEST_EXECUTION').provider).toBe('Jupiter');
+        expect(routingHub.getReliability('Raydium')).toBe(0.95);
+    });
+});
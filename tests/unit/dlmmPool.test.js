@@ -0,0 +1,58 @@
+// Unit tests for the discrete bin pool behind the Meteora mock
+const { DLMMPool, priceToBinId } = require('../../dlmmPool');
+
+describe('DLMM Pool', () => {
+    let pool;
+
+    beforeEach(() => {
+        // Active bin 0 (price 1) with 100 of each token per bin, two bins on each side
+        pool = new DLMMPool('USDC', 'USDT', 0, { binStep: 10, feeRate: 0 });
+        pool.addLiquidity(-2, 0, 100);
+        pool.addLiquidity(-1, 0, 100);
+        pool.addLiquidity(0, 50, 50);
+        pool.addLiquidity(1, 100, 0);
+        pool.addLiquidity(2, 100, 0);
+    });
+
+    test('should fill inside the active bin at its fixed price', () => {
+        const result = pool.getAmountOut('USDC', 40);
+
+        expect(result.outputAmount).toBeCloseTo(40, 9);
+        expect(result.binsCrossed).toBe(0);
+        expect(result.priceImpact).toBeCloseTo(0, 9);
+    });
+
+    test('should cross bins in order and report the impact', () => {
+        // 50 from the active bin, the rest from bin -1 at a lower price
+        const result = pool.getAmountOut('USDC', 120);
+
+        expect(result.binsCrossed).toBe(1);
+        expect(result.activeBinId).toBe(-1);
+        expect(result.outputAmount).toBeLessThan(120);
+        expect(result.priceImpact).toBeGreaterThan(0);
+    });
+
+    test('should shift the active bin on swap', () => {
+        pool.swap('USDT', 200);
+
+        expect(pool.activeBinId).toBe(2);
+        expect(pool.getSpotPrice('USDC')).toBeGreaterThan(1);
+    });
+
+    test('should fail once all bins are used up', () => {
+        expect(() => pool.getAmountOut('USDC', 1000)).toThrow('DLMM bin allocation failed');
+    });
+
+    test('should map prices to bins', () => {
+        expect(priceToBinId(1, 10)).toBe(0);
+        expect(pool.getBinPrice(priceToBinId(98.5, 10))).toBeCloseTo(98.5, 0);
+    });
+
+    test('should restore a moved pool from its serialized state', () => {
+        pool.swap('USDC', 120);
+        const restored = DLMMPool.fromJSON(JSON.parse(JSON.stringify(pool)));
+
+        expect(restored.getState()).toEqual(pool.getState());
+        expect(restored.getAmountOut('USDT', 150)).toEqual(pool.getAmountOut('USDT', 150));
+    });
+});
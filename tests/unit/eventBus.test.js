@@ -0,0 +1,60 @@
+// Unit tests for the Redis pub/sub order event bus
+const Redis = require('ioredis-mock');
+const { EventBus } = require('../../eventBus');
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('Event Bus', () => {
+    let bus;
+
+    beforeEach(() => {
+        bus = new EventBus(new Redis(), { channel: `events-test-${Math.random()}` });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await bus.close();
+    });
+
+    test('should deliver published events with their source and timestamp', async () => {
+        const events = [];
+        await bus.subscribe(event => events.push(event));
+
+        expect(await bus.publish('job_completed', { orderId: 'order-1', dexProvider: 'Orca' })).toBe(1);
+        await nextTick();
+
+        expect(events.length).toBe(1);
+        expect(events[0]).toMatchObject({ type: 'job_completed', orderId: 'order-1', dexProvider: 'Orca', source: bus.source });
+        expect(Date.parse(events[0].timestamp)).not.toBeNaN();
+    });
+
+    test('should skip malformed messages and survive handler errors', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const events = [];
+        await bus.subscribe(event => {
+            if (event.type === 'status') throw new Error('handler broke');
+            events.push(event);
+        });
+
+        await bus.connection.publish(bus.channel, 'not json');
+        await bus.publish('status', { orderId: 'order-1' });
+        await bus.publish('progress', { orderId: 'order-1' });
+        await nextTick();
+
+        expect(events.map(event => event.type)).toEqual(['progress']);
+        expect(console.error).toHaveBeenCalledTimes(2);
+    });
+
+    test('should ignore other channels and reach nobody before subscribing', async () => {
+        expect(await bus.publish('status', { orderId: 'order-1' })).toBe(0);
+
+        const events = [];
+        await bus.subscribe(event => events.push(event));
+        await bus.connection.publish('some-other-channel', JSON.stringify({ type: 'status' }));
+        await bus.subscriber.subscribe('some-other-channel');
+        await bus.connection.publish('some-other-channel', JSON.stringify({ type: 'status' }));
+        await nextTick();
+
+        expect(events).toEqual([]);
+    });
+});
@@ -0,0 +1,30 @@
+// Unit tests for idempotency keys and duplicate order detection
+const { fingerprintRequest, stableStringify, DuplicateOrderGuard } = require('../../idempotency');
+
+describe('Idempotency', () => {
+    test('should serialize objects independent of key order', () => {
+        expect(stableStringify({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: 'x' } }))
+            .toBe('{"a":{"c":"x","d":[2,{"e":0,"f":1}]},"b":1}');
+        expect(stableStringify({ a: 1, b: undefined })).toBe('{"a":1}');
+    });
+
+    test('should fingerprint equal requests the same way', () => {
+        const order = { type: 'market', tokenPair: { base: 'SOL', quote: 'USDC' }, inputAmount: 1 };
+        const reordered = { inputAmount: 1, tokenPair: { quote: 'USDC', base: 'SOL' }, type: 'market' };
+
+        expect(fingerprintRequest('/api/orders', order)).toBe(fingerprintRequest('/api/orders', reordered));
+        expect(fingerprintRequest('/api/orders', order))
+            .not.toBe(fingerprintRequest('/api/orders', { ...order, inputAmount: 2 }));
+        expect(fingerprintRequest('/api/orders', order))
+            .not.toBe(fingerprintRequest('/api/orders/bracket', order));
+    });
+
+    test('should sign orders by wallet, type, pair and amount', () => {
+        const guard = new DuplicateOrderGuard(null);
+        const order = { type: 'market', tokenPair: { base: 'sol', quote: 'usdc' }, inputAmount: '1.5', wallet: { address: 'wallet123' } };
+
+        expect(guard.signature(order)).toBe('wallet123:market:SOL:USDC:1.5');
+        expect(guard.signature({ ...order, wallet: {} })).toBeNull();
+        expect(guard.signature({ ...order, wallet: undefined })).toBeNull();
+    });
+});
@@ -0,0 +1,96 @@
+// Unit tests for the Jupiter aggregator over the mock venue pools
+const {
+    raydiumQuote,
+    meteoraQuote,
+    orcaQuote,
+    jupiterQuote,
+    jupiterSwap
+} = require('../../mockQuote');
+const { tokenRegistry } = require('../../tokenRegistry');
+
+const SOL_USDC = { base: 'SOL', quote: 'USDC' };
+
+// Quotes and swaps simulate network delays; run them on fake timers
+async function settle(promise) {
+    await jest.runAllTimersAsync();
+    return promise;
+}
+
+describe('Jupiter Aggregator', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('should quote at least as much as the best single venue', async () => {
+        const amount = tokenRegistry.toAtomic('SOL', 1);
+        const venueQuotes = await settle(Promise.all([
+            raydiumQuote(SOL_USDC, amount),
+            meteoraQuote(SOL_USDC, amount),
+            orcaQuote(SOL_USDC, amount)
+        ]));
+        const quote = await settle(jupiterQuote(SOL_USDC, amount));
+
+        const bestVenue = Math.max(...venueQuotes.map(venueQuote => Number(venueQuote.outputAmount)));
+        expect(Number(quote.outputAmount)).toBeGreaterThanOrEqual(bestVenue);
+        expect(quote.poolType).toBe('Aggregated');
+        expect(quote.inputAmount).toBe(amount);
+    });
+
+    test('should chain the legs of the chosen route', async () => {
+        const amount = tokenRegistry.toAtomic('SOL', 2);
+        const quote = await settle(jupiterQuote(SOL_USDC, amount));
+
+        expect(quote.route[0]).toBe('SOL');
+        expect(quote.route[quote.route.length - 1]).toBe('USDC');
+        expect(quote.routeSteps).toBe(quote.legs.length);
+        expect(quote.legs[0].inputAmount).toBe(amount);
+        quote.legs.forEach((leg, index) => {
+            expect(leg.from).toBe(quote.route[index]);
+            expect(leg.to).toBe(quote.route[index + 1]);
+            expect(['Raydium', 'Orca', 'Meteora']).toContain(leg.venue);
+        });
+        expect(quote.legs[quote.legs.length - 1].outputAmount).toBe(quote.outputAmount);
+        expect(quote.dexsUsed).toEqual([...new Set(quote.legs.map(leg => leg.venue))]);
+    });
+
+    test('should execute the route and settle the wallet', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const amount = tokenRegistry.toAtomic('SOL', 1);
+        const wallet = {
+            address: 'wallet123',
+            balances: { SOL: tokenRegistry.toAtomic('SOL', 3), USDC: '0' }
+        };
+
+        const result = await settle(jupiterSwap(SOL_USDC, amount, wallet));
+
+        expect(result.success).toBe(true);
+        expect(result.legs.length).toBe(result.route.length - 1);
+        expect(result.outputAmount).toBe(result.legs[result.legs.length - 1].outputAmount);
+        expect(wallet.balances.SOL).toBe(tokenRegistry.toAtomic('SOL', 2));
+        expect(wallet.balances.USDC).toBe(result.outputAmount);
+    });
+
+    test('should reject swaps the wallet cannot cover', async () => {
+        const wallet = { address: 'wallet123', balances: { SOL: tokenRegistry.toAtomic('SOL', 0.5) } };
+
+        const result = await settle(jupiterSwap(SOL_USDC, tokenRegistry.toAtomic('SOL', 1), wallet));
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch('Insufficient SOL balance');
+        expect(wallet.balances.SOL).toBe(tokenRegistry.toAtomic('SOL', 0.5));
+    });
+
+    test('should not quote a token without a reference price', async () => {
+        tokenRegistry.register({ symbol: 'NOPRICE', mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 });
+        const pair = { base: 'NOPRICE', quote: 'USDC' };
+
+        const quoted = expect(raydiumQuote(pair, tokenRegistry.toAtomic('NOPRICE', 1))).rejects.toThrow('No reference price for NOPRICE/USDC');
+        await settle(quoted);
+    });
+});
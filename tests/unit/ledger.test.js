@@ -0,0 +1,82 @@
+// Unit tests for paper trading reservations
+const Redis = require('ioredis-mock');
+const { Ledger } = require('../../ledger');
+
+describe('Paper Trading Ledger', () => {
+    let ledger;
+
+    beforeEach(async () => {
+        ledger = new Ledger(new Redis(), { key: `ledger-test-${Math.random()}` });
+        await ledger.createAccount('wallet123', { SOL: '10000', usdc: '500' });
+    });
+
+    test('should reject a reservation the account cannot cover', async () => {
+        expect(await ledger.reserve('wallet123', 'order-1', 'SOL', '10001')).toEqual({ status: 'insufficient', available: '10000' });
+        expect(await ledger.reserve('missing', 'order-1', 'SOL', '1')).toEqual({ status: 'no_account', available: '0' });
+
+        const { balances, reservations } = await ledger.getAccount('wallet123');
+        expect(balances.SOL).toEqual({ available: '10000', reserved: '0', total: '10000' });
+        expect(reservations).toEqual([]);
+    });
+
+    test('should reserve an order only once', async () => {
+        expect(await ledger.reserve('wallet123', 'order-1', 'SOL', '4000')).toEqual({ status: 'reserved', available: '10000' });
+        expect(await ledger.reserve('wallet123', 'order-1', 'SOL', '4000')).toEqual({ status: 'exists', available: '0' });
+
+        const { balances, reservations } = await ledger.getAccount('wallet123');
+        expect(balances.SOL).toEqual({ available: '6000', reserved: '4000', total: '10000' });
+        expect(reservations.map(reservation => reservation.reservationId)).toEqual(['order-1']);
+    });
+
+    test('should release what a partly filled order did not spend', async () => {
+        await ledger.reserve('wallet123', 'order-1', 'SOL', '4000');
+
+        const filled = await ledger.fill('wallet123', 'order-1', { spent: '1500', receivedToken: 'USDC', received: '300' });
+        expect(filled).toMatchObject({ token: 'SOL', remaining: '2500', fills: 1 });
+
+        const released = await ledger.release('wallet123', 'order-1');
+        expect(released).toMatchObject({ reservationId: 'order-1', remaining: '2500' });
+
+        const { balances, reservations } = await ledger.getAccount('wallet123');
+        expect(balances.SOL).toEqual({ available: '8500', reserved: '0', total: '8500' });
+        expect(balances.USDC).toEqual({ available: '800', reserved: '0', total: '800' });
+        expect(reservations).toEqual([]);
+
+        expect(await ledger.release('wallet123', 'order-1')).toBeNull();
+    });
+
+    test('should keep 18-decimal amounts exact', async () => {
+        // 123.456789012345678901 of an 18-decimal token, past 2^53 atomic units
+        await ledger.deposit('wallet123', 'WETH', '123456789012345678901');
+        await ledger.reserve('wallet123', 'order-1', 'WETH', '100000000000000000001');
+
+        await ledger.fill('wallet123', 'order-1', { spent: '33333333333333333333', receivedToken: 'USDC', received: '1' });
+        let { balances } = await ledger.getAccount('wallet123');
+        expect(balances.WETH).toEqual({
+            available: '23456789012345678900',
+            reserved: '66666666666666666668',
+            total: '90123455679012345568'
+        });
+
+        await ledger.release('wallet123', 'order-1');
+        ({ balances } = await ledger.getAccount('wallet123'));
+        expect(balances.WETH).toEqual({ available: '90123455679012345568', reserved: '0', total: '90123455679012345568' });
+    });
+
+    test('should recompute an update when the account changed after it was read', async () => {
+        const readState = ledger.readState.bind(ledger);
+        let raced = false;
+        ledger.readState = async address => {
+            const state = await readState(address);
+            if (!raced) {
+                // Another change lands between this read and the write
+                raced = true;
+                await ledger.connection.incr(ledger.versionKey(address));
+            }
+            return state;
+        };
+
+        expect(await ledger.deposit('wallet123', 'SOL', '5')).toBe('10005');
+        expect(raced).toBe(true);
+    });
+});
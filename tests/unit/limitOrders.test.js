@@ -0,0 +1,75 @@
+// Unit tests for the limit order book and its trigger conditions
+const Redis = require('ioredis-mock');
+const { LimitOrderBook } = require('../../limitOrders');
+
+const quote = (inputAmount, outputAmount) => ({ provider: 'Raydium', inputAmount, outputAmount });
+
+describe('Limit Order Book', () => {
+    test('should trigger a limit order once the price reaches its limit', () => {
+        const book = new LimitOrderBook(null);
+        const order = { type: 'LIMIT', limitPrice: 150 };
+
+        expect(book.getExecutionPrice(quote(2, 298))).toBe(149);
+        expect(book.isTriggered(order, quote(2, 298))).toBe(false);
+        expect(book.isTriggered(order, quote(2, 300))).toBe(true);
+        expect(book.isTriggered(order, quote(0, 300))).toBe(false);
+        expect(() => book.isTriggered({ type: 'MARKET' }, quote(1, 1))).toThrow('Unknown conditional order type');
+    });
+
+    test('should trigger stop-loss below and take-profit above the trigger price', () => {
+        const book = new LimitOrderBook(null);
+        const stopLoss = { type: 'STOP_LOSS', triggerPrice: 140, limitPrice: 999 };
+        const takeProfit = { type: 'TAKE_PROFIT', triggerPrice: 160 };
+
+        expect(book.getThreshold(stopLoss)).toBe(140);
+        expect(book.isTriggered(stopLoss, quote(1, 141))).toBe(false);
+        expect(book.isTriggered(stopLoss, quote(1, 140))).toBe(true);
+        expect(book.isTriggered(stopLoss, quote(1, 120))).toBe(true);
+
+        expect(book.isTriggered(takeProfit, quote(1, 159.9))).toBe(false);
+        expect(book.isTriggered(takeProfit, quote(1, 175))).toBe(true);
+    });
+
+    test('should expire orders only after their expiry time', () => {
+        const book = new LimitOrderBook(null);
+        const now = Date.parse('2026-01-01T00:00:00Z');
+
+        expect(book.isExpired({}, now)).toBe(false);
+        expect(book.isExpired({ expiresAt: '2026-01-01T00:00:01Z' }, now)).toBe(false);
+        expect(book.isExpired({ expiresAt: '2026-01-01T00:00:00Z' }, now)).toBe(true);
+    });
+
+    test('should not start a tick while the previous one is running', async () => {
+        const book = new LimitOrderBook(null, { pollInterval: 5 });
+        let running = 0;
+        let overlapped = false;
+        let ticks = 0;
+
+        book.start(async () => {
+            running++;
+            overlapped = overlapped || running > 1;
+            ticks++;
+            await new Promise(resolve => setTimeout(resolve, 30));
+            running--;
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 120));
+        book.stop();
+
+        expect(overlapped).toBe(false);
+        expect(ticks).toBeGreaterThan(1);
+        expect(ticks).toBeLessThan(5);
+    });
+
+    test('should list only the orders of a wallet when asked', async () => {
+        const book = new LimitOrderBook(new Redis(), { key: `limit-test-${Math.random()}` });
+        await book.add({ orderId: 'o1', status: 'waiting', wallet: { address: 'wallet123' } });
+        await book.add({ orderId: 'o2', status: 'triggered', wallet: { address: 'wallet123' } });
+        await book.add({ orderId: 'o3', status: 'waiting', wallet: { balances: { SOL: 1 } } });
+
+        expect((await book.list(null, { wallet: 'wallet123' })).map(order => order.orderId).sort()).toEqual(['o1', 'o2']);
+        expect((await book.list('waiting', { wallet: 'wallet123' })).map(order => order.orderId)).toEqual(['o1']);
+        expect((await book.list('waiting', { wallet: 'other' }))).toEqual([]);
+        expect(await book.list('waiting')).toHaveLength(2);
+    });
+});
@@ -0,0 +1,43 @@
+// Unit tests for multi-hop leg plans
+const { createMultiHopPlan, startNextLeg, recordLegFill } = require('../../multiHop');
+
+// Best path SOL -> USDC -> BONK as the token graph returns it
+const route = {
+    path: ['SOL', 'USDC', 'BONK'],
+    legs: [
+        { from: 'SOL', to: 'USDC', provider: 'Raydium', inputAmount: 1.5, outputAmount: 150.25, fee: 0.25 },
+        { from: 'USDC', to: 'BONK', provider: 'Orca', inputAmount: 150.25, outputAmount: 6010000.12345, fee: 0.3 }
+    ]
+};
+
+describe('Multi-Hop Legs', () => {
+    test('should feed each leg the exact output of the previous one', () => {
+        const plan = createMultiHopPlan(route);
+
+        const first = startNextLeg(plan, 1.5);
+        expect(first.swap).toEqual({
+            provider: 'Raydium',
+            tokenPair: { base: 'SOL', quote: 'USDC' },
+            inputAmount: '1500000000',
+            quotedOutput: '150250000'
+        });
+        expect(first.leg.status).toBe('executing');
+
+        const filled = recordLegFill(plan, { transactionHash: 'tx1', atomic: { inputAmount: '1500000000', outputAmount: '150123456' } });
+        expect(filled.done).toBe(false);
+        expect(filled.leg.actualOutput).toBe(150.123456);
+
+        const second = startNextLeg(plan, 1.5);
+        expect(second.swap).toEqual({
+            provider: 'Orca',
+            tokenPair: { base: 'USDC', quote: 'BONK' },
+            inputAmount: '150123456',
+            quotedOutput: '601000012345'
+        });
+
+        const last = recordLegFill(plan, { transactionHash: 'tx2', atomic: { inputAmount: '150123456', outputAmount: '600000000000' } });
+        expect(last.done).toBe(true);
+        expect(plan.legs.map(leg => leg.status)).toEqual(['filled', 'filled']);
+        expect(plan.currentLeg).toBe(1);
+    });
+});
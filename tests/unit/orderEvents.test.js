@@ -0,0 +1,54 @@
+// Unit tests for the sequenced per-order event log
+const Redis = require('ioredis-mock');
+const { OrderEventLog } = require('../../orderEvents');
+
+describe('Order Event Log', () => {
+    let connection;
+    let log;
+
+    beforeEach(() => {
+        connection = new Redis();
+        log = new OrderEventLog(connection, { key: `events-test-${Math.random()}`, maxEvents: 3, retention: 60000 });
+    });
+
+    test('should number events in order and replay the ones after a sequence', async () => {
+        expect(await log.append('order-1', { type: 'status_update', status: 'pending' })).toEqual({ seq: 1, type: 'status_update', status: 'pending' });
+        await log.append('order-1', { type: 'status_update', status: 'routing' });
+        await log.append('order-2', { type: 'status_update', status: 'pending' });
+
+        const { events, lastSeq, truncated } = await log.range('order-1', 1);
+        expect(events).toEqual([{ seq: 2, type: 'status_update', status: 'routing' }]);
+        expect(lastSeq).toBe(2);
+        expect(truncated).toBe(false);
+
+        expect((await log.range('order-1')).events.map(event => event.seq)).toEqual([1, 2]);
+        expect(await log.lastSeq('order-2')).toBe(1);
+        expect(await log.range('missing')).toEqual({ events: [], lastSeq: 0, truncated: false });
+    });
+
+    test('should trim to maxEvents and report replays that start before the oldest event', async () => {
+        for (let i = 1; i <= 5; i++) {
+            await log.append('order-1', { type: 'progress', step: i });
+        }
+
+        const all = await log.range('order-1');
+        expect(all.events.map(event => event.seq)).toEqual([3, 4, 5]);
+        expect(all.lastSeq).toBe(5);
+        expect(all.truncated).toBe(true);
+
+        // Seen up to 2: seq 3 is the next one, so nothing was missed
+        expect((await log.range('order-1', 2)).truncated).toBe(false);
+        expect((await log.range('order-1', 5)).events).toEqual([]);
+    });
+
+    test('should reject empty events and set retention once the order ends', async () => {
+        await expect(log.append('order-1', {})).rejects.toThrow('Order event must not be empty');
+
+        await log.append('order-1', { type: 'status_update', status: 'completed' });
+        expect(await connection.pttl(log.listKey('order-1'))).toBe(-1);
+
+        await log.expire('order-1');
+        expect(await connection.pttl(log.listKey('order-1'))).toBeGreaterThan(0);
+        expect(await connection.pttl(log.seqKey('order-1'))).toBeGreaterThan(0);
+    });
+});
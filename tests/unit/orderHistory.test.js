@@ -0,0 +1,142 @@
+// Unit tests for order history filtering and fill export
+const { buildOrderFilter, extractFills, summarizeOrder, toCsv, toNdjson, streamFills, parsePair } = require('../../orderHistory');
+
+function makeRecord(overrides = {}) {
+    return {
+        orderId: 'order-1',
+        type: 'MARKET',
+        status: 'completed',
+        createdAt: '2026-01-01T00:00:00.000Z',
+        finishedAt: '2026-01-01T00:00:10.000Z',
+        order: {
+            tokenPair: { base: 'SOL', quote: 'USDC' },
+            inputAmount: 2,
+            wallet: { address: 'wallet123', balances: {} }
+        },
+        selectedRoute: { provider: 'Raydium', fee: 0.25 },
+        result: {
+            provider: 'Raydium',
+            inputAmount: 2,
+            outputAmount: 196,
+            transactionHash: 'raydium_abc',
+            atomic: { inputAmount: '2000000000', outputAmount: '196000000' }
+        },
+        ...overrides
+    };
+}
+
+describe('Order History', () => {
+    test('should filter by wallet, pair, status and provider', () => {
+        const record = makeRecord();
+
+        expect(buildOrderFilter({ wallet: 'wallet123', pair: 'sol-usdc' })(record)).toBe(true);
+        expect(buildOrderFilter({ wallet: 'other' })(record)).toBe(false);
+        expect(buildOrderFilter({ pair: 'SOL/USDT' })(record)).toBe(false);
+        expect(buildOrderFilter({ status: 'failed,completed' })(record)).toBe(true);
+        expect(buildOrderFilter({ provider: 'orca' })(record)).toBe(false);
+        expect(buildOrderFilter({ provider: 'raydium' })(record)).toBe(true);
+    });
+
+    test('should only match the signed-in wallet\'s orders', () => {
+        const record = makeRecord();
+
+        expect(buildOrderFilter({}, 'wallet123')(record)).toBe(true);
+        expect(buildOrderFilter({}, 'other')(record)).toBe(false);
+        expect(buildOrderFilter({ wallet: 'wallet123' }, 'other')(record)).toBe(false);
+        expect(buildOrderFilter({}, 'other')(makeRecord({ order: { tokenPair: { base: 'SOL', quote: 'USDC' } } }))).toBe(false);
+    });
+
+    test('should produce a single fill for a one-swap order', () => {
+        const [fill] = extractFills(makeRecord());
+
+        expect(fill.provider).toBe('Raydium');
+        expect(fill.price).toBe(98);
+        expect(fill.fee).toBe(0.005);
+        expect(fill.filledAt).toBe('2026-01-01T00:00:10.000Z');
+    });
+
+    test('should produce one fill per filled slice', () => {
+        const record = makeRecord({
+            status: 'partially_filled',
+            result: null,
+            order: {
+                ...makeRecord().order,
+                slicePlan: {
+                    slices: [
+                        { status: 'filled', provider: 'Orca', amount: 1, outputAmount: 98, fee: 0.3, transactionHash: 'orca_1', completedAt: 't1' },
+                        { status: 'failed', provider: 'Raydium', amount: 1 }
+                    ]
+                }
+            }
+        });
+
+        const fills = extractFills(record);
+        expect(fills.length).toBe(1);
+        expect(fills[0].transactionHash).toBe('orca_1');
+        expect(summarizeOrder(record).providers).toEqual(['Orca', 'Raydium']);
+    });
+
+    test('should compute prices, fees and the average price from atomic amounts', () => {
+        const slice = (transactionHash, amount, outputAmount) => ({
+            status: 'filled',
+            provider: 'Orca',
+            amount,
+            outputAmount,
+            fee: 0.3,
+            transactionHash,
+            atomic: {
+                amount: String(Math.round(amount * 1e9)),
+                outputAmount: String(Math.round(outputAmount * 1e6))
+            }
+        });
+        const record = makeRecord({
+            result: { provider: 'TWAP', inputAmount: 0.3, outputAmount: 0.9 },
+            order: {
+                ...makeRecord().order,
+                slicePlan: { slices: [slice('orca_1', 0.1, 0.3), slice('orca_2', 0.2, 0.6)] }
+            }
+        });
+
+        // Float math gives 2.9999999999999996 and 0.00030000000000000003 here
+        const fills = extractFills(record);
+        expect(fills.map(fill => fill.price)).toEqual([3, 3]);
+        expect(fills.map(fill => fill.fee)).toEqual([0.0003, 0.0006]);
+        expect(summarizeOrder(record).averagePrice).toBe(3);
+        expect(toCsv(fills)).not.toMatch(/0000000000/);
+    });
+
+    test('should render CSV and NDJSON', () => {
+        const fills = extractFills(makeRecord({ orderId: 'a,b' }));
+        const csv = toCsv(fills).split('\n');
+
+        expect(csv[0]).toBe('orderId,fillIndex,filledAt,wallet,inputToken,outputToken,provider,inputAmount,outputAmount,price,fee,transactionHash');
+        expect(csv[1].startsWith('"a,b",0,')).toBe(true);
+        expect(JSON.parse(toNdjson(fills).trim()).orderId).toBe('a,b');
+        expect(parsePair('SOL')).toBe(null);
+    });
+
+    test('should stream the export one page at a time', async () => {
+        const pages = {
+            start: { records: [makeRecord({ orderId: 'order-1' }), makeRecord({ orderId: 'order-2', result: null })], nextCursor: 'page-2' },
+            'page-2': { records: [makeRecord({ orderId: 'order-3' })], nextCursor: null }
+        };
+        const cursors = [];
+        const queryPage = async cursor => {
+            cursors.push(cursor);
+            return pages[cursor || 'start'];
+        };
+
+        const chunks = [];
+        for await (const chunk of streamFills(queryPage, 'csv')) chunks.push(chunk);
+        const lines = chunks.join('').trim().split('\n');
+
+        expect(cursors).toEqual([null, 'page-2']);
+        expect(lines.length).toBe(3);
+        expect(lines[0].startsWith('orderId,')).toBe(true);
+        expect(lines.slice(1).map(line => line.split(',')[0])).toEqual(['order-1', 'order-3']);
+
+        const ndjson = [];
+        for await (const chunk of streamFills(queryPage, 'ndjson')) ndjson.push(chunk);
+        expect(ndjson.join('').trim().split('\n').map(line => JSON.parse(line).orderId)).toEqual(['order-1', 'order-3']);
+    });
+});
@@ -0,0 +1,82 @@
+// Unit tests for resuming in-flight orders after a restart
+const {
+    RECONCILIATION_STATUS,
+    isRecoverable,
+    restoreOrderState,
+    getPendingSwaps,
+    inspectSwapJobs
+} = require('../../orderRecovery');
+
+function fakeJob(state, fields = {}) {
+    return { getState: async () => state, ...fields };
+}
+
+describe('Order Recovery', () => {
+    test('should only resume in-flight orders', () => {
+        expect(isRecoverable({ status: 'pending', order: { type: 'MARKET' } })).toBe(true);
+        expect(isRecoverable({ status: 'pending', order: { type: 'LIMIT' } })).toBe(false);
+        expect(isRecoverable({ status: 'pending', order: { type: 'LIMIT', triggeredAt: '2026-01-01T00:00:00Z' } })).toBe(true);
+        expect(isRecoverable({ status: RECONCILIATION_STATUS, order: { type: 'MARKET' } })).toBe(false);
+        expect(isRecoverable({ status: 'pending' })).toBe(false);
+    });
+
+    test('should restore dates, job mappings and quote rounds', () => {
+        const { order, quotes } = restoreOrderState({
+            order: {
+                type: 'MARKET',
+                stage: 'getting_quotes',
+                startTime: '2026-01-01T00:00:00.000Z',
+                quoteStartTime: null,
+                jobMapping: [['job-1', 'Raydium']]
+            },
+            quotes: { quotes: [], jobKeys: ['Raydium:job-1'] }
+        });
+
+        expect(order.startTime).toEqual(new Date('2026-01-01T00:00:00.000Z'));
+        expect(order.quoteStartTime).toBeNull();
+        expect(order.jobMapping.get('job-1')).toBe('Raydium');
+        expect(quotes.jobKeys.has('Raydium:job-1')).toBe(true);
+        expect(restoreOrderState({ order: { startTime: 0 } }).quotes).toBeNull();
+    });
+
+    test('should find the swap jobs of single, split and multi-hop orders', () => {
+        expect(getPendingSwaps({ swapProvider: 'Orca', swapJobId: '7' })).toEqual([{ provider: 'Orca', jobId: '7' }]);
+        expect(getPendingSwaps({})).toEqual([]);
+
+        expect(getPendingSwaps({
+            split: {
+                legs: [
+                    { provider: 'Raydium', jobId: '1', status: 'filled' },
+                    { provider: 'Orca', jobId: '2', status: 'executing' },
+                    { provider: 'Meteora', status: 'executing' }
+                ]
+            }
+        })).toEqual([{ provider: 'Orca', jobId: '2' }]);
+
+        expect(getPendingSwaps({
+            multiHop: {
+                currentLeg: 1,
+                legs: [
+                    { provider: 'Raydium', jobId: '3', status: 'filled' },
+                    { provider: 'Orca', jobId: '4', status: 'executing' }
+                ]
+            }
+        })).toEqual([{ provider: 'Orca', jobId: '4' }]);
+    });
+
+    test('should report missing jobs as missing rather than failed', async () => {
+        const jobs = {
+            '1': fakeJob('completed', { returnvalue: { success: true, outputAmount: '98000000' } }),
+            '2': fakeJob('failed', { failedReason: 'Transaction failed due to slippage' }),
+            '3': fakeJob('active'),
+            '5': fakeJob('unknown')
+        };
+        const pending = ['1', '2', '3', '4', '5'].map(jobId => ({ provider: 'Raydium', jobId }));
+
+        const swaps = await inspectSwapJobs(pending, async (provider, jobId) => jobs[jobId]);
+
+        expect(swaps.map(swap => swap.outcome)).toEqual(['completed', 'failed', 'pending', 'missing', 'missing']);
+        expect(swaps[0].result.outputAmount).toBe('98000000');
+        expect(swaps[1].error).toBe('Transaction failed due to slippage');
+    });
+});
@@ -0,0 +1,89 @@
+// Unit tests for venue pool state shared through Redis
+const Redis = require('ioredis-mock');
+const { PoolStore } = require('../../poolStore');
+const { ConstantProductPool } = require('../../constantProductPool');
+
+const SOL_USDC = { base: 'SOL', quote: 'USDC' };
+const REF = { venue: 'Raydium', tokenPair: SOL_USDC };
+
+function createStore(connection, key) {
+    const store = new PoolStore({ key });
+    store.define('Raydium', {
+        create: () => new ConstantProductPool('SOL', 'USDC', 1000, 100000, { feeRate: 0 }),
+        restore: ConstantProductPool.fromJSON
+    });
+    if (connection) store.connect(connection);
+    return store;
+}
+
+const swapSol = amount => pools => pools.get('Raydium', SOL_USDC).swap('SOL', amount);
+
+describe('Pool Store', () => {
+    test('should keep pools in memory until connected', async () => {
+        const store = createStore(null);
+
+        await store.update([REF], swapSol(10));
+        const pool = (await store.load([REF])).get('Raydium', { base: 'USDC', quote: 'SOL' });
+
+        expect(pool.getReserves().SOL).toBe(1010);
+        expect(store.poolId('Raydium', { base: 'USDC', quote: 'SOL' })).toBe('Raydium:SOL/USDC');
+    });
+
+    test('should share pool moves between processes through Redis', async () => {
+        const connection = new Redis();
+        const key = `pools-test-${Math.random()}`;
+        const api = createStore(connection, key);
+        const worker = createStore(connection, key);
+
+        // Seeded, not yet written
+        expect((await api.load([REF])).versions.get('Raydium:SOL/USDC')).toBe('0');
+
+        await worker.update([REF], swapSol(10));
+        const loaded = await api.load([REF]);
+
+        expect(loaded.versions.get('Raydium:SOL/USDC')).toBe('1');
+        expect(loaded.get('Raydium', SOL_USDC).getReserves().SOL).toBe(1010);
+    });
+
+    test('should recompute an update when another process moved the pool first', async () => {
+        const connection = new Redis();
+        const key = `pools-test-${Math.random()}`;
+        const api = createStore(connection, key);
+        const worker = createStore(connection, key);
+
+        // The worker's swap lands between the API reading the pool and writing it
+        const evaluate = connection.eval.bind(connection);
+        let raced = false;
+        connection.eval = async (...args) => {
+            if (!raced) {
+                raced = true;
+                connection.eval = evaluate;
+                await worker.update([REF], swapSol(10));
+            }
+            return evaluate(...args);
+        };
+
+        let runs = 0;
+        await api.update([REF], pools => {
+            runs++;
+            return swapSol(5)(pools);
+        });
+
+        const pool = (await worker.load([REF])).get('Raydium', SOL_USDC);
+        expect(runs).toBe(2);
+        expect(pool.getReserves().SOL).toBe(1015);
+    });
+
+    test('should write nothing when the change throws', async () => {
+        const connection = new Redis();
+        const store = createStore(connection, `pools-test-${Math.random()}`);
+
+        await expect(store.update([REF], pools => {
+            swapSol(10)(pools);
+            throw new Error('DLMM bin allocation failed');
+        })).rejects.toThrow('DLMM bin allocation failed');
+
+        expect((await store.load([REF])).get('Raydium', SOL_USDC).getReserves().SOL).toBe(1000);
+        await expect(store.load([{ venue: 'Orca', tokenPair: SOL_USDC }])).rejects.toThrow('No pools defined for venue Orca');
+    });
+});
@@ -0,0 +1,60 @@
+// Unit tests for collecting the quotes of a comparison request
+const { QuoteComparisons } = require('../../quoteComparison');
+
+const quote = (provider, outputAmount) => ({ provider, inputAmount: 1, outputAmount });
+
+describe('Quote Comparisons', () => {
+    let comparisons;
+
+    beforeEach(() => {
+        comparisons = new QuoteComparisons();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should finish once every provider answered or failed for good', async () => {
+        const collected = comparisons.collect('compare:1', 3, 10000);
+
+        comparisons.handleResult('compare:1', 'Raydium', quote('Raydium', 98));
+        comparisons.handleResult('compare:1', 'Orca', null, { error: 'timeout', final: false });
+        expect(comparisons.has('compare:1')).toBe(true);
+
+        // A retry that succeeds replaces the earlier failure
+        comparisons.handleResult('compare:1', 'Orca', quote('Orca', 99));
+        comparisons.handleResult('compare:1', 'Meteora', null, { error: 'DLMM bin allocation failed', final: true });
+
+        const { quotes, failures, timedOut } = await collected;
+        expect(quotes.map(q => q.provider)).toEqual(['Raydium', 'Orca']);
+        expect(failures).toEqual([{ provider: 'Meteora', error: 'DLMM bin allocation failed', final: true }]);
+        expect(timedOut).toBe(false);
+        expect(comparisons.has('compare:1')).toBe(false);
+    });
+
+    test('should return what it has at the deadline', async () => {
+        jest.useFakeTimers();
+        const collected = comparisons.collect('compare:2', 4, 15000);
+
+        comparisons.handleResult('compare:2', 'Jupiter', quote('Jupiter', 100));
+        comparisons.handleResult('compare:2', 'Raydium', null, { error: 'rate limited', final: false });
+        jest.advanceTimersByTime(15000);
+
+        const { quotes, failures, timedOut } = await collected;
+        expect(quotes.map(q => q.provider)).toEqual(['Jupiter']);
+        expect(failures.map(failure => failure.provider)).toEqual(['Raydium']);
+        expect(timedOut).toBe(true);
+
+        // Late results of a finished comparison are dropped
+        comparisons.handleResult('compare:2', 'Orca', quote('Orca', 101));
+        expect(comparisons.has('compare:2')).toBe(false);
+    });
+
+    test('should end early when its jobs could not be submitted', async () => {
+        const collected = comparisons.collect('compare:3', 4, 10000);
+        comparisons.finish('compare:3');
+        comparisons.finish('compare:missing');
+
+        expect(await collected).toEqual({ quotes: [], failures: [], timedOut: false });
+    });
+});
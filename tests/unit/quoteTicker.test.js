@@ -0,0 +1,96 @@
+// Unit tests for the live quote ticker
+const { QuoteTicker, buildTickerQuote } = require('../../quoteTicker');
+
+const quote = (provider, inputAmount, outputAmount) => ({
+    provider,
+    inputAmount,
+    outputAmount,
+    priceImpact: 0.1,
+    fee: 0.25,
+    liquidity: 1000000,
+    price: outputAmount / inputAmount
+});
+
+describe('Quote Ticker', () => {
+    test('should pick the best bid and ask across providers', () => {
+        const ticker = buildTickerQuote(1, [
+            quote('Raydium', 1, 100),
+            quote('Orca', 1, 101)
+        ], [
+            quote('Raydium', 100, 0.98),
+            quote('Orca', 100, 0.97)
+        ]);
+
+        expect(ticker.bestBid).toEqual({ provider: 'Orca', price: 101 });
+        expect(ticker.bestAsk.provider).toBe('Raydium');
+        expect(ticker.bestAsk.price).toBeCloseTo(102.0408, 4);
+        expect(ticker.mid).toBeCloseTo((101 + 102.0408) / 2, 4);
+        expect(ticker.spreadBps).toBeGreaterThan(0);
+        expect(ticker.providers.Orca.bid).toBe(101);
+    });
+
+    test('should leave the spread empty without ask quotes', () => {
+        const ticker = buildTickerQuote(1, [quote('Raydium', 1, 100)], []);
+
+        expect(ticker.bestAsk).toBeNull();
+        expect(ticker.mid).toBeNull();
+        expect(ticker.spread).toBeNull();
+    });
+
+    test('should size the ask side from the bids and publish a tick', () => {
+        const requests = [];
+        const ticks = [];
+        const ticker = new QuoteTicker({
+            providerCount: 2,
+            requestQuotes: async (tokenPair, inputAmount, roundId) => requests.push({ tokenPair, inputAmount, roundId }),
+            analyze: quotes => ({ marketMetrics: { bestOutputAmount: Math.max(...quotes.map(q => q.outputAmount)) }, recommendation: quotes[0] }),
+            onTick: (feedId, tick) => ticks.push(tick)
+        });
+
+        ticker.startFeed('ticker:SOL/USDC', { tokenPair: { base: 'SOL', quote: 'USDC' }, inputAmount: 2, interval: 60000 });
+        expect(requests).toHaveLength(1);
+        expect(ticker.isTickerRound(requests[0].roundId)).toBe(true);
+
+        ticker.handleResult(requests[0].roundId, 'Raydium', quote('Raydium', 2, 200));
+        ticker.handleResult(requests[0].roundId, 'Orca', null);
+
+        expect(requests).toHaveLength(2);
+        expect(requests[1].tokenPair).toEqual({ base: 'USDC', quote: 'SOL' });
+        expect(requests[1].inputAmount).toBe(200);
+
+        ticker.handleResult(requests[1].roundId, 'Raydium', quote('Raydium', 200, 1.98));
+        ticker.handleResult(requests[1].roundId, 'Orca', quote('Orca', 200, 1.99));
+
+        expect(ticks).toHaveLength(1);
+        expect(ticks[0].sequence).toBe(1);
+        expect(ticks[0].bestBid).toEqual({ provider: 'Raydium', price: 100 });
+        expect(ticks[0].bestAsk.provider).toBe('Orca');
+        expect(ticks[0].quotesReceived).toEqual({ bid: 1, ask: 2 });
+        expect(ticks[0].marketMetrics.bestOutputAmount).toBe(200);
+        expect(ticker.getLastTick('ticker:SOL/USDC')).toBe(ticks[0]);
+
+        ticker.stopFeed('ticker:SOL/USDC');
+        expect(ticker.list()).toEqual([]);
+    });
+
+    test('should refuse new feeds past the feed limit but keep serving running ones', () => {
+        const ticker = new QuoteTicker({
+            maxFeeds: 2,
+            requestQuotes: async () => {},
+            analyze: () => null,
+            onTick: () => {}
+        });
+        const params = { tokenPair: { base: 'SOL', quote: 'USDC' }, inputAmount: 1, interval: 60000 };
+
+        ticker.startFeed('ticker:SOL/USDC?inputAmount=1', params);
+        ticker.startFeed('ticker:SOL/USDC?inputAmount=2', { ...params, inputAmount: 2 });
+
+        expect(() => ticker.startFeed('ticker:SOL/USDC?inputAmount=3', { ...params, inputAmount: 3 })).toThrow('Ticker feed limit of 2 reached');
+        expect(ticker.startFeed('ticker:SOL/USDC?inputAmount=1', params).inputAmount).toBe(1);
+        expect(ticker.hasFeed('ticker:SOL/USDC?inputAmount=3')).toBe(false);
+
+        ticker.stopFeed('ticker:SOL/USDC?inputAmount=2');
+        expect(ticker.startFeed('ticker:SOL/USDC?inputAmount=3', { ...params, inputAmount: 3 }).inputAmount).toBe(3);
+        ticker.stopAll();
+    });
+});
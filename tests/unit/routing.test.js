@@ -32,3 +32,92 @@ describe('DEX Routing Hub', () => {
         expect(bestRoute.outputAmount).toBe(105);
     });
 });
+
+describe('Split Routing', () => {
+    let routingHub;
+
+    beforeEach(() => {
+        routingHub = new DEXRoutingHub();
+    });
+
+    test('should split across venues when price impact is high', () => {
+        // Two identical venues: splitting halves the impact on each
+        const quotes = [
+            { provider: 'Raydium', inputAmount: 1000, outputAmount: 90000, priceImpact: 10 },
+            { provider: 'Orca', inputAmount: 1000, outputAmount: 90000, priceImpact: 10 }
+        ];
+
+        const split = routingHub.optimizeSplit(quotes, '1000');
+
+        expect(split.legs.length).toBe(2);
+        expect(split.legs[0].inputAmount).toBe('500');
+        expect(split.legs[1].inputAmount).toBe('500');
+        expect(split.expectedOutput).toBeGreaterThan(split.bestSingleOutput);
+    });
+
+    test('should keep the whole amount on one venue without price impact', () => {
+        const quotes = [
+            { provider: 'Raydium', inputAmount: 1000, outputAmount: 98000, priceImpact: 0 },
+            { provider: 'Meteora', inputAmount: 1000, outputAmount: 99000, priceImpact: 0 }
+        ];
+
+        const split = routingHub.optimizeSplit(quotes, '1000');
+
+        expect(split.legs.length).toBe(1);
+        expect(split.legs[0].provider).toBe('Meteora');
+        expect(split.legs[0].inputAmount).toBe('1000');
+    });
+
+    test('should allocate atomic amounts that add up to the input exactly', () => {
+        // 333.000000001 SOL: more digits than a float keeps
+        const quotes = [
+            { provider: 'Raydium', inputAmount: 333, outputAmount: 32700, priceImpact: 2 },
+            { provider: 'Orca', inputAmount: 333, outputAmount: 32800, priceImpact: 4 },
+            { provider: 'Jupiter', inputAmount: 333, outputAmount: 32650, priceImpact: 1 }
+        ];
+
+        const split = routingHub.optimizeSplit(quotes, '333000000001', { steps: 7 });
+        const total = split.legs.reduce((sum, leg) => sum + BigInt(leg.inputAmount), 0n);
+
+        expect(split.legs.length).toBeGreaterThan(1);
+        expect(total).toBe(333000000001n);
+    });
+});
+
+describe('Balanced Routing', () => {
+    let routingHub;
+
+    const quotes = [
+        { provider: 'Raydium', outputAmount: 100, priceImpact: 0.5, liquidity: 1000000, fee: 0.25, price: 100 },
+        { provider: 'Meteora', outputAmount: 101, priceImpact: 3, liquidity: 200000, fee: 0.1, price: 101 },
+        { provider: 'Orca', outputAmount: 99, priceImpact: 0.2, liquidity: 5000000, fee: 0.3, price: 99 }
+    ];
+
+    beforeEach(() => {
+        routingHub = new DEXRoutingHub();
+    });
+
+    test('should pick the best weighted score and follow caller weights', () => {
+        expect(routingHub.selectBestRoute(quotes, 'BALANCED').provider).toBe('Meteora');
+
+        const route = routingHub.selectBestRoute(quotes, 'BALANCED', { weights: { output: 0, priceImpact: 1 } });
+        expect(route.provider).toBe('Orca');
+    });
+
+    test('should return the per-factor breakdown in the routing analysis', () => {
+        const analysis = routingHub.getRoutingAnalysis(quotes, { weights: { output: 0.6 } });
+        const { weights, scores } = analysis.balancedScores;
+
+        expect(weights.output).toBe(0.5);
+        expect(scores[0].provider).toBe('Meteora');
+        expect(scores[0].factors).toEqual({ output: 1, priceImpact: 0, liquidity: 0, fee: 1, reliability: 1 });
+        expect(analysis.strategies.BALANCED.provider).toBe('Meteora');
+    });
+
+    test('should reject malformed weights', () => {
+        expect(() => routingHub.resolveWeights({ speed: 1 })).toThrow('Unknown weight speed');
+        expect(() => routingHub.resolveWeights({ fee: -1 })).toThrow('non-negative number');
+        expect(() => routingHub.resolveWeights({ output: 0, priceImpact: 0, liquidity: 0, fee: 0, reliability: 0 }))
+            .toThrow('At least one weight must be positive');
+    });
+});
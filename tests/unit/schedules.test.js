@@ -0,0 +1,75 @@
+// Unit tests for DCA schedule storage and run history
+const Redis = require('ioredis-mock');
+const { ScheduleManager } = require('../../schedules');
+
+describe('DCA Schedules', () => {
+    let connection;
+    let manager;
+
+    beforeEach(() => {
+        connection = new Redis();
+        manager = new ScheduleManager(connection, {
+            key: `dca-test-${Math.random()}`,
+            queue: { upsertJobScheduler: async () => {}, removeJobScheduler: async () => {}, getJobScheduler: async () => null },
+            workerConnection: connection
+        });
+    });
+
+    test('should store schedules with defaults and merge updates', async () => {
+        const schedule = await manager.create({
+            tokenPair: { base: 'SOL', quote: 'USDC' },
+            inputAmount: 0.5,
+            wallet: { address: 'wallet123' },
+            cron: '0 * * * *'
+        });
+
+        expect(schedule.name).toBe('0.5 SOL -> USDC');
+        expect(schedule.routingStrategy).toBe('BEST_PRICE');
+        expect(schedule.status).toBe('active');
+
+        const paused = await manager.pause(schedule.scheduleId);
+        expect(paused.status).toBe('paused');
+        expect((await manager.get(schedule.scheduleId)).nextRunAt).toBeNull();
+        expect(await manager.update('missing', { status: 'active' })).toBeNull();
+    });
+
+    test('should list only the schedules of a wallet when asked', async () => {
+        const params = { tokenPair: { base: 'SOL', quote: 'USDC' }, inputAmount: 0.5, cron: '0 * * * *' };
+        const own = await manager.create({ ...params, wallet: { address: 'wallet123' } });
+        await manager.create({ ...params, wallet: { address: 'other' } });
+
+        expect((await manager.list({ wallet: 'wallet123' })).map(schedule => schedule.scheduleId)).toEqual([own.scheduleId]);
+        expect(await manager.list()).toHaveLength(2);
+    });
+
+    test('should keep run history newest first', async () => {
+        await manager.recordRun('s1', { orderId: 'order-1', status: 'started' });
+        await manager.recordRun('s1', { orderId: null, status: 'failed', error: 'No quotes' });
+
+        const history = await manager.getHistory('s1');
+        expect(history.map(run => run.status)).toEqual(['failed', 'started']);
+    });
+
+    test('should update the right run when a new run is pushed meanwhile', async () => {
+        await manager.recordRun('s1', { orderId: 'order-1', status: 'started' });
+        await manager.recordRun('s1', { orderId: 'order-2', status: 'started' });
+
+        // A run recorded between reading the history and writing the update
+        const evaluate = connection.eval.bind(connection);
+        connection.eval = async (...args) => {
+            await manager.recordRun('s1', { orderId: 'order-3', status: 'started' });
+            return evaluate(...args);
+        };
+
+        expect(await manager.updateRun('s1', 'order-1', { status: 'completed', outputAmount: 75 })).toBe(true);
+
+        const history = await manager.getHistory('s1');
+        expect(history.map(run => `${run.orderId}:${run.status}`)).toEqual([
+            'order-3:started',
+            'order-2:started',
+            'order-1:completed'
+        ]);
+        expect(history[2].outputAmount).toBe(75);
+        expect(await manager.updateRun('s1', 'order-9', { status: 'completed' })).toBe(false);
+    });
+});
@@ -0,0 +1,55 @@
+// Unit tests for TWAP / iceberg slicing
+const {
+    buildSliceAmounts,
+    createSlicePlan,
+    recordSliceFill,
+    isPlanComplete,
+    summarizeSlicePlan
+} = require('../../slicing');
+
+const SOL_USDC = { base: 'SOL', quote: 'USDC' };
+
+// Swap result as it reaches the order pipeline, with exact amounts under atomic
+const fill = (provider, outputAmount, transactionHash) => ({
+    provider,
+    transactionHash,
+    atomic: { outputAmount }
+});
+
+describe('Order Slicing', () => {
+    test('should split a TWAP order into equal atomic slices', () => {
+        const amounts = buildSliceAmounts('10000000000', { slices: 3 });
+
+        expect(amounts).toEqual(['3333333333', '3333333333', '3333333334']);
+        expect(amounts.reduce((sum, a) => sum + BigInt(a), 0n)).toBe(10000000000n);
+        expect(() => buildSliceAmounts('2', { slices: 3 })).toThrow('Amount is too small to split into 3 slices');
+    });
+
+    test('should split an iceberg order by visible slice size', () => {
+        expect(buildSliceAmounts('10', { sliceSize: '4' })).toEqual(['4', '4', '2']);
+        expect(buildSliceAmounts('10', { sliceSize: '5' })).toEqual(['5', '5']);
+    });
+
+    test('should track aggregate fill and average price', () => {
+        const plan = createSlicePlan('TWAP', SOL_USDC, '2000000000', { slices: 2, intervalMs: 1000 });
+        expect(plan.slices.map(slice => slice.amount)).toEqual([1, 1]);
+
+        recordSliceFill(plan, fill('Orca', '100000000', 'tx1'));
+        expect(isPlanComplete(plan)).toBe(false);
+        expect(summarizeSlicePlan(plan).progress).toBe(50);
+
+        recordSliceFill(plan, fill('Jupiter', '102000000', 'tx2'));
+        expect(isPlanComplete(plan)).toBe(true);
+        expect(plan.averagePrice).toBe(101);
+        expect(plan.atomic).toEqual({ totalAmount: '2000000000', filledAmount: '2000000000', outputAmount: '202000000' });
+        expect(summarizeSlicePlan(plan).remainingAmount).toBe(0);
+    });
+
+    test('should keep sub-micro amounts of tokens with more decimals', () => {
+        // 0.000000003 SOL in 3 slices; six decimals used to round it away
+        const plan = createSlicePlan('TWAP', SOL_USDC, '3', { slices: 3 });
+
+        expect(plan.slices.map(slice => slice.atomic.amount)).toEqual(['1', '1', '1']);
+        expect(plan.slices[0].amount).toBe(0.000000001);
+    });
+});
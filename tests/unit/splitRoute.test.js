@@ -0,0 +1,51 @@
+// Unit tests for split route legs
+const { recordSplitLegOutcome } = require('../../splitRoute');
+
+function createSplit() {
+    const leg = (provider, jobId, inputAmount) => ({
+        provider,
+        jobId,
+        inputAmount,
+        actualOutput: null,
+        transactionHash: null,
+        error: null,
+        status: 'executing',
+        atomic: { inputAmount, actualOutput: null }
+    });
+
+    // Two legs on the same venue, as a split across two Orca pools would send them
+    return { legs: [leg('Orca', 'orca-1', '600'), leg('Orca', 'orca-2', '400'), leg('Raydium', 'raydium-1', '500')] };
+}
+
+describe('Split Route Legs', () => {
+    test('should settle the leg of the job, not the first leg on its venue', () => {
+        const split = createSplit();
+
+        const second = recordSplitLegOutcome(split, 'orca-2', {
+            result: { outputAmount: 0.4, transactionHash: 'tx2', atomic: { outputAmount: '400000' } }
+        });
+        expect(second.leg).toBe(split.legs[1]);
+        expect(second.settled).toBe(false);
+        expect(split.legs.map(leg => leg.status)).toEqual(['executing', 'filled', 'executing']);
+        expect(split.legs[1].atomic.actualOutput).toBe('400000');
+
+        recordSplitLegOutcome(split, 'orca-1', { error: new Error('slippage') });
+        const last = recordSplitLegOutcome(split, 'raydium-1', {
+            result: { outputAmount: 0.5, transactionHash: 'tx3', atomic: { outputAmount: '500000' } }
+        });
+
+        expect(last.settled).toBe(true);
+        expect(split.legs.map(leg => leg.status)).toEqual(['failed', 'filled', 'filled']);
+        expect(split.legs[0].error).toBe('slippage');
+    });
+
+    test('should ignore jobs that are not an executing leg', () => {
+        const split = createSplit();
+        const result = { outputAmount: 0.4, transactionHash: 'tx2', atomic: { outputAmount: '400000' } };
+
+        recordSplitLegOutcome(split, 'orca-2', { result });
+
+        expect(recordSplitLegOutcome(split, 'orca-2', { result })).toEqual({ leg: null, settled: false });
+        expect(recordSplitLegOutcome(split, 'unknown', { result }).leg).toBeNull();
+    });
+});
@@ -0,0 +1,55 @@
+// Unit tests for multi-hop token graph routing
+const { TokenGraphRouter } = require('../../tokenGraph');
+
+// Fixed mid prices in USD; each provider quotes with its own fee
+const USD = { SOL: 100, USDC: 1, USDT: 1, BONK: 0.00002 };
+
+function makeQuote(fee, overrides = {}) {
+    return async (tokenPair, inputAmount) => {
+        const key = `${tokenPair.base}/${tokenPair.quote}`;
+        const rate = overrides[key] !== undefined ? overrides[key] : USD[tokenPair.base] / USD[tokenPair.quote];
+        return { outputAmount: inputAmount * rate * (1 - fee), priceImpact: 0.1, fee: fee * 100 };
+    };
+}
+
+describe('Token Graph Router', () => {
+    test('should prefer a multi-hop path when the direct pair is worse', async () => {
+        const router = new TokenGraphRouter({
+            // The direct BONK/USDT pool is badly priced on every venue
+            Raydium: makeQuote(0.0025, { 'BONK/USDT': 0.00001 }),
+            Orca: makeQuote(0.003, { 'BONK/USDT': 0.00001 })
+        }, { tokens: Object.keys(USD), maxHops: 2 });
+
+        const route = await router.findBestPath('BONK', 'USDT', 1000000);
+
+        expect(route.hops).toBe(2);
+        expect(route.path[0]).toBe('BONK');
+        expect(route.path[2]).toBe('USDT');
+        expect(route.legs[0].provider).toBe('Raydium');
+        expect(route.expectedOutput).toBeGreaterThan(route.directOutput);
+    });
+
+    test('should keep the direct route when it is best', async () => {
+        const router = new TokenGraphRouter({
+            Raydium: makeQuote(0.0025)
+        }, { tokens: Object.keys(USD) });
+
+        const route = await router.findBestPath('SOL', 'USDC', 1);
+
+        expect(route.path).toEqual(['SOL', 'USDC']);
+        expect(route.expectedOutput).toBeCloseTo(99.75, 6);
+    });
+
+    test('should reject unknown tokens', async () => {
+        const router = new TokenGraphRouter({ Raydium: makeQuote(0.0025) }, { tokens: ['SOL', 'USDC'] });
+        let error = null;
+
+        try {
+            await router.findBestPath('SOL', 'WIF', 1);
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).toContain('Unknown token');
+    });
+});
@@ -0,0 +1,55 @@
+// Unit tests for the token registry and atomic unit conversion
+const Redis = require('ioredis-mock');
+const { TokenRegistry, parseUnits, formatUnits } = require('../../tokenRegistry');
+
+const USDC = { symbol: 'USDC', mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6, displayDecimals: 2 };
+const BONK = { symbol: 'BONK', mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', decimals: 5 };
+
+describe('Token Registry', () => {
+    test('should convert amounts to and from atomic units without float error', () => {
+        expect(parseUnits(0.1, 9).toString()).toBe('100000000');
+        expect(parseUnits('1.000001', 6).toString()).toBe('1000001');
+        expect(parseUnits(1e-7, 9).toString()).toBe('100');
+        expect(formatUnits('1000001', 6)).toBe('1.000001');
+        expect(formatUnits('2500', 5)).toBe('0.025');
+    });
+
+    test('should reject extra decimals unless rounding down is asked for', () => {
+        expect(() => parseUnits(1.0000001, 6)).toThrow('more than 6 decimals');
+        expect(parseUnits(1.0000009, 6, { exact: false }).toString()).toBe('1000000');
+        expect(() => parseUnits(-1, 6)).toThrow('Invalid amount');
+    });
+
+    test('should register, disable and convert tokens by symbol', () => {
+        const registry = new TokenRegistry([USDC, BONK]);
+
+        expect(registry.toAtomic('usdc', 12.5)).toBe('12500000');
+        expect(registry.toAmount('BONK', '123456789')).toBe(1234.56789);
+
+        registry.update('BONK', { enabled: false });
+        expect(registry.symbols()).toEqual(['USDC']);
+        expect(() => registry.require('BONK')).toThrow('disabled');
+        expect(() => registry.update('USDC', { decimals: 9 })).toThrow('cannot be changed');
+        expect(() => registry.register(USDC)).toThrow('already registered');
+        expect(() => registry.register({ ...USDC, symbol: 'FAKE', mint: 'not-a-mint' })).toThrow('Invalid mint');
+    });
+
+    test('should reload tokens another process persists', async () => {
+        const key = `token-registry-test-${Math.random()}`;
+        const connection = new Redis();
+        const server = new TokenRegistry([USDC], { key });
+        const worker = new TokenRegistry([USDC], { key });
+
+        const changes = [];
+        const unwatch = await worker.watch(connection, symbol => changes.push(symbol));
+
+        server.register(BONK);
+        await server.persist(connection, 'BONK');
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(changes).toEqual(['BONK']);
+        expect(worker.toAmount('BONK', '2500')).toBe(0.025);
+
+        await unwatch();
+    });
+});
@@ -0,0 +1,66 @@
+// Unit tests for wallet signature authentication
+const { Keypair } = require('@solana/web3.js');
+const { buildChallengeMessage, decodeWalletAddress, requireOwner, signWalletMessage, verifyWalletSignature } = require('../../walletAuth');
+
+const keypair = Keypair.fromSecretKey(Uint8Array.from(require('../../test.json')));
+const address = keypair.publicKey.toBase58();
+
+describe('Wallet Authentication', () => {
+    test('should decode Solana addresses and reject malformed ones', () => {
+        expect(decodeWalletAddress(address)).toHaveLength(32);
+        expect(() => decodeWalletAddress('wallet123!')).toThrow('Invalid wallet address');
+        expect(() => decodeWalletAddress(undefined)).toThrow('Wallet address is required');
+    });
+
+    test('should build a challenge message with the wallet and nonce', () => {
+        const message = buildChallengeMessage({
+            domain: 'dex-order-router',
+            address,
+            nonce: 'abc123',
+            issuedAt: '2025-01-01T00:00:00.000Z',
+            expiresAt: '2025-01-01T00:05:00.000Z'
+        });
+
+        expect(message.split('\n')[1]).toBe(address);
+        expect(message).toContain('Nonce: abc123');
+        expect(message).toContain('Expiration Time: 2025-01-01T00:05:00.000Z');
+    });
+
+    test('should verify signatures made by the wallet key', () => {
+        const signature = signWalletMessage(keypair.secretKey, 'Sign in');
+
+        expect(verifyWalletSignature(address, 'Sign in', signature)).toBe(true);
+        expect(verifyWalletSignature(address, 'Sign in!', signature)).toBe(false);
+        expect(verifyWalletSignature(Keypair.generate().publicKey.toBase58(), 'Sign in', signature)).toBe(false);
+    });
+
+    test('should reject malformed signatures', () => {
+        expect(verifyWalletSignature(address, 'Sign in', 'c2hvcnQ=')).toBe(false);
+        expect(verifyWalletSignature(address, 'Sign in', undefined)).toBe(false);
+    });
+
+    test('should only let the owning wallet read a record', async () => {
+        const owners = { 'order-1': 'wallet123', 'order-2': null };
+        const check = requireOwner(async req => owners[req.params.orderId], { name: 'Order', allowUnowned: true });
+
+        const reply = () => ({
+            status(code) { this.code = code; return this; },
+            send(body) { this.body = body; return this; }
+        });
+        const read = async (orderId, walletAddress) => {
+            const sent = reply();
+            await check({ params: { orderId }, walletAddress }, sent);
+            return sent;
+        };
+
+        expect((await read('order-1', 'wallet123')).code).toBeUndefined();
+        expect(await read('order-1', 'other')).toMatchObject({ code: 403, body: { error: 'Orders can only be accessed by their own wallet' } });
+        expect((await read('order-2', 'other')).code).toBeUndefined();
+        expect((await read('missing', 'wallet123')).code).toBe(404);
+
+        const ownedOnly = requireOwner(async () => null, { name: 'Schedule' });
+        const sent = reply();
+        await ownedOnly({ params: {}, walletAddress: 'wallet123' }, sent);
+        expect(sent.code).toBe(403);
+    });
+});
@@ -0,0 +1,54 @@
+// Unit tests for the concentrated liquidity pool behind the Orca mock
+const { WhirlpoolPool, tickToSqrtPrice } = require('../../whirlpool');
+
+describe('Whirlpool Pool', () => {
+    let pool;
+
+    beforeEach(() => {
+        // Price 1 (tick 0): a deep narrow position inside a thin wide one, no fee
+        pool = new WhirlpoolPool('USDC', 'USDT', 1, { tickSpacing: 8, feeRate: 0 });
+        pool.addPosition(-16, 16, 1000000);
+        pool.addPosition(-800, 800, 10000);
+    });
+
+    test('should quote within the current range without crossing ticks', () => {
+        const result = pool.getAmountOut('USDC', 100);
+
+        expect(result.ticksCrossed).toBe(0);
+        expect(result.outputAmount).toBeLessThan(100);
+        expect(result.outputAmount).toBeGreaterThan(99.9);
+    });
+
+    test('should lose liquidity and price when crossing out of the narrow range', () => {
+        // Selling down to tick -16 uses up the narrow position
+        const toBoundary = 1010000 * (1 / tickToSqrtPrice(-16) - 1);
+        const result = pool.getAmountOut('USDC', toBoundary + 100);
+
+        expect(result.ticksCrossed).toBe(1);
+        expect(result.tick).toBeLessThan(-16);
+        expect(result.priceImpact).toBeGreaterThan(pool.getAmountOut('USDC', toBoundary).priceImpact);
+    });
+
+    test('should move the current tick on swap', () => {
+        pool.swap('USDT', 1000);
+
+        expect(pool.getState().currentTick).toBeGreaterThan(0);
+        expect(pool.getSpotPrice('USDC')).toBeGreaterThan(1);
+    });
+
+    test('should fail when the swap exhausts all liquidity', () => {
+        expect(() => pool.getAmountOut('USDC', 10000000)).toThrow('Whirlpool tick range exceeded');
+    });
+
+    test('should reject positions that are not aligned to the tick spacing', () => {
+        expect(() => pool.addPosition(-10, 16, 100)).toThrow('Position ticks must be multiples of tickSpacing 8');
+    });
+
+    test('should restore a moved pool from its serialized state', () => {
+        pool.swap('USDC', 1000);
+        const restored = WhirlpoolPool.fromJSON(JSON.parse(JSON.stringify(pool)));
+
+        expect(restored.getState()).toEqual(pool.getState());
+        expect(restored.getAmountOut('USDT', 100)).toEqual(pool.getAmountOut('USDT', 100));
+    });
+});
@@ -0,0 +1,55 @@
+// Unit tests for worker process options
+const { getWorkerDefaults, parseRateLimit, parseWorkerOptions } = require('../../workerConfig');
+
+const DEX_WORKER_DEFAULTS = getWorkerDefaults();
+
+describe('Worker Configuration', () => {
+    test('should serve every DEX with the defaults when nothing is set', () => {
+        const options = parseWorkerOptions([], {});
+
+        expect(Object.keys(options.dexes)).toEqual(['Raydium', 'Meteora', 'Orca', 'Jupiter']);
+        expect(options.dexes.Jupiter).toEqual(DEX_WORKER_DEFAULTS.Jupiter);
+        expect(options.heartbeatInterval).toBe(5000);
+    });
+
+    test('should select DEXs case-insensitively from flags', () => {
+        const options = parseWorkerOptions(['--dex', 'raydium,ORCA'], {});
+        expect(Object.keys(options.dexes)).toEqual(['Raydium', 'Orca']);
+
+        expect(Object.keys(parseWorkerOptions(['--dex=jupiter'], {}).dexes)).toEqual(['Jupiter']);
+    });
+
+    test('should apply a default concurrency and per-DEX overrides', () => {
+        const options = parseWorkerOptions(['--concurrency', 'orca=2,8'], {});
+
+        expect(options.dexes.Raydium.concurrency).toBe(8);
+        expect(options.dexes.Orca.concurrency).toBe(2);
+    });
+
+    test('should read rate limits and let flags win over the environment', () => {
+        const options = parseWorkerOptions(['--rate-limit', 'meteora=none'], {
+            WORKER_DEXES: 'meteora,jupiter',
+            WORKER_RATE_LIMITS: 'jupiter=1/1000'
+        });
+
+        expect(Object.keys(options.dexes)).toEqual(['Meteora', 'Jupiter']);
+        expect(options.dexes.Meteora.limiter).toBeNull();
+        expect(options.dexes.Jupiter.limiter).toEqual(DEX_WORKER_DEFAULTS.Jupiter.limiter);
+        expect(parseRateLimit('5/2000')).toEqual({ max: 5, duration: 2000 });
+    });
+
+    test('should not change the shared defaults', () => {
+        parseWorkerOptions(['--concurrency', '1', '--rate-limit', '1/1'], {});
+
+        expect(getWorkerDefaults().Raydium.concurrency).toBe(5);
+        expect(getWorkerDefaults().Raydium.limiter).toEqual({ max: 10, duration: 1000 });
+    });
+
+    test('should reject unknown DEXs, options and malformed values', () => {
+        expect(() => parseWorkerOptions(['--dex', 'serum'], {})).toThrow('Unknown DEX: serum');
+        expect(() => parseWorkerOptions(['--threads', '4'], {})).toThrow('Unknown option: --threads');
+        expect(() => parseWorkerOptions(['--concurrency', '0'], {})).toThrow('Concurrency must be a positive integer');
+        expect(() => parseWorkerOptions(['--rate-limit', '10'], {})).toThrow('Rate limit must look like');
+        expect(() => parseWorkerOptions(['--heartbeat'], {})).toThrow('Missing value for --heartbeat');
+    });
+});
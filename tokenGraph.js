@@ -0,0 +1,172 @@
+// ========== TOKEN GRAPH ROUTER ==========
+
+/**
+ * Token Graph Router - models tokens as nodes and provider quotes as edges,
+ * then searches multi-hop paths (e.g. BONK -> SOL -> USDT) for the one with
+ * the highest final output.
+ *
+ * Edges are quoted with the amount that actually reaches each token, so
+ * price impact and fees are reflected along the whole path.
+ */
+class TokenGraphRouter {
+  /**
+   * @param {Object} quoteFunctions - Provider name -> async (tokenPair, inputAmount) => quote
+   * @param {Object} options - { tokens, maxHops }
+   */
+  constructor(quoteFunctions, options = {}) {
+    this.quoteFunctions = quoteFunctions;
+    this.tokens = new Set(options.tokens || []);
+    this.maxHops = options.maxHops || 3;
+  }
+
+  /**
+   * Add a token node to the graph
+   * @param {string} symbol - Token symbol
+   */
+  registerToken(symbol) {
+    this.tokens.add(symbol);
+  }
+
+  /**
+   * Remove a token node from the graph
+   * @param {string} symbol - Token symbol
+   */
+  unregisterToken(symbol) {
+    this.tokens.delete(symbol);
+  }
+
+  /**
+   * Add or replace a provider's quote function
+   * @param {string} provider - Provider name
+   * @param {Function} quote - async (tokenPair, inputAmount) => quote
+   */
+  registerProvider(provider, quote) {
+    this.quoteFunctions[provider] = quote;
+  }
+
+  /**
+   * Registered token symbols
+   * @returns {Array<string>} Tokens
+   */
+  getTokens() {
+    return Array.from(this.tokens);
+  }
+
+  /**
+   * Quote a single pair with every provider; failed quotes are skipped
+   * @param {string} from - Input token
+   * @param {string} to - Output token
+   * @param {number} amount - Input amount
+   * @returns {Array} Edges { from, to, provider, inputAmount, outputAmount, rate, quote }
+   */
+  async quoteEdges(from, to, amount) {
+    const providers = Object.entries(this.quoteFunctions);
+
+    const results = await Promise.allSettled(
+      providers.map(([, quote]) => quote({ base: from, quote: to }, amount))
+    );
+
+    return results
+      .map((result, index) => ({ result, provider: providers[index][0] }))
+      .filter(({ result }) => result.status === 'fulfilled' && result.value.outputAmount > 0)
+      .map(({ result, provider }) => ({
+        from,
+        to,
+        provider,
+        inputAmount: amount,
+        outputAmount: result.value.outputAmount,
+        rate: result.value.outputAmount / amount,
+        quote: result.value
+      }));
+  }
+
+  /**
+   * Build the token graph reachable from a token within maxHops and find the
+   * path with the highest output. Each hop keeps the best amount reached per
+   * token (hop-limited Bellman-Ford), never revisiting a token on the same path.
+   * @param {string} from - Input token
+   * @param {string} to - Output token
+   * @param {number} inputAmount - Amount of the input token
+   * @returns {Object} { path, legs, expectedOutput, hops, directOutput, graph }
+   */
+  async findBestPath(from, to, inputAmount) {
+    if (!this.tokens.has(from) || !this.tokens.has(to)) {
+      throw new Error(`Unknown token in pair ${from}/${to}. Registered: ${this.getTokens().join(', ')}`);
+    }
+
+    if (from === to) {
+      throw new Error('Input and output tokens must differ');
+    }
+
+    const edges = [];
+    let frontier = new Map([[from, { amount: inputAmount, legs: [] }]]);
+    let best = null;
+
+    for (let hop = 1; hop <= this.maxHops && frontier.size > 0; hop++) {
+      const expansions = [];
+
+      for (const [token, state] of frontier.entries()) {
+        const visited = new Set([from, ...state.legs.map(leg => leg.to)]);
+
+        for (const next of this.tokens) {
+          if (visited.has(next)) continue;
+          // The last hop may only go to the output token
+          if (hop === this.maxHops && next !== to) continue;
+          expansions.push({ token, next, state });
+        }
+      }
+
+      const quoted = await Promise.all(expansions.map(async ({ token, next, state }) => ({
+        state,
+        edges: await this.quoteEdges(token, next, state.amount)
+      })));
+
+      const nextFrontier = new Map();
+
+      for (const { state, edges: pairEdges } of quoted) {
+        edges.push(...pairEdges);
+
+        for (const edge of pairEdges) {
+          const candidate = { amount: edge.outputAmount, legs: [...state.legs, edge] };
+
+          if (edge.to === to) {
+            if (!best || candidate.amount > best.amount) best = candidate;
+            continue;
+          }
+
+          const current = nextFrontier.get(edge.to);
+          if (!current || candidate.amount > current.amount) {
+            nextFrontier.set(edge.to, candidate);
+          }
+        }
+      }
+
+      frontier = nextFrontier;
+    }
+
+    if (!best) {
+      throw new Error(`No route found from ${from} to ${to}`);
+    }
+
+    const directEdges = edges.filter(edge => edge.from === from && edge.to === to);
+    const directOutput = directEdges.length > 0 ? Math.max(...directEdges.map(edge => edge.outputAmount)) : null;
+
+    return {
+      path: [from, ...best.legs.map(leg => leg.to)],
+      legs: best.legs.map(({ quote, ...leg }) => ({ ...leg, priceImpact: quote.priceImpact, fee: quote.fee })),
+      inputAmount,
+      expectedOutput: best.amount,
+      hops: best.legs.length,
+      directOutput,
+      improvementOverDirect: directOutput ? ((best.amount - directOutput) / directOutput) * 100 : null,
+      graph: {
+        nodes: this.getTokens(),
+        edgesQuoted: edges.length
+      }
+    };
+  }
+}
+
+module.exports = {
+  TokenGraphRouter
+};
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const BN = require('bn.js');
+const { PublicKey } = require('@solana/web3.js');
+
+// ========== TOKEN REGISTRY ==========
+
+const DEFAULT_TOKEN_FILE = path.join(__dirname, 'tokens.json');
+const MAX_DECIMALS = 18;
+const TOKEN_FIELDS = ['symbol', 'name', 'mint', 'decimals', 'displayDecimals', 'enabled'];
+
+/**
+ * Write a token amount without exponent notation (1e-7 -> '0.0000001')
+ * @param {number|string} amount - Amount
+ * @returns {string} Plain decimal string
+ */
+function toPlainString(amount) {
+  const text = String(amount).trim();
+  const match = /^(-?)(\d*)(?:\.(\d*))?e([+-]?\d+)$/i.exec(text);
+  if (!match) return text;
+
+  const [, sign, whole, fraction = '', exponentText] = match;
+  const digits = `${whole}${fraction}`;
+  const point = whole.length + Number(exponentText);
+
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Convert a token amount to integer atomic units
+ * @param {number|string} amount - Non-negative amount in token units
+ * @param {number} decimals - Token decimals
+ * @param {Object} options - { exact } - exact rejects digits beyond the token's decimals instead of rounding them down
+ * @returns {BN} Atomic units
+ */
+function parseUnits(amount, decimals, { exact = true } = {}) {
+  const text = toPlainString(amount);
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+  if (typeof amount === 'boolean' || !match || (!match[1] && !match[2])) {
+    throw new Error(`Invalid amount ${amount}`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (exact && /[1-9]/.test(fraction.slice(decimals))) {
+    throw new Error(`Amount ${amount} has more than ${decimals} decimals`);
+  }
+
+  return new BN(`${whole || '0'}${fraction.slice(0, decimals).padEnd(decimals, '0')}`, 10);
+}
+
+/**
+ * Convert integer atomic units to a token amount
+ * @param {BN|string} atomic - Atomic units
+ * @param {number} decimals - Token decimals
+ * @returns {string} Amount in token units, without trailing zeros
+ */
+function formatUnits(atomic, decimals) {
+  const value = new BN(atomic, 10);
+  const negative = value.isNeg();
+  const digits = value.abs().toString(10).padStart(decimals + 1, '0');
+
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Check a token definition and fill in defaults
+ * @param {Object} token - { symbol, name, mint, decimals, displayDecimals, enabled }
+ * @returns {Object} Token
+ */
+function normalizeToken(token) {
+  if (!token || typeof token.symbol !== 'string' || !/^[A-Za-z0-9]{1,12}$/.test(token.symbol)) {
+    throw new Error('symbol must be 1 to 12 letters or digits');
+  }
+
+  try {
+    new PublicKey(token.mint);
+  } catch (error) {
+    throw new Error(`Invalid mint address for ${token.symbol}`);
+  }
+
+  if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > MAX_DECIMALS) {
+    throw new Error(`decimals of ${token.symbol} must be an integer from 0 to ${MAX_DECIMALS}`);
+  }
+
+  const displayDecimals = token.displayDecimals !== undefined ? token.displayDecimals : Math.min(token.decimals, 6);
+  if (!Number.isInteger(displayDecimals) || displayDecimals < 0 || displayDecimals > token.decimals) {
+    throw new Error(`displayDecimals of ${token.symbol} must be an integer from 0 to its decimals`);
+  }
+
+  const symbol = token.symbol.toUpperCase();
+  return {
+    symbol,
+    name: token.name || symbol,
+    mint: token.mint,
+    decimals: token.decimals,
+    displayDecimals,
+    enabled: token.enabled !== false
+  };
+}
+
+/**
+ * Token Registry - symbol, mint, decimals and display precision of every
+ * tradable token. Quotes, swaps, job data and the ledger carry amounts as
+ * integer atomic units; the registry converts them to and from token units.
+ * Decimals are fixed once a token is registered, since stored atomic amounts
+ * depend on them.
+ */
+class TokenRegistry {
+  /**
+   * @param {Array} tokens - Token definitions
+   * @param {Object} options - { key } - Redis hash holding changes made at runtime
+   */
+  constructor(tokens = [], options = {}) {
+    this.key = options.key || 'token-registry';
+    this.tokens = new Map();
+    tokens.forEach(token => this.register(token));
+  }
+
+  /**
+   * Load a registry from a JSON file with an array of token definitions
+   * @param {string} file - Path of the file
+   * @returns {TokenRegistry}
+   */
+  static fromFile(file = DEFAULT_TOKEN_FILE) {
+    return new TokenRegistry(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Token by symbol
+   * @param {string} symbol - Token symbol, any case
+   * @returns {Object|null} Token
+   */
+  get(symbol) {
+    return typeof symbol === 'string' ? this.tokens.get(symbol.toUpperCase()) || null : null;
+  }
+
+  /**
+   * Token that can be traded
+   * @param {string} symbol - Token symbol
+   * @returns {Object} Token
+   */
+  require(symbol) {
+    const token = this.get(symbol);
+    if (!token) {
+      throw new Error(`Unknown token ${symbol}. Available: ${this.symbols().join(', ')}`);
+    }
+    if (!token.enabled) {
+      throw new Error(`Token ${token.symbol} is disabled`);
+    }
+    return token;
+  }
+
+  /**
+   * Every registered token, including disabled ones
+   * @returns {Array} Tokens
+   */
+  list() {
+    return Array.from(this.tokens.values()).map(token => ({ ...token }));
+  }
+
+  /**
+   * Symbols of the enabled tokens
+   * @returns {Array<string>} Symbols
+   */
+  symbols() {
+    return Array.from(this.tokens.values()).filter(token => token.enabled).map(token => token.symbol);
+  }
+
+  /**
+   * Add a token
+   * @param {Object} token - Token definition
+   * @returns {Object} Registered token
+   */
+  register(token) {
+    const normalized = normalizeToken(token);
+    if (this.tokens.has(normalized.symbol)) {
+      throw new Error(`Token ${normalized.symbol} is already registered`);
+    }
+
+    this.tokens.set(normalized.symbol, normalized);
+    return { ...normalized };
+  }
+
+  /**
+   * Change a token's name, mint, display precision or enabled flag
+   * @param {string} symbol - Token symbol
+   * @param {Object} changes - Fields to change
+   * @returns {Object} Updated token
+   */
+  update(symbol, changes) {
+    const token = this.get(symbol);
+    if (!token) {
+      throw new Error(`Unknown token ${symbol}`);
+    }
+
+    const unknown = Object.keys(changes).find(field => !TOKEN_FIELDS.includes(field));
+    if (unknown) {
+      throw new Error(`Unknown token field ${unknown}`);
+    }
+
+    if (changes.decimals !== undefined && changes.decimals !== token.decimals) {
+      throw new Error(`decimals of ${token.symbol} cannot be changed`);
+    }
+
+    const updated = normalizeToken({ ...token, ...changes, symbol: token.symbol, decimals: token.decimals });
+    this.tokens.set(token.symbol, updated);
+    return { ...updated };
+  }
+
+  /**
+   * Convert a token amount to atomic units
+   * @param {string} symbol - Token symbol
+   * @param {number|string} amount - Amount in token units
+   * @param {Object} options - { exact } - see parseUnits; computed amounts are rounded down
+   * @returns {string} Atomic units
+   */
+  toAtomic(symbol, amount, options) {
+    const token = this.get(symbol);
+    if (!token) {
+      throw new Error(`Unknown token ${symbol}`);
+    }
+    return parseUnits(amount, token.decimals, options).toString(10);
+  }
+
+  /**
+   * Convert atomic units to a token amount
+   * @param {string} symbol - Token symbol
+   * @param {BN|string} atomic - Atomic units
+   * @returns {number} Amount in token units
+   */
+  toAmount(symbol, atomic) {
+    const token = this.get(symbol);
+    if (!token) {
+      throw new Error(`Unknown token ${symbol}`);
+    }
+    return Number(formatUnits(atomic, token.decimals));
+  }
+
+  /**
+   * Apply the runtime changes stored in Redis over the file's definitions
+   * @param {Object} connection - ioredis connection
+   * @returns {Array<string>} Symbols loaded from Redis
+   */
+  async load(connection) {
+    const stored = await connection.hgetall(this.key);
+
+    return Object.values(stored).map(raw => {
+      const token = normalizeToken(JSON.parse(raw));
+      const existing = this.tokens.get(token.symbol);
+      if (existing && existing.decimals !== token.decimals) {
+        throw new Error(`Stored decimals of ${token.symbol} differ from the token file`);
+      }
+
+      this.tokens.set(token.symbol, token);
+      return token.symbol;
+    });
+  }
+
+  /**
+   * Pub/sub channel announcing stored token changes
+   */
+  changesChannel() {
+    return `${this.key}:changes`;
+  }
+
+  /**
+   * Store a token's current definition, so every process loads it on start,
+   * and tell running processes to reload
+   * @param {Object} connection - ioredis connection
+   * @param {string} symbol - Token symbol
+   */
+  async persist(connection, symbol) {
+    const token = this.get(symbol);
+    await connection.hset(this.key, token.symbol, JSON.stringify(token));
+    await connection.publish(this.changesChannel(), token.symbol);
+  }
+
+  /**
+   * Reload the stored changes whenever a process persists one. Subscribing
+   * needs its own connection, which the caller closes with the returned
+   * function.
+   * @param {Object} connection - ioredis connection
+   * @param {Function} onChange - Callback (symbol) => void, called after the reload
+   * @returns {Function} async () => void - stops watching
+   */
+  async watch(connection, onChange = () => {}) {
+    const subscriber = connection.duplicate();
+
+    subscriber.on('message', (channel, symbol) => {
+      if (channel !== this.changesChannel()) return;
+
+      this.load(connection)
+        .then(() => onChange(symbol))
+        .catch(error => console.error(`Failed to reload token ${symbol}:`, error.message));
+    });
+
+    await subscriber.subscribe(this.changesChannel());
+    return () => subscriber.quit();
+  }
+}
+
+// Shared by the API server, the workers and the mock DEXs of a process
+const tokenRegistry = TokenRegistry.fromFile(process.env.TOKEN_REGISTRY_FILE || DEFAULT_TOKEN_FILE);
+
+module.exports = {
+  TokenRegistry,
+  tokenRegistry,
+  parseUnits,
+  formatUnits
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+// ========== WALLET AUTHENTICATION ==========
+
+// DER prefixes of ed25519 keys; the raw 32-byte public key or private seed follows them
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Decode a base58 Solana wallet address
+ * @param {string} address - Wallet address
+ * @returns {Buffer} 32-byte ed25519 public key
+ */
+function decodeWalletAddress(address) {
+  if (typeof address !== 'string' || address.length === 0) {
+    throw new Error('Wallet address is required');
+  }
+
+  try {
+    return new PublicKey(address).toBuffer();
+  } catch (error) {
+    throw new Error(`Invalid wallet address ${address}`);
+  }
+}
+
+/**
+ * Text a wallet signs to prove it owns the address
+ * @param {Object} challenge - { domain, address, nonce, issuedAt, expiresAt }
+ * @returns {string} Message
+ */
+function buildChallengeMessage({ domain, address, nonce, issuedAt, expiresAt }) {
+  return [
+    `${domain} wants you to sign in with your Solana account:`,
+    address,
+    '',
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expiresAt}`
+  ].join('\n');
+}
+
+/**
+ * Check an ed25519 signature of a message against a wallet address
+ * @param {string} address - Base58 wallet address
+ * @param {string} message - Signed message (UTF-8)
+ * @param {string} signature - Base64 encoded 64-byte signature
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifyWalletSignature(address, message, signature) {
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, decodeWalletAddress(address)]),
+    format: 'der',
+    type: 'spki'
+  });
+
+  const signatureBytes = typeof signature === 'string' ? Buffer.from(signature, 'base64') : null;
+  if (!signatureBytes || signatureBytes.length !== 64) return false;
+
+  return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, signatureBytes);
+}
+
+/**
+ * Sign a message with a Solana keypair the way a wallet does, for scripts
+ * and tests that hold the secret key
+ * @param {Uint8Array|Array<number>} secretKey - 64-byte secret key (seed followed by the public key)
+ * @param {string} message - Message to sign (UTF-8)
+ * @returns {string} Base64 encoded signature
+ */
+function signWalletMessage(secretKey, message) {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(secretKey).subarray(0, 32)]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  return crypto.sign(null, Buffer.from(message, 'utf8'), privateKey).toString('base64');
+}
+
+/**
+ * Build a preHandler that lets only the owning wallet use a record. It runs
+ * after the session check, which sets req.walletAddress.
+ * @param {Function} getOwner - async req => owner address, null if the record has no owner, undefined if it does not exist
+ * @param {Object} options - { name, allowUnowned } - name of the record for errors (e.g. 'Order'); allowUnowned opens records without an owner to every signed-in wallet
+ * @returns {Function} preHandler (req, reply)
+ */
+function requireOwner(getOwner, { name, allowUnowned = false }) {
+  return async (req, reply) => {
+    const owner = await getOwner(req);
+    if (owner === undefined) {
+      return reply.status(404).send({ error: `${name} not found` });
+    }
+
+    if (owner === null ? !allowUnowned : owner !== req.walletAddress) {
+      return reply.status(403).send({ error: `${name}s can only be accessed by their own wallet` });
+    }
+  };
+}
+
+/**
+ * Wallet Auth - sign-in with a Solana wallet. The server hands out a
+ * single-use challenge, the wallet signs it with its ed25519 key and gets a
+ * session token that authorizes its orders and WebSocket subscriptions.
+ */
+class WalletAuth {
+  /**
+   * @param {Object} connection - ioredis connection
+   * @param {Object} options - { key, domain, challengeTtl (ms), sessionTtl (ms) }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.key = options.key || 'auth';
+    this.domain = options.domain || 'dex-order-router';
+    this.challengeTtl = options.challengeTtl || 5 * 60 * 1000;
+    this.sessionTtl = options.sessionTtl || 60 * 60 * 1000;
+  }
+
+  challengeKey(nonce) {
+    return `${this.key}:challenge:${nonce}`;
+  }
+
+  sessionKey(token) {
+    return `${this.key}:session:${token}`;
+  }
+
+  /**
+   * Issue a challenge for a wallet to sign
+   * @param {string} address - Wallet address
+   * @returns {Object} { address, nonce, message, expiresAt }
+   */
+  async createChallenge(address) {
+    decodeWalletAddress(address);
+
+    const now = Date.now();
+    const challenge = {
+      domain: this.domain,
+      address,
+      nonce: crypto.randomBytes(16).toString('hex'),
+      issuedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.challengeTtl).toISOString()
+    };
+    const message = buildChallengeMessage(challenge);
+
+    await this.connection.set(
+      this.challengeKey(challenge.nonce),
+      JSON.stringify({ address, message }),
+      'PX', this.challengeTtl
+    );
+
+    return { address, nonce: challenge.nonce, message, expiresAt: challenge.expiresAt };
+  }
+
+  /**
+   * Exchange a signed challenge for a session token. A challenge can be
+   * used once, whether or not the signature is valid.
+   * @param {string} address - Wallet address
+   * @param {string} nonce - Challenge nonce
+   * @param {string} signature - Base64 signature of the challenge message
+   * @returns {Object} { token, address, expiresAt }
+   */
+  async verifyChallenge(address, nonce, signature) {
+    if (typeof nonce !== 'string' || !/^[0-9a-f]{32}$/.test(nonce)) {
+      throw new Error('Invalid nonce');
+    }
+
+    const [[, raw]] = await this.connection.multi()
+      .get(this.challengeKey(nonce))
+      .del(this.challengeKey(nonce))
+      .exec();
+
+    if (!raw) {
+      throw new Error('Challenge not found or expired');
+    }
+
+    const challenge = JSON.parse(raw);
+    if (challenge.address !== address) {
+      throw new Error('Challenge was issued to a different wallet');
+    }
+
+    if (!verifyWalletSignature(address, challenge.message, signature)) {
+      throw new Error('Invalid signature');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.connection.set(this.sessionKey(token), address, 'PX', this.sessionTtl);
+
+    return { token, address, expiresAt: new Date(Date.now() + this.sessionTtl).toISOString() };
+  }
+
+  /**
+   * Wallet address of a session
+   * @param {string} token - Session token
+   * @returns {string|null} Address, null if the token is unknown or expired
+   */
+  async authenticate(token) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return null;
+    return this.connection.get(this.sessionKey(token));
+  }
+
+  /**
+   * End a session
+   * @param {string} token - Session token
+   * @returns {boolean} Whether the session existed
+   */
+  async revoke(token) {
+    if (typeof token !== 'string') return false;
+    return (await this.connection.del(this.sessionKey(token))) > 0;
+  }
+}
+
+module.exports = {
+  WalletAuth,
+  buildChallengeMessage,
+  decodeWalletAddress,
+  requireOwner,
+  signWalletMessage,
+  verifyWalletSignature
+};
@@ -0,0 +1,269 @@
+// ========== WHIRLPOOL (CONCENTRATED LIQUIDITY) ==========
+
+const TICK_BASE = 1.0001;
+
+/**
+ * Square root price at a tick (price = 1.0001^tick)
+ * @param {number} tick - Tick index
+ * @returns {number} sqrt(price)
+ */
+function tickToSqrtPrice(tick) {
+  return Math.pow(TICK_BASE, tick / 2);
+}
+
+/**
+ * Tick containing a price
+ * @param {number} price - Price of token0 in token1
+ * @returns {number} Tick index
+ */
+function priceToTick(price) {
+  return Math.floor(Math.log(price) / Math.log(TICK_BASE));
+}
+
+/**
+ * Whirlpool - Orca-style concentrated liquidity pool. Liquidity positions
+ * cover tick ranges; a swap walks from the current price towards the next
+ * initialized tick, and crossing a tick adds or removes the liquidity of
+ * the positions starting or ending there. Prices are token1 per token0.
+ */
+class WhirlpoolPool {
+  /**
+   * @param {string} token0 - First token symbol
+   * @param {string} token1 - Second token symbol
+   * @param {number} price - Initial price of token0 in token1
+   * @param {Object} options - { tickSpacing, feeRate }
+   */
+  constructor(token0, token1, price, options = {}) {
+    if (!(price > 0)) {
+      throw new Error('Pool price must be positive');
+    }
+
+    this.tokens = [token0, token1];
+    this.tickSpacing = options.tickSpacing || 64;
+    this.feeRate = options.feeRate !== undefined ? options.feeRate : 0.003;
+    this.sqrtPrice = Math.sqrt(price);
+    this.currentTick = priceToTick(price);
+    this.positions = [];
+    this.liquidityNet = new Map(); // tick -> liquidity added when crossed upwards
+  }
+
+  /**
+   * Add a liquidity position over a tick range
+   * @param {number} tickLower - Lower tick, a multiple of tickSpacing
+   * @param {number} tickUpper - Upper tick, a multiple of tickSpacing
+   * @param {number} liquidity - Liquidity (L) of the position
+   */
+  addPosition(tickLower, tickUpper, liquidity) {
+    if (tickLower % this.tickSpacing !== 0 || tickUpper % this.tickSpacing !== 0) {
+      throw new Error(`Position ticks must be multiples of tickSpacing ${this.tickSpacing}`);
+    }
+
+    if (tickLower >= tickUpper || !(liquidity > 0)) {
+      throw new Error('Position requires tickLower < tickUpper and positive liquidity');
+    }
+
+    this.positions.push({ tickLower, tickUpper, liquidity });
+    this.liquidityNet.set(tickLower, (this.liquidityNet.get(tickLower) || 0) + liquidity);
+    this.liquidityNet.set(tickUpper, (this.liquidityNet.get(tickUpper) || 0) - liquidity);
+  }
+
+  /**
+   * Other side of the pool for an input token
+   * @param {string} inputToken - Token being sold
+   * @returns {string} Token being bought
+   */
+  getOutputToken(inputToken) {
+    if (!this.tokens.includes(inputToken)) {
+      throw new Error(`Token ${inputToken} is not in pool ${this.tokens.join('/')}`);
+    }
+    return this.tokens[0] === inputToken ? this.tokens[1] : this.tokens[0];
+  }
+
+  /**
+   * Marginal price of the input token in output tokens, before fees
+   * @param {string} inputToken - Token being sold
+   * @returns {number} Spot price
+   */
+  getSpotPrice(inputToken) {
+    const price = this.sqrtPrice * this.sqrtPrice;
+    return inputToken === this.tokens[0] ? price : 1 / price;
+  }
+
+  /**
+   * Liquidity in range at a sqrt price. At a tick boundary the positions
+   * that count are the ones on the side the price is moving into.
+   */
+  getActiveLiquidity(sqrtPrice, zeroForOne) {
+    return this.positions.reduce((sum, position) => {
+      const lower = tickToSqrtPrice(position.tickLower);
+      const upper = tickToSqrtPrice(position.tickUpper);
+      const inRange = zeroForOne
+        ? lower < sqrtPrice && sqrtPrice <= upper
+        : lower <= sqrtPrice && sqrtPrice < upper;
+      return inRange ? sum + position.liquidity : sum;
+    }, 0);
+  }
+
+  /**
+   * Next initialized tick strictly beyond a sqrt price in the swap direction
+   */
+  getNextTick(sqrtPrice, zeroForOne) {
+    const ticks = Array.from(this.liquidityNet.keys());
+    const candidates = zeroForOne
+      ? ticks.filter(tick => tickToSqrtPrice(tick) < sqrtPrice)
+      : ticks.filter(tick => tickToSqrtPrice(tick) > sqrtPrice);
+
+    if (candidates.length === 0) return null;
+    return zeroForOne ? Math.max(...candidates) : Math.min(...candidates);
+  }
+
+  /**
+   * Walk the ticks for a swap without changing the pool
+   * @param {string} inputToken - Token being sold
+   * @param {number} amountIn - Amount being sold
+   * @returns {Object} { outputToken, outputAmount, spotPrice, executionPrice, priceImpact (%), fee, ticksCrossed, sqrtPrice, tick }
+   */
+  getAmountOut(inputToken, amountIn) {
+    if (!(amountIn > 0)) {
+      throw new Error('Swap amount must be positive');
+    }
+
+    const outputToken = this.getOutputToken(inputToken);
+    const zeroForOne = inputToken === this.tokens[0];
+    const amountInAfterFee = amountIn * (1 - this.feeRate);
+
+    let remaining = amountInAfterFee;
+    let sqrtPrice = this.sqrtPrice;
+    let liquidity = this.getActiveLiquidity(sqrtPrice, zeroForOne);
+    let outputAmount = 0;
+    let ticksCrossed = 0;
+
+    while (remaining > 0) {
+      const nextTick = this.getNextTick(sqrtPrice, zeroForOne);
+      if (nextTick === null) {
+        throw new Error('Whirlpool tick range exceeded');
+      }
+
+      const sqrtTarget = tickToSqrtPrice(nextTick);
+      const net = this.liquidityNet.get(nextTick);
+
+      // Gap without liquidity: jump straight to the next initialized tick
+      if (liquidity <= 0) {
+        sqrtPrice = sqrtTarget;
+        liquidity += zeroForOne ? -net : net;
+        ticksCrossed++;
+        continue;
+      }
+
+      if (zeroForOne) {
+        const maxIn = liquidity * (1 / sqrtTarget - 1 / sqrtPrice);
+        if (remaining < maxIn) {
+          const sqrtNext = (liquidity * sqrtPrice) / (liquidity + remaining * sqrtPrice);
+          outputAmount += liquidity * (sqrtPrice - sqrtNext);
+          sqrtPrice = sqrtNext;
+          remaining = 0;
+        } else {
+          outputAmount += liquidity * (sqrtPrice - sqrtTarget);
+          remaining -= maxIn;
+          sqrtPrice = sqrtTarget;
+          liquidity -= net;
+          ticksCrossed++;
+        }
+      } else {
+        const maxIn = liquidity * (sqrtTarget - sqrtPrice);
+        if (remaining < maxIn) {
+          const sqrtNext = sqrtPrice + remaining / liquidity;
+          outputAmount += liquidity * (1 / sqrtPrice - 1 / sqrtNext);
+          sqrtPrice = sqrtNext;
+          remaining = 0;
+        } else {
+          outputAmount += liquidity * (1 / sqrtPrice - 1 / sqrtTarget);
+          remaining -= maxIn;
+          sqrtPrice = sqrtTarget;
+          liquidity += net;
+          ticksCrossed++;
+        }
+      }
+    }
+
+    const spotPrice = this.getSpotPrice(inputToken);
+
+    return {
+      outputToken,
+      outputAmount,
+      spotPrice,
+      executionPrice: outputAmount / amountIn,
+      // Share of the price lost to walking the ticks, fee excluded
+      priceImpact: (1 - outputAmount / amountInAfterFee / spotPrice) * 100,
+      fee: this.feeRate * 100,
+      ticksCrossed,
+      sqrtPrice,
+      tick: priceToTick(sqrtPrice * sqrtPrice)
+    };
+  }
+
+  /**
+   * Execute a swap and move the current price and tick
+   * @param {string} inputToken - Token being sold
+   * @param {number} amountIn - Amount being sold
+   * @returns {Object} Same shape as getAmountOut
+   */
+  swap(inputToken, amountIn) {
+    const result = this.getAmountOut(inputToken, amountIn);
+
+    this.sqrtPrice = result.sqrtPrice;
+    this.currentTick = result.tick;
+
+    return result;
+  }
+
+  /**
+   * Current price state of the pool
+   * @returns {Object} { tokens, sqrtPrice, price, currentTick, tickSpacing, liquidity }
+   */
+  getState() {
+    return {
+      tokens: [...this.tokens],
+      sqrtPrice: this.sqrtPrice,
+      price: this.sqrtPrice * this.sqrtPrice,
+      currentTick: this.currentTick,
+      tickSpacing: this.tickSpacing,
+      liquidity: this.getActiveLiquidity(this.sqrtPrice, false)
+    };
+  }
+
+  /**
+   * Serializable state, see fromJSON
+   * @returns {Object} { tokens, tickSpacing, feeRate, sqrtPrice, currentTick, positions }
+   */
+  toJSON() {
+    return {
+      tokens: [...this.tokens],
+      tickSpacing: this.tickSpacing,
+      feeRate: this.feeRate,
+      sqrtPrice: this.sqrtPrice,
+      currentTick: this.currentTick,
+      positions: this.positions.map(position => ({ ...position }))
+    };
+  }
+
+  /**
+   * Rebuild a pool from its toJSON state
+   * @param {Object} state - See toJSON
+   * @returns {WhirlpoolPool}
+   */
+  static fromJSON({ tokens, tickSpacing, feeRate, sqrtPrice, currentTick, positions }) {
+    const pool = new WhirlpoolPool(tokens[0], tokens[1], sqrtPrice * sqrtPrice, { tickSpacing, feeRate });
+    positions.forEach(({ tickLower, tickUpper, liquidity }) => pool.addPosition(tickLower, tickUpper, liquidity));
+    // Squaring and rooting the price again may not give back the same bits
+    pool.sqrtPrice = sqrtPrice;
+    pool.currentTick = currentTick;
+    return pool;
+  }
+}
+
+module.exports = {
+  WhirlpoolPool,
+  tickToSqrtPrice,
+  priceToTick
+};
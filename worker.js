@@ -1,23 +1,19 @@
 const { Worker } = require('bullmq');
 const IORedis = require('ioredis');
 const { inspect } = require('util');
+const os = require('os');
+const { EventBus } = require('./eventBus');
+const { WorkerRegistry } = require('./workerRegistry');
+const { parseWorkerOptions } = require('./workerConfig');
+const { tokenRegistry } = require('./tokenRegistry');
+const { poolStore } = require('./poolStore');
+const { dexRegistry } = require('./dexProviders');
+const { DexStats, fillDeviation } = require('./dexStats');
 
-// Import your DEX functions
-const {
-  raydiumQuote,
-  raydiumSwap,
-  meteoraQuote, 
-  meteoraSwap,
-  orcaQuote,
-  orcaSwap,
-  jupiterQuote,
-  jupiterSwap,
-  DEX_PROVIDERS
-} = require('./mockQuote.js');
-
-const connection = new IORedis("redis://localhost:6379", {
-  maxRetriesPerRequest: null,
-});
+// Created by startWorkers, so importing this module opens no connection
+let connection = null;
+let eventBus = null;
+let dexStats = null;
 
 // ========== ENHANCED LOGGING UTILITIES ==========
 
@@ -51,8 +47,8 @@ const logger = {
 // ========== STATUS TRACKING UTILITIES ==========
 
 /**
- * Send status update via WebSocket (this will be called by the server)
- * We'll emit events that the server can listen to
+ * Publish a status update on the event bus. The server relays it to the
+ * order's WebSocket, whichever process or machine the worker runs on.
  */
 function emitStatusUpdate(orderId, status, data = {}) {
   // If orderId is null, try to find it from job data
@@ -65,15 +61,16 @@ function emitStatusUpdate(orderId, status, data = {}) {
     orderId = 'unknown';
   }
   
+  const { job, ...details } = data;
   const statusUpdate = {
     orderId,
     status,
-    timestamp: new Date().toISOString(),
-    ...data
+    ...details
   };
   
-  // Emit custom event that server can listen to
-  process.emit('orderStatusUpdate', statusUpdate);
+  eventBus.publish('status', statusUpdate).catch(error => {
+    logger.error(`Failed to publish status update for order ${orderId}`, error);
+  });
   
   // Enhanced logging
   logger.debug(`Status update emitted for order ${orderId}`, {
@@ -83,387 +80,324 @@ function emitStatusUpdate(orderId, status, data = {}) {
   });
 }
 
-// ========== ENHANCED WORKERS ==========
+/**
+ * Update BullMQ job progress and publish it on the event bus
+ * @param {Object} job - BullMQ job
+ * @param {number} progress - Progress percentage
+ */
+async function reportProgress(job, progress) {
+  await job.updateProgress(progress);
 
-// Raydium worker
-const raydiumWorker = new Worker('raydium-dex', async job => {
-  const { operation, tokenPair, inputAmount, wallet, orderId } = job.data;
-  
-  logger.info(`Raydium worker processing ${operation}`, {
-    orderId,
-    tokenPair: `${tokenPair.base}/${tokenPair.quote}`,
-    inputAmount
+  eventBus.publish('progress', {
+    orderId: job.data.orderId,
+    jobId: job.id,
+    queueName: job.queueName,
+    dex: job.data.dexProvider,
+    operation: job.data.operation,
+    progress
+  }).catch(error => {
+    logger.error(`Failed to publish progress for job ${job.id}`, error);
   });
-  
-  try {
-    if (operation === 'quote') {
-      await job.updateProgress(25);
-      
-      emitStatusUpdate(orderId, 'routing', {
-        message: 'Fetching Raydium liquidity data...',
-        dex: 'Raydium',
-        stage: 'fetching_data'
-      });
-      
-      // Generate a single random delay between 2-5 seconds for this operation
-      const delay = Math.random() * 3000 + 2000;
-      logger.debug(`Raydium ${operation} processing delay: ${delay}ms`, { orderId });
-      
-      await job.updateProgress(50);
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // First half
-      
-      const result = await raydiumQuote(tokenPair, inputAmount);
-      await job.updateProgress(75);
-      
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // Second half
-      await job.updateProgress(100);
-      
-      logger.info(`Raydium quote completed`, {
-        orderId,
-        outputAmount: result.outputAmount,
-        priceImpact: result.priceImpact
-      });
-      
-      return result;
-    } else if (operation === 'swap') {
-      await job.updateProgress(25);
-      
-      emitStatusUpdate(orderId, 'building', {
-        message: 'Creating Raydium AMM transaction...',
-        dex: 'Raydium',
-        stage: 'creating_transaction'
-      });
-      
-      // Generate a single random delay between 2-5 seconds for this operation
-      const delay = Math.random() * 3000 + 2000;
-      logger.debug(`Raydium ${operation} processing delay: ${delay}ms`, { orderId });
-      
-      await job.updateProgress(50);
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // First half
-      
-      const result = await raydiumSwap(tokenPair, inputAmount, wallet);
-      await job.updateProgress(75);
-      
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // Second half
-      await job.updateProgress(100);
-      
-      logger.info(`Raydium swap completed`, {
-        orderId,
-        success: result.success,
-        transactionHash: result.transactionHash
-      });
-      
-      return result;
-    } else {
-      throw new Error(`Unknown operation: ${operation}`);
-    }
-  } catch (error) {
-    logger.error(`Raydium worker error for ${operation}`, error, { orderId });
-    throw error;
-  }
-}, { connection });
+}
 
-// Meteora worker
-const meteoraWorker = new Worker('meteora-dex', async job => {
-  const { operation, tokenPair, inputAmount, wallet, orderId } = job.data;
-  
-  logger.info(`Meteora worker processing ${operation}`, {
-    orderId,
-    tokenPair: `${tokenPair.base}/${tokenPair.quote}`,
-    inputAmount
+/**
+ * Publish job completion and failure on the event bus, so the server can
+ * route quote and swap results without sharing a process with the worker
+ * @param {Object} worker - BullMQ worker
+ * @param {string} dexName - DEX provider name
+ */
+function publishJobEvents(worker, dexName) {
+  worker.on('completed', (job, result) => {
+    eventBus.publish('job_completed', {
+      orderId: job.data.orderId,
+      jobId: job.id,
+      queueName: job.queueName,
+      dexName,
+      operation: job.data.operation,
+      result
+    }).catch(error => {
+      logger.error(`Failed to publish completion of ${dexName} job ${job.id}`, error);
+    });
   });
-  
-  try {
-    if (operation === 'quote') {
-      await job.updateProgress(25);
-      
-      emitStatusUpdate(orderId, 'routing', {
-        message: 'Analyzing Meteora DLMM bins...',
-        dex: 'Meteora',
-        stage: 'analyzing_dlmm'
-      });
-      
-      // Generate a single random delay between 2-5 seconds for this operation
-      const delay = Math.random() * 3000 + 2000;
-      logger.debug(`Meteora ${operation} processing delay: ${delay}ms`, { orderId });
-      
-      await job.updateProgress(50);
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // First half
-      
-      const result = await meteoraQuote(tokenPair, inputAmount);
-      await job.updateProgress(75);
-      
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // Second half
-      await job.updateProgress(100);
-      
-      logger.info(`Meteora quote completed`, {
-        orderId,
-        outputAmount: result.outputAmount,
-        priceImpact: result.priceImpact
-      });
-      
-      return result;
-    } else if (operation === 'swap') {
-      await job.updateProgress(25);
-      
-      emitStatusUpdate(orderId, 'building', {
-        message: 'Optimizing DLMM bin allocation...',
-        dex: 'Meteora',
-        stage: 'optimizing_bins'
-      });
-      
-      // Generate a single random delay between 2-5 seconds for this operation
-      const delay = Math.random() * 3000 + 2000;
-      logger.debug(`Meteora ${operation} processing delay: ${delay}ms`, { orderId });
-      
-      await job.updateProgress(50);
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // First half
-      
-      const result = await meteoraSwap(tokenPair, inputAmount, wallet);
-      await job.updateProgress(75);
-      
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // Second half
-      await job.updateProgress(100);
-      
-      logger.info(`Meteora swap completed`, {
-        orderId,
-        success: result.success,
-        transactionHash: result.transactionHash
-      });
-      
-      return result;
-    } else {
-      throw new Error(`Unknown operation: ${operation}`);
-    }
-  } catch (error) {
-    logger.error(`Meteora worker error for ${operation}`, error, { orderId });
-    throw error;
-  }
-}, { connection });
 
-// Orca worker
-const orcaWorker = new Worker('orca-dex', async job => {
-  const { operation, tokenPair, inputAmount, wallet, orderId } = job.data;
-  
-  logger.info(`Orca worker processing ${operation}`, {
-    orderId,
-    tokenPair: `${tokenPair.base}/${tokenPair.quote}`,
-    inputAmount
+  worker.on('failed', (job, err) => {
+    if (!job) return;
+
+    eventBus.publish('job_failed', {
+      orderId: job.data.orderId,
+      jobId: job.id,
+      queueName: job.queueName,
+      dexName,
+      operation: job.data.operation,
+      error: err.message,
+      attemptsMade: job.attemptsMade,
+      attempts: job.opts.attempts || 1
+    }).catch(error => {
+      logger.error(`Failed to publish failure of ${dexName} job ${job.id}`, error);
+    });
   });
-  
-  try {
-    if (operation === 'quote') {
-      await job.updateProgress(25);
-      
-      emitStatusUpdate(orderId, 'routing', {
-        message: 'Querying Orca Whirlpools...',
-        dex: 'Orca',
-        stage: 'querying_whirlpools'
-      });
-      
-      // Generate a single random delay between 2-5 seconds for this operation
-      const delay = Math.random() * 3000 + 2000;
-      logger.debug(`Orca ${operation} processing delay: ${delay}ms`, { orderId });
-      
-      await job.updateProgress(50);
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // First half
-      
-      const result = await orcaQuote(tokenPair, inputAmount);
-      await job.updateProgress(75);
-      
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // Second half
-      await job.updateProgress(100);
-      
-      logger.info(`Orca quote completed`, {
-        orderId,
-        outputAmount: result.outputAmount,
-        priceImpact: result.priceImpact
-      });
-      
-      return result;
-    } else if (operation === 'swap') {
-      await job.updateProgress(25);
-      
-      emitStatusUpdate(orderId, 'building', {
-        message: 'Creating Orca whirlpool transaction...',
-        dex: 'Orca',
-        stage: 'creating_whirlpool'
-      });
-      
-      // Generate a single random delay between 2-5 seconds for this operation
-      const delay = Math.random() * 3000 + 2000;
-      logger.debug(`Orca ${operation} processing delay: ${delay}ms`, { orderId });
-      
-      await job.updateProgress(50);
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // First half
-      
-      const result = await orcaSwap(tokenPair, inputAmount, wallet);
-      await job.updateProgress(75);
-      
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // Second half
-      await job.updateProgress(100);
-      
-      logger.info(`Orca swap completed`, {
-        orderId,
-        success: result.success,
-        transactionHash: result.transactionHash
-      });
-      
-      return result;
-    } else {
-      throw new Error(`Unknown operation: ${operation}`);
-    }
-  } catch (error) {
-    logger.error(`Orca worker error for ${operation}`, error, { orderId });
-    throw error;
-  }
-}, { connection });
+}
 
-// Jupiter worker
-const jupiterWorker = new Worker('jupiter-dex', async job => {
-  const { operation, tokenPair, inputAmount, wallet, orderId } = job.data;
-  
-  logger.info(`Jupiter worker processing ${operation}`, {
-    orderId,
-    tokenPair: `${tokenPair.base}/${tokenPair.quote}`,
-    inputAmount
+/**
+ * Record the latency and outcome of a provider call in the DEX stats. A
+ * swap that returns success: false counts as a failure, and a filled swap
+ * with a quoted output adds its quote-vs-fill deviation.
+ * @param {Object} job - BullMQ job
+ * @param {number} latencyMs - Duration of the provider call
+ * @param {Object} result - Quote or swap result, when the call returned
+ * @param {Error} error - Error thrown by the call
+ */
+function recordOutcome(job, latencyMs, result, error) {
+  const { dexProvider, operation, quotedOutputAmount } = job.data;
+  const success = !error && (operation === 'quote' || Boolean(result && result.success));
+
+  dexStats.record(dexProvider, {
+    operation,
+    success,
+    latencyMs,
+    error: error ? error.message : result && result.error,
+    deviation: operation === 'swap' && success && quotedOutputAmount
+      ? fillDeviation(quotedOutputAmount, result.outputAmount)
+      : null
+  }).catch(statsError => {
+    logger.error(`Failed to record ${dexProvider} ${operation} stats for job ${job.id}`, statsError);
   });
-  
-  try {
-    if (operation === 'quote') {
-      await job.updateProgress(25);
-      
-      emitStatusUpdate(orderId, 'routing', {
-        message: 'Scanning all DEX routes...',
-        dex: 'Jupiter',
-        stage: 'route_scanning'
-      });
-      
-      // Generate a single random delay between 2-5 seconds for this operation
-      const delay = Math.random() * 3000 + 2000;
-      logger.debug(`Jupiter ${operation} processing delay: ${delay}ms`, { orderId });
-      
-      await job.updateProgress(50);
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // First half
-      
-      const result = await jupiterQuote(tokenPair, inputAmount);
-      await job.updateProgress(75);
-      
-      await new Promise(resolve => setTimeout(resolve, delay / 2)); // Second half
-      await job.updateProgress(100);
-      
-      logger.info(`Jupiter quote completed`, {
-        orderId,
-        outputAmount: result.outputAmount,
-        priceImpact: result.priceImpact
-      });
+}
+
+// ========== ENHANCED WORKERS ==========
+
+/**
+ * Job processor of a DEX provider: runs quote and swap jobs through the
+ * provider's functions with progress and status updates along the way
+ * @param {Object} provider - Registered DEX provider
+ * @returns {Function} async job => result
+ */
+function createJobProcessor(provider) {
+  const { name } = provider;
+
+  return async function processJob(job) {
+    const { operation, tokenPair, inputAmount, wallet, orderId } = job.data;
+    
+    logger.info(`${name} worker processing ${operation}`, {
+      orderId,
+      tokenPair: `${tokenPair.base}/${tokenPair.quote}`,
+      inputAmount
+    });
+    
+    try {
+      if (operation !== 'quote' && operation !== 'swap') {
+        throw new Error(`Unknown operation: ${operation}`);
+      }
       
-      return result;
-    } else if (operation === 'swap') {
-      await job.updateProgress(25);
+      await reportProgress(job, 25);
       
-      emitStatusUpdate(orderId, 'building', {
-        message: 'Finding optimal Jupiter route...',
-        dex: 'Jupiter',
-        stage: 'route_optimization'
+      emitStatusUpdate(orderId, operation === 'quote' ? 'routing' : 'building', {
+        message: provider.stages[operation].message,
+        dex: name,
+        stage: provider.stages[operation].stage
       });
       
       // Generate a single random delay between 2-5 seconds for this operation
       const delay = Math.random() * 3000 + 2000;
-      logger.debug(`Jupiter ${operation} processing delay: ${delay}ms`, { orderId });
+      logger.debug(`${name} ${operation} processing delay: ${delay}ms`, { orderId });
       
-      await job.updateProgress(50);
+      await reportProgress(job, 50);
       await new Promise(resolve => setTimeout(resolve, delay / 2)); // First half
       
-      const result = await jupiterSwap(tokenPair, inputAmount, wallet);
-      await job.updateProgress(75);
+      const callStartedAt = Date.now();
+      let result;
+      try {
+        result = operation === 'quote'
+          ? await provider.quote(tokenPair, inputAmount)
+          : await provider.swap(tokenPair, inputAmount, wallet);
+      } catch (error) {
+        recordOutcome(job, Date.now() - callStartedAt, null, error);
+        throw error;
+      }
+      recordOutcome(job, Date.now() - callStartedAt, result, null);
+      await reportProgress(job, 75);
       
       await new Promise(resolve => setTimeout(resolve, delay / 2)); // Second half
-      await job.updateProgress(100);
-      
-      logger.info(`Jupiter swap completed`, {
-        orderId,
-        success: result.success,
-        transactionHash: result.transactionHash
-      });
+      await reportProgress(job, 100);
+      
+      if (operation === 'quote') {
+        logger.info(`${name} quote completed`, {
+          orderId,
+          outputAmount: result.outputAmount,
+          priceImpact: result.priceImpact
+        });
+      } else {
+        logger.info(`${name} swap completed`, {
+          orderId,
+          success: result.success,
+          transactionHash: result.transactionHash
+        });
+      }
       
       return result;
-    } else {
-      throw new Error(`Unknown operation: ${operation}`);
+    } catch (error) {
+      logger.error(`${name} worker error for ${operation}`, error, { orderId });
+      throw error;
     }
-  } catch (error) {
-    logger.error(`Jupiter worker error for ${operation}`, error, { orderId });
-    throw error;
-  }
-}, { connection });
+  };
+}
 
-// ========== WORKER ERROR HANDLING ==========
+// ========== WORKER STARTUP ==========
 
-// Add basic error handlers for each worker
-raydiumWorker.on('error', (err) => {
-  logger.error('Raydium worker error', err);
-});
+/**
+ * Start BullMQ workers for a set of DEXs and publish heartbeats with their
+ * settings and job counters to the worker registry
+ * @param {Object} options - { dexes: { [dex]: { queueName, concurrency, limiter } }, heartbeatInterval } as returned by parseWorkerOptions
+ * @returns {Object} { workerId, workers (Map dex -> Worker), getReport, close }
+ */
+function startWorkers(options = parseWorkerOptions()) {
+  connection = connection || new IORedis("redis://localhost:6379", {
+    maxRetriesPerRequest: null,
+  });
+  eventBus = eventBus || new EventBus(connection);
+  dexStats = dexStats || new DexStats(connection);
 
-meteoraWorker.on('error', (err) => {
-  logger.error('Meteora worker error', err);
-});
+  // Venue pools are shared through Redis, so every worker process trades on the same pools
+  poolStore.connect(connection);
 
-orcaWorker.on('error', (err) => {
-  logger.error('Orca worker error', err);
-});
+  // Tokens added or changed through the admin API, now and while the worker runs
+  tokenRegistry.load(connection).catch(error => {
+    logger.error('Failed to load token registry', error);
+  });
+  const unwatchTokens = tokenRegistry.watch(connection, symbol => {
+    logger.info(`Reloaded token registry after a change to ${symbol}`);
+  });
+  unwatchTokens.catch(error => {
+    logger.error('Failed to watch token registry', error);
+  });
 
-jupiterWorker.on('error', (err) => {
-  logger.error('Jupiter worker error', err);
-});
+  const registry = new WorkerRegistry(connection);
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const startedAt = new Date().toISOString();
+  const workers = new Map();
+  const dexes = { ...options.dexes };
+  const stats = {};
 
-// ========== GRACEFUL SHUTDOWN ==========
+  const startDexWorker = (dex, settings) => {
+    const worker = new Worker(settings.queueName, createJobProcessor(dexRegistry.require(dex)), {
+      connection,
+      concurrency: settings.concurrency,
+      ...(settings.limiter && { limiter: settings.limiter })
+    });
 
-process.on('SIGTERM', async () => {
-  logger.info('SIGTERM received, shutting down workers gracefully');
-  
-  try {
-    await Promise.all([
-      raydiumWorker.close(),
-      meteoraWorker.close(),
-      orcaWorker.close(),
-      jupiterWorker.close()
-    ]);
-    
+    stats[dex] = { active: 0, processed: 0, failed: 0, lastJobAt: null };
+
+    worker.on('active', () => {
+      stats[dex].active++;
+    });
+
+    worker.on('completed', () => {
+      stats[dex].active--;
+      stats[dex].processed++;
+      stats[dex].lastJobAt = new Date().toISOString();
+    });
+
+    worker.on('failed', job => {
+      if (job) stats[dex].active--;
+      stats[dex].failed++;
+      stats[dex].lastJobAt = new Date().toISOString();
+    });
+
+    worker.on('error', (err) => {
+      logger.error(`${dex} worker error`, err);
+    });
+
+    publishJobEvents(worker, dex);
+    workers.set(dex, worker);
+  };
+
+  Object.entries(dexes).forEach(([dex, settings]) => startDexWorker(dex, settings));
+
+  // A process serving every DEX also serves providers registered after it started
+  const onRegistered = provider => {
+    if (!options.allDexes || workers.has(provider.name)) return;
+
+    dexes[provider.name] = { ...provider.worker };
+    startDexWorker(provider.name, dexes[provider.name]);
+    logger.info(`🚀 ${provider.name} worker started for newly registered DEX`);
+  };
+  dexRegistry.on('registered', onRegistered);
+
+  const getReport = () => ({
+    workerId,
+    host: os.hostname(),
+    pid: process.pid,
+    startedAt,
+    heartbeatInterval: options.heartbeatInterval,
+    dexes: Object.entries(dexes).map(([dex, settings]) => ({
+      dex,
+      queueName: settings.queueName,
+      concurrency: settings.concurrency,
+      limiter: settings.limiter || null,
+      running: workers.get(dex).isRunning(),
+      paused: workers.get(dex).isPaused(),
+      ...stats[dex]
+    }))
+  });
+
+  // A report outlives two missed heartbeats before it expires
+  const heartbeat = () => registry.beat(workerId, getReport(), options.heartbeatInterval * 3).catch(error => {
+    logger.error('Failed to publish worker heartbeat', error);
+  });
+  heartbeat();
+  const heartbeatTimer = setInterval(heartbeat, options.heartbeatInterval);
+
+  logger.info(`🚀 DEX workers are ready and listening for jobs: ${Object.keys(options.dexes).join(', ')}`, {
+    workerId,
+    concurrency: Object.fromEntries(Object.entries(options.dexes).map(([dex, settings]) => [dex, settings.concurrency]))
+  });
+
+  const close = async () => {
+    dexRegistry.off('registered', onRegistered);
+    clearInterval(heartbeatTimer);
+    await Promise.all(Array.from(workers.values()).map(worker => worker.close()));
+    await unwatchTokens.then(unwatch => unwatch()).catch(error => logger.error('Failed to stop watching token registry', error));
+    await registry.remove(workerId).catch(error => logger.error('Failed to remove worker heartbeat', error));
     await connection.quit();
-    logger.info('All workers and connections closed successfully');
-    process.exit(0);
-  } catch (error) {
-    logger.error('Error during worker shutdown', error);
-    process.exit(1);
-  }
-});
+    connection = null;
+    eventBus = null;
+    dexStats = null;
+  };
 
-process.on('SIGINT', async () => {
-  logger.info('SIGINT received, shutting down workers gracefully');
-  
+  return { workerId, workers, getReport, close };
+}
+
+// ========== STANDALONE ENTRYPOINT ==========
+
+if (require.main === module) {
+  let options;
   try {
-    await Promise.all([
-      raydiumWorker.close(),
-      meteoraWorker.close(),
-      orcaWorker.close(),
-      jupiterWorker.close()
-    ]);
-    
-    await connection.quit();
-    logger.info('All workers and connections closed successfully');
-    process.exit(0);
+    options = parseWorkerOptions(process.argv.slice(2), process.env);
   } catch (error) {
-    logger.error('Error during worker shutdown', error);
+    console.error(error.message);
     process.exit(1);
   }
-});
 
-logger.info('🚀 All DEX workers are ready and listening for jobs...');
+  const pool = startWorkers(options);
+
+  const shutdown = async (signal) => {
+    logger.info(`${signal} received, shutting down workers gracefully`);
+
+    try {
+      await pool.close();
+      logger.info('All workers and connections closed successfully');
+      process.exit(0);
+    } catch (error) {
+      logger.error('Error during worker shutdown', error);
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
 
 module.exports = {
-  raydiumWorker,
-  meteoraWorker,
-  orcaWorker,
-  jupiterWorker,
+  startWorkers,
   emitStatusUpdate
 };
@@ -0,0 +1,149 @@
+const { dexRegistry } = require('./dexProviders');
+
+// ========== WORKER CONFIGURATION ==========
+
+const DEFAULT_HEARTBEAT_INTERVAL = 5000;
+
+/**
+ * Queue and default worker settings of every registered DEX provider (see
+ * dexProviders.js)
+ * @returns {Object} { [dex]: { queueName, concurrency, limiter } }
+ */
+function getWorkerDefaults() {
+  return Object.fromEntries(dexRegistry.list().map(provider => [
+    provider.name,
+    { ...provider.worker, limiter: provider.worker.limiter && { ...provider.worker.limiter } }
+  ]));
+}
+
+/**
+ * Canonical DEX name for a case-insensitive name
+ * @param {string} name - DEX name (e.g. raydium)
+ * @returns {string} DEX name as used by the queues (e.g. Raydium)
+ */
+function resolveDex(name) {
+  const provider = dexRegistry.get(name.trim());
+  if (!provider) {
+    throw new Error(`Unknown DEX: ${name}. Expected one of ${dexRegistry.names().join(', ')}`);
+  }
+  return provider.name;
+}
+
+function splitList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parsePositiveInteger(value, label) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${label} must be a positive integer, got ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Parse a rate limit written as max/durationMs (e.g. 10/1000), or none
+ * @param {string} value - Rate limit
+ * @returns {Object|null} BullMQ limiter { max, duration } or null for no limit
+ */
+function parseRateLimit(value) {
+  if (value.trim().toLowerCase() === 'none') return null;
+
+  const [max, duration, ...rest] = value.split('/');
+  if (duration === undefined || rest.length > 0) {
+    throw new Error(`Rate limit must look like max/durationMs or none, got ${value}`);
+  }
+
+  return {
+    max: parsePositiveInteger(max, 'Rate limit max'),
+    duration: parsePositiveInteger(duration, 'Rate limit duration')
+  };
+}
+
+/**
+ * Apply a per-DEX setting list: "8" sets every DEX, "orca=2,jupiter=1"
+ * sets single DEXs. Both forms may be mixed; DEX entries win.
+ */
+function applyPerDex(settings, value, field, parse) {
+  const entries = splitList(value);
+
+  entries.filter(entry => !entry.includes('=')).forEach(entry => {
+    Object.values(settings).forEach(setting => { setting[field] = parse(entry); });
+  });
+
+  entries.filter(entry => entry.includes('=')).forEach(entry => {
+    const [name, setting] = entry.split('=');
+    settings[resolveDex(name)][field] = parse(setting);
+  });
+}
+
+/**
+ * Read worker process options from command line flags, falling back to
+ * environment variables and then to the defaults of each DEX provider.
+ *
+ *   --dex raydium,orca           WORKER_DEXES          DEXs to serve (default: all)
+ *   --concurrency 8,jupiter=2    WORKER_CONCURRENCY    Jobs processed in parallel
+ *   --rate-limit orca=5/1000     WORKER_RATE_LIMITS    Jobs per duration, or none
+ *   --heartbeat 5000             WORKER_HEARTBEAT_MS   Heartbeat interval
+ *
+ * @param {Array<string>} argv - Command line arguments (without node and script)
+ * @param {Object} env - Environment variables
+ * @returns {Object} { dexes: { [dex]: { queueName, concurrency, limiter } }, allDexes, heartbeatInterval } - allDexes is set when no DEX list was given
+ */
+function parseWorkerOptions(argv = [], env = {}) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${name}`);
+    }
+    flags[name] = value;
+  }
+
+  const unknown = Object.keys(flags).filter(name => !['dex', 'concurrency', 'rate-limit', 'heartbeat'].includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option: --${unknown[0]}`);
+  }
+
+  const settings = getWorkerDefaults();
+
+  const concurrency = flags.concurrency || env.WORKER_CONCURRENCY;
+  if (concurrency) {
+    applyPerDex(settings, concurrency, 'concurrency', value => parsePositiveInteger(value, 'Concurrency'));
+  }
+
+  const rateLimits = flags['rate-limit'] || env.WORKER_RATE_LIMITS;
+  if (rateLimits) {
+    applyPerDex(settings, rateLimits, 'limiter', parseRateLimit);
+  }
+
+  const dexList = flags.dex || env.WORKER_DEXES;
+  const allDexes = !dexList || dexList.trim().toLowerCase() === 'all';
+  const selected = allDexes
+    ? Object.keys(settings)
+    : [...new Set(splitList(dexList).map(resolveDex))];
+
+  if (selected.length === 0) {
+    throw new Error('At least one DEX must be selected');
+  }
+
+  const heartbeat = flags.heartbeat || env.WORKER_HEARTBEAT_MS;
+
+  return {
+    dexes: Object.fromEntries(selected.map(dex => [dex, settings[dex]])),
+    allDexes,
+    heartbeatInterval: heartbeat ? parsePositiveInteger(heartbeat, 'Heartbeat interval') : DEFAULT_HEARTBEAT_INTERVAL
+  };
+}
+
+module.exports = {
+  getWorkerDefaults,
+  parseRateLimit,
+  parseWorkerOptions
+};
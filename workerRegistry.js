@@ -0,0 +1,73 @@
+// ========== WORKER REGISTRY ==========
+
+/**
+ * Worker Registry - heartbeat reports of running worker processes. Each
+ * process rewrites its report on an interval; the report key expires when
+ * heartbeats stop, so crashed workers drop out on their own.
+ */
+class WorkerRegistry {
+  /**
+   * @param {Object} connection - ioredis connection
+   * @param {Object} options - { key }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.key = options.key || 'workers';
+    this.indexKey = `${this.key}:index`;
+  }
+
+  reportKey(workerId) {
+    return `${this.key}:${workerId}`;
+  }
+
+  /**
+   * Store a worker heartbeat
+   * @param {string} workerId - Worker process ID
+   * @param {Object} report - Worker report (dexes, counters, heartbeatInterval, ...)
+   * @param {number} ttl - Milliseconds until the report expires without a new heartbeat
+   */
+  async beat(workerId, report, ttl) {
+    const now = Date.now();
+
+    await this.connection.multi()
+      .set(this.reportKey(workerId), JSON.stringify({ ...report, workerId, lastHeartbeat: new Date(now).toISOString() }), 'PX', ttl)
+      .zadd(this.indexKey, now, workerId)
+      .exec();
+  }
+
+  /**
+   * Remove a worker report, used on clean shutdown
+   * @param {string} workerId - Worker process ID
+   */
+  async remove(workerId) {
+    await this.connection.multi()
+      .del(this.reportKey(workerId))
+      .zrem(this.indexKey, workerId)
+      .exec();
+  }
+
+  /**
+   * Reports of workers whose heartbeat has not expired
+   * @returns {Array} Worker reports, oldest first, with heartbeatAge in ms
+   */
+  async list() {
+    const workerIds = await this.connection.zrange(this.indexKey, 0, -1);
+    if (workerIds.length === 0) return [];
+
+    const raws = await this.connection.mget(...workerIds.map(workerId => this.reportKey(workerId)));
+    const expired = workerIds.filter((workerId, i) => !raws[i]);
+    if (expired.length > 0) {
+      await this.connection.zrem(this.indexKey, ...expired);
+    }
+
+    const now = Date.now();
+    return raws.filter(Boolean).map(raw => {
+      const report = JSON.parse(raw);
+      return { ...report, heartbeatAge: now - Date.parse(report.lastHeartbeat) };
+    });
+  }
+}
+
+module.exports = {
+  WorkerRegistry
+};